@@ -0,0 +1,46 @@
+/**
+ * Migration: Create refresh_tokens table
+ * Date: 2025-10-06
+ */
+
+exports.up = function(knex) {
+    return knex.schema.createTable('refresh_tokens', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      
+      // Owner
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      
+      // Token (SHA-256, jamais stocké en clair)
+      table.string('token_hash', 64).notNullable().unique();
+      
+      // Rotation: tous les tokens issus d'une même connexion partagent la famille
+      table.uuid('family_id').notNullable();
+      table.uuid('parent_id').nullable();
+      table.foreign('parent_id').references('id').inTable('refresh_tokens').onDelete('SET NULL');
+      
+      // Device information
+      table.string('device_name', 200);
+      table.string('ip_address', 45);
+      table.text('user_agent');
+      
+      // Lifecycle
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('used_at').nullable(); // Échangé contre un nouveau token
+      table.timestamp('revoked_at').nullable();
+      table.string('revoked_reason', 100).nullable();
+      
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index(['user_id']);
+      table.index(['family_id']);
+      table.index(['expires_at']);
+    });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema.dropTableIfExists('refresh_tokens');
+  };
@@ -0,0 +1,18 @@
+/**
+ * Migration: Add tokens_revoked_at to users
+ * Date: 2025-10-06
+ */
+
+exports.up = function(knex) {
+    return knex.schema.alterTable('users', (table) => {
+      // Déconnexion de tous les appareils: les tokens d'accès émis avant sont refusés
+      // (copie durable de la date de coupure conservée dans Redis)
+      table.timestamp('tokens_revoked_at', { precision: 3 }).nullable();
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.alterTable('users', (table) => {
+      table.dropColumn('tokens_revoked_at');
+    });
+  };
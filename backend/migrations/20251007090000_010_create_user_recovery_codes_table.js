@@ -0,0 +1,31 @@
+/**
+ * Migration: Create user_recovery_codes table
+ * Date: 2025-10-07
+ */
+
+exports.up = function(knex) {
+    return knex.schema.createTable('user_recovery_codes', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      
+      // Owner
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      
+      // Code de secours à usage unique (SHA-256, jamais stocké en clair)
+      table.string('code_hash', 64).notNullable();
+      table.timestamp('used_at').nullable();
+      table.string('used_ip', 45).nullable();
+      
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.unique(['user_id', 'code_hash']);
+      table.index(['user_id']);
+    });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema.dropTableIfExists('user_recovery_codes');
+  };
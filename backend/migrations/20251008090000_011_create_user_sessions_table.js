@@ -0,0 +1,45 @@
+/**
+ * Migration: Create user_sessions table
+ * Date: 2025-10-08
+ */
+
+exports.up = function(knex) {
+    return knex.schema.createTable('user_sessions', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      
+      // Owner
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      
+      // Famille de refresh tokens de la session (une connexion = une famille)
+      table.uuid('refresh_family_id').notNullable().unique();
+      
+      // Device information
+      table.string('device_name', 200);
+      table.enu('platform', ['web', 'mobile']).defaultTo('web');
+      table.string('device_fingerprint', 64); // SHA-256 (appareil + user agent)
+      table.string('ip_address', 45);
+      table.text('user_agent');
+      
+      // Activity
+      table.timestamp('last_activity_at').defaultTo(knex.fn.now());
+      table.string('last_ip_address', 45);
+      
+      // Lifecycle
+      table.timestamp('revoked_at').nullable();
+      table.string('revoked_reason', 100).nullable();
+      
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index(['user_id']);
+      table.index(['user_id', 'device_fingerprint']);
+      table.index(['last_activity_at']);
+    });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema.dropTableIfExists('user_sessions');
+  };
@@ -0,0 +1,53 @@
+/**
+ * Migration: Create security_events table and account lockout columns
+ * Date: 2025-10-09
+ */
+
+exports.up = function(knex) {
+    return knex.schema
+      .alterTable('users', (table) => {
+        // Verrouillage du compte après des échecs de connexion répétés
+        table.integer('failed_login_attempts').defaultTo(0);
+        table.timestamp('last_failed_login_at').nullable();
+        table.timestamp('locked_until').nullable();
+        
+        // Lien de déverrouillage envoyé par email (SHA-256)
+        table.string('unlock_token_hash', 64).nullable();
+        table.timestamp('unlock_token_expires').nullable();
+      })
+      .createTable('security_events', (table) => {
+        // Primary key
+        table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+        
+        // Compte concerné (null si l'email tenté n'existe pas)
+        table.uuid('user_id').nullable();
+        table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+        table.string('email', 255).nullable();
+        
+        // Event
+        table.string('event_type', 50).notNullable(); // login_failed, account_locked...
+        table.string('ip_address', 45);
+        table.text('user_agent');
+        table.jsonb('metadata').defaultTo('{}');
+        
+        // Timestamps
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        
+        // Indexes
+        table.index(['user_id', 'created_at']);
+        table.index(['ip_address', 'created_at']);
+        table.index(['event_type', 'created_at']);
+      });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema
+      .dropTableIfExists('security_events')
+      .alterTable('users', (table) => {
+        table.dropColumn('failed_login_attempts');
+        table.dropColumn('last_failed_login_at');
+        table.dropColumn('locked_until');
+        table.dropColumn('unlock_token_hash');
+        table.dropColumn('unlock_token_expires');
+      });
+  };
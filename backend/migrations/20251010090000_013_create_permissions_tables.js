@@ -0,0 +1,57 @@
+/**
+ * Migration: Create permissions and role_permissions tables, store moderation columns
+ * Date: 2025-10-10
+ */
+
+exports.up = function(knex) {
+    return knex.schema
+      .alterTable('stores', (table) => {
+        // Modération (stores:verify, stores:suspend)
+        table.timestamp('verified_at').nullable();
+        table.timestamp('suspended_at').nullable();
+        table.text('suspension_reason').nullable();
+      })
+      .createTable('permissions', (table) => {
+        // Clé de la permission (ex: orders:read_all)
+        table.string('key', 100).primary();
+        table.string('group', 50).notNullable();
+        table.string('description', 255);
+        
+        // Timestamps
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        
+        // Indexes
+        table.index(['group']);
+      })
+      .createTable('role_permissions', (table) => {
+        // Primary key
+        table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+        
+        // Attribution
+        table.enum('role', ['customer', 'vendor', 'manager', 'admin', 'super_admin']).notNullable();
+        table.string('permission_key', 100).notNullable();
+        table.foreign('permission_key').references('key').inTable('permissions').onDelete('CASCADE');
+        
+        // Super admin ayant accordé la permission (null = valeur par défaut)
+        table.uuid('granted_by').nullable();
+        table.foreign('granted_by').references('id').inTable('users').onDelete('SET NULL');
+        
+        // Timestamps
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        
+        // Indexes
+        table.unique(['role', 'permission_key']);
+        table.index(['role']);
+      });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema
+      .dropTableIfExists('role_permissions')
+      .dropTableIfExists('permissions')
+      .alterTable('stores', (table) => {
+        table.dropColumn('verified_at');
+        table.dropColumn('suspended_at');
+        table.dropColumn('suspension_reason');
+      });
+  };
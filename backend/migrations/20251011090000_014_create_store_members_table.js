@@ -0,0 +1,72 @@
+/**
+ * Migration: Create store_members table
+ * Date: 2025-10-11
+ */
+
+exports.up = async function(knex) {
+    await knex.schema
+      .createTable('store_members', (table) => {
+        // Primary key
+        table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+        
+        // Boutique et membre (user_id renseigné à l'acceptation de l'invitation)
+        table.uuid('store_id').notNullable();
+        table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+        table.uuid('user_id').nullable();
+        table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+        table.string('email', 255).notNullable();
+        
+        // Rôle dans la boutique
+        table.enum('role', ['manager', 'packer', 'support']).notNullable();
+        table.enum('status', ['pending', 'active', 'revoked']).defaultTo('pending');
+        
+        // Invitation (SHA-256 du token envoyé par email)
+        table.string('invitation_token_hash', 64).nullable();
+        table.timestamp('invitation_expires_at').nullable();
+        table.uuid('invited_by').nullable();
+        table.foreign('invited_by').references('id').inTable('users').onDelete('SET NULL');
+        table.timestamp('accepted_at').nullable();
+        table.timestamp('revoked_at').nullable();
+        
+        // Timestamps
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        table.timestamp('updated_at').defaultTo(knex.fn.now());
+        
+        // Indexes
+        table.unique(['store_id', 'email']);
+        table.index(['user_id', 'status']);
+        table.index(['invitation_token_hash']);
+      })
+      .alterTable('orders', (table) => {
+        // Membre de l'équipe ayant effectué la dernière modification
+        table.uuid('updated_by_member_id').nullable();
+        table.foreign('updated_by_member_id').references('id').inTable('store_members').onDelete('SET NULL');
+      })
+      .alterTable('products', (table) => {
+        // Membre de l'équipe ayant effectué la dernière modification
+        table.uuid('updated_by_member_id').nullable();
+        table.foreign('updated_by_member_id').references('id').inTable('store_members').onDelete('SET NULL');
+      });
+    
+    // Ces permissions ne sont plus globales (STORE_PERMISSIONS): retirer les
+    // attributions aux rôles enregistrées avant l'arrivée des équipes
+    await knex('role_permissions')
+      .whereIn('permission_key', ['products:manage', 'orders:update_status'])
+      .del();
+    await knex('permissions')
+      .whereIn('key', ['products:manage', 'orders:update_status'])
+      .del();
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema
+      .alterTable('products', (table) => {
+        table.dropForeign(['updated_by_member_id']);
+        table.dropColumn('updated_by_member_id');
+      })
+      .alterTable('orders', (table) => {
+        table.dropForeign(['updated_by_member_id']);
+        table.dropColumn('updated_by_member_id');
+      })
+      .dropTableIfExists('store_members');
+  };
@@ -0,0 +1,59 @@
+/**
+ * Migration: Create audit_logs table (append-only)
+ * Date: 2025-10-12
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('audit_logs', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      
+      // Auteur (sans clé étrangère: le journal survit à la suppression des comptes)
+      table.uuid('actor_id').nullable();
+      table.string('actor_role', 30).nullable();
+      
+      // Action et entité concernée
+      table.string('action', 100).notNullable(); // store.verify, payment.refund...
+      table.string('entity_type', 50).notNullable();
+      table.string('entity_id', 100).nullable();
+      
+      // Différence avant / après (champs modifiés uniquement)
+      table.jsonb('before').nullable();
+      table.jsonb('after').nullable();
+      table.jsonb('metadata').defaultTo('{}');
+      
+      // Request context
+      table.string('ip_address', 45);
+      table.text('user_agent');
+      table.string('request_id', 100);
+      
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index(['actor_id', 'created_at']);
+      table.index(['entity_type', 'entity_id']);
+      table.index(['action']);
+      table.index(['created_at']);
+    });
+    
+    // Journal en ajout seul: toute modification ou suppression de ligne est refusée
+    await knex.raw(`
+      CREATE OR REPLACE FUNCTION audit_logs_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_logs est en ajout seul (% interdit)', TG_OP;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    
+    await knex.raw(`
+      CREATE TRIGGER audit_logs_append_only
+      BEFORE UPDATE OR DELETE ON audit_logs
+      FOR EACH ROW EXECUTE PROCEDURE audit_logs_append_only();
+    `);
+  };
+  
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('audit_logs');
+    await knex.raw('DROP FUNCTION IF EXISTS audit_logs_append_only()');
+  };
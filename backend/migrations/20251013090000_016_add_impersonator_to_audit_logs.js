@@ -0,0 +1,21 @@
+/**
+ * Migration: Add impersonator to audit_logs
+ * Date: 2025-10-13
+ */
+
+exports.up = function(knex) {
+    return knex.schema.alterTable('audit_logs', (table) => {
+      // Administrateur à l'origine de l'action lorsqu'elle est faite en tant qu'un autre utilisateur
+      table.uuid('impersonator_id').nullable();
+      
+      // Indexes
+      table.index(['impersonator_id', 'created_at']);
+    });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema.alterTable('audit_logs', (table) => {
+      table.dropIndex(['impersonator_id', 'created_at']);
+      table.dropColumn('impersonator_id');
+    });
+  };
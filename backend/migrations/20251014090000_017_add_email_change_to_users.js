@@ -0,0 +1,35 @@
+/**
+ * Migration: Add pending email change columns to users
+ * Date: 2025-10-14
+ */
+
+exports.up = function(knex) {
+    return knex.schema.alterTable('users', (table) => {
+      // Nouvelle adresse en attente de confirmation (l'ancienne reste active)
+      table.string('pending_email', 255).nullable();
+      table.string('email_change_token_hash', 64).nullable();
+      table.timestamp('email_change_expires').nullable();
+      
+      // Lien "ce n'était pas moi" envoyé à l'ancienne adresse (SHA-256)
+      table.string('email_revert_token_hash', 64).nullable();
+      table.timestamp('email_revert_expires').nullable();
+      table.string('email_revert_address', 255).nullable();
+      
+      // Indexes
+      table.index(['email_change_token_hash']);
+      table.index(['email_revert_token_hash']);
+    });
+  };
+  
+  exports.down = function(knex) {
+    return knex.schema.alterTable('users', (table) => {
+      table.dropIndex(['email_change_token_hash']);
+      table.dropIndex(['email_revert_token_hash']);
+      table.dropColumn('pending_email');
+      table.dropColumn('email_change_token_hash');
+      table.dropColumn('email_change_expires');
+      table.dropColumn('email_revert_token_hash');
+      table.dropColumn('email_revert_expires');
+      table.dropColumn('email_revert_address');
+    });
+  };
@@ -0,0 +1,38 @@
+/**
+ * Migration: Create user_identities table
+ * Date: 2025-10-15
+ */
+
+exports.up = function(knex) {
+    return knex.schema.createTable('user_identities', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Compte local
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+
+      // Identité chez le fournisseur OpenID Connect (claim "sub")
+      table.string('provider', 50).notNullable();
+      table.string('subject', 255).notNullable();
+
+      // Adresse communiquée par le fournisseur lors de la liaison
+      table.string('email', 255).nullable();
+      table.boolean('email_verified').defaultTo(false);
+
+      table.timestamp('last_login_at').nullable();
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.unique(['provider', 'subject']);
+      table.unique(['user_id', 'provider']);
+      table.index(['user_id']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTableIfExists('user_identities');
+  };
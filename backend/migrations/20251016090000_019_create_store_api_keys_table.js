@@ -0,0 +1,57 @@
+/**
+ * Migration: Create store_api_keys table
+ * Date: 2025-10-16
+ */
+
+exports.up = function(knex) {
+    return knex.schema
+      .createTable('store_api_keys', (table) => {
+        // Primary key
+        table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+        // Boutique à laquelle la clé donne accès
+        table.uuid('store_id').notNullable();
+        table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+        table.string('name', 100).notNullable();
+
+        // Début de la clé (affichable) et SHA-256 de la clé complète
+        table.string('key_prefix', 20).notNullable();
+        table.string('key_hash', 64).notNullable().unique();
+
+        // Permissions de boutique accordées (sous-ensemble de API_KEY_SCOPES)
+        table.jsonb('scopes').notNullable().defaultTo('[]');
+
+        // Cycle de vie
+        table.timestamp('expires_at').nullable();
+        table.timestamp('last_used_at').nullable();
+        table.string('last_used_ip', 45).nullable();
+        table.uuid('created_by').nullable();
+        table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+        table.timestamp('revoked_at').nullable();
+        table.uuid('revoked_by').nullable();
+        table.foreign('revoked_by').references('id').inTable('users').onDelete('SET NULL');
+
+        // Timestamps
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+        // Indexes
+        table.index(['store_id', 'revoked_at']);
+      })
+      .alterTable('audit_logs', (table) => {
+        // Clé d'API utilisée pour l'action (accès programmatique d'une boutique)
+        table.uuid('api_key_id').nullable();
+
+        // Indexes
+        table.index(['api_key_id', 'created_at']);
+      });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema
+      .alterTable('audit_logs', (table) => {
+        table.dropIndex(['api_key_id', 'created_at']);
+        table.dropColumn('api_key_id');
+      })
+      .dropTableIfExists('store_api_keys');
+  };
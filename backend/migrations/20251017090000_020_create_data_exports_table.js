@@ -0,0 +1,48 @@
+/**
+ * Migration: Create data_exports table
+ * Date: 2025-10-17
+ */
+
+exports.up = function(knex) {
+    return knex.schema.createTable('data_exports', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Utilisateur dont les données sont exportées
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+
+      // Traitement
+      table.enum('status', ['pending', 'processing', 'completed', 'failed', 'expired']).defaultTo('pending');
+      table.timestamp('started_at').nullable();
+      table.timestamp('completed_at').nullable();
+      table.text('error_message').nullable();
+
+      // Archive ZIP (chemin relatif au dossier d'export) et contenu
+      table.string('file_name', 255).nullable();
+      table.bigInteger('file_size').nullable();
+      table.jsonb('summary').nullable();
+
+      // Lien de téléchargement (SHA-256 du token envoyé par email)
+      table.string('download_token_hash', 64).nullable();
+      table.timestamp('expires_at').nullable();
+      table.integer('download_count').defaultTo(0);
+      table.timestamp('last_downloaded_at').nullable();
+
+      // Origine de la demande
+      table.string('requested_ip', 45).nullable();
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.index(['user_id', 'created_at']);
+      table.index(['status', 'created_at']);
+      table.index(['expires_at']);
+    });
+  };
+
+  exports.down = function(knex) {
+    return knex.schema.dropTableIfExists('data_exports');
+  };
@@ -0,0 +1,59 @@
+/**
+ * Migration: Add account erasure (right to be forgotten)
+ * Date: 2025-10-18
+ */
+
+exports.up = async function(knex) {
+    // Demande d'effacement: compte désactivé pendant le délai de grâce
+    await knex.schema.alterTable('users', (table) => {
+      table.timestamp('erasure_requested_at').nullable();
+      table.timestamp('erasure_scheduled_at').nullable();
+      table.string('erasure_cancel_token_hash', 64).nullable();
+      table.timestamp('anonymized_at').nullable();
+
+      // Indexes
+      table.index(['erasure_scheduled_at']);
+      table.index(['erasure_cancel_token_hash']);
+    });
+
+    // Certificats d'effacement (preuve de l'anonymisation, sans donnée personnelle)
+    await knex.schema.createTable('erasure_certificates', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Compte anonymisé (la ligne users est conservée, vidée de ses données)
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users');
+
+      // Déroulement
+      table.timestamp('requested_at').nullable();
+      table.timestamp('executed_at').notNullable();
+
+      // Enregistrements traités par table et fichiers supprimés
+      table.jsonb('records').notNullable();
+      table.integer('media_removed').defaultTo(0);
+
+      // Empreinte SHA-256 du contenu du certificat
+      table.string('certificate_hash', 64).notNullable();
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.unique(['user_id']);
+      table.index(['executed_at']);
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('erasure_certificates');
+
+    await knex.schema.alterTable('users', (table) => {
+      table.dropIndex(['erasure_scheduled_at']);
+      table.dropIndex(['erasure_cancel_token_hash']);
+      table.dropColumn('erasure_requested_at');
+      table.dropColumn('erasure_scheduled_at');
+      table.dropColumn('erasure_cancel_token_hash');
+      table.dropColumn('anonymized_at');
+    });
+  };
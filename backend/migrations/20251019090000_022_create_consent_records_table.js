@@ -0,0 +1,64 @@
+/**
+ * Migration: Create consent_records table (consent ledger)
+ * Date: 2025-10-19
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('consent_records', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Personne concernée
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+
+      // Consentement: canal (email, sms; null pour l'acceptation des conditions),
+      // finalité (marketing, policy...) et décision
+      table.string('channel', 20).nullable();
+      table.string('purpose', 50).notNullable();
+      table.boolean('granted').notNullable();
+
+      // Provenance: origine de la décision et version des conditions en vigueur
+      table.string('source', 50).notNullable();
+      table.string('policy_version', 50).nullable();
+      table.string('ip_address', 45).nullable();
+      table.text('user_agent').nullable();
+
+      // Timestamps (registre en ajout seul: pas de updated_at)
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.index(['user_id', 'channel', 'purpose', 'created_at']);
+      table.index(['purpose', 'created_at']);
+    });
+
+    // Version des conditions acceptée par l'utilisateur
+    await knex.schema.alterTable('users', (table) => {
+      table.string('policy_version', 50).nullable();
+      table.timestamp('policy_accepted_at').nullable();
+    });
+
+    // Une case pré-cochée n'est pas un consentement
+    await knex.raw('ALTER TABLE users ALTER COLUMN marketing_emails SET DEFAULT false');
+
+    // État existant repris dans le registre (provenance inconnue: "legacy")
+    await knex.raw(`
+      INSERT INTO consent_records (user_id, channel, purpose, granted, source)
+      SELECT id, 'email', 'marketing', marketing_emails, 'legacy' FROM users WHERE marketing_emails IS NOT NULL
+      UNION ALL
+      SELECT id, 'sms', 'marketing', marketing_sms, 'legacy' FROM users WHERE marketing_sms IS NOT NULL
+      UNION ALL
+      SELECT id, 'email', 'order_notifications', order_notifications, 'legacy' FROM users WHERE order_notifications IS NOT NULL
+    `);
+  };
+
+  exports.down = async function(knex) {
+    await knex.raw('ALTER TABLE users ALTER COLUMN marketing_emails SET DEFAULT true');
+
+    await knex.schema.alterTable('users', (table) => {
+      table.dropColumn('policy_version');
+      table.dropColumn('policy_accepted_at');
+    });
+
+    await knex.schema.dropTableIfExists('consent_records');
+  };
@@ -0,0 +1,40 @@
+/**
+ * Migration: Create idempotency_keys table (Idempotency-Key header)
+ * Date: 2025-10-20
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('idempotency_keys', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Clé fournie par le client, propre à chaque utilisateur
+      table.uuid('user_id').notNullable();
+      table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+      table.string('idempotency_key', 255).notNullable();
+
+      // Requête d'origine: endpoint et empreinte (méthode, chemin, corps)
+      table.string('endpoint', 255).notNullable();
+      table.string('request_fingerprint', 64).notNullable();
+
+      // processing (requête en cours) -> completed (réponse enregistrée)
+      table.string('status', 20).notNullable().defaultTo('processing');
+      table.integer('response_status').nullable();
+      table.jsonb('response_body').nullable();
+
+      // Verrou de traitement et durée de rejeu
+      table.timestamp('locked_at').defaultTo(knex.fn.now());
+      table.timestamp('expires_at').notNullable();
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Constraints & indexes
+      table.unique(['user_id', 'idempotency_key']);
+      table.index('expires_at');
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('idempotency_keys');
+  };
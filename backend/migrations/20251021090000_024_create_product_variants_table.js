@@ -0,0 +1,66 @@
+/**
+ * Migration: Create product_variants table (per-variant SKU, price and stock)
+ * Date: 2025-10-21
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('product_variants', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Produit parent
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products').onDelete('CASCADE');
+
+      // Valeurs d'options (ex: { "size": "M", "color": "Rouge" })
+      table.jsonb('options').notNullable();
+
+      // Identification
+      table.string('sku', 100).nullable();
+      table.string('barcode', 100).nullable();
+
+      // Prix propre à la variante (null: prix du produit)
+      table.decimal('price', 12, 2).nullable();
+      table.decimal('compare_at_price', 12, 2).nullable();
+
+      // Inventaire
+      table.integer('stock_quantity').notNullable().defaultTo(0);
+      table.integer('reserved_quantity').notNullable().defaultTo(0);
+
+      // Médias et affichage
+      table.json('images');
+      table.integer('position').defaultTo(0);
+      table.boolean('is_active').defaultTo(true);
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Constraints & indexes
+      table.unique(['product_id', 'options']);
+      table.unique(['product_id', 'sku']);
+      table.index(['sku']);
+      table.index(['barcode']);
+    });
+
+    // Stock et réservations jamais négatifs
+    await knex.raw(`
+      ALTER TABLE product_variants
+        ADD CONSTRAINT product_variants_stock_check CHECK (stock_quantity >= 0 AND reserved_quantity >= 0)
+    `);
+
+    // Variante commandée (le nom et les attributs restent l'instantané affiché)
+    await knex.schema.alterTable('order_items', (table) => {
+      table.uuid('variant_id').nullable();
+      table.foreign('variant_id').references('id').inTable('product_variants').onDelete('SET NULL');
+      table.index(['variant_id']);
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.alterTable('order_items', (table) => {
+      table.dropForeign(['variant_id']);
+      table.dropColumn('variant_id');
+    });
+
+    await knex.schema.dropTableIfExists('product_variants');
+  };
@@ -0,0 +1,76 @@
+/**
+ * Migration: Create inventory_reservations table (stock held by orders, with expiry)
+ * Date: 2025-10-22
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('inventory_reservations', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Commande et article concernés
+      table.uuid('order_id').notNullable();
+      table.foreign('order_id').references('id').inTable('orders').onDelete('CASCADE');
+      table.uuid('order_item_id').nullable();
+      table.foreign('order_item_id').references('id').inTable('order_items').onDelete('SET NULL');
+
+      // Stock réservé (la variante si le produit est décliné)
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products');
+      table.uuid('variant_id').nullable();
+      table.foreign('variant_id').references('id').inTable('product_variants').onDelete('SET NULL');
+      table.integer('quantity').notNullable();
+
+      // active -> converted (vendu) | released (annulée) | expired (non payée à temps)
+      // converted -> returned (commande payée puis annulée: stock remis en vente)
+      table.string('status', 20).notNullable().defaultTo('active');
+
+      // Échéance (null: pas d'expiration, ex: paiement à la livraison)
+      table.timestamp('expires_at').nullable();
+      table.timestamp('converted_at').nullable();
+      table.timestamp('released_at').nullable();
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['order_id']);
+      table.index(['status', 'expires_at']);
+      table.index(['product_id', 'status']);
+      table.index(['variant_id', 'status']);
+    });
+
+    // Réservations des commandes en cours (le stock n'est sorti qu'à la livraison)
+    // Commandes en ligne non payées: un jour pour finaliser le paiement
+    await knex.raw(`
+      INSERT INTO inventory_reservations (order_id, order_item_id, product_id, variant_id, quantity, expires_at)
+      SELECT o.id, oi.id, oi.product_id, oi.variant_id, oi.quantity,
+        CASE
+          WHEN o.status = 'pending' AND o.payment_status <> 'paid' AND o.payment_method <> 'cash_on_delivery'
+            THEN NOW() + INTERVAL '1 day'
+          ELSE NULL
+        END
+      FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      WHERE o.status IN ('pending', 'paid', 'confirmed', 'processing', 'shipped')
+    `);
+
+    // Quantités réservées recalculées: somme des réservations actives
+    await knex.raw(`
+      UPDATE products p SET reserved_quantity = COALESCE((
+        SELECT SUM(r.quantity) FROM inventory_reservations r
+        WHERE r.product_id = p.id AND r.status = 'active'
+      ), 0)
+    `);
+
+    await knex.raw(`
+      UPDATE product_variants v SET reserved_quantity = COALESCE((
+        SELECT SUM(r.quantity) FROM inventory_reservations r
+        WHERE r.variant_id = v.id AND r.status = 'active'
+      ), 0)
+    `);
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('inventory_reservations');
+  };
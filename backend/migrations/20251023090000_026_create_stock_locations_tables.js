@@ -0,0 +1,196 @@
+/**
+ * Migration: Create stock_locations, stock_levels and stock_transfers tables
+ * (multi-location inventory: workshops and shops of a store)
+ * Date: 2025-10-23
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('stock_locations', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      table.uuid('store_id').notNullable();
+      table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+
+      // Lieu de stockage (atelier, boutique physique, entrepôt)
+      table.string('name', 100).notNullable();
+      table.string('code', 30).notNullable();
+      table.string('type', 20).notNullable().defaultTo('workshop');
+      table.string('address', 255).nullable();
+      table.string('city', 100).nullable();
+      table.string('country', 100).nullable();
+      table.string('phone', 30).nullable();
+
+      // Lieu par défaut: reçoit le stock saisi sur la fiche produit
+      table.boolean('is_default').notNullable().defaultTo(false);
+      // Expédie les commandes en ligne (ordre de préférence: priority croissante)
+      table.boolean('fulfills_online_orders').notNullable().defaultTo(true);
+      table.integer('priority').notNullable().defaultTo(0);
+      table.boolean('is_active').notNullable().defaultTo(true);
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.unique(['store_id', 'code']);
+      table.index(['store_id', 'is_active']);
+    });
+
+    // Un seul lieu par défaut par boutique
+    await knex.raw(`
+      CREATE UNIQUE INDEX stock_locations_default_unique
+      ON stock_locations (store_id) WHERE is_default
+    `);
+
+    await knex.schema.createTable('stock_levels', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      table.uuid('location_id').notNullable();
+      table.foreign('location_id').references('id').inTable('stock_locations').onDelete('CASCADE');
+
+      // Stock suivi sur la variante si le produit est décliné
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products').onDelete('CASCADE');
+      table.uuid('variant_id').nullable();
+      table.foreign('variant_id').references('id').inTable('product_variants').onDelete('CASCADE');
+
+      table.integer('quantity').notNullable().defaultTo(0);
+      table.integer('reserved_quantity').notNullable().defaultTo(0);
+      // Seuil d'alerte propre au lieu (sinon celui du produit)
+      table.integer('low_stock_threshold').nullable();
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['product_id']);
+      table.index(['variant_id']);
+    });
+
+    await knex.raw(`
+      CREATE UNIQUE INDEX stock_levels_item_unique
+      ON stock_levels (location_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'))
+    `);
+
+    await knex.raw(`
+      ALTER TABLE stock_levels
+      ADD CONSTRAINT stock_levels_quantities_check
+      CHECK (quantity >= 0 AND reserved_quantity >= 0)
+    `);
+
+    await knex.schema.createTable('stock_transfers', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('reference', 30).notNullable().unique();
+
+      table.uuid('store_id').notNullable();
+      table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+      table.uuid('from_location_id').notNullable();
+      table.foreign('from_location_id').references('id').inTable('stock_locations');
+      table.uuid('to_location_id').notNullable();
+      table.foreign('to_location_id').references('id').inTable('stock_locations');
+
+      // in_transit (stock sorti du lieu d'origine) -> received | cancelled
+      table.string('status', 20).notNullable().defaultTo('in_transit');
+      table.text('notes').nullable();
+
+      // Traçabilité: auteur de chaque étape
+      table.uuid('created_by').nullable();
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+      table.uuid('received_by').nullable();
+      table.foreign('received_by').references('id').inTable('users').onDelete('SET NULL');
+      table.uuid('cancelled_by').nullable();
+      table.foreign('cancelled_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('received_at').nullable();
+      table.timestamp('cancelled_at').nullable();
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['store_id', 'status']);
+      table.index(['from_location_id']);
+      table.index(['to_location_id']);
+    });
+
+    await knex.schema.createTable('stock_transfer_items', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      table.uuid('transfer_id').notNullable();
+      table.foreign('transfer_id').references('id').inTable('stock_transfers').onDelete('CASCADE');
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products');
+      table.uuid('variant_id').nullable();
+      table.foreign('variant_id').references('id').inTable('product_variants').onDelete('SET NULL');
+      table.integer('quantity').notNullable();
+
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['transfer_id']);
+    });
+
+    // Lieu d'où part le stock réservé par une commande
+    await knex.schema.alterTable('inventory_reservations', (table) => {
+      table.uuid('location_id').nullable();
+      table.foreign('location_id').references('id').inTable('stock_locations').onDelete('SET NULL');
+    });
+
+    await knex.schema.alterTable('order_items', (table) => {
+      table.uuid('location_id').nullable();
+      table.foreign('location_id').references('id').inTable('stock_locations').onDelete('SET NULL');
+    });
+
+    // Un lieu par défaut par boutique, qui reprend le stock existant
+    await knex.raw(`
+      INSERT INTO stock_locations (store_id, name, code, type, city, country, is_default)
+      SELECT s.id, 'Stock principal', 'MAIN', 'workshop', s.city, s.country, true
+      FROM stores s
+    `);
+
+    await knex.raw(`
+      INSERT INTO stock_levels (location_id, product_id, variant_id, quantity, reserved_quantity)
+      SELECT l.id, p.id, NULL, GREATEST(p.stock_quantity, 0), GREATEST(p.reserved_quantity, 0)
+      FROM products p
+      JOIN stock_locations l ON l.store_id = p.store_id AND l.is_default
+      WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    `);
+
+    await knex.raw(`
+      INSERT INTO stock_levels (location_id, product_id, variant_id, quantity, reserved_quantity)
+      SELECT l.id, p.id, v.id, GREATEST(v.stock_quantity, 0), GREATEST(v.reserved_quantity, 0)
+      FROM product_variants v
+      JOIN products p ON p.id = v.product_id
+      JOIN stock_locations l ON l.store_id = p.store_id AND l.is_default
+    `);
+
+    await knex.raw(`
+      UPDATE inventory_reservations r SET location_id = l.id
+      FROM products p, stock_locations l
+      WHERE p.id = r.product_id AND l.store_id = p.store_id AND l.is_default
+    `);
+
+    await knex.raw(`
+      UPDATE order_items oi SET location_id = r.location_id
+      FROM inventory_reservations r
+      WHERE r.order_item_id = oi.id
+    `);
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.alterTable('order_items', (table) => {
+      table.dropForeign(['location_id']);
+      table.dropColumn('location_id');
+    });
+
+    await knex.schema.alterTable('inventory_reservations', (table) => {
+      table.dropForeign(['location_id']);
+      table.dropColumn('location_id');
+    });
+
+    await knex.schema.dropTableIfExists('stock_transfer_items');
+    await knex.schema.dropTableIfExists('stock_transfers');
+    await knex.schema.dropTableIfExists('stock_levels');
+    await knex.schema.dropTableIfExists('stock_locations');
+  };
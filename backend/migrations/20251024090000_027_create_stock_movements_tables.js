@@ -0,0 +1,135 @@
+/**
+ * Migration: Create stock_movements ledger (append-only) and stocktakes tables
+ * Date: 2025-10-24
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('stock_movements', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Article et lieu concernés (variante sans clé étrangère: le registre
+      // conserve l'historique des variantes supprimées)
+      table.uuid('location_id').notNullable();
+      table.foreign('location_id').references('id').inTable('stock_locations');
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products');
+      table.uuid('variant_id').nullable();
+
+      // sale, return, adjustment, transfer, stocktake, damage
+      table.string('type', 20).notNullable();
+      table.string('reason', 30).notNullable();
+
+      // Variation du stock (signée) et stock du lieu après le mouvement
+      table.integer('quantity').notNullable();
+      table.integer('balance_after').notNullable();
+
+      // Origine du mouvement (commande, transfert, inventaire)
+      table.string('reference_type', 30).nullable();
+      table.uuid('reference_id').nullable();
+      table.text('notes').nullable();
+
+      // Auteur (sans clé étrangère, comme le journal d'audit)
+      table.uuid('actor_id').nullable();
+      table.string('actor_role', 30).nullable();
+      table.uuid('api_key_id').nullable();
+      table.string('request_id', 100).nullable();
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.index(['location_id', 'created_at']);
+      table.index(['product_id', 'variant_id', 'created_at']);
+      table.index(['reference_type', 'reference_id']);
+      table.index(['type', 'created_at']);
+    });
+
+    await knex.raw('ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_quantity_check CHECK (quantity <> 0)');
+
+    // Registre en ajout seul: toute modification ou suppression de ligne est refusée
+    await knex.raw(`
+      CREATE OR REPLACE FUNCTION stock_movements_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'stock_movements est en ajout seul (% interdit)', TG_OP;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await knex.raw(`
+      CREATE TRIGGER stock_movements_append_only
+      BEFORE UPDATE OR DELETE ON stock_movements
+      FOR EACH ROW EXECUTE PROCEDURE stock_movements_append_only();
+    `);
+
+    // Stock existant: solde d'ouverture de chaque niveau de stock
+    await knex.raw(`
+      INSERT INTO stock_movements (location_id, product_id, variant_id, type, reason, quantity, balance_after, created_at)
+      SELECT location_id, product_id, variant_id, 'adjustment', 'opening_balance', quantity, quantity, created_at
+      FROM stock_levels
+      WHERE quantity <> 0
+    `);
+
+    await knex.schema.createTable('stocktakes', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('reference', 50).notNullable().unique();
+
+      // Lieu inventorié
+      table.uuid('store_id').notNullable();
+      table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+      table.uuid('location_id').notNullable();
+      table.foreign('location_id').references('id').inTable('stock_locations').onDelete('CASCADE');
+
+      // Inventaire complet: les articles du lieu non comptés sont remis à zéro
+      table.boolean('is_full').defaultTo(false);
+      table.text('notes').nullable();
+
+      // Rapport d'écarts
+      table.integer('items_counted').defaultTo(0);
+      table.integer('items_with_variance').defaultTo(0);
+      table.integer('units_over').defaultTo(0);
+      table.integer('units_short').defaultTo(0);
+      table.decimal('variance_value', 12, 2).defaultTo(0);
+
+      table.uuid('created_by').nullable();
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['store_id', 'created_at']);
+      table.index(['location_id']);
+    });
+
+    await knex.schema.createTable('stocktake_items', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      table.uuid('stocktake_id').notNullable();
+      table.foreign('stocktake_id').references('id').inTable('stocktakes').onDelete('CASCADE');
+      table.uuid('product_id').notNullable();
+      table.foreign('product_id').references('id').inTable('products').onDelete('CASCADE');
+      table.uuid('variant_id').nullable();
+
+      // Stock attendu (registre), compté, et écart valorisé au prix de vente
+      table.integer('expected_quantity').notNullable();
+      table.integer('counted_quantity').notNullable();
+      table.integer('variance').notNullable();
+      table.decimal('unit_price', 12, 2).defaultTo(0);
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.index(['stocktake_id']);
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('stocktake_items');
+    await knex.schema.dropTableIfExists('stocktakes');
+    await knex.schema.dropTableIfExists('stock_movements');
+    await knex.raw('DROP FUNCTION IF EXISTS stock_movements_append_only()');
+  };
@@ -0,0 +1,80 @@
+/**
+ * Migration: Create product_imports and product_import_rows tables (bulk CSV/XLSX import)
+ * Date: 2025-10-25
+ */
+
+exports.up = async function(knex) {
+    await knex.schema.createTable('product_imports', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      // Boutique dont le catalogue est importé
+      table.uuid('store_id').notNullable();
+      table.foreign('store_id').references('id').inTable('stores').onDelete('CASCADE');
+      table.uuid('created_by').nullable();
+      table.foreign('created_by').references('id').inTable('users').onDelete('SET NULL');
+
+      // Traitement (dry_run: rapport de validation sans toucher au catalogue)
+      table.enum('status', ['pending', 'processing', 'completed', 'failed']).defaultTo('pending');
+      table.boolean('dry_run').notNullable().defaultTo(false);
+      table.timestamp('started_at').nullable();
+      table.timestamp('completed_at').nullable();
+      table.text('error_message').nullable();
+
+      // Fichiers déposés (chemins relatifs au dossier des imports, effacés à la purge)
+      table.string('file_name', 255).nullable();
+      table.string('original_file_name', 255).notNullable();
+      table.string('file_format', 10).notNullable();
+      table.string('images_file_name', 255).nullable();
+
+      // Correspondance champ -> colonne du fichier et options (catégorie, statut par défaut)
+      table.jsonb('column_mapping').notNullable();
+      table.jsonb('options').nullable();
+
+      // Progression: processed_rows sert de curseur de reprise
+      table.integer('total_rows').notNullable().defaultTo(0);
+      table.integer('processed_rows').notNullable().defaultTo(0);
+      table.integer('created_count').notNullable().defaultTo(0);
+      table.integer('updated_count').notNullable().defaultTo(0);
+      table.integer('error_count').notNullable().defaultTo(0);
+      table.timestamp('files_purged_at').nullable();
+
+      // Timestamps
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['store_id', 'created_at']);
+      table.index(['status', 'created_at']);
+    });
+
+    await knex.schema.createTable('product_import_rows', (table) => {
+      // Primary key
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+
+      table.uuid('import_id').notNullable();
+      table.foreign('import_id').references('id').inTable('product_imports').onDelete('CASCADE');
+
+      // Ligne du fichier (l'en-tête est la ligne 1) et SKU lu
+      table.integer('row_number').notNullable();
+      table.string('sku', 100).nullable();
+
+      // create | update, et résultat: valid | invalid (simulation), imported | failed
+      table.string('action', 10).nullable();
+      table.string('status', 10).notNullable();
+      table.jsonb('errors').notNullable().defaultTo('[]');
+      table.uuid('product_id').nullable();
+      table.foreign('product_id').references('id').inTable('products').onDelete('SET NULL');
+
+      // Timestamps
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Constraints & indexes (une ligne rejouée après reprise remplace la précédente)
+      table.unique(['import_id', 'row_number']);
+      table.index(['import_id', 'status']);
+    });
+  };
+
+  exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('product_import_rows');
+    await knex.schema.dropTableIfExists('product_imports');
+  };
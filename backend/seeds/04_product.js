@@ -2,7 +2,8 @@
  * Seed pour créer des produits de test
  */
 exports.seed = async function(knex) {
-    // Supprimer les données existantes
+    // Supprimer les données existantes (registre des mouvements en ajout seul: TRUNCATE)
+    await knex.raw('TRUNCATE TABLE stock_movements');
     await knex('products').del();
   
     // Récupérer les IDs des boutiques et catégories
@@ -380,6 +381,28 @@ exports.seed = async function(knex) {
     // Insérer les produits
     await knex('products').insert(products);
   
+    // Stock initial dans le lieu par défaut de chaque boutique
+    await knex.raw(`
+      INSERT INTO stock_locations (store_id, name, code, type, city, country, is_default)
+      SELECT s.id, 'Stock principal', 'MAIN', 'workshop', s.city, s.country, true
+      FROM stores s
+      WHERE NOT EXISTS (SELECT 1 FROM stock_locations l WHERE l.store_id = s.id AND l.is_default)
+    `);
+
+    await knex.raw(`
+      INSERT INTO stock_levels (location_id, product_id, quantity)
+      SELECT l.id, p.id, p.stock_quantity
+      FROM products p
+      JOIN stock_locations l ON l.store_id = p.store_id AND l.is_default
+    `);
+
+    await knex.raw(`
+      INSERT INTO stock_movements (location_id, product_id, type, reason, quantity, balance_after)
+      SELECT location_id, product_id, 'adjustment', 'opening_balance', quantity, quantity
+      FROM stock_levels
+      WHERE quantity <> 0
+    `);
+  
     // Mettre à jour les compteurs de produits dans les boutiques
     for (const store of stores) {
       const productCount = products.filter(p => p.store_id === store.id).length;
@@ -171,8 +171,8 @@ const dbHelpers = {
 };
 
 // Export database instance and helpers
-module.exports = {
-  ...db,
-  helpers: dbHelpers,
-  config: config[environment]
-};
\ No newline at end of file
+// (l'instance Knex doit rester appelable: db('table'))
+db.helpers = dbHelpers;
+db.config = config[environment];
+
+module.exports = db;
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Configuration des fournisseurs de connexion OpenID Connect
+ *
+ * OIDC_PROVIDERS liste les fournisseurs actifs (ex: "google,apple").
+ * Chaque fournisseur se configure avec OIDC_<NOM>_CLIENT_ID,
+ * OIDC_<NOM>_CLIENT_SECRET et, au besoin, OIDC_<NOM>_ISSUER,
+ * OIDC_<NOM>_SCOPES et OIDC_<NOM>_LABEL. Tout émetteur conforme
+ * (y compris un émetteur local de test) peut être déclaré ainsi.
+ */
+
+// Émetteurs connus (découverte via /.well-known/openid-configuration)
+const KNOWN_ISSUERS = {
+  google: { issuer: 'https://accounts.google.com', label: 'Google' },
+  apple: { issuer: 'https://appleid.apple.com', label: 'Apple' },
+  facebook: { issuer: 'https://www.facebook.com', label: 'Facebook' }
+};
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+const envKey = (name, suffix) => `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${suffix}`;
+
+/**
+ * Noms des fournisseurs actifs
+ */
+const getProviderNames = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Configuration d'un fournisseur, ou null s'il n'est pas actif ou incomplet
+ */
+const getProvider = (name) => {
+  const normalized = String(name || '').toLowerCase();
+
+  if (!getProviderNames().includes(normalized)) {
+    return null;
+  }
+
+  const known = KNOWN_ISSUERS[normalized] || {};
+  const issuer = process.env[envKey(normalized, 'ISSUER')] || known.issuer;
+  const clientId = process.env[envKey(normalized, 'CLIENT_ID')];
+
+  if (!issuer || !clientId) {
+    return null;
+  }
+
+  return {
+    name: normalized,
+    label: process.env[envKey(normalized, 'LABEL')] || known.label || normalized,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: process.env[envKey(normalized, 'CLIENT_SECRET')] || null,
+    scopes: process.env[envKey(normalized, 'SCOPES')] || DEFAULT_SCOPES,
+    redirectUri: process.env.OIDC_REDIRECT_URI
+      || `${process.env.FRONTEND_URL || 'http://localhost:4200'}/auth/callback`
+  };
+};
+
+/**
+ * Fournisseurs actifs et correctement configurés
+ */
+const listProviders = () => getProviderNames()
+  .map(getProvider)
+  .filter(Boolean);
+
+module.exports = {
+  KNOWN_ISSUERS,
+  getProvider,
+  listProviders
+};
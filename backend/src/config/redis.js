@@ -22,7 +22,8 @@ const client = createClient({
     port: redisConfig.port,
   },
   password: redisConfig.password,
-  database: redisConfig.db
+  database: redisConfig.db,
+  disableOfflineQueue: !redisConfig.enableOfflineQueue
 });
 
 // Gestion des événements Redis
@@ -84,6 +85,20 @@ const cache = {
     }
   },
 
+  /**
+   * Récupérer une valeur et supprimer sa clé en une seule opération (GETDEL)
+   * Deux appels simultanés ne peuvent pas lire la même valeur
+   */
+  getDel: async (key) => {
+    try {
+      const value = await client.getDel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('❌ Erreur cache GETDEL:', error);
+      return null;
+    }
+  },
+
   /**
    * Supprimer une clé du cache
    */
@@ -387,11 +402,24 @@ const CACHE_KEYS = {
   USER_PROFILE: (userId) => `user:${userId}`,
   USER_WISHLIST: (userId) => `wishlist:${userId}`,
   USER_CART: (userId) => `cart:${userId}`,
+  USER_FOLLOWING: (userId) => `user:${userId}:following`,
   PRODUCT_VIEWS: (productId) => `product:${productId}:views`,
   SEARCH_RESULTS: (query) => `search:${Buffer.from(query).toString('base64')}`,
   ANALYTICS: 'analytics',
   POPULAR_PRODUCTS: 'popular_products',
-  FEATURED_PRODUCTS: 'featured_products'
+  FEATURED_PRODUCTS: 'featured_products',
+  REVOKED_TOKEN: (jti) => `auth:revoked:${jti}`,
+  USER_TOKENS_REVOKED_AT: (userId) => `auth:revoked_before:${userId}`,
+  REVOKED_SESSION: (sessionId) => `auth:revoked_session:${sessionId}`,
+  TWO_FACTOR_USED_STEP: (userId, step) => `auth:2fa_used:${userId}:${step}`,
+  TWO_FACTOR_CHALLENGE_ATTEMPTS: (jti) => `auth:2fa_challenge:${jti}`,
+  PHONE_OTP: (purpose, phone) => `auth:otp:${purpose}:${phone}`,
+  PHONE_OTP_ATTEMPTS: (purpose, phone) => `auth:otp_attempts:${purpose}:${phone}`,
+  PHONE_OTP_COOLDOWN: (purpose, phone) => `auth:otp_cooldown:${purpose}:${phone}`,
+  SECURITY_IP_FAILED_ACCOUNTS: (ip) => `security:failed_accounts:${ip}`,
+  SECURITY_FLAGGED_IP: (ip) => `security:flagged_ip:${ip}`,
+  ROLE_PERMISSIONS: (role) => `permissions:role:${role}`,
+  OIDC_STATE: (state) => `auth:oidc_state:${state}`
 };
 
 module.exports = {
@@ -0,0 +1,91 @@
+const db = require('../config/database');
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const StoreApiKey = require('../models/StoreApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const { validate: uuidValidate } = require('uuid');
+const { API_KEY_SCOPES } = require('../utils/constants');
+
+/**
+ * Charger la boutique de la route
+ * (requireStoreAccess ne la charge pas pour les administrateurs)
+ */
+const loadStore = async (storeId) => {
+  const store = uuidValidate(storeId) && await db('stores')
+    .select(['id', 'name'])
+    .where({ id: storeId })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!store) {
+    throw commonErrors.notFound('Boutique');
+  }
+
+  return store;
+};
+
+/**
+ * Clés d'API de la boutique
+ * GET /api/stores/:id/api-keys
+ */
+const getStoreApiKeys = asyncHandler(async (req, res) => {
+  const store = await loadStore(req.params.id);
+  const includeRevoked = req.query.includeRevoked === 'true';
+  const apiKeys = await StoreApiKey.findByStore(store.id, { includeRevoked });
+
+  res.json({
+    success: true,
+    data: {
+      apiKeys: apiKeys.map(apiKeyService.formatKey),
+      availableScopes: API_KEY_SCOPES
+    }
+  });
+});
+
+/**
+ * Créer une clé d'API (la valeur n'est retournée qu'une seule fois)
+ * POST /api/stores/:id/api-keys
+ */
+const createStoreApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const store = await loadStore(req.params.id);
+
+  const { key, apiKey } = await apiKeyService.createKey(
+    store.id,
+    { name, scopes, expiresInDays },
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Clé d\'API créée. Conservez-la: elle ne sera plus affichée.',
+    data: {
+      apiKey: apiKeyService.formatKey(apiKey),
+      key
+    }
+  });
+});
+
+/**
+ * Révoquer une clé d'API
+ * DELETE /api/stores/:id/api-keys/:keyId
+ */
+const revokeStoreApiKey = asyncHandler(async (req, res) => {
+  if (!uuidValidate(req.params.keyId)) {
+    throw commonErrors.notFound('Clé d\'API');
+  }
+
+  const store = await loadStore(req.params.id);
+  const apiKey = await apiKeyService.revokeKey(store.id, req.params.keyId, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Clé ${apiKey.key_prefix} révoquée`,
+    data: apiKeyService.formatKey(apiKey)
+  });
+});
+
+module.exports = {
+  getStoreApiKeys,
+  createStoreApiKey,
+  revokeStoreApiKey
+};
@@ -0,0 +1,149 @@
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const AuditLog = require('../models/AuditLog');
+const auditService = require('../services/auditService');
+const { toCsvRow } = require('../utils/helpers');
+const { SYSTEM_LIMITS } = require('../utils/constants');
+const { validate: uuidValidate } = require('uuid');
+
+const CSV_COLUMNS = [
+  'created_at', 'action', 'entity_type', 'entity_id',
+  'actor_id', 'actor_role', 'actor_email', 'impersonator_id', 'api_key_id',
+  'before', 'after', 'metadata',
+  'ip_address', 'user_agent', 'request_id'
+];
+
+/**
+ * Lire et valider les filtres de la requête
+ */
+const parseFilters = (query) => {
+  const { actorId, impersonatorId, apiKeyId, action, entityType, entityId, requestId, from, to } = query;
+  const filters = { action, entityType, entityId, requestId };
+
+  for (const [key, value] of Object.entries({ actorId, impersonatorId, apiKeyId })) {
+    if (value) {
+      if (!uuidValidate(value)) {
+        throw commonErrors.badRequest(`Identifiant invalide pour le filtre ${key}`);
+      }
+      filters[key] = value;
+    }
+  }
+
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw commonErrors.badRequest(`Date invalide pour le filtre ${key}`);
+      }
+      filters[key] = date;
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Format public d'une entrée du journal
+ */
+const formatLog = (log) => ({
+  id: log.id,
+  action: log.action,
+  entityType: log.entity_type,
+  entityId: log.entity_id,
+  actor: log.actor_id ? {
+    id: log.actor_id,
+    role: log.actor_role,
+    email: log.actor_email || null
+  } : null,
+  impersonatorId: log.impersonator_id || null,
+  apiKeyId: log.api_key_id || null,
+  before: log.before,
+  after: log.after,
+  metadata: log.metadata,
+  ipAddress: log.ip_address,
+  userAgent: log.user_agent,
+  requestId: log.request_id,
+  createdAt: log.created_at
+});
+
+/**
+ * Consulter le journal d'audit
+ * GET /api/admin/audit-logs
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const filters = parseFilters(req.query);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || SYSTEM_LIMITS.PAGINATION_DEFAULT_LIMIT, 1),
+    SYSTEM_LIMITS.PAGINATION_MAX_LIMIT
+  );
+
+  const { logs, pagination } = await AuditLog.findAll(filters, page, limit);
+
+  res.json({
+    success: true,
+    data: {
+      logs: logs.map(formatLog),
+      pagination
+    }
+  });
+});
+
+/**
+ * Attendre que la réponse accepte de nouveau des données
+ * Retourne false si le client s'est déconnecté entre-temps
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve(true);
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    resolve(false);
+  };
+
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+/**
+ * Exporter le journal d'audit au format CSV
+ * GET /api/admin/audit-logs/export
+ */
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const filters = parseFilters(req.query);
+  const fileName = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  // L'export lui-même est une action tracée
+  await auditService.record('audit_logs.export', {
+    entityType: 'audit_logs',
+    metadata: { filters: req.query }
+  });
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  // BOM pour l'ouverture correcte des accents dans les tableurs
+  res.write('﻿');
+  res.write(toCsvRow(CSV_COLUMNS));
+
+  try {
+    for await (const log of AuditLog.iterate(filters)) {
+      // Client lent: ne lire la suite qu'une fois le tampon vidé
+      if (!res.write(toCsvRow(CSV_COLUMNS.map(column => log[column]))) && !await waitForDrain(res)) {
+        return;
+      }
+    }
+  } catch (error) {
+    // Les en-têtes sont déjà envoyés: interrompre le fichier
+    console.error('Erreur export journal d\'audit:', error);
+    return res.destroy(error);
+  }
+
+  res.end();
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -1,31 +1,84 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const { asyncHandler, commonErrors, createError } = require('../middleware/errorHandler');
 const emailService = require('../services/emailService');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const twoFactorService = require('../services/twoFactorService');
+const otpService = require('../services/otpService');
+const securityService = require('../services/securityService');
+const auditService = require('../services/auditService');
+const emailChangeService = require('../services/emailChangeService');
+const oidcService = require('../services/oidcService');
+const accountErasureService = require('../services/accountErasureService');
+const consentService = require('../services/consentService');
+const { formatAfricanPhoneNumber } = require('../utils/helpers');
+const { AFRICAN_COUNTRIES, USER_ROLES } = require('../utils/constants');
+const { isValidAfricanPhoneNumber } = require('../utils/validators');
 
 /**
  * Générer un token JWT
+ * sessionId: session (appareil) à laquelle le token est rattaché
  */
-const generateToken = (userId, role, tenantId = null) => {
+const generateToken = (userId, role, tenantId = null, sessionId = null) => {
+  const issuedAt = Date.now();
   const payload = {
     userId,
     role,
     tenantId,
-    iat: Math.floor(Date.now() / 1000)
+    iat: Math.floor(issuedAt / 1000),
+    issuedAtMs: issuedAt // Précision nécessaire à la révocation globale
   };
   
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    jwtid: uuidv4() // Identifiant unique, utilisé pour la révocation
+  });
+};
+
+/**
+ * Impersonation (support): rôles accessibles et durée de validité du token
+ * Pas de refresh token: la session expire d'elle-même.
+ */
+const IMPERSONABLE_ROLES = [USER_ROLES.CUSTOMER, USER_ROLES.VENDOR];
+const IMPERSONATION_TOKEN_MINUTES = parseInt(process.env.IMPERSONATION_TOKEN_MINUTES) || 15;
+
+/**
+ * Générer un token d'impersonation portant l'utilisateur ciblé et l'administrateur
+ */
+const generateImpersonationToken = (user, impersonatorId) => {
+  const issuedAt = Date.now();
+  return jwt.sign({
+    userId: user.id,
+    role: user.role,
+    tenantId: user.tenant_id,
+    impersonatorId,
+    scope: 'impersonation',
+    iat: Math.floor(issuedAt / 1000),
+    issuedAtMs: issuedAt
+  }, process.env.JWT_SECRET, {
+    expiresIn: `${IMPERSONATION_TOKEN_MINUTES}m`,
+    jwtid: uuidv4()
   });
 };
 
 /**
- * Générer un refresh token
+ * Générer et persister un refresh token pour une nouvelle session
  */
-const generateRefreshToken = () => {
-  return crypto.randomBytes(40).toString('hex');
+const generateRefreshToken = async (userId, req) => {
+  return await RefreshToken.issue(userId, {
+    deviceName: req.body.deviceName || null,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  });
 };
 
 /**
@@ -43,7 +96,9 @@ const register = asyncHandler(async (req, res) => {
     country = 'TG',
     city,
     address,
-    preferredLanguage = 'fr'
+    preferredLanguage = 'fr',
+    marketingEmails = false,
+    marketingSms = false
   } = req.body;
   
   // Validation des données requises
@@ -67,6 +122,12 @@ const register = asyncHandler(async (req, res) => {
     throw commonErrors.badRequest('Le mot de passe doit contenir au moins 8 caractères');
   }
   
+  // Numéro au format international (+228...)
+  const normalizedPhone = phone ? formatAfricanPhoneNumber(phone, country) : null;
+  if (normalizedPhone && !isValidAfricanPhoneNumber(normalizedPhone)) {
+    throw commonErrors.badRequest('Numéro de téléphone invalide');
+  }
+  
   // Vérifier si l'utilisateur existe déjà
   const existingUser = await db('users').where({ email }).first();
   if (existingUser) {
@@ -88,7 +149,7 @@ const register = asyncHandler(async (req, res) => {
       password_hash: passwordHash,
       first_name: firstName,
       last_name: lastName,
-      phone,
+      phone: normalizedPhone,
       role,
       country,
       city,
@@ -100,6 +161,13 @@ const register = asyncHandler(async (req, res) => {
     })
     .returning(['id', 'email', 'first_name', 'last_name', 'role', 'status', 'created_at']);
   
+  // Conditions acceptées et choix marketing (registre des consentements)
+  try {
+    await consentService.recordRegistration(user.id, { marketingEmails, marketingSms }, req);
+  } catch (consentError) {
+    console.error('Erreur enregistrement des consentements:', consentError);
+  }
+  
   // Envoyer l'email de vérification
   try {
     await emailService.sendVerificationEmail(email, emailVerificationToken, firstName);
@@ -126,44 +194,45 @@ const register = asyncHandler(async (req, res) => {
 });
 
 /**
- * Connexion utilisateur
- * POST /api/auth/login
+ * Alerter l'utilisateur d'une connexion depuis un appareil inconnu
+ * (pas d'alerte pour la toute première connexion du compte)
  */
-const login = asyncHandler(async (req, res) => {
-  const { email, password, rememberMe = false } = req.body;
-  
-  if (!email || !password) {
-    throw commonErrors.badRequest('Email et mot de passe requis');
-  }
-  
-  // Trouver l'utilisateur
-  const user = await db('users')
-    .where({ email: email.toLowerCase() })
-    .whereNull('deleted_at')
-    .first();
-  
-  if (!user) {
-    throw commonErrors.unauthorized('Identifiants invalides');
-  }
-  
-  // Vérifier le mot de passe
-  const isValidPassword = await bcrypt.compare(password, user.password_hash);
-  if (!isValidPassword) {
-    throw commonErrors.unauthorized('Identifiants invalides');
-  }
+const notifyIfNewDevice = async (user, session) => {
+  const isKnown = await UserSession.isKnownDevice(user.id, session.device_fingerprint, session.id);
   
-  // Vérifier le statut du compte
-  if (user.status === 'banned') {
-    throw commonErrors.forbidden('Votre compte a été suspendu. Contactez le support.');
+  if (isKnown !== false) {
+    return;
   }
   
-  if (user.status === 'suspended') {
-    throw commonErrors.forbidden('Votre compte est temporairement suspendu.');
+  try {
+    await emailService.sendNewDeviceLoginEmail(user.email, user.first_name, {
+      deviceName: session.device_name,
+      platform: session.platform,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      loggedAt: new Date(session.created_at).toLocaleString('fr-FR', { timeZone: 'Africa/Lome' })
+    });
+  } catch (emailError) {
+    console.error('Erreur envoi alerte nouvel appareil:', emailError);
   }
+};
+
+/**
+ * Ouvrir la session: tokens, informations de connexion et réponse
+ * (commun à la connexion simple et à la connexion en deux étapes)
+ */
+const completeLogin = async (user, req, res, message = 'Connexion réussie', extraData = {}) => {
+  const { token: refreshToken, record: refreshRecord } = await generateRefreshToken(user.id, req);
+  const session = await UserSession.create(user.id, refreshRecord.family_id, req);
+  const token = generateToken(user.id, user.role, user.tenant_id, session.id);
   
-  // Générer les tokens
-  const token = generateToken(user.id, user.role, user.tenant_id);
-  const refreshToken = generateRefreshToken();
+  await notifyIfNewDevice(user, session);
+  await securityService.recordSuccessfulLogin(user);
+  await securityService.recordEvent('login_succeeded', {
+    userId: user.id,
+    req,
+    metadata: { sessionId: session.id }
+  });
   
   // Mettre à jour les informations de connexion
   await db('users')
@@ -173,12 +242,9 @@ const login = asyncHandler(async (req, res) => {
       last_login_ip: req.ip
     });
   
-  // Préparer la réponse
-  const tokenExpiration = rememberMe ? '30d' : '7d';
-  
   res.json({
     success: true,
-    message: 'Connexion réussie',
+    message,
     data: {
       user: {
         id: user.id,
@@ -188,15 +254,133 @@ const login = asyncHandler(async (req, res) => {
         role: user.role,
         status: user.status,
         emailVerified: user.email_verified,
+        twoFactorEnabled: user.two_factor_enabled,
         preferredLanguage: user.preferred_language,
         preferredCurrency: user.preferred_currency,
-        avatarUrl: user.avatar_url
+        avatarUrl: user.avatar_url,
+        policyAcceptanceRequired: consentService.isPolicyAcceptanceRequired(user)
       },
       token,
       refreshToken,
-      expiresIn: tokenExpiration
+      sessionId: session.id,
+      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      refreshExpiresAt: refreshRecord.expires_at,
+      ...extraData
     }
   });
+};
+
+/**
+ * Refuser la tentative si le compte est verrouillé ou si le délai
+ * progressif imposé après des échecs n'est pas écoulé
+ */
+const assertNotThrottled = (user) => {
+  const throttle = securityService.getLoginThrottle(user);
+  
+  if (throttle.locked) {
+    throw createError(
+      423,
+      'Compte temporairement verrouillé suite à de nombreuses tentatives échouées. Consultez vos emails pour le déverrouiller.',
+      'ACCOUNT_LOCKED',
+      { lockedUntil: throttle.lockedUntil }
+    );
+  }
+  
+  if (throttle.retryAfter > 0) {
+    throw commonErrors.rateLimit(
+      `Trop de tentatives échouées. Réessayez dans ${throttle.retryAfter} seconde(s).`,
+      throttle.retryAfter
+    );
+  }
+};
+
+/**
+ * Vérifier le statut du compte avant d'ouvrir une session
+ */
+const assertAccountCanLogin = (user) => {
+  if (user.status === 'banned') {
+    throw commonErrors.forbidden('Votre compte a été suspendu. Contactez le support.');
+  }
+  
+  if (user.status === 'suspended') {
+    throw commonErrors.forbidden('Votre compte est temporairement suspendu.');
+  }
+};
+
+/**
+ * Ouvrir une session après un premier facteur validé (mot de passe ou SMS)
+ *
+ * Si la double authentification est active (ou obligatoire pour le rôle),
+ * aucun token d'accès n'est émis: un challenge de courte durée est retourné
+ * et la connexion se termine via /api/auth/2fa/verify ou /api/auth/2fa/confirm.
+ */
+const startSession = async (user, req, res) => {
+  assertAccountCanLogin(user);
+  
+  if (user.two_factor_enabled) {
+    return res.json({
+      success: true,
+      message: 'Code de vérification requis',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user.id, 'verify'),
+        challengeExpiresIn: twoFactorService.CHALLENGE_EXPIRES_IN
+      }
+    });
+  }
+  
+  if (twoFactorService.isRequiredForRole(user.role)) {
+    return res.json({
+      success: true,
+      message: 'La double authentification est obligatoire pour votre rôle. Veuillez l\'activer.',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user.id, 'enroll'),
+        challengeExpiresIn: twoFactorService.CHALLENGE_EXPIRES_IN
+      }
+    });
+  }
+  
+  await completeLogin(user, req, res);
+};
+
+/**
+ * Connexion utilisateur
+ * POST /api/auth/login
+ */
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  
+  if (!email || !password) {
+    throw commonErrors.badRequest('Email et mot de passe requis');
+  }
+  
+  // Trouver l'utilisateur
+  const user = await db('users')
+    .where({ email: email.toLowerCase() })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    await securityService.recordEvent('login_failed', {
+      email,
+      req,
+      metadata: { reason: 'unknown_account' }
+    });
+    throw commonErrors.unauthorized('Identifiants invalides');
+  }
+  
+  // Compte verrouillé ou délai progressif en cours: le mot de passe n'est pas testé
+  assertNotThrottled(user);
+  
+  // Vérifier le mot de passe
+  const isValidPassword = await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword) {
+    await securityService.recordFailedLogin(user, req, 'invalid_password');
+    throw commonErrors.unauthorized('Identifiants invalides');
+  }
+  
+  await startSession(user, req, res);
 });
 
 /**
@@ -239,6 +423,81 @@ const verifyEmail = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Confirmer une nouvelle adresse email
+ * POST /api/auth/email/confirm-change
+ */
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  if (!token) {
+    throw commonErrors.badRequest('Token de confirmation requis');
+  }
+  
+  const user = await emailChangeService.confirmEmailChange(token, req);
+  
+  if (!user) {
+    throw commonErrors.badRequest('Lien de confirmation invalide ou expiré');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Adresse email modifiée avec succès. Utilisez-la désormais pour vous connecter.',
+    data: {
+      email: user.email
+    }
+  });
+});
+
+/**
+ * Annuler un changement d'adresse email ("ce n'était pas moi")
+ * POST /api/auth/email/revert-change
+ */
+const revertEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  if (!token) {
+    throw commonErrors.badRequest('Token d\'annulation requis');
+  }
+  
+  const result = await emailChangeService.revertEmailChange(token, req);
+  
+  if (!result) {
+    throw commonErrors.badRequest('Lien d\'annulation invalide ou expiré');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Le changement d\'adresse a été annulé et toutes les sessions ont été fermées. Un lien de réinitialisation du mot de passe vous a été envoyé.',
+    data: {
+      email: result.email
+    }
+  });
+});
+
+/**
+ * Restaurer un compte dont la suppression est programmée (lien reçu par email)
+ * POST /api/auth/account/restore
+ */
+const restoreAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  if (!token) {
+    throw commonErrors.badRequest('Token de restauration requis');
+  }
+  
+  const user = await accountErasureService.cancelErasure(token, req);
+  
+  if (!user) {
+    throw commonErrors.badRequest('Lien de restauration invalide ou expiré');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Votre compte a été restauré. Vous pouvez vous reconnecter.'
+  });
+});
+
 /**
  * Mot de passe oublié
  * POST /api/auth/forgot-password
@@ -327,6 +586,9 @@ const resetPassword = asyncHandler(async (req, res) => {
       password_reset_expires: null
     });
   
+  // Fermer toutes les sessions ouvertes avec l'ancien mot de passe
+  await tokenRevocationService.revokeAllUserTokens(user.id, 'password_reset');
+  
   res.json({
     success: true,
     message: 'Mot de passe réinitialisé avec succès'
@@ -334,11 +596,49 @@ const resetPassword = asyncHandler(async (req, res) => {
 });
 
 /**
- * Déconnexion
+ * Déconnexion de l'appareil courant
  * POST /api/auth/logout
+ *
+ * Révoque la session à laquelle appartient le token présenté (ou, pour les
+ * anciens tokens sans session, le token lui-même et la session du refresh
+ * token fourni).
  */
 const logout = asyncHandler(async (req, res) => {
-  // Dans une implémentation plus avancée, on pourrait blacklister le token
+  const { refreshToken } = req.body;
+  
+  // Impersonation: seul le token de l'administrateur est fermé, jamais les sessions de l'utilisateur
+  if (req.impersonator) {
+    await tokenRevocationService.revokeAccessToken(req.tokenPayload);
+    
+    return res.json({
+      success: true,
+      message: 'Déconnexion réussie'
+    });
+  }
+  
+  const session = req.tokenPayload.sid ? await UserSession.findById(req.tokenPayload.sid) : null;
+  
+  if (session && session.user_id === req.user.id) {
+    // La session fermée (conservée en base) invalide aussi le token présenté
+    await tokenRevocationService.revokeSession(session, 'logout');
+  } else {
+    await tokenRevocationService.revokeAccessToken(req.tokenPayload);
+    
+    if (refreshToken) {
+      const record = await RefreshToken.findByToken(refreshToken);
+      
+      // Ne jamais révoquer la session d'un autre utilisateur
+      if (record && record.user_id === req.user.id) {
+        const familySession = await UserSession.findByRefreshFamily(record.family_id);
+        if (familySession) {
+          await tokenRevocationService.revokeSession(familySession, 'logout');
+        } else {
+          await RefreshToken.revokeFamily(record.family_id, 'logout');
+        }
+      }
+    }
+  }
+  
   res.json({
     success: true,
     message: 'Déconnexion réussie'
@@ -346,31 +646,779 @@ const logout = asyncHandler(async (req, res) => {
 });
 
 /**
- * Refresh token
+ * Déconnexion de tous les appareils
+ * POST /api/auth/logout-all
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const { refreshTokensRevoked } = await tokenRevocationService.revokeAllUserTokens(req.user.id, 'logout_all');
+  
+  res.json({
+    success: true,
+    message: 'Déconnexion de tous les appareils réussie',
+    data: {
+      sessionsRevoked: refreshTokensRevoked
+    }
+  });
+});
+
+/**
+ * Déconnexion forcée d'un utilisateur (Admin)
+ * POST /api/users/:id/force-logout
+ */
+const forceLogout = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const user = await db('users')
+    .select(['id', 'email'])
+    .where({ id })
+    .first();
+  
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+  
+  const { refreshTokensRevoked } = await tokenRevocationService.revokeAllUserTokens(user.id, 'admin_force_logout');
+  
+  console.warn(`Déconnexion forcée - User: ${user.id}, par admin: ${req.user.id}`);
+  
+  res.json({
+    success: true,
+    message: 'Toutes les sessions de l\'utilisateur ont été fermées',
+    data: {
+      id: user.id,
+      sessionsRevoked: refreshTokensRevoked
+    }
+  });
+});
+
+/**
+ * Refresh token (rotation)
  * POST /api/auth/refresh
+ *
+ * Ne nécessite pas de token d'accès valide: le refresh token suffit.
+ * Chaque appel invalide le token présenté et en émet un nouveau.
  */
 const refreshToken = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
   
   if (!refreshToken) {
-    throw commonErrors.unauthorized('Refresh token requis');
+    throw commonErrors.badRequest('Refresh token requis');
+  }
+  
+  const result = await RefreshToken.rotate(refreshToken, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  });
+  
+  if (result.status === 'reused') {
+    console.warn(`Réutilisation de refresh token détectée - User: ${result.record.user_id}, IP: ${req.ip}`);
+    throw createError(401, 'Session révoquée pour raison de sécurité. Veuillez vous reconnecter.', 'REFRESH_TOKEN_REUSED');
+  }
+  
+  if (result.status === 'expired') {
+    throw createError(401, 'Session expirée. Veuillez vous reconnecter.', 'REFRESH_TOKEN_EXPIRED');
   }
   
-  // Dans une implémentation plus avancée, on vérifierait le refresh token en base
-  // Pour l'instant, on génère simplement un nouveau token
+  if (result.status !== 'rotated') {
+    throw createError(401, 'Refresh token invalide', 'INVALID_REFRESH_TOKEN');
+  }
+  
+  // Vérifier que le compte est toujours actif
+  const user = await db('users')
+    .select(['id', 'role', 'status', 'tenant_id'])
+    .where({ id: result.record.user_id })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user || user.status !== 'active') {
+    await RefreshToken.revokeFamily(result.record.family_id, 'account_inactive');
+    throw commonErrors.unauthorized('Compte utilisateur inactif');
+  }
   
-  if (!req.user) {
-    throw commonErrors.unauthorized('Utilisateur non authentifié');
+  // La session (appareil) suit la famille du refresh token
+  const session = await UserSession.findByRefreshFamily(result.record.family_id);
+  if (session) {
+    await UserSession.touch(session.id, req.ip);
   }
   
-  const newToken = generateToken(req.user.id, req.user.role, req.user.tenantId);
+  const newToken = generateToken(user.id, user.role, user.tenant_id, session?.id);
   
   res.json({
     success: true,
     data: {
       token: newToken,
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      refreshToken: result.token,
+      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      refreshExpiresAt: result.record.expires_at
+    }
+  });
+});
+
+/**
+ * Charger l'utilisateur qui active la double authentification
+ * Soit connecté (token d'accès), soit en cours de connexion avec un
+ * challenge d'enrôlement (rôles pour lesquels la 2FA est obligatoire)
+ */
+const resolveEnrollingUser = async (req) => {
+  let userId = req.user?.id;
+  let challenge = null;
+  
+  if (!userId) {
+    if (!req.body.challengeToken) {
+      throw commonErrors.unauthorized('Authentification requise');
     }
+    
+    challenge = await twoFactorService.verifyChallengeToken(req.body.challengeToken, 'enroll');
+    if (!challenge) {
+      throw createError(401, 'Challenge invalide ou expiré. Veuillez vous reconnecter.', 'INVALID_2FA_CHALLENGE');
+    }
+    userId = challenge.userId;
+  }
+  
+  const user = await db('users')
+    .where({ id: userId, status: 'active' })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    throw commonErrors.unauthorized('Compte utilisateur inactif');
+  }
+  
+  return { user, challenge };
+};
+
+/**
+ * Démarrer l'enrôlement 2FA (secret + QR code)
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { user } = await resolveEnrollingUser(req);
+  
+  if (user.two_factor_enabled) {
+    throw commonErrors.conflict('La double authentification est déjà activée');
+  }
+  
+  // Le secret reste en attente tant qu'un premier code n'a pas été confirmé
+  const secret = twoFactorService.generateSecret();
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      two_factor_secret: twoFactorService.encryptSecret(secret),
+      updated_at: db.fn.now()
+    });
+  
+  const { otpauthUrl, qrCode } = await twoFactorService.buildProvisioning(secret, user.email);
+  
+  res.json({
+    success: true,
+    message: 'Scannez le QR code puis confirmez avec le code affiché',
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode
+    }
+  });
+});
+
+/**
+ * Confirmer l'enrôlement 2FA avec un premier code
+ * POST /api/auth/2fa/confirm
+ *
+ * Retourne les codes de secours (une seule fois). Si l'enrôlement était
+ * imposé à la connexion, la session est ouverte dans la foulée.
+ */
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    throw commonErrors.badRequest('Code de vérification requis');
+  }
+  
+  const { user, challenge } = await resolveEnrollingUser(req);
+  
+  if (user.two_factor_enabled) {
+    throw commonErrors.conflict('La double authentification est déjà activée');
+  }
+  
+  if (!user.two_factor_secret) {
+    throw commonErrors.badRequest('Aucun enrôlement en cours');
+  }
+  
+  if (!await twoFactorService.verifyUserCode(user, code)) {
+    throw createError(400, 'Code de vérification invalide', 'INVALID_2FA_CODE');
+  }
+  
+  const recoveryCodes = await db.transaction(async (trx) => {
+    await trx('users')
+      .where({ id: user.id })
+      .update({
+        two_factor_enabled: true,
+        updated_at: trx.fn.now()
+      });
+    
+    return await twoFactorService.generateRecoveryCodes(user.id, trx);
+  });
+  
+  if (!challenge) {
+    return res.json({
+      success: true,
+      message: 'Double authentification activée. Conservez vos codes de secours en lieu sûr.',
+      data: { recoveryCodes }
+    });
+  }
+  
+  await twoFactorService.consumeChallengeToken(challenge);
+  
+  await completeLogin(
+    { ...user, two_factor_enabled: true },
+    req,
+    res,
+    'Double authentification activée. Conservez vos codes de secours en lieu sûr.',
+    { recoveryCodes }
+  );
+});
+
+/**
+ * Terminer la connexion avec un code TOTP ou un code de secours
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw commonErrors.badRequest('Challenge et code de vérification requis');
+  }
+  
+  const challenge = await twoFactorService.verifyChallengeToken(challengeToken, 'verify');
+  if (!challenge) {
+    throw createError(401, 'Challenge invalide ou expiré. Veuillez vous reconnecter.', 'INVALID_2FA_CHALLENGE');
+  }
+  
+  const user = await db('users')
+    .where({ id: challenge.userId, status: 'active', two_factor_enabled: true })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    throw commonErrors.unauthorized('Compte utilisateur inactif');
+  }
+  
+  assertNotThrottled(user);
+  
+  const isValid = code
+    ? await twoFactorService.verifyUserCode(user, code)
+    : await twoFactorService.consumeRecoveryCode(user.id, recoveryCode, req.ip);
+  
+  if (!isValid) {
+    await securityService.recordFailedLogin(user, req, code ? 'invalid_2fa_code' : 'invalid_recovery_code');
+    throw createError(401, 'Code de vérification invalide', 'INVALID_2FA_CODE');
+  }
+  
+  if (recoveryCode) {
+    console.warn(`Connexion avec un code de secours - User: ${user.id}, IP: ${req.ip}`);
+  }
+  
+  await twoFactorService.consumeChallengeToken(challenge);
+  await completeLogin(user, req, res);
+});
+
+/**
+ * Statut de la double authentification
+ * GET /api/auth/2fa/status
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await db('users')
+    .select(['id', 'two_factor_enabled'])
+    .where({ id: req.user.id })
+    .first();
+  
+  res.json({
+    success: true,
+    data: {
+      enabled: user.two_factor_enabled,
+      required: twoFactorService.isRequiredForRole(req.user.role),
+      remainingRecoveryCodes: user.two_factor_enabled
+        ? await twoFactorService.countRemainingRecoveryCodes(user.id)
+        : 0
+    }
+  });
+});
+
+/**
+ * Régénérer les codes de secours (invalide les anciens)
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    throw commonErrors.badRequest('Code de vérification requis');
+  }
+  
+  const user = await db('users').where({ id: req.user.id }).first();
+  
+  if (!user.two_factor_enabled) {
+    throw commonErrors.badRequest('La double authentification n\'est pas activée');
+  }
+  
+  if (!await twoFactorService.verifyUserCode(user, code)) {
+    throw createError(400, 'Code de vérification invalide', 'INVALID_2FA_CODE');
+  }
+  
+  const recoveryCodes = await twoFactorService.generateRecoveryCodes(user.id);
+  
+  res.json({
+    success: true,
+    message: 'Nouveaux codes de secours générés',
+    data: { recoveryCodes }
+  });
+});
+
+/**
+ * Désactiver la double authentification
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  
+  if (!password || !code) {
+    throw commonErrors.badRequest('Mot de passe et code de vérification requis');
+  }
+  
+  if (twoFactorService.isRequiredForRole(req.user.role)) {
+    throw commonErrors.forbidden('La double authentification est obligatoire pour votre rôle');
+  }
+  
+  const user = await db('users').where({ id: req.user.id }).first();
+  
+  if (!user.two_factor_enabled) {
+    throw commonErrors.badRequest('La double authentification n\'est pas activée');
+  }
+  
+  const isValidPassword = await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword) {
+    throw commonErrors.badRequest('Mot de passe incorrect');
+  }
+  
+  const isValidCode = await twoFactorService.verifyUserCode(user, code) ||
+    await twoFactorService.consumeRecoveryCode(user.id, code, req.ip);
+  
+  if (!isValidCode) {
+    throw createError(400, 'Code de vérification invalide', 'INVALID_2FA_CODE');
+  }
+  
+  await db.transaction(async (trx) => {
+    await trx('users')
+      .where({ id: user.id })
+      .update({
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        updated_at: trx.fn.now()
+      });
+    
+    await trx('user_recovery_codes').where({ user_id: user.id }).del();
+  });
+  
+  res.json({
+    success: true,
+    message: 'Double authentification désactivée'
+  });
+});
+
+/**
+ * Normaliser et valider le numéro fourni dans la requête
+ */
+const normalizeRequestPhone = (req) => {
+  const { phone, country = 'TG' } = req.body;
+  
+  if (!phone) {
+    throw commonErrors.badRequest('Numéro de téléphone requis');
+  }
+  
+  const normalized = formatAfricanPhoneNumber(phone, country);
+  if (!isValidAfricanPhoneNumber(normalized)) {
+    throw commonErrors.badRequest('Numéro de téléphone invalide');
+  }
+  
+  return normalized;
+};
+
+/**
+ * Trouver le compte associé à un numéro
+ * Les numéros enregistrés avant la normalisation peuvent être au format local.
+ * Si plusieurs comptes partagent le numéro, seul celui qui l'a vérifié est retenu.
+ */
+const findUserByPhone = async (normalizedPhone, countryDialCode = null) => {
+  const variants = [normalizedPhone, normalizedPhone.slice(1)];
+  if (countryDialCode && normalizedPhone.startsWith(countryDialCode)) {
+    const local = normalizedPhone.slice(countryDialCode.length);
+    variants.push(local, `0${local}`);
+  }
+  
+  const users = await db('users')
+    .whereIn('phone', variants)
+    .whereNull('deleted_at');
+  
+  if (users.length <= 1) {
+    return users[0] || null;
+  }
+  
+  const verified = users.filter(user => user.phone_verified);
+  return verified.length === 1 ? verified[0] : null;
+};
+
+/**
+ * Marquer un numéro comme vérifié pour un compte
+ * Un numéro ne peut être vérifié que sur un seul compte à la fois.
+ */
+const markPhoneVerified = async (userId, phone) => {
+  await db.transaction(async (trx) => {
+    await trx('users')
+      .where({ phone, phone_verified: true })
+      .whereNot({ id: userId })
+      .update({ phone_verified: false, updated_at: trx.fn.now() });
+    
+    await trx('users')
+      .where({ id: userId })
+      .update({ phone, phone_verified: true, updated_at: trx.fn.now() });
+  });
+};
+
+/**
+ * Indicatif téléphonique d'un pays (code ISO)
+ */
+const getDialCode = (countryCode = 'TG') => {
+  const country = Object.values(AFRICAN_COUNTRIES).find(c => c.code === countryCode);
+  return country ? country.phone : null;
+};
+
+/**
+ * Demander un code de connexion par SMS
+ * POST /api/auth/phone/request-otp
+ *
+ * La réponse est identique que le numéro soit connu ou non.
+ */
+const requestPhoneOtp = asyncHandler(async (req, res) => {
+  const phone = normalizeRequestPhone(req);
+  
+  await otpService.acquireCooldown(phone, 'login');
+  
+  const dialCode = getDialCode(req.body.country);
+  const user = await findUserByPhone(phone, dialCode);
+  
+  if (user && !['banned', 'suspended'].includes(user.status)) {
+    await otpService.sendOtp(phone, 'login', { userId: user.id });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Si ce numéro est associé à un compte, un code de connexion vous a été envoyé par SMS.',
+    data: {
+      expiresIn: otpService.OTP_TTL_SECONDS
+    }
+  });
+});
+
+/**
+ * Se connecter avec le code reçu par SMS
+ * POST /api/auth/phone/verify-otp
+ */
+const verifyPhoneOtp = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    throw commonErrors.badRequest('Code de vérification requis');
+  }
+  
+  const phone = normalizeRequestPhone(req);
+  const result = await otpService.verifyOtp(phone, 'login', code);
+  
+  if (result.status === 'too_many_attempts') {
+    throw createError(429, 'Trop de tentatives. Veuillez demander un nouveau code.', 'OTP_TOO_MANY_ATTEMPTS');
+  }
+  
+  if (result.status !== 'valid') {
+    throw createError(401, 'Code invalide ou expiré', 'INVALID_OTP');
+  }
+  
+  const user = await db('users')
+    .where({ id: result.data.userId })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    throw createError(401, 'Code invalide ou expiré', 'INVALID_OTP');
+  }
+  
+  assertAccountCanLogin(user);
+  assertNotThrottled(user);
+  
+  // Le code prouve la possession du numéro
+  await markPhoneVerified(user.id, phone);
+  
+  await startSession({ ...user, phone, phone_verified: true }, req, res);
+});
+
+/**
+ * Fournisseurs de connexion externes disponibles
+ * GET /api/auth/oidc/providers
+ */
+const getOidcProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: oidcService.listProviders().map((provider) => ({
+        name: provider.name,
+        label: provider.label
+      }))
+    }
+  });
+});
+
+/**
+ * Démarrer une connexion via un fournisseur OpenID Connect
+ * GET /api/auth/oidc/:provider/authorize
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const request = await oidcService.createAuthorizationRequest(req.params.provider);
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * Terminer la connexion au retour du fournisseur (code + state)
+ * POST /api/auth/oidc/:provider/callback
+ */
+const completeOidcLogin = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  const { user } = await oidcService.authenticate(req.params.provider, { code, state }, req);
+
+  assertNotThrottled(user);
+
+  await startSession(user, req, res);
+});
+
+/**
+ * Envoyer un code de vérification au numéro du compte connecté
+ * POST /api/users/phone/send-verification
+ */
+const sendPhoneVerification = asyncHandler(async (req, res) => {
+  const user = await db('users')
+    .select(['id', 'phone', 'country', 'phone_verified'])
+    .where({ id: req.user.id })
+    .first();
+  
+  if (!user.phone) {
+    throw commonErrors.badRequest('Aucun numéro de téléphone renseigné sur votre profil');
+  }
+  
+  const phone = formatAfricanPhoneNumber(user.phone, user.country || 'TG');
+  if (!isValidAfricanPhoneNumber(phone)) {
+    throw commonErrors.badRequest('Le numéro de téléphone de votre profil est invalide');
+  }
+  
+  if (user.phone_verified) {
+    throw commonErrors.conflict('Votre numéro de téléphone est déjà vérifié');
+  }
+  
+  await otpService.acquireCooldown(phone, 'verify');
+  const { expiresIn } = await otpService.sendOtp(phone, 'verify', { userId: user.id });
+  
+  res.json({
+    success: true,
+    message: 'Un code de vérification vous a été envoyé par SMS',
+    data: { expiresIn }
+  });
+});
+
+/**
+ * Confirmer le numéro du compte connecté
+ * POST /api/users/phone/verify
+ */
+const confirmPhoneVerification = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  if (!code) {
+    throw commonErrors.badRequest('Code de vérification requis');
+  }
+  
+  const user = await db('users')
+    .select(['id', 'phone', 'country'])
+    .where({ id: req.user.id })
+    .first();
+  
+  if (!user.phone) {
+    throw commonErrors.badRequest('Aucun numéro de téléphone renseigné sur votre profil');
+  }
+  
+  const phone = formatAfricanPhoneNumber(user.phone, user.country || 'TG');
+  const result = await otpService.verifyOtp(phone, 'verify', code);
+  
+  if (result.status === 'too_many_attempts') {
+    throw createError(429, 'Trop de tentatives. Veuillez demander un nouveau code.', 'OTP_TOO_MANY_ATTEMPTS');
+  }
+  
+  // Le code doit avoir été émis pour ce compte
+  if (result.status !== 'valid' || result.data.userId !== user.id) {
+    throw createError(400, 'Code invalide ou expiré', 'INVALID_OTP');
+  }
+  
+  await markPhoneVerified(user.id, phone);
+  
+  res.json({
+    success: true,
+    message: 'Numéro de téléphone vérifié avec succès',
+    data: { phone, phoneVerified: true }
+  });
+});
+
+/**
+ * Déverrouiller son compte avec le lien reçu par email
+ * POST /api/auth/unlock
+ */
+const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  if (!token) {
+    throw commonErrors.badRequest('Token de déverrouillage requis');
+  }
+  
+  const user = await securityService.unlockWithToken(token, req);
+  
+  if (!user) {
+    throw commonErrors.badRequest('Lien de déverrouillage invalide ou expiré');
+  }
+  
+  res.json({
+    success: true,
+    message: 'Votre compte a été déverrouillé. Vous pouvez vous reconnecter.'
+  });
+});
+
+/**
+ * Déverrouiller un compte (Admin)
+ * POST /api/users/:id/unlock
+ */
+const adminUnlockAccount = asyncHandler(async (req, res) => {
+  const user = await db('users')
+    .select(['id', 'locked_until', 'failed_login_attempts'])
+    .where({ id: req.params.id })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+  
+  await securityService.unlockAccount(user.id, { by: req.user.id, req });
+  
+  res.json({
+    success: true,
+    message: 'Compte déverrouillé',
+    data: {
+      id: user.id,
+      wasLocked: Boolean(user.locked_until && new Date(user.locked_until) > new Date()),
+      failedAttemptsCleared: user.failed_login_attempts || 0
+    }
+  });
+});
+
+/**
+ * Se connecter en tant qu'un client ou un vendeur (support)
+ * POST /api/users/:id/impersonate
+ */
+const startImpersonation = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  
+  if (!reason || !String(reason).trim()) {
+    throw commonErrors.badRequest('Motif de l\'impersonation requis');
+  }
+  
+  const user = await db('users')
+    .where({ id: req.params.id })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+  
+  if (user.id === req.user.id) {
+    throw commonErrors.badRequest('Impossible de s\'impersonner soi-même');
+  }
+  
+  if (!IMPERSONABLE_ROLES.includes(user.role)) {
+    throw commonErrors.forbidden('Seuls les comptes clients et vendeurs peuvent être impersonnés');
+  }
+  
+  if (user.status !== 'active') {
+    throw commonErrors.badRequest('Le compte ciblé n\'est pas actif');
+  }
+  
+  const token = generateImpersonationToken(user, req.user.id);
+  const { jti, exp } = jwt.decode(token);
+  const expiresAt = new Date(exp * 1000);
+  
+  await auditService.record('user.impersonate', {
+    entityType: 'user',
+    entityId: user.id,
+    metadata: {
+      reason: String(reason).trim(),
+      tokenId: jti,
+      expiresAt
+    }
+  });
+  
+  console.warn(`[impersonation] Début - utilisateur ${user.id} par admin ${req.user.id} (token ${jti})`);
+  
+  res.json({
+    success: true,
+    message: `Session ouverte en tant que ${user.first_name} ${user.last_name}`,
+    data: {
+      token,
+      expiresIn: `${IMPERSONATION_TOKEN_MINUTES}m`,
+      expiresAt,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role
+      },
+      impersonator: {
+        id: req.user.id,
+        email: req.user.email
+      }
+    }
+  });
+});
+
+/**
+ * Mettre fin à une session d'impersonation
+ * POST /api/auth/impersonation/stop
+ */
+const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.impersonator) {
+    throw commonErrors.badRequest('Aucune session d\'impersonation en cours');
+  }
+  
+  await tokenRevocationService.revokeAccessToken(req.tokenPayload);
+  
+  await auditService.record('user.impersonate_stop', {
+    entityType: 'user',
+    entityId: req.user.id,
+    metadata: { tokenId: req.tokenPayload.jti }
+  });
+  
+  console.warn(`[impersonation] Fin - utilisateur ${req.user.id} par admin ${req.impersonator.id}`);
+  
+  res.json({
+    success: true,
+    message: 'Session d\'impersonation terminée'
   });
 });
 
@@ -378,8 +1426,30 @@ module.exports = {
   register,
   login,
   verifyEmail,
+  confirmEmailChange,
+  revertEmailChange,
+  restoreAccount,
   forgotPassword,
   resetPassword,
   logout,
-  refreshToken
+  logoutAll,
+  forceLogout,
+  refreshToken,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  requestPhoneOtp,
+  verifyPhoneOtp,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  sendPhoneVerification,
+  confirmPhoneVerification,
+  unlockAccount,
+  adminUnlockAccount,
+  startImpersonation,
+  stopImpersonation
 };
\ No newline at end of file
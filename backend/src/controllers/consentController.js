@@ -0,0 +1,121 @@
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const consentService = require('../services/consentService');
+const ConsentRecord = require('../models/ConsentRecord');
+const { CONSENT_SOURCES } = require('../utils/constants');
+
+/**
+ * Consentements de l'utilisateur connecté (préférences et conditions)
+ * GET /api/users/consents
+ */
+const getConsents = asyncHandler(async (req, res) => {
+  const consents = await consentService.getConsents(req.user.id);
+
+  res.json({
+    success: true,
+    data: consents
+  });
+});
+
+/**
+ * Modifier ses préférences de communication
+ * PUT /api/users/consents
+ */
+const updateConsents = asyncHandler(async (req, res) => {
+  const { marketingEmails, marketingSms, orderNotifications } = req.body;
+
+  const preferences = await consentService.updatePreferences(
+    req.user.id,
+    { marketingEmails, marketingSms, orderNotifications },
+    { source: CONSENT_SOURCES.PREFERENCE_CENTER, req }
+  );
+
+  res.json({
+    success: true,
+    message: 'Préférences de communication mises à jour',
+    data: { preferences }
+  });
+});
+
+/**
+ * Historique des consentements
+ * GET /api/users/consents/history
+ */
+const getConsentHistory = asyncHandler(async (req, res) => {
+  const records = await ConsentRecord.findByUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      records: records.map(consentService.formatRecord)
+    }
+  });
+});
+
+/**
+ * Accepter la version en vigueur des conditions
+ * POST /api/users/consents/policy
+ */
+const acceptPolicy = asyncHandler(async (req, res) => {
+  const { version } = req.body;
+
+  if (!version) {
+    throw commonErrors.badRequest('Version des conditions requise');
+  }
+
+  await consentService.acceptPolicy(req.user.id, String(version), { req });
+
+  res.json({
+    success: true,
+    message: 'Conditions acceptées',
+    data: { version }
+  });
+});
+
+/**
+ * Vérifier un lien de désabonnement (page de confirmation, sans effet)
+ * GET /api/consents/unsubscribe?token=
+ */
+const getUnsubscribeTarget = asyncHandler(async (req, res) => {
+  const target = consentService.verifyUnsubscribeToken(req.query.token);
+
+  if (!target) {
+    throw commonErrors.badRequest('Lien de désabonnement invalide');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      channel: target.channel,
+      purpose: target.purpose
+    }
+  });
+});
+
+/**
+ * Se désabonner en un clic (lien signé, sans connexion)
+ * POST /api/consents/unsubscribe?token=
+ * Accepte aussi le POST "List-Unsubscribe=One-Click" des clients mail (RFC 8058)
+ */
+const unsubscribe = asyncHandler(async (req, res) => {
+  const token = req.query.token || req.body?.token;
+  const result = await consentService.unsubscribe(token, req);
+
+  if (!result) {
+    throw commonErrors.badRequest('Lien de désabonnement invalide');
+  }
+
+  res.json({
+    success: true,
+    message: 'Vous ne recevrez plus ces communications',
+    data: result
+  });
+});
+
+module.exports = {
+  getConsents,
+  updateConsents,
+  getConsentHistory,
+  acceptPolicy,
+  getUnsubscribeTarget,
+  unsubscribe
+};
@@ -2,6 +2,11 @@ const db = require('../config/database');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
 const { paymentService } = require('../services/paymentService');
 const emailService = require('../services/emailService');
+const permissionService = require('../services/permissionService');
+const inventoryService = require('../services/inventoryService');
+const auditService = require('../services/auditService');
+const ProductVariant = require('../models/ProductVariant');
+const { serialize } = require('../serializers');
 
 /**
  * Générer un numéro de commande unique
@@ -22,14 +27,15 @@ const generateOrderNumber = () => {
  */
 const createOrder = asyncHandler(async (req, res) => {
   const {
-    items, // Array d'objets { productId, quantity, variantName, customization }
+    items, // Array d'objets { productId, variantId, quantity, customization }
     deliveryAddress,
     billingAddress,
     paymentMethod,
     phoneNumber,
     customerNotes,
     couponCode,
-    deliveryMethod = 'standard'
+    deliveryMethod = 'standard',
+    fulfillmentLocationId // Lieu choisi par le client (ex: retrait en boutique)
   } = req.body;
 
   // Validation des données requises
@@ -53,7 +59,7 @@ const createOrder = asyncHandler(async (req, res) => {
   for (const item of items) {
     const product = await db('products')
       .select([
-        'id', 'name', 'slug', 'price', 'stock_quantity', 'store_id',
+        'id', 'name', 'slug', 'sku', 'price', 'stock_quantity', 'reserved_quantity', 'store_id',
         'shipping_weight', 'requires_shipping', 'customizable', 'status'
       ])
       .where({ id: item.productId })
@@ -65,15 +71,36 @@ const createOrder = asyncHandler(async (req, res) => {
       throw commonErrors.notFound(`Produit avec ID ${item.productId} introuvable`);
     }
 
-    // Vérifier le stock
-    if (product.stock_quantity < item.quantity) {
-      throw commonErrors.badRequest(
-        `Stock insuffisant pour ${product.name}. Stock disponible: ${product.stock_quantity}`
+    // Variante commandée: obligatoire si le produit est décliné
+    const variants = await ProductVariant.findByProduct(product.id, { activeOnly: true });
+    let variant = null;
+
+    if (variants.length > 0) {
+      variant = variants.find(candidate => candidate.id === item.variantId);
+
+      if (!variant) {
+        throw commonErrors.badRequest(
+          item.variantId
+            ? `Variante ${item.variantId} indisponible pour ${product.name}`
+            : `Choisissez une variante pour ${product.name}`
+        );
+      }
+    } else if (item.variantId) {
+      throw commonErrors.badRequest(`${product.name} n'a pas de variantes`);
+    }
+
+    // Vérifier le stock disponible (celui de la variante si le produit est décliné)
+    const availableQuantity = inventoryService.getAvailableQuantity(variant || product);
+
+    if (availableQuantity < item.quantity) {
+      throw commonErrors.stock(
+        `Stock insuffisant pour ${product.name}${variant ? ` (${ProductVariant.label(variant)})` : ''}. Stock disponible: ${availableQuantity}`,
+        availableQuantity
       );
     }
 
-    // Calculer le prix de l'article
-    const unitPrice = parseFloat(product.price);
+    // Calculer le prix de l'article (prix de la variante s'il est défini)
+    const unitPrice = parseFloat(variant && variant.price !== null ? variant.price : product.price);
     const totalPrice = unitPrice * item.quantity;
     
     subtotal += totalPrice;
@@ -87,7 +114,10 @@ const createOrder = asyncHandler(async (req, res) => {
       quantity: item.quantity,
       unitPrice,
       totalPrice,
-      variantName: item.variantName || null,
+      variantId: variant ? variant.id : null,
+      variantName: variant ? ProductVariant.label(variant) : null,
+      variantAttributes: variant ? variant.options : null,
+      sku: variant && variant.sku ? variant.sku : product.sku,
       customization: product.customizable && item.customization ? item.customization : null,
       shippingWeight: product.shipping_weight || 0,
       requiresShipping: product.requires_shipping
@@ -102,6 +132,12 @@ const createOrder = asyncHandler(async (req, res) => {
 
   const storeId = storeIds[0];
 
+  // Lieu qui expédie chaque article (atelier ou boutique qui a le stock)
+  const orderLines = await inventoryService.selectFulfillment(storeId, validatedItems, {
+    locationId: fulfillmentLocationId || null,
+    city: deliveryAddress.city
+  });
+
   // Calculer les frais de livraison
   let shippingCost = 0;
   if (validatedItems.some(item => item.requiresShipping)) {
@@ -131,6 +167,9 @@ const createOrder = asyncHandler(async (req, res) => {
   // Montant total
   const totalAmount = subtotal + shippingCost - discountAmount + paymentFees;
 
+  // Stock réservé jusqu'au paiement (sans échéance pour un paiement à la livraison)
+  const reservedUntil = inventoryService.getReservationExpiry(paymentMethod);
+
   // Commencer la transaction
   const trx = await db.transaction();
 
@@ -171,12 +210,16 @@ const createOrder = asyncHandler(async (req, res) => {
       .returning('*');
 
     // Créer les articles de commande
-    const orderItems = validatedItems.map(item => ({
+    const orderItems = orderLines.map(item => ({
       order_id: order.id,
       product_id: item.productId,
       store_id: item.storeId,
       product_name: item.productName,
+      product_sku: item.sku,
+      variant_id: item.variantId,
       variant_name: item.variantName,
+      variant_attributes: item.variantAttributes ? JSON.stringify(item.variantAttributes) : null,
+      location_id: item.locationId,
       quantity: item.quantity,
       unit_price: item.unitPrice,
       total_price: item.totalPrice,
@@ -184,18 +227,22 @@ const createOrder = asyncHandler(async (req, res) => {
       status: 'pending'
     }));
 
-    await trx('order_items').insert(orderItems);
+    const insertedItems = await trx('order_items')
+      .insert(orderItems)
+      .returning(['id']);
 
-    // Réserver le stock
-    for (const item of validatedItems) {
-      await trx('products')
-        .where({ id: item.productId })
-        .increment('reserved_quantity', item.quantity);
-    }
+    // Réserver le stock (refusé si une autre commande a pris les dernières unités)
+    await inventoryService.reserveItems(
+      orderLines.map((item, index) => ({ ...item, orderItemId: insertedItems[index].id })),
+      trx,
+      { orderId: order.id, expiresAt: reservedUntil }
+    );
 
     // Confirmer la transaction
     await trx.commit();
 
+    await inventoryService.invalidateProducts(validatedItems.map(item => item.productId));
+
     // Initier le paiement si ce n'est pas un paiement à la livraison
     let paymentResult = null;
     if (paymentMethod !== 'cash_on_delivery') {
@@ -211,13 +258,19 @@ const createOrder = asyncHandler(async (req, res) => {
         });
       } catch (paymentError) {
         console.error('Erreur initiation paiement:', paymentError);
-        // La commande est créée mais le paiement a échoué
-        await db('orders')
-          .where({ id: order.id })
-          .update({ 
-            status: 'cancelled',
-            admin_notes: `Erreur paiement: ${paymentError.message}`
-          });
+        // La commande est créée mais le paiement a échoué: annulée, stock libéré
+        await db.transaction(async (cancelTrx) => {
+          await cancelTrx('orders')
+            .where({ id: order.id })
+            .update({ 
+              status: 'cancelled',
+              admin_notes: `Erreur paiement: ${paymentError.message}`
+            });
+
+          await inventoryService.releaseOrder(order.id, cancelTrx);
+        });
+
+        await inventoryService.invalidateProducts(validatedItems.map(item => item.productId));
           
         throw commonErrors.badRequest(`Erreur lors de l'initiation du paiement: ${paymentError.message}`);
       }
@@ -255,13 +308,15 @@ const createOrder = asyncHandler(async (req, res) => {
           currency: order.currency,
           paymentMethod: order.payment_method,
           paymentStatus: order.payment_status,
+          reservedUntil,
           createdAt: order.created_at
         },
-        items: validatedItems.map(item => ({
+        items: orderLines.map(item => ({
           productName: item.productName,
           quantity: item.quantity,
           unitPrice: item.unitPrice,
-          totalPrice: item.totalPrice
+          totalPrice: item.totalPrice,
+          location: { id: item.locationId, name: item.locationName }
         })),
         summary: {
           subtotal,
@@ -353,7 +408,7 @@ const getUserOrders = asyncHandler(async (req, res) => {
     order.items = items;
   }
 
-  res.json({
+  res.json(serialize(req, 'orderList', {
     success: true,
     data: result.data.map(order => ({
       id: order.id,
@@ -380,7 +435,7 @@ const getUserOrders = asyncHandler(async (req, res) => {
       updatedAt: order.updated_at
     })),
     pagination: result.pagination
-  });
+  }));
 });
 
 /**
@@ -409,13 +464,7 @@ const getOrderById = asyncHandler(async (req, res) => {
   }
 
   // Vérifier les permissions
-  const isOwner = order.customer_id === req.user.id;
-  const isStoreOwner = req.user.role === 'vendor' && await db('stores')
-    .where({ id: order.store_id, owner_id: req.user.id })
-    .first();
-  const isAdmin = ['admin', 'super_admin', 'manager'].includes(req.user.role);
-
-  if (!isOwner && !isStoreOwner && !isAdmin) {
+  if (!await permissionService.canAccessOrder(req.user, order)) {
     throw commonErrors.forbidden('Accès non autorisé à cette commande');
   }
 
@@ -426,8 +475,10 @@ const getOrderById = asyncHandler(async (req, res) => {
       'product_id',
       'product_name',
       'product_sku',
+      'variant_id',
       'variant_name',
       'variant_attributes',
+      'location_id',
       'quantity',
       'unit_price',
       'total_price',
@@ -517,8 +568,10 @@ const getOrderById = asyncHandler(async (req, res) => {
       productId: item.product_id,
       productName: item.product_name,
       productSku: item.product_sku,
+      variantId: item.variant_id,
       variantName: item.variant_name,
       variantAttributes: item.variant_attributes,
+      locationId: item.location_id,
       quantity: item.quantity,
       unitPrice: parseFloat(item.unit_price),
       totalPrice: parseFloat(item.total_price),
@@ -553,10 +606,10 @@ const getOrderById = asyncHandler(async (req, res) => {
     paymentDate: order.payment_date
   };
 
-  res.json({
+  res.json(serialize(req, 'order', {
     success: true,
     data: formattedOrder
-  });
+  }));
 });
 
 /**
@@ -575,14 +628,13 @@ const cancelOrder = asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Commande');
   }
 
-  // Vérifier les permissions
-  const isOwner = order.customer_id === req.user.id;
-  const isStoreOwner = req.user.role === 'vendor' && await db('stores')
-    .where({ id: order.store_id, owner_id: req.user.id })
-    .first();
-  const isAdmin = ['admin', 'super_admin'].includes(req.user.role);
+  // Vérifier les permissions (client, équipe de la boutique ou admin)
+  const storeAccess = await permissionService.getStoreAccess(req.user, order.store_id);
+  const canCancel = (!req.user.apiKey && order.customer_id === req.user.id) ||
+    storeAccess.permissions.includes('orders:cancel') ||
+    await permissionService.hasPermission(req.user, 'orders:cancel_any');
 
-  if (!isOwner && !isStoreOwner && !isAdmin) {
+  if (!canCancel) {
     throw commonErrors.forbidden('Vous ne pouvez pas annuler cette commande');
   }
 
@@ -596,25 +648,19 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
   try {
     // Mettre à jour le statut de la commande
-    await trx('orders')
+    let [cancelledOrder] = await trx('orders')
       .where({ id })
       .update({
         status: 'cancelled',
         admin_notes: reason || 'Commande annulée',
         updated_at: trx.fn.now(),
-        updated_by: req.user.id
-      });
-
-    // Libérer le stock réservé
-    const orderItems = await trx('order_items')
-      .select(['product_id', 'quantity'])
-      .where({ order_id: id });
+        updated_by: req.user.id,
+        updated_by_member_id: storeAccess.member ? storeAccess.member.id : null
+      })
+      .returning('*');
 
-    for (const item of orderItems) {
-      await trx('products')
-        .where({ id: item.product_id })
-        .decrement('reserved_quantity', item.quantity);
-    }
+    // Libérer le stock réservé (ou le remettre en vente si la commande était payée)
+    const released = await inventoryService.releaseOrder(id, trx);
 
     // Marquer les articles comme annulés
     await trx('order_items')
@@ -623,9 +669,10 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
     // Si la commande était payée, initier le remboursement
     if (order.payment_status === 'paid') {
-      await trx('orders')
+      [cancelledOrder] = await trx('orders')
         .where({ id })
-        .update({ payment_status: 'refunded' });
+        .update({ payment_status: 'refunded' })
+        .returning('*');
       
       // TODO: Initier le processus de remboursement automatique
       console.log(`Remboursement à initier pour la commande ${order.order_number}`);
@@ -633,6 +680,16 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
     await trx.commit();
 
+    await auditService.record('order.cancel', {
+      entityType: 'order',
+      entityId: id,
+      before: order,
+      after: cancelledOrder,
+      metadata: { reason: reason || null }
+    });
+
+    await inventoryService.invalidateProducts(released.map(reservation => reservation.product_id));
+
     res.json({
       success: true,
       message: 'Commande annulée avec succès'
@@ -669,20 +726,20 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Commande');
   }
 
-  // Vérifier les permissions (vendeur de la boutique ou admin)
-  const isStoreOwner = req.user.role === 'vendor' && await db('stores')
-    .where({ id: order.store_id, owner_id: req.user.id })
-    .first();
-  const isAdmin = ['admin', 'super_admin', 'manager'].includes(req.user.role);
+  // Vérifier les permissions (équipe de la boutique ou admin)
+  const storeAccess = await permissionService.getStoreAccess(req.user, order.store_id);
+  const canUpdate = storeAccess.permissions.includes('orders:update_status') ||
+    await permissionService.hasPermission(req.user, 'orders:manage_all');
 
-  if (!isStoreOwner && !isAdmin) {
+  if (!canUpdate) {
     throw commonErrors.forbidden('Accès non autorisé');
   }
 
   const updateData = {
     status,
     updated_at: db.fn.now(),
-    updated_by: req.user.id
+    updated_by: req.user.id,
+    updated_by_member_id: storeAccess.member ? storeAccess.member.id : null
   };
 
   if (trackingNumber) {
@@ -707,24 +764,20 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       .increment('total_orders', 1)
       .increment('total_revenue', order.total_amount);
 
-    // Libérer le stock réservé et ajouter aux ventes
+    // Sortir le stock encore réservé (paiement à la livraison) et ajouter aux ventes
     const orderItems = await db('order_items')
       .select(['product_id', 'quantity', 'total_price'])
       .where({ order_id: id });
 
-    for (const item of orderItems) {
-      await db('products')
-        .where({ id: item.product_id })
-        .decrement('reserved_quantity', item.quantity)
-        .decrement('stock_quantity', item.quantity)
-        .increment('sales_count', item.quantity)
-        .increment('total_revenue', item.total_price);
-    }
+    await db.transaction(trx => inventoryService.recordDelivery(id, orderItems, trx));
   }
 
-  await db('orders')
+  const [updatedOrder] = await db('orders')
     .where({ id })
-    .update(updateData);
+    .update(updateData)
+    .returning('*');
+
+  await auditService.record('order.update_status', { entityType: 'order', entityId: id, before: order, after: updatedOrder });
 
   // Mettre à jour le statut des articles
   await db('order_items')
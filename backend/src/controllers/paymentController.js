@@ -1,6 +1,8 @@
 const db = require('../config/database');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
 const { paymentService, cryptoUtils } = require('../services/paymentService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
 
 /**
  * Récupérer les méthodes de paiement disponibles
@@ -130,9 +132,8 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
   
   // Vérifier les permissions
   const isOwner = payment.customer_id === req.user.id;
-  const isAdmin = ['admin', 'super_admin', 'manager'].includes(req.user.role);
   
-  if (!isOwner && !isAdmin) {
+  if (!isOwner && !await permissionService.hasPermission(req.user, 'payments:read_all')) {
     throw commonErrors.forbidden('Accès non autorisé à ce paiement');
   }
   
@@ -344,10 +345,12 @@ const initiateRefund = asyncHandler(async (req, res) => {
     // TODO: Implémenter la logique de remboursement selon le provider
     // Pour l'instant, marquer comme remboursé en base
     
+    const refundStatus = amount ? 'partially_refunded' : 'refunded';
+
     await db('payments')
       .where({ id })
       .update({
-        status: amount ? 'partially_refunded' : 'refunded',
+        status: refundStatus,
         updated_at: db.fn.now(),
         updated_by: req.user.id
       });
@@ -363,6 +366,19 @@ const initiateRefund = asyncHandler(async (req, res) => {
         updated_by: req.user.id
       });
     
+    await auditService.record('payment.refund', {
+      entityType: 'payment',
+      entityId: id,
+      before: { status: payment.status },
+      after: { status: refundStatus },
+      metadata: {
+        orderId: payment.order_id,
+        amount: refundAmount,
+        currency: payment.currency,
+        reason: reason || null
+      }
+    });
+    
     res.json({
       success: true,
       message: `Remboursement de ${refundAmount} ${payment.currency} initié avec succès`,
@@ -0,0 +1,80 @@
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const Permission = require('../models/Permission');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Permissions effectives de l'utilisateur connecté
+ * GET /api/users/permissions
+ */
+const getMyPermissions = asyncHandler(async (req, res) => {
+  const permissions = await permissionService.getEffectivePermissions(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      role: req.user.role,
+      permissions
+    }
+  });
+});
+
+/**
+ * Registre des permissions et attribution par rôle
+ * GET /api/admin/permissions
+ */
+const getPermissionMatrix = asyncHandler(async (req, res) => {
+  const [permissions, roles] = await Promise.all([
+    Permission.findAll(),
+    Permission.getRoleMatrix()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      permissions,
+      roles,
+      editableRoles: Permission.getEditableRoles()
+    }
+  });
+});
+
+/**
+ * Remplacer les permissions d'un rôle
+ * PUT /api/admin/permissions/roles/:role
+ */
+const updateRolePermissions = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+
+  if (!Permission.getEditableRoles().includes(role)) {
+    throw commonErrors.badRequest('Rôle invalide ou non modifiable');
+  }
+
+  if (!Array.isArray(permissions)) {
+    throw commonErrors.badRequest('Liste des permissions requise');
+  }
+
+  const unknown = permissions.filter(key => !Permission.isKnown(key));
+  if (unknown.length > 0) {
+    throw commonErrors.validation('Permission(s) inconnue(s)', { permissions: unknown });
+  }
+
+  const changes = await permissionService.updateRolePermissions(role, permissions, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Permissions du rôle ${role} mises à jour`,
+    data: {
+      role,
+      permissions: await Permission.getKeysForRole(role),
+      added: changes.added,
+      removed: changes.removed
+    }
+  });
+});
+
+module.exports = {
+  getMyPermissions,
+  getPermissionMatrix,
+  updateRolePermissions
+};
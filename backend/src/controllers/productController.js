@@ -2,6 +2,11 @@ const db = require('../config/database');
 const { cache, CACHE_KEYS } = require('../config/redis');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
 const uploadService = require('../services/uploadService');
+const permissionService = require('../services/permissionService');
+const inventoryService = require('../services/inventoryService');
+const ProductVariant = require('../models/ProductVariant');
+const StockLevel = require('../models/StockLevel');
+const { serialize } = require('../serializers');
 
 /**
  * Récupérer tous les produits avec filtres et pagination
@@ -41,6 +46,7 @@ const getAllProducts = asyncHandler(async (req, res) => {
       'products.colors_available',
       'products.sizes_available',
       'products.stock_quantity',
+      'products.reserved_quantity',
       'products.featured',
       'products.average_rating',
       'products.reviews_count',
@@ -124,6 +130,7 @@ const getAllProducts = asyncHandler(async (req, res) => {
     colorsAvailable: product.colors_available || [],
     sizesAvailable: product.sizes_available || [],
     stockQuantity: product.stock_quantity,
+    availableQuantity: inventoryService.getAvailableQuantity(product),
     featured: product.featured,
     averageRating: product.average_rating ? parseFloat(product.average_rating) : 0,
     reviewsCount: product.reviews_count || 0,
@@ -140,11 +147,11 @@ const getAllProducts = asyncHandler(async (req, res) => {
     }
   }));
 
-  res.json({
+  res.json(serialize(req, 'productList', {
     success: true,
     data: products,
     pagination: result.pagination
-  });
+  }));
 });
 
 /**
@@ -159,10 +166,10 @@ const getProductById = asyncHandler(async (req, res) => {
   const cachedProduct = await cache.get(cacheKey);
   
   if (cachedProduct) {
-    return res.json({
+    return res.json(serialize(req, 'product', {
       success: true,
       data: cachedProduct
-    });
+    }));
   }
 
   // Construire la requête
@@ -198,6 +205,16 @@ const getProductById = asyncHandler(async (req, res) => {
     .where({ id: product.id })
     .increment('views_count', 1);
 
+  // Variantes proposées à la vente
+  const variants = await ProductVariant.findByProduct(product.id, { activeOnly: true });
+
+  // Disponibilité par lieu (ateliers et boutiques qui servent les commandes en ligne)
+  const stockByLocation = (await StockLevel.findByProduct(product.id))
+    .filter(level => level.fulfills_online_orders)
+    .filter(level => (variants.length > 0
+      ? variants.some(variant => variant.id === level.variant_id)
+      : !level.variant_id));
+
   // Récupérer les produits similaires
   const similarProducts = await db('products')
     .select(['id', 'name', 'slug', 'price', 'primary_image', 'average_rating'])
@@ -241,6 +258,7 @@ const getProductById = asyncHandler(async (req, res) => {
     // Inventaire
     stockQuantity: product.stock_quantity,
     reservedQuantity: product.reserved_quantity || 0,
+    availableQuantity: inventoryService.getAvailableQuantity(product),
     lowStockThreshold: product.low_stock_threshold,
     trackInventory: product.track_inventory,
     allowBackorders: product.allow_backorders,
@@ -271,7 +289,15 @@ const getProductById = asyncHandler(async (req, res) => {
     
     // Attributs et variantes
     attributes: product.attributes,
-    variants: product.variants,
+    variants: variants.map(variant => ProductVariant.format(variant, product.price)),
+    availability: stockByLocation.map(level => ({
+      locationId: level.location_id,
+      locationName: level.location_name,
+      city: level.location_city,
+      type: level.location_type,
+      variantId: level.variant_id,
+      availableQuantity: inventoryService.getLevelAvailableQuantity(level)
+    })),
     
     // Saisonnalité
     seasons: product.seasons || [],
@@ -315,10 +341,10 @@ const getProductById = asyncHandler(async (req, res) => {
   // Mettre en cache le produit
   await cache.set(cacheKey, formattedProduct, 1800); // 30 minutes
 
-  res.json({
+  res.json(serialize(req, 'product', {
     success: true,
     data: formattedProduct
-  });
+  }));
 });
 
 /**
@@ -379,6 +405,9 @@ const createProduct = asyncHandler(async (req, res) => {
     });
   }
 
+  // Variantes (taille, couleur...): stock et prix propres
+  const productVariants = variants !== undefined ? inventoryService.normalizeVariants(variants) : [];
+
   // Vérifier que la boutique existe et appartient à l'utilisateur
   const store = await db('stores')
     .where({ id: storeId })
@@ -389,8 +418,12 @@ const createProduct = asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Boutique');
   }
 
-  // Vérifier les permissions
-  if (req.user.role !== 'admin' && req.user.role !== 'super_admin' && store.owner_id !== req.user.id) {
+  // Vérifier les permissions (propriétaire, gérant de l'équipe ou admin)
+  const storeAccess = await permissionService.getStoreAccess(req.user, store.id);
+  const canManage = storeAccess.permissions.includes('products:manage') ||
+    await permissionService.hasPermission(req.user, 'products:manage_all');
+
+  if (!canManage) {
     throw commonErrors.forbidden('Vous ne pouvez créer des produits que pour vos propres boutiques');
   }
 
@@ -418,54 +451,69 @@ const createProduct = asyncHandler(async (req, res) => {
     slug = `${slug}-${Date.now()}`;
   }
 
-  // Créer le produit
-  const [product] = await db('products')
-    .insert({
-      name,
-      slug,
-      description,
-      short_description: shortDescription,
-      sku,
-      store_id: storeId,
-      category_id: categoryId,
-      price,
-      compare_at_price: compareAtPrice,
-      currency,
-      fabric_type: fabricType,
-      fabric_origin: fabricOrigin,
-      cultural_significance: culturalSignificance,
-      care_instructions: careInstructions,
-      dimensions,
-      weight,
-      colors_available: JSON.stringify(colorsAvailable),
-      sizes_available: JSON.stringify(sizesAvailable),
-      materials: JSON.stringify(materials),
-      stock_quantity: stockQuantity,
-      low_stock_threshold: lowStockThreshold,
-      track_inventory: trackInventory,
-      allow_backorders: allowBackorders,
-      status,
-      featured,
-      customizable,
-      requires_shipping: requiresShipping,
-      shipping_weight: shippingWeight,
-      shipping_dimensions: shippingDimensions,
-      fragile,
-      meta_title: metaTitle,
-      meta_description: metaDescription,
-      meta_keywords: metaKeywords,
-      artisan_name: artisanName,
-      artisan_story: artisanStory,
-      artisan_location: artisanLocation,
-      attributes,
-      variants,
-      seasons: JSON.stringify(seasons),
-      occasions: JSON.stringify(occasions),
-      tags: JSON.stringify(tags),
-      created_by: req.user.id,
-      tenant_id: req.user.tenantId
-    })
-    .returning('*');
+  // Créer le produit et ses variantes
+  const { product, savedVariants } = await db.transaction(async (trx) => {
+    const [created] = await trx('products')
+      .insert({
+        name,
+        slug,
+        description,
+        short_description: shortDescription,
+        sku,
+        store_id: storeId,
+        category_id: categoryId,
+        price,
+        compare_at_price: compareAtPrice,
+        currency,
+        fabric_type: fabricType,
+        fabric_origin: fabricOrigin,
+        cultural_significance: culturalSignificance,
+        care_instructions: careInstructions,
+        dimensions,
+        weight,
+        colors_available: JSON.stringify(colorsAvailable),
+        sizes_available: JSON.stringify(sizesAvailable),
+        materials: JSON.stringify(materials),
+        stock_quantity: stockQuantity,
+        low_stock_threshold: lowStockThreshold,
+        track_inventory: trackInventory,
+        allow_backorders: allowBackorders,
+        status,
+        featured,
+        customizable,
+        requires_shipping: requiresShipping,
+        shipping_weight: shippingWeight,
+        shipping_dimensions: shippingDimensions,
+        fragile,
+        meta_title: metaTitle,
+        meta_description: metaDescription,
+        meta_keywords: metaKeywords,
+        artisan_name: artisanName,
+        artisan_story: artisanStory,
+        artisan_location: artisanLocation,
+        attributes,
+        seasons: JSON.stringify(seasons),
+        occasions: JSON.stringify(occasions),
+        tags: JSON.stringify(tags),
+        created_by: req.user.id,
+        updated_by_member_id: storeAccess.member ? storeAccess.member.id : null,
+        tenant_id: req.user.tenantId
+      })
+      .returning('*');
+
+    // Stock initial placé dans le lieu par défaut de la boutique
+    // (le stock d'un produit décliné est celui de ses variantes)
+    let saved = [];
+    if (productVariants.length > 0) {
+      saved = await inventoryService.syncVariants(created, productVariants, trx);
+    } else {
+      await inventoryService.setProductStock(created, stockQuantity, trx);
+    }
+
+    const refreshed = await trx('products').where({ id: created.id }).first();
+
+    return { product: refreshed, savedVariants: saved };
+  });
 
   // Mettre à jour le compteur de produits de la boutique
   await db('stores')
@@ -479,7 +527,10 @@ const createProduct = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     message: 'Produit créé avec succès',
-    data: product
+    data: {
+      ...product,
+      variants: savedVariants.map(variant => ProductVariant.format(variant, product.price))
+    }
   });
 });
 
@@ -508,12 +559,12 @@ const searchProducts = asyncHandler(async (req, res) => {
   const cachedResults = await cache.get(cacheKey);
   
   if (cachedResults) {
-    return res.json({
+    return res.json(serialize(req, 'productSearch', {
       success: true,
       data: cachedResults.products,
       pagination: cachedResults.pagination,
       searchQuery: query
-    });
+    }));
   }
 
   // Recherche avec PostgreSQL full-text search
@@ -524,6 +575,7 @@ const searchProducts = asyncHandler(async (req, res) => {
       'products.slug',
       'products.short_description',
       'products.price',
+      'products.currency',
       'products.primary_image',
       'products.fabric_type',
       'products.average_rating',
@@ -582,12 +634,12 @@ const searchProducts = asyncHandler(async (req, res) => {
   // Mettre en cache les résultats
   await cache.set(cacheKey, searchResults, 600); // 10 minutes
 
-  res.json({
+  res.json(serialize(req, 'productSearch', {
     success: true,
     data: result.data,
     pagination: result.pagination,
     searchQuery: query
-  });
+  }));
 });
 
 module.exports = {
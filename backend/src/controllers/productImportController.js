@@ -0,0 +1,131 @@
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const ProductImport = require('../models/ProductImport');
+const productImportService = require('../services/productImportService');
+const { validate: uuidValidate } = require('uuid');
+
+const ROW_STATUSES = ['valid', 'invalid', 'imported', 'failed'];
+
+/**
+ * Pagination des listes (limite bornée)
+ */
+const getPagination = (query, defaultLimit) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100)
+});
+
+/**
+ * Vérifier l'identifiant d'import de l'URL
+ */
+const assertImportId = (importId) => {
+  if (!uuidValidate(importId)) {
+    throw commonErrors.notFound('Import');
+  }
+};
+
+/**
+ * Déposer un fichier de produits à importer (ou à simuler)
+ * POST /api/stores/:id/product-imports
+ */
+const createProductImport = asyncHandler(async (req, res) => {
+  const productImport = await productImportService.createImport(req.params.id, req.user, req.files, req.body);
+
+  res.status(202).json({
+    success: true,
+    message: productImport.dry_run
+      ? `Simulation en cours sur ${productImport.total_rows} ligne(s), le catalogue ne sera pas modifié`
+      : `Import en cours de ${productImport.total_rows} ligne(s)`,
+    data: ProductImport.format(productImport)
+  });
+});
+
+/**
+ * Imports de produits d'une boutique
+ * GET /api/stores/:id/product-imports
+ */
+const getProductImports = asyncHandler(async (req, res) => {
+  const { imports, pagination } = await ProductImport.findByStore(req.params.id, getPagination(req.query, 20));
+
+  res.json({
+    success: true,
+    data: imports.map(productImport => ProductImport.format(productImport)),
+    pagination
+  });
+});
+
+/**
+ * Progression d'un import
+ * GET /api/stores/:id/product-imports/:importId
+ */
+const getProductImport = asyncHandler(async (req, res) => {
+  assertImportId(req.params.importId);
+  const productImport = await productImportService.getImport(req.params.id, req.params.importId);
+
+  res.json({
+    success: true,
+    data: ProductImport.format(productImport)
+  });
+});
+
+/**
+ * Rapport ligne à ligne d'un import
+ * GET /api/stores/:id/product-imports/:importId/rows
+ */
+const getProductImportRows = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !ROW_STATUSES.includes(status)) {
+    throw commonErrors.badRequest(`Statut de ligne invalide (${ROW_STATUSES.join(', ')})`);
+  }
+
+  assertImportId(req.params.importId);
+  const productImport = await productImportService.getImport(req.params.id, req.params.importId);
+  const { rows, pagination } = await ProductImport.findRows(productImport.id, {
+    status,
+    ...getPagination(req.query, 50)
+  });
+
+  res.json({
+    success: true,
+    data: rows.map(row => ProductImport.formatRow(row)),
+    pagination
+  });
+});
+
+/**
+ * Importer pour de bon une simulation terminée
+ * POST /api/stores/:id/product-imports/:importId/run
+ */
+const runProductImport = asyncHandler(async (req, res) => {
+  assertImportId(req.params.importId);
+  const productImport = await productImportService.runImport(req.params.id, req.params.importId);
+
+  res.status(202).json({
+    success: true,
+    message: `Import en cours de ${productImport.total_rows} ligne(s)`,
+    data: ProductImport.format(productImport)
+  });
+});
+
+/**
+ * Reprendre un import échoué
+ * POST /api/stores/:id/product-imports/:importId/resume
+ */
+const resumeProductImport = asyncHandler(async (req, res) => {
+  assertImportId(req.params.importId);
+  const productImport = await productImportService.resumeImport(req.params.id, req.params.importId);
+
+  res.status(202).json({
+    success: true,
+    message: `Import repris à la ligne ${productImport.processed_rows + 1} sur ${productImport.total_rows}`,
+    data: ProductImport.format(productImport)
+  });
+});
+
+module.exports = {
+  createProductImport,
+  getProductImports,
+  getProductImport,
+  getProductImportRows,
+  runProductImport,
+  resumeProductImport
+};
@@ -0,0 +1,371 @@
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const Product = require('../models/Product');
+const StockLocation = require('../models/StockLocation');
+const StockLevel = require('../models/StockLevel');
+const StockTransfer = require('../models/StockTransfer');
+const StockMovement = require('../models/StockMovement');
+const Stocktake = require('../models/Stocktake');
+const stockLocationService = require('../services/stockLocationService');
+const stockMovementService = require('../services/stockMovementService');
+const { STOCK_TRANSFER_STATUS, STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_REASONS } = require('../utils/constants');
+const { validate: uuidValidate } = require('uuid');
+
+/**
+ * Format public d'un niveau de stock avec son produit
+ */
+const formatLevel = (level) => ({
+  ...StockLevel.format(level),
+  productName: level.product_name,
+  sku: level.variant_sku || level.product_sku,
+  variantName: level.variant_options ? Object.values(level.variant_options).join(' / ') : null,
+  lowStockThreshold: level.low_stock_threshold ?? level.product_low_stock_threshold
+});
+
+/**
+ * Format public d'un transfert et de ses articles
+ */
+const formatTransfer = ({ transfer, items }) => StockTransfer.format(transfer, items);
+
+/**
+ * Format public d'un inventaire et de son rapport d'écarts
+ */
+const formatStocktake = ({ stocktake, items }) => Stocktake.format(stocktake, items);
+
+/**
+ * Vérifier un identifiant de lieu passé en filtre
+ */
+const assertLocationFilter = (locationId) => {
+  if (locationId && !uuidValidate(locationId)) {
+    throw commonErrors.badRequest('Lieu de stock invalide');
+  }
+};
+
+/**
+ * Pagination d'une requête (page, limit)
+ */
+const getPagination = (query, defaultLimit) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100)
+});
+
+/**
+ * Lieux de stock d'une boutique
+ * GET /api/stores/:id/locations
+ */
+const getStoreLocations = asyncHandler(async (req, res) => {
+  const locations = await stockLocationService.listLocations(req.params.id);
+
+  res.json({
+    success: true,
+    data: locations.map(location => StockLocation.format(location))
+  });
+});
+
+/**
+ * Créer un lieu de stock
+ * POST /api/stores/:id/locations
+ */
+const createStoreLocation = asyncHandler(async (req, res) => {
+  const location = await stockLocationService.createLocation(req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: `Lieu ${location.name} créé`,
+    data: StockLocation.format(location)
+  });
+});
+
+/**
+ * Mettre à jour un lieu de stock
+ * PUT /api/stores/:id/locations/:locationId
+ */
+const updateStoreLocation = asyncHandler(async (req, res) => {
+  const location = await stockLocationService.updateLocation(req.params.id, req.params.locationId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Lieu de stock mis à jour',
+    data: StockLocation.format(location)
+  });
+});
+
+/**
+ * Stock d'un lieu
+ * GET /api/stores/:id/locations/:locationId/stock
+ */
+const getLocationStock = asyncHandler(async (req, res) => {
+  const { location, levels, pagination } = await stockLocationService.getLocationStock(
+    req.params.id,
+    req.params.locationId,
+    getPagination(req.query, 50)
+  );
+
+  res.json({
+    success: true,
+    data: {
+      location: StockLocation.format(location),
+      levels: levels.map(formatLevel)
+    },
+    pagination
+  });
+});
+
+/**
+ * Fixer le stock d'articles dans un lieu
+ * PUT /api/stores/:id/locations/:locationId/stock
+ */
+const updateLocationStock = asyncHandler(async (req, res) => {
+  const levels = await stockLocationService.setLocationStock(req.params.id, req.params.locationId, req.body);
+
+  res.json({
+    success: true,
+    message: `${levels.length} niveau(x) de stock mis à jour`,
+    data: levels.map(level => StockLevel.format(level))
+  });
+});
+
+/**
+ * Articles en rupture de stock, lieu par lieu
+ * GET /api/stores/:id/inventory/low-stock
+ */
+const getLowStock = asyncHandler(async (req, res) => {
+  const { locationId } = req.query;
+  assertLocationFilter(locationId);
+
+  const items = await Product.getLowStock(req.params.id, { locationId });
+
+  res.json({
+    success: true,
+    data: items
+  });
+});
+
+/**
+ * Transferts de stock d'une boutique
+ * GET /api/stores/:id/stock-transfers
+ */
+const getStockTransfers = asyncHandler(async (req, res) => {
+  const { status, locationId } = req.query;
+
+  if (status && !Object.values(STOCK_TRANSFER_STATUS).includes(status)) {
+    throw commonErrors.badRequest(
+      `Statut invalide. Statuts disponibles: ${Object.values(STOCK_TRANSFER_STATUS).join(', ')}`
+    );
+  }
+
+  assertLocationFilter(locationId);
+
+  const { transfers, pagination } = await StockTransfer.findByStore(req.params.id, {
+    status,
+    locationId,
+    ...getPagination(req.query, 20)
+  });
+
+  res.json({
+    success: true,
+    data: transfers.map(transfer => StockTransfer.format(transfer)),
+    pagination
+  });
+});
+
+/**
+ * Détail d'un transfert de stock
+ * GET /api/stores/:id/stock-transfers/:transferId
+ */
+const getStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockLocationService.loadTransfer(req.params.id, req.params.transferId);
+
+  res.json({
+    success: true,
+    data: formatTransfer(transfer)
+  });
+});
+
+/**
+ * Transférer du stock entre deux lieux
+ * POST /api/stores/:id/stock-transfers
+ */
+const createStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockLocationService.createTransfer(req.params.id, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `Transfert ${transfer.transfer.reference} en transit vers ${transfer.transfer.to_location_name}`,
+    data: formatTransfer(transfer)
+  });
+});
+
+/**
+ * Réceptionner un transfert
+ * POST /api/stores/:id/stock-transfers/:transferId/receive
+ */
+const receiveStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockLocationService.receiveTransfer(req.params.id, req.params.transferId, req.user);
+
+  res.json({
+    success: true,
+    message: `Transfert ${transfer.transfer.reference} réceptionné à ${transfer.transfer.to_location_name}`,
+    data: formatTransfer(transfer)
+  });
+});
+
+/**
+ * Annuler un transfert en transit (stock remis dans le lieu d'origine)
+ * POST /api/stores/:id/stock-transfers/:transferId/cancel
+ */
+const cancelStockTransfer = asyncHandler(async (req, res) => {
+  const transfer = await stockLocationService.cancelTransfer(req.params.id, req.params.transferId, req.user);
+
+  res.json({
+    success: true,
+    message: `Transfert ${transfer.transfer.reference} annulé`,
+    data: formatTransfer(transfer)
+  });
+});
+
+/**
+ * Ajuster le stock d'articles dans un lieu (réception, casse, retour client...)
+ * POST /api/stores/:id/locations/:locationId/adjustments
+ */
+const adjustLocationStock = asyncHandler(async (req, res) => {
+  const levels = await stockMovementService.adjustStock(req.params.id, req.params.locationId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: `${levels.length} article(s) ajusté(s)`,
+    data: levels.map(level => StockLevel.format(level))
+  });
+});
+
+/**
+ * Registre des mouvements de stock d'une boutique
+ * GET /api/stores/:id/stock-movements
+ */
+const getStockMovements = asyncHandler(async (req, res) => {
+  const { locationId, productId, variantId, type, reason, from, to } = req.query;
+
+  if (type && !Object.values(STOCK_MOVEMENT_TYPES).includes(type)) {
+    throw commonErrors.badRequest(
+      `Type invalide. Types disponibles: ${Object.values(STOCK_MOVEMENT_TYPES).join(', ')}`
+    );
+  }
+
+  if (reason && !Object.values(STOCK_MOVEMENT_REASONS).includes(reason)) {
+    throw commonErrors.badRequest('Motif de mouvement invalide');
+  }
+
+  assertLocationFilter(locationId);
+
+  if ([productId, variantId].some(id => id && !uuidValidate(id))) {
+    throw commonErrors.badRequest('Article invalide');
+  }
+
+  if ([from, to].some(date => date && isNaN(Date.parse(date)))) {
+    throw commonErrors.badRequest('Date invalide (format ISO 8601 attendu)');
+  }
+
+  const { movements, pagination } = await StockMovement.findByStore(
+    req.params.id,
+    { locationId, productId, variantId, type, reason, from, to },
+    getPagination(req.query, 50)
+  );
+
+  res.json({
+    success: true,
+    data: movements.map(movement => StockMovement.format(movement)),
+    pagination
+  });
+});
+
+/**
+ * Contrôle des niveaux de stock par le registre des mouvements
+ * GET /api/stores/:id/inventory/ledger-check
+ */
+const getLedgerCheck = asyncHandler(async (req, res) => {
+  const { locationId } = req.query;
+  assertLocationFilter(locationId);
+
+  const discrepancies = await stockMovementService.verifyLedger(req.params.id, { locationId });
+
+  res.json({
+    success: true,
+    data: {
+      consistent: discrepancies.length === 0,
+      discrepancies
+    }
+  });
+});
+
+/**
+ * Inventaire physique d'un lieu (rapport d'écarts)
+ * POST /api/stores/:id/locations/:locationId/stocktakes
+ */
+const createStocktake = asyncHandler(async (req, res) => {
+  const report = await stockMovementService.runStocktake(req.params.id, req.params.locationId, req.body, req.user);
+  const { summary } = formatStocktake(report);
+
+  res.status(report.dryRun ? 200 : 201).json({
+    success: true,
+    message: report.dryRun
+      ? `Simulation: ${summary.itemsWithVariance} écart(s) sur ${summary.itemsCounted} article(s), stock inchangé`
+      : `Inventaire ${report.stocktake.reference}: ${summary.itemsWithVariance} écart(s) sur ${summary.itemsCounted} article(s)`,
+    data: { dryRun: report.dryRun, ...formatStocktake(report) }
+  });
+});
+
+/**
+ * Inventaires d'une boutique
+ * GET /api/stores/:id/stocktakes
+ */
+const getStocktakes = asyncHandler(async (req, res) => {
+  const { locationId } = req.query;
+  assertLocationFilter(locationId);
+
+  const { stocktakes, pagination } = await Stocktake.findByStore(req.params.id, {
+    locationId,
+    ...getPagination(req.query, 20)
+  });
+
+  res.json({
+    success: true,
+    data: stocktakes.map(stocktake => Stocktake.format(stocktake)),
+    pagination
+  });
+});
+
+/**
+ * Rapport d'écarts d'un inventaire
+ * GET /api/stores/:id/stocktakes/:stocktakeId
+ */
+const getStocktake = asyncHandler(async (req, res) => {
+  if (!uuidValidate(req.params.stocktakeId)) {
+    throw commonErrors.notFound('Inventaire');
+  }
+
+  const report = await stockMovementService.getStocktake(req.params.id, req.params.stocktakeId);
+
+  res.json({
+    success: true,
+    data: formatStocktake(report)
+  });
+});
+
+module.exports = {
+  getStoreLocations,
+  createStoreLocation,
+  updateStoreLocation,
+  getLocationStock,
+  updateLocationStock,
+  getLowStock,
+  getStockTransfers,
+  getStockTransfer,
+  createStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+  adjustLocationStock,
+  getStockMovements,
+  getLedgerCheck,
+  createStocktake,
+  getStocktakes,
+  getStocktake
+};
@@ -2,6 +2,7 @@ const db = require('../config/database');
 const { cache, CACHE_KEYS } = require('../config/redis');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
 const { uploadService } = require('../services/uploadService');
+const permissionService = require('../services/permissionService');
 
 /**
  * Récupérer toutes les boutiques avec filtres et pagination
@@ -384,7 +385,7 @@ const createStore = asyncHandler(async (req, res) => {
   }
 
   // Vérifier que l'utilisateur n'a pas déjà une boutique (sauf admin)
-  if (!['admin', 'super_admin'].includes(req.user.role)) {
+  if (!await permissionService.hasPermission(req.user, 'stores:manage_all')) {
     const existingStore = await db('stores')
       .where({ owner_id: req.user.id })
       .whereNull('deleted_at')
@@ -490,8 +491,9 @@ const updateStore = asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Boutique');
   }
 
-  // Vérifier les permissions
-  if (!['admin', 'super_admin'].includes(req.user.role) && store.owner_id !== req.user.id) {
+  // Vérifier les permissions (propriétaire, gérant de l'équipe ou admin)
+  const canManageAll = await permissionService.hasPermission(req.user, 'stores:manage_all');
+  if (!canManageAll && !await permissionService.hasStorePermission(req.user, store.id, 'store:update')) {
     throw commonErrors.forbidden('Vous ne pouvez modifier que votre propre boutique');
   }
 
@@ -504,7 +506,7 @@ const updateStore = asyncHandler(async (req, res) => {
   delete updateData.total_revenue;
 
   // Seuls les admins peuvent modifier certains champs
-  if (!['admin', 'super_admin'].includes(req.user.role)) {
+  if (!canManageAll) {
     delete updateData.status;
     delete updateData.is_verified;
     delete updateData.featured;
@@ -654,7 +656,10 @@ const uploadStoreImages = asyncHandler(async (req, res) => {
     throw commonErrors.notFound('Boutique');
   }
 
-  if (!['admin', 'super_admin'].includes(req.user.role) && store.owner_id !== req.user.id) {
+  const canUpdate = await permissionService.hasStorePermission(req.user, store.id, 'store:update') ||
+    await permissionService.hasPermission(req.user, 'stores:manage_all');
+
+  if (!canUpdate) {
     throw commonErrors.forbidden('Vous ne pouvez modifier que votre propre boutique');
   }
 
@@ -0,0 +1,238 @@
+const db = require('../config/database');
+const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
+const StoreMember = require('../models/StoreMember');
+const emailService = require('../services/emailService');
+const { validate: uuidValidate } = require('uuid');
+const { isValidEmail } = require('../utils/validators');
+const { STORE_MEMBER_ROLES, STORE_MEMBER_STATUS } = require('../utils/constants');
+
+const ROLE_LABELS = {
+  [STORE_MEMBER_ROLES.MANAGER]: 'Gérant',
+  [STORE_MEMBER_ROLES.PACKER]: 'Préparateur de commandes',
+  [STORE_MEMBER_ROLES.SUPPORT]: 'Service client'
+};
+
+/**
+ * Format public d'un membre
+ */
+const formatMember = (member) => ({
+  id: member.id,
+  email: member.email,
+  role: member.role,
+  status: member.status,
+  userId: member.user_id,
+  firstName: member.first_name || null,
+  lastName: member.last_name || null,
+  invitationExpiresAt: member.invitation_expires_at,
+  acceptedAt: member.accepted_at,
+  createdAt: member.created_at
+});
+
+/**
+ * Charger la boutique de la route
+ */
+const loadStore = async (storeId) => {
+  const store = uuidValidate(storeId) && await db('stores')
+    .select(['id', 'name', 'owner_id'])
+    .where({ id: storeId })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!store) {
+    throw commonErrors.notFound('Boutique');
+  }
+
+  return store;
+};
+
+/**
+ * Charger un membre appartenant à la boutique
+ */
+const loadMember = async (storeId, memberId) => {
+  const member = uuidValidate(memberId) && await StoreMember.findById(memberId);
+
+  if (!member || member.store_id !== storeId || member.status === STORE_MEMBER_STATUS.REVOKED) {
+    throw commonErrors.notFound('Membre');
+  }
+
+  return member;
+};
+
+/**
+ * Valider un rôle d'équipe
+ */
+const assertValidRole = (role) => {
+  if (!Object.values(STORE_MEMBER_ROLES).includes(role)) {
+    throw commonErrors.badRequest(
+      `Rôle invalide. Rôles disponibles: ${Object.values(STORE_MEMBER_ROLES).join(', ')}`
+    );
+  }
+};
+
+/**
+ * Équipe d'une boutique
+ * GET /api/stores/:id/members
+ */
+const getStoreMembers = asyncHandler(async (req, res) => {
+  const store = await loadStore(req.params.id);
+  const members = await StoreMember.findByStore(store.id);
+
+  res.json({
+    success: true,
+    data: members.map(formatMember)
+  });
+});
+
+/**
+ * Inviter un membre dans l'équipe
+ * POST /api/stores/:id/members
+ */
+const inviteStoreMember = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  if (!email || !isValidEmail(email)) {
+    throw commonErrors.badRequest('Adresse email valide requise');
+  }
+  assertValidRole(role);
+
+  const store = await loadStore(req.params.id);
+
+  const owner = await db('users').select('email').where({ id: store.owner_id }).first();
+  if (owner && owner.email.toLowerCase() === email.toLowerCase().trim()) {
+    throw commonErrors.badRequest('Le propriétaire fait déjà partie de la boutique');
+  }
+
+  const existing = await StoreMember.findByEmail(store.id, email);
+  if (existing && existing.status === STORE_MEMBER_STATUS.ACTIVE) {
+    throw commonErrors.conflict('Cette personne fait déjà partie de l\'équipe');
+  }
+
+  const { token, member } = await StoreMember.invite(store.id, {
+    email,
+    role,
+    invitedBy: req.user.id
+  });
+
+  try {
+    await emailService.sendStoreInvitationEmail(member.email, {
+      token,
+      storeName: store.name,
+      inviterName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+      roleLabel: ROLE_LABELS[role],
+      expiresInDays: StoreMember.getInvitationLifetimeDays()
+    });
+  } catch (emailError) {
+    console.error('Erreur envoi invitation boutique:', emailError);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation envoyée à ${member.email}`,
+    data: formatMember(member)
+  });
+});
+
+/**
+ * Changer le rôle d'un membre
+ * PUT /api/stores/:id/members/:memberId
+ */
+const updateStoreMember = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  assertValidRole(role);
+
+  const store = await loadStore(req.params.id);
+  await loadMember(store.id, req.params.memberId);
+
+  const member = await StoreMember.updateRole(req.params.memberId, role);
+
+  res.json({
+    success: true,
+    message: 'Rôle du membre mis à jour',
+    data: formatMember(member)
+  });
+});
+
+/**
+ * Retirer un membre de l'équipe (ou annuler son invitation)
+ * DELETE /api/stores/:id/members/:memberId
+ */
+const removeStoreMember = asyncHandler(async (req, res) => {
+  const store = await loadStore(req.params.id);
+  await loadMember(store.id, req.params.memberId);
+
+  await StoreMember.revoke(req.params.memberId);
+
+  res.json({
+    success: true,
+    message: 'Membre retiré de l\'équipe'
+  });
+});
+
+/**
+ * Accepter une invitation
+ * POST /api/stores/invitations/accept
+ */
+const acceptStoreInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw commonErrors.badRequest('Token d\'invitation requis');
+  }
+
+  const invitation = await StoreMember.findByInvitationToken(token);
+  if (!invitation) {
+    throw commonErrors.badRequest('Invitation invalide ou expirée');
+  }
+
+  // L'invitation est nominative
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    throw commonErrors.forbidden('Cette invitation a été envoyée à une autre adresse email');
+  }
+
+  const member = await StoreMember.accept(invitation.id, req.user.id);
+  if (!member) {
+    throw commonErrors.badRequest('Invitation invalide ou expirée');
+  }
+
+  res.json({
+    success: true,
+    message: `Vous avez rejoint l'équipe de ${invitation.store_name}`,
+    data: {
+      storeId: member.store_id,
+      storeName: invitation.store_name,
+      role: member.role
+    }
+  });
+});
+
+/**
+ * Boutiques dont l'utilisateur connecté fait partie de l'équipe
+ * GET /api/stores/memberships
+ */
+const getMyStoreMemberships = asyncHandler(async (req, res) => {
+  const memberships = await StoreMember.findMembershipsByUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: memberships.map(membership => ({
+      id: membership.id,
+      role: membership.role,
+      acceptedAt: membership.accepted_at,
+      store: {
+        id: membership.store_id,
+        name: membership.store_name,
+        slug: membership.store_slug,
+        logoUrl: membership.store_logo
+      }
+    }))
+  });
+});
+
+module.exports = {
+  getStoreMembers,
+  inviteStoreMember,
+  updateStoreMember,
+  removeStoreMember,
+  acceptStoreInvitation,
+  getMyStoreMemberships
+};
@@ -3,6 +3,18 @@ const db = require('../config/database');
 const { cache, sets, CACHE_KEYS } = require('../config/redis');
 const { asyncHandler, commonErrors } = require('../middleware/errorHandler');
 const { uploadService } = require('../services/uploadService');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const emailChangeService = require('../services/emailChangeService');
+const oidcService = require('../services/oidcService');
+const dataExportService = require('../services/dataExportService');
+const consentService = require('../services/consentService');
+const DataExport = require('../models/DataExport');
+const UserSession = require('../models/UserSession');
+const UserIdentity = require('../models/UserIdentity');
+const { validate: uuidValidate } = require('uuid');
+const { formatAfricanPhoneNumber } = require('../utils/helpers');
+const { CONSENT_SOURCES } = require('../utils/constants');
+const { isValidAfricanPhoneNumber, isValidEmail } = require('../utils/validators');
 
 /**
  * Récupérer le profil de l'utilisateur connecté
@@ -30,7 +42,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
       'country', 'city', 'address', 'postal_code', 'role', 'status',
       'email_verified', 'phone_verified', 'loyalty_points', 'loyalty_tier',
       'marketing_emails', 'marketing_sms', 'order_notifications',
-      'two_factor_enabled', 'last_login', 'created_at'
+      'two_factor_enabled', 'last_login', 'created_at', 'pending_email'
     ])
     .where({ id: userId })
     .whereNull('deleted_at')
@@ -65,6 +77,7 @@ const getUserProfile = asyncHandler(async (req, res) => {
   const profile = {
     id: user.id,
     email: user.email,
+    pendingEmail: user.pending_email,
     firstName: user.first_name,
     lastName: user.last_name,
     fullName: `${user.first_name} ${user.last_name}`,
@@ -172,12 +185,33 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     orderNotifications
   } = req.body;
 
+  // L'adresse email se change uniquement via le lien de confirmation
+  if (req.body.email !== undefined && String(req.body.email).toLowerCase().trim() !== req.user.email.toLowerCase()) {
+    throw commonErrors.badRequest('Utilisez POST /api/users/email/change pour modifier votre adresse email');
+  }
+
   // Validation des données
   const updateData = {};
   
   if (firstName !== undefined) updateData.first_name = firstName.trim();
   if (lastName !== undefined) updateData.last_name = lastName.trim();
-  if (phone !== undefined) updateData.phone = phone;
+  if (phone !== undefined) {
+    const currentUser = await db('users')
+      .select(['phone', 'country'])
+      .where({ id: userId })
+      .first();
+    const normalizedPhone = phone ? formatAfricanPhoneNumber(phone, country || currentUser.country || 'TG') : null;
+
+    if (normalizedPhone && !isValidAfricanPhoneNumber(normalizedPhone)) {
+      throw commonErrors.badRequest('Numéro de téléphone invalide');
+    }
+
+    // Un nouveau numéro doit être vérifié à nouveau
+    if (normalizedPhone !== currentUser.phone) {
+      updateData.phone = normalizedPhone;
+      updateData.phone_verified = false;
+    }
+  }
   if (birthDate !== undefined) updateData.birth_date = birthDate;
   if (gender !== undefined) updateData.gender = gender;
   if (bio !== undefined) updateData.bio = bio;
@@ -187,9 +221,16 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   if (postalCode !== undefined) updateData.postal_code = postalCode;
   if (preferredLanguage !== undefined) updateData.preferred_language = preferredLanguage;
   if (preferredCurrency !== undefined) updateData.preferred_currency = preferredCurrency;
-  if (marketingEmails !== undefined) updateData.marketing_emails = marketingEmails;
-  if (marketingSms !== undefined) updateData.marketing_sms = marketingSms;
-  if (orderNotifications !== undefined) updateData.order_notifications = orderNotifications;
+
+  // Préférences de communication: enregistrées dans le registre des consentements,
+  // jamais modifiées par un administrateur en impersonation
+  const preferenceChanges = { marketingEmails, marketingSms, orderNotifications };
+  if (Object.values(preferenceChanges).some(value => value !== undefined)) {
+    if (req.impersonator) {
+      throw commonErrors.forbidden('Les consentements ne peuvent pas être modifiés pendant une session d\'impersonation');
+    }
+    await consentService.updatePreferences(userId, preferenceChanges, { source: CONSENT_SOURCES.PROFILE, req });
+  }
 
   // Ajouter les métadonnées de mise à jour
   updateData.updated_at = db.fn.now();
@@ -268,12 +309,162 @@ const changePassword = asyncHandler(async (req, res) => {
       updated_by: userId
     });
 
+  // Déconnecter toutes les sessions, y compris celle-ci
+  await tokenRevocationService.revokeAllUserTokens(userId, 'password_changed');
+
+  res.json({
+    success: true,
+    message: 'Mot de passe modifié avec succès. Veuillez vous reconnecter.'
+  });
+});
+
+/**
+ * Demander le changement d'adresse email
+ * POST /api/users/email/change
+ */
+const requestEmailChange = asyncHandler(async (req, res) => {
+  const { newEmail, password } = req.body;
+
+  if (!newEmail || !isValidEmail(newEmail)) {
+    throw commonErrors.badRequest('Nouvelle adresse email valide requise');
+  }
+
+  if (!password) {
+    throw commonErrors.badRequest('Mot de passe actuel requis');
+  }
+
+  const user = await db('users')
+    .where({ id: req.user.id })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  if (!isPasswordValid) {
+    throw commonErrors.badRequest('Mot de passe actuel incorrect');
+  }
+
+  const { pendingEmail, expiresAt } = await emailChangeService.requestEmailChange(user, newEmail, req);
+  await cache.del(CACHE_KEYS.USER_PROFILE(user.id));
+
+  res.json({
+    success: true,
+    message: `Un lien de confirmation a été envoyé à ${pendingEmail}. Votre adresse actuelle reste active jusqu'à la confirmation.`,
+    data: {
+      email: user.email,
+      pendingEmail,
+      expiresAt
+    }
+  });
+});
+
+/**
+ * Abandonner le changement d'adresse email en attente
+ * DELETE /api/users/email/change
+ */
+const cancelEmailChange = asyncHandler(async (req, res) => {
+  const cancelled = await emailChangeService.cancelEmailChange(req.user.id);
+
+  if (!cancelled) {
+    throw commonErrors.notFound('Changement d\'adresse en attente');
+  }
+
+  await cache.del(CACHE_KEYS.USER_PROFILE(req.user.id));
+
+  res.json({
+    success: true,
+    message: 'Changement d\'adresse email annulé'
+  });
+});
+
+/**
+ * Comptes externes (Google, Apple...) liés au compte
+ * GET /api/users/identities
+ */
+const getLinkedIdentities = asyncHandler(async (req, res) => {
+  const identities = await UserIdentity.findByUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      identities: identities.map((identity) => ({
+        id: identity.id,
+        provider: identity.provider,
+        email: identity.email,
+        lastLoginAt: identity.last_login_at,
+        linkedAt: identity.created_at
+      }))
+    }
+  });
+});
+
+/**
+ * Délier un compte externe
+ * DELETE /api/users/identities/:id
+ */
+const unlinkIdentity = asyncHandler(async (req, res) => {
+  if (!uuidValidate(req.params.id)) {
+    throw commonErrors.badRequest('Identifiant invalide');
+  }
+
+  const identity = await oidcService.unlinkIdentity(req.user, req.params.id, req);
+
   res.json({
     success: true,
-    message: 'Mot de passe modifié avec succès'
+    message: `Compte ${identity.provider} délié`
   });
 });
 
+/**
+ * Demander un export de ses données personnelles (archive ZIP envoyée par email)
+ * POST /api/users/exports
+ */
+const requestDataExport = asyncHandler(async (req, res) => {
+  const dataExport = await dataExportService.requestExport(req.user, req);
+
+  res.status(202).json({
+    success: true,
+    message: 'Export en préparation. Un lien de téléchargement vous sera envoyé par email.',
+    data: {
+      export: dataExportService.formatExport(dataExport)
+    }
+  });
+});
+
+/**
+ * Historique des exports de données
+ * GET /api/users/exports
+ */
+const getDataExports = asyncHandler(async (req, res) => {
+  const exports = await DataExport.findByUser(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      exports: exports.map(dataExportService.formatExport)
+    }
+  });
+});
+
+/**
+ * Télécharger l'archive d'un export (lien reçu par email)
+ * GET /api/users/exports/:id/download?token=
+ */
+const downloadDataExport = asyncHandler(async (req, res) => {
+  if (!uuidValidate(req.params.id)) {
+    throw commonErrors.badRequest('Identifiant invalide');
+  }
+
+  const { filePath } = await dataExportService.getDownload(req.user.id, req.params.id, req.query.token, req);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set('Cache-Control', 'no-store');
+  res.download(filePath, `afrikmode-mes-donnees-${date}.zip`);
+});
+
 /**
  * Upload avatar utilisateur
  * POST /api/users/avatar
@@ -628,10 +819,78 @@ const getUserDashboard = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Lister les appareils connectés
+ * GET /api/users/sessions
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const sessions = await UserSession.findActiveByUser(req.user.id);
+  const currentSessionId = req.tokenPayload?.sid;
+
+  res.json({
+    success: true,
+    data: sessions.map(session => ({
+      id: session.id,
+      deviceName: session.device_name,
+      platform: session.platform,
+      ipAddress: session.ip_address,
+      lastIpAddress: session.last_ip_address,
+      userAgent: session.user_agent,
+      lastActivityAt: session.last_activity_at,
+      createdAt: session.created_at,
+      current: session.id === currentSessionId
+    }))
+  });
+});
+
+/**
+ * Fermer une session (déconnecter un appareil)
+ * DELETE /api/users/sessions/:id
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const session = uuidValidate(req.params.id) ? await UserSession.findById(req.params.id) : null;
+
+  if (!session || session.user_id !== req.user.id) {
+    throw commonErrors.notFound('Session');
+  }
+
+  await tokenRevocationService.revokeSession(session, 'revoked_by_user');
+
+  res.json({
+    success: true,
+    message: 'Appareil déconnecté'
+  });
+});
+
+/**
+ * Fermer toutes les autres sessions
+ * DELETE /api/users/sessions
+ */
+const revokeOtherUserSessions = asyncHandler(async (req, res) => {
+  const revoked = await tokenRevocationService.revokeOtherSessions(
+    req.user.id,
+    req.tokenPayload?.sid,
+    'revoked_by_user'
+  );
+
+  res.json({
+    success: true,
+    message: 'Tous les autres appareils ont été déconnectés',
+    data: { sessionsRevoked: revoked }
+  });
+});
+
 module.exports = {
   getUserProfile,
   updateUserProfile,
   changePassword,
+  requestEmailChange,
+  cancelEmailChange,
+  getLinkedIdentities,
+  unlinkIdentity,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
   uploadAvatar,
   getUserWishlist,
   toggleWishlistItem,
@@ -639,5 +898,8 @@ module.exports = {
   getUserAddresses,
   getUserNotifications,
   markNotificationAsRead,
-  getUserDashboard
+  getUserDashboard,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions
 };
\ No newline at end of file
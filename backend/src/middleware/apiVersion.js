@@ -0,0 +1,97 @@
+const { createError } = require('./errorHandler');
+const { API_VERSIONS } = require('../utils/constants');
+
+/**
+ * Versions de l'API
+ *
+ * Les mêmes routes et contrôleurs sont montés sous /api/v1 et /api/v2; seule
+ * la forme des réponses change (voir src/serializers). La version de la
+ * requête est disponible dans req.apiVersion.
+ */
+
+// Versions de la plus ancienne à la plus récente
+const SUPPORTED_VERSIONS = Object.values(API_VERSIONS);
+
+// Version servie sous /api sans préfixe de version (clients historiques)
+const DEFAULT_API_VERSION = SUPPORTED_VERSIONS.includes(process.env.API_VERSION)
+  ? process.env.API_VERSION
+  : API_VERSIONS.V1;
+
+/**
+ * Rang d'une version (-1 si inconnue)
+ */
+const compareVersions = (a, b) => SUPPORTED_VERSIONS.indexOf(a) - SUPPORTED_VERSIONS.indexOf(b);
+
+/**
+ * Middleware: version fixée par le préfixe de montage (/api/v1, /api/v2)
+ */
+const setApiVersion = (version) => {
+  return (req, res, next) => {
+    req.apiVersion = version;
+    req.apiBasePath = `/api/${version}`;
+    res.set('API-Version', version);
+    next();
+  };
+};
+
+/**
+ * Middleware: version d'une requête sur /api sans préfixe
+ * En-tête Accept-Version (v1, v2), sinon API_VERSION (v1 par défaut)
+ */
+const resolveApiVersion = (req, res, next) => {
+  const requested = req.get('Accept-Version');
+
+  if (requested && !SUPPORTED_VERSIONS.includes(requested)) {
+    return next(createError(400, `Version d'API non supportée: ${requested}`, 'UNSUPPORTED_API_VERSION', {
+      supportedVersions: SUPPORTED_VERSIONS
+    }));
+  }
+
+  req.apiVersion = requested || DEFAULT_API_VERSION;
+  req.apiBasePath = '/api';
+  res.set('API-Version', req.apiVersion);
+  res.vary('Accept-Version');
+  next();
+};
+
+/**
+ * Middleware: endpoint retiré
+ * - en-têtes Deprecation (RFC 9745), Sunset (RFC 8594) et Link vers le remplaçant
+ * - 410 à partir de la version `removedIn`
+ *
+ * options: { since: '2025-10-20', sunset: '2026-12-31', successor: '/auth/refresh', removedIn: 'v2' }
+ */
+const deprecated = ({ since, sunset = null, successor = null, removedIn = null }) => {
+  const middleware = (req, res, next) => {
+    const successorUrl = successor ? `${req.apiBasePath || '/api'}${successor}` : null;
+
+    if (removedIn && compareVersions(req.apiVersion, removedIn) >= 0) {
+      return next(createError(410, `Cet endpoint n'existe plus en ${req.apiVersion}`, 'ENDPOINT_REMOVED', {
+        successor: successorUrl
+      }));
+    }
+
+    res.set('Deprecation', `@${Math.floor(new Date(since).getTime() / 1000)}`);
+    if (sunset) {
+      res.set('Sunset', new Date(sunset).toUTCString());
+    }
+    if (successorUrl) {
+      res.append('Link', `<${successorUrl}>; rel="successor-version"`);
+    }
+
+    next();
+  };
+
+  // Exposé pour la documentation OpenAPI de la route
+  middleware.deprecation = { since, sunset, successor, removedIn };
+  return middleware;
+};
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  DEFAULT_API_VERSION,
+  compareVersions,
+  setApiVersion,
+  resolveApiVersion,
+  deprecated
+};
@@ -1,5 +1,46 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { isAccessTokenRevoked } = require('../services/tokenRevocationService');
+const UserSession = require('../models/UserSession');
+const Permission = require('../models/Permission');
+const permissionService = require('../services/permissionService');
+const apiKeyService = require('../services/apiKeyService');
+const consentService = require('../services/consentService');
+const { setRequestActor } = require('./requestContext');
+
+/**
+ * Administrateur à l'origine d'un token d'impersonation
+ * Retourne null pour un token ordinaire, false si l'administrateur
+ * n'est plus actif ou n'a plus le droit d'impersonation.
+ */
+const loadImpersonator = async (decoded) => {
+  if (!decoded.impersonatorId) {
+    return null;
+  }
+  
+  const admin = await db('users')
+    .where({ id: decoded.impersonatorId })
+    .whereNull('deleted_at')
+    .first();
+  
+  if (!admin || admin.status !== 'active') {
+    return false;
+  }
+  
+  const impersonator = {
+    id: admin.id,
+    email: admin.email,
+    role: admin.role,
+    firstName: admin.first_name,
+    lastName: admin.last_name
+  };
+  
+  if (!await permissionService.hasPermission(impersonator, 'users:impersonate')) {
+    return false;
+  }
+  
+  return impersonator;
+};
 
 /**
  * Middleware d'authentification JWT
@@ -21,6 +62,15 @@ const requireAuth = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Token révoqué (déconnexion, changement de mot de passe, suspension)
+    if (await isAccessTokenRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session révoquée. Veuillez vous reconnecter.',
+        code: 'REVOKED_TOKEN'
+      });
+    }
+    
     // Get user from database
     const user = await db('users')
       .where({ id: decoded.userId })
@@ -44,6 +94,16 @@ const requireAuth = async (req, res, next) => {
       });
     }
     
+    // Session d'impersonation: l'administrateur doit toujours être habilité
+    const impersonator = await loadImpersonator(decoded);
+    if (impersonator === false) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session d\'impersonation révoquée',
+        code: 'IMPERSONATION_REVOKED'
+      });
+    }
+    
     // Add user to request object
     req.user = {
       id: user.id,
@@ -51,9 +111,31 @@ const requireAuth = async (req, res, next) => {
       role: user.role,
       firstName: user.first_name,
       lastName: user.last_name,
-      tenantId: user.tenant_id
+      tenantId: user.tenant_id,
+      policyVersion: user.policy_version
     };
     
+    // Administrateur agissant en tant que req.user (null hors impersonation)
+    req.impersonator = impersonator;
+    
+    // Payload du token courant (jti, sid, iat, exp) pour la déconnexion
+    req.tokenPayload = decoded;
+    
+    // Auteur des actions de la requête (journal d'audit)
+    setRequestActor(req.user, impersonator);
+    
+    if (impersonator) {
+      res.set('X-Impersonated-By', impersonator.id);
+      console.log(`[impersonation] ${req.method} ${req.originalUrl} - utilisateur ${user.id} par admin ${impersonator.id} (requête ${req.requestId})`);
+    }
+    
+    // Dernière activité de l'appareil (sans bloquer la requête)
+    if (decoded.sid) {
+      UserSession.touch(decoded.sid, req.ip).catch(error => {
+        console.error('Erreur mise à jour activité session:', error.message);
+      });
+    }
+    
     next();
     
   } catch (error) {
@@ -82,6 +164,66 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware d'authentification par JWT ou par clé d'API de boutique
+ * (endpoints de catalogue et de commandes utilisés par les outils des vendeurs)
+ *
+ * La clé est lue dans l'en-tête X-API-Key ou Authorization: Bearer afk_...
+ * req.user est alors le propriétaire de la boutique, avec req.user.apiKey:
+ * les contrôles de permissions se limitent à la boutique et aux scopes de la clé.
+ */
+const requireAuthOrApiKey = async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const rawKey = req.headers['x-api-key'] || (apiKeyService.isApiKey(bearer) ? bearer : null);
+  
+  if (!rawKey) {
+    return requireAuth(req, res, next);
+  }
+  
+  try {
+    const result = await apiKeyService.authenticate(rawKey, req.ip);
+    
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Clé d\'API invalide, expirée ou révoquée',
+        code: 'INVALID_API_KEY'
+      });
+    }
+    
+    const { apiKey, owner } = result;
+    
+    req.user = {
+      id: owner.id,
+      email: owner.email,
+      role: owner.role,
+      firstName: owner.first_name,
+      lastName: owner.last_name,
+      tenantId: owner.tenant_id,
+      apiKey: {
+        id: apiKey.id,
+        storeId: apiKey.store_id,
+        scopes: apiKey.scopes
+      }
+    };
+    req.impersonator = null;
+    
+    // Auteur des actions de la requête (journal d'audit, avec l'ID de la clé)
+    setRequestActor(req.user);
+    
+    next();
+    
+  } catch (error) {
+    console.error('Erreur middleware clé d\'API:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
 /**
  * Middleware pour vérifier les rôles d'utilisateur
  */
@@ -112,6 +254,88 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Middleware pour vérifier les permissions (au moins une des permissions listées)
+ */
+const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+  
+  // Une faute de frappe doit être détectée au démarrage, pas en production
+  const unknown = required.filter(permission => !Permission.isKnown(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Permission(s) inconnue(s): ${unknown.join(', ')}`);
+  }
+  
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentification requise',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+      
+      if (!await permissionService.hasAnyPermission(req.user, required)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permissions insuffisantes',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          required_permissions: required
+        });
+      }
+      
+      next();
+      
+    } catch (error) {
+      console.error('Erreur middleware permissions:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erreur interne du serveur',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+};
+
+/**
+ * Middleware: action interdite pendant une impersonation
+ * (mot de passe, sécurité du compte, suppression, opérations financières)
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    console.warn(`[impersonation] Action bloquée ${req.method} ${req.originalUrl} - utilisateur ${req.user.id} par admin ${req.impersonator.id}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Action interdite pendant une session d\'impersonation',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Middleware: conditions d'utilisation en vigueur acceptées
+ * (les intégrations par clé d'API ne sont pas concernées)
+ */
+const requirePolicyAcceptance = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return next();
+  }
+  
+  if (consentService.isPolicyAcceptanceRequired(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Veuillez accepter les nouvelles conditions d\'utilisation pour continuer',
+      code: 'POLICY_ACCEPTANCE_REQUIRED',
+      currentVersion: consentService.CURRENT_POLICY_VERSION
+    });
+  }
+  
+  next();
+};
+
 /**
  * Middleware pour vérifier si l'utilisateur est propriétaire de la ressource
  */
@@ -185,66 +409,73 @@ const requireTenant = async (req, res, next) => {
 };
 
 /**
- * Middleware pour les vendeurs (accès à leur boutique)
+ * Middleware pour l'accès à une boutique (propriétaire ou membre de l'équipe)
+ * Sans permission précisée, seul le propriétaire est autorisé.
  */
-const requireStoreAccess = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentification requise',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-    
-    // Admin and super admin can access all stores
-    if (['admin', 'super_admin'].includes(req.user.role)) {
-      return next();
-    }
-    
-    const storeId = req.params.storeId || req.params.id;
-    if (!storeId) {
-      return res.status(400).json({
-        success: false,
-        message: 'ID de boutique manquant',
-        code: 'MISSING_STORE_ID'
-      });
-    }
-    
-    // Check if user owns or has access to the store
-    const store = await db('stores')
-      .where({ id: storeId })
-      .whereNull('deleted_at')
-      .first();
-    
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Boutique introuvable',
-        code: 'STORE_NOT_FOUND'
-      });
-    }
-    
-    // Check ownership or manager access
-    if (store.owner_id !== req.user.id && req.user.role !== 'manager') {
-      return res.status(403).json({
+const requireStoreAccess = (storePermission = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentification requise',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+      
+      // Gestion de toutes les boutiques (admin)
+      if (await permissionService.hasPermission(req.user, 'stores:manage_all')) {
+        return next();
+      }
+      
+      const storeId = req.params.storeId || req.params.id;
+      if (!storeId) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de boutique manquant',
+          code: 'MISSING_STORE_ID'
+        });
+      }
+      
+      // Check if user owns or has access to the store
+      const store = await db('stores')
+        .where({ id: storeId })
+        .whereNull('deleted_at')
+        .first();
+      
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: 'Boutique introuvable',
+          code: 'STORE_NOT_FOUND'
+        });
+      }
+      
+      const access = await permissionService.getStoreAccess(req.user, store.id);
+      const allowed = access.isOwner ||
+        (storePermission !== null && access.permissions.includes(storePermission));
+      
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Accès non autorisé à cette boutique',
+          code: 'STORE_ACCESS_DENIED'
+        });
+      }
+      
+      req.store = store;
+      req.storeMember = access.member;
+      next();
+      
+    } catch (error) {
+      console.error('Erreur middleware store access:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Accès non autorisé à cette boutique',
-        code: 'STORE_ACCESS_DENIED'
+        message: 'Erreur interne du serveur',
+        code: 'INTERNAL_ERROR'
       });
     }
-    
-    req.store = store;
-    next();
-    
-  } catch (error) {
-    console.error('Erreur middleware store access:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Erreur interne du serveur',
-      code: 'INTERNAL_ERROR'
-    });
-  }
+  };
 };
 
 /**
@@ -261,12 +492,19 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Un token révoqué est traité comme une requête anonyme
+    if (await isAccessTokenRevoked(decoded)) {
+      return next();
+    }
+    
     const user = await db('users')
       .where({ id: decoded.userId })
       .whereNull('deleted_at')
       .first();
     
-    if (user && user.status === 'active') {
+    const impersonator = user ? await loadImpersonator(decoded) : null;
+    
+    if (user && user.status === 'active' && impersonator !== false) {
       req.user = {
         id: user.id,
         email: user.email,
@@ -275,6 +513,9 @@ const optionalAuth = async (req, res, next) => {
         lastName: user.last_name,
         tenantId: user.tenant_id
       };
+      req.impersonator = impersonator;
+      req.tokenPayload = decoded;
+      setRequestActor(req.user, impersonator);
     }
     
     next();
@@ -287,7 +528,11 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   requireAuth,
+  requireAuthOrApiKey,
   requireRole,
+  requirePermission,
+  denyImpersonation,
+  requirePolicyAcceptance,
   requireOwnership,
   requireTenant,
   requireStoreAccess,
@@ -212,8 +212,9 @@ const errorHandler = (error, req, res, next) => {
     }
   }
 
-  // Gestion des erreurs de validation Joi
-  if (error.isJoi || error.name === 'ValidationError') {
+  // Gestion des erreurs de validation Joi brutes
+  // (les ValidationError de l'application ont déjà un message et des détails formatés)
+  if (error.isJoi || (error.name === 'ValidationError' && !(error instanceof AppError))) {
     statusCode = 400;
     code = 'VALIDATION_ERROR';
     message = 'Données de requête invalides';
@@ -0,0 +1,47 @@
+const idempotencyService = require('../services/idempotencyService');
+
+/**
+ * Middleware d'idempotence (en-tête Idempotency-Key)
+ * À placer après requireAuth: la clé est propre à l'utilisateur connecté.
+ * Sans en-tête, la requête est traitée normalement.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !req.user) {
+    return next();
+  }
+
+  try {
+    const endpoint = idempotencyService.getEndpoint(req);
+
+    const { record, replay } = await idempotencyService.begin({
+      userId: req.user.id,
+      key,
+      endpoint,
+      fingerprint: idempotencyService.getFingerprint(endpoint, req.body)
+    });
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(replay.status).json(replay.body);
+    }
+
+    // Réponse envoyée une fois enregistrée: une nouvelle tentative la rejoue
+    const originalJson = res.json;
+    res.json = function(body) {
+      idempotencyService.finish(record, { status: res.statusCode, body })
+        .catch(error => console.error('❌ Enregistrement de la réponse idempotente:', error.message))
+        .finally(() => originalJson.call(this, body));
+
+      return this;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
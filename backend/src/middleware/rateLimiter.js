@@ -1,37 +1,46 @@
 const rateLimit = require('express-rate-limit');
-const redis = require('redis');
-
-// Configuration Redis pour le stockage des compteurs
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
-  retry_strategy: (times) => Math.min(times * 50, 2000)
-});
-
-redisClient.on('error', (err) => {
-  console.error('Erreur Redis (Rate Limiter):', err);
-});
+const { client: redisClient } = require('../config/redis');
+const { formatAfricanPhoneNumber } = require('../utils/helpers');
 
 /**
  * Store personnalisé Redis pour express-rate-limit
+ * (client partagé de config/redis, interface Store v7)
  */
 class RedisStore {
   constructor(options = {}) {
     this.prefix = options.prefix || 'rate_limit:';
     this.client = redisClient;
+    this.windowMs = options.windowMs || 15 * 60 * 1000;
   }
 
-  async incr(key) {
+  /**
+   * Appelé par express-rate-limit avec les options du limiteur
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
     const fullKey = this.prefix + key;
-    
+
+    // Fallback: autoriser la requête si Redis n'est pas disponible
+    if (!this.client.isReady) {
+      return { totalHits: 1, resetTime: new Date(Date.now() + this.windowMs) };
+    }
+
     try {
-      const multi = this.client.multi();
-      multi.incr(fullKey);
-      multi.expire(fullKey, this.windowMs / 1000);
-      const results = await multi.exec();
-      
+      const totalHits = await this.client.incr(fullKey);
+
+      // Première requête de la fenêtre: démarrer l'expiration
+      if (totalHits === 1) {
+        await this.client.pExpire(fullKey, this.windowMs);
+      }
+
+      const ttl = await this.client.pTTL(fullKey);
+
       return {
-        totalHits: results[0][1],
-        resetTime: new Date(Date.now() + this.windowMs)
+        totalHits,
+        resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs))
       };
     } catch (error) {
       console.error('Erreur Redis Store:', error);
@@ -42,6 +51,8 @@ class RedisStore {
 
   async decrement(key) {
     const fullKey = this.prefix + key;
+    if (!this.client.isReady) return;
+
     try {
       await this.client.decr(fullKey);
     } catch (error) {
@@ -51,6 +62,8 @@ class RedisStore {
 
   async resetKey(key) {
     const fullKey = this.prefix + key;
+    if (!this.client.isReady) return;
+
     try {
       await this.client.del(fullKey);
     } catch (error) {
@@ -86,7 +99,9 @@ const getRateLimitMessage = (type, limit, windowMs) => {
     api: `Limite d'API atteinte. ${limit} requêtes autorisées par ${window}`,
     upload: `Trop de téléchargements. Limite: ${limit} fichiers par ${window}`,
     payment: `Trop de tentatives de paiement. Veuillez patienter ${window}`,
-    registration: `Trop d'inscriptions depuis cette IP. Limite: ${limit} par ${window}`
+    registration: `Trop d'inscriptions depuis cette IP. Limite: ${limit} par ${window}`,
+    otp: `Trop de demandes de code pour ce numéro. Limite: ${limit} par ${window}`,
+    otpVerify: `Trop de tentatives de vérification. Veuillez patienter ${window}`
   };
   
   return messages[type] || messages.general;
@@ -121,8 +136,9 @@ const authLimiter = rateLimit({
   keyGenerator: (req) => generateKey(req, 'auth'),
   store: new RedisStore({ prefix: 'auth_limit:' }),
   skipSuccessfulRequests: true, // Ne pas compter les requêtes réussies
-  onLimitReached: (req, res, options) => {
+  handler: (req, res, next, options) => {
     console.warn(`Rate limit atteint pour l'auth - IP: ${req.ip}, User-Agent: ${req.get('User-Agent')}`);
+    res.status(options.statusCode).send(options.message);
   }
 });
 
@@ -170,9 +186,10 @@ const paymentLimiter = rateLimit({
   legacyHeaders: false,
   keyGenerator: (req) => generateKey(req, 'payment'),
   store: new RedisStore({ prefix: 'payment_limit:' }),
-  onLimitReached: (req, res, options) => {
+  handler: (req, res, next, options) => {
     console.warn(`Tentatives de paiement suspectes - IP: ${req.ip}, User: ${req.user?.id}`);
     // Notifier l'équipe de sécurité si nécessaire
+    res.status(options.statusCode).send(options.message);
   }
 });
 
@@ -189,8 +206,51 @@ const registrationLimiter = rateLimit({
   store: new RedisStore({ prefix: 'registration_limit:' })
 });
 
+/**
+ * Clé des limiteurs OTP: le numéro normalisé (protège le destinataire
+ * contre le bombardement de SMS, quelle que soit l'IP d'origine)
+ */
+const phoneKey = (req) => {
+  if (req.body?.phone) {
+    return formatAfricanPhoneNumber(String(req.body.phone), req.body.country);
+  }
+  return req.user ? `user_${req.user.id}` : req.ip;
+};
+
+/**
+ * Rate limiter pour les demandes de code par SMS
+ */
+const otpRequestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5, // 5 SMS par numéro et par heure
+  message: getRateLimitMessage('otp', 5, 60 * 60 * 1000),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: phoneKey,
+  store: new RedisStore({ prefix: 'otp_request_limit:' }),
+  handler: (req, res, next, options) => {
+    console.warn(`Rate limit OTP atteint - IP: ${req.ip}, User-Agent: ${req.get('User-Agent')}`);
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
+/**
+ * Rate limiter pour la vérification des codes SMS
+ */
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 vérifications par numéro
+  message: getRateLimitMessage('otpVerify', 10, 15 * 60 * 1000),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: phoneKey,
+  store: new RedisStore({ prefix: 'otp_verify_limit:' }),
+  skipSuccessfulRequests: true
+});
+
 /**
  * Rate limiter adaptatif basé sur l'utilisateur
+ * Les accès par clé d'API ont leur propre compteur, par clé (quelle que soit l'IP)
  */
 const createUserBasedLimiter = (options = {}) => {
   const {
@@ -198,6 +258,7 @@ const createUserBasedLimiter = (options = {}) => {
     guestMax = 100,
     userMax = 500,
     vendorMax = 1000,
+    apiKeyMax = 3000,
     adminMax = 5000
   } = options;
 
@@ -205,6 +266,7 @@ const createUserBasedLimiter = (options = {}) => {
     windowMs,
     max: (req) => {
       if (!req.user) return guestMax;
+      if (req.user.apiKey) return apiKeyMax;
       
       switch (req.user.role) {
         case 'super_admin':
@@ -223,13 +285,20 @@ const createUserBasedLimiter = (options = {}) => {
       const max = res.locals.limit;
       return getRateLimitMessage('api', max, windowMs);
     },
-    keyGenerator: (req) => generateKey(req, 'user_based'),
+    keyGenerator: (req) => (req.user?.apiKey
+      ? `api_key_${req.user.apiKey.id}`
+      : generateKey(req, 'user_based')),
     store: new RedisStore({ prefix: 'user_limit:' }),
     standardHeaders: true,
     legacyHeaders: false
   });
 };
 
+/**
+ * Rate limiter des endpoints accessibles par clé d'API (après authentification)
+ */
+const userBasedLimiter = createUserBasedLimiter();
+
 /**
  * Rate limiter pour la recherche
  */
@@ -267,10 +336,22 @@ const resetOnSuccess = (limiterType) => {
   };
 };
 
+/**
+ * Rate limit très strict appliqué aux IP suspectes
+ */
+const abuseLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 heure
+  max: 5, // 5 requêtes maximum
+  message: 'Activité suspecte détectée. Accès temporairement restreint.',
+  keyGenerator: (req) => req.ip,
+  store: new RedisStore({ prefix: 'abuse_limit:' })
+});
+
 /**
  * Middleware pour la détection d'abus
+ * Une IP signalée pour credential stuffing est traitée comme suspecte.
  */
-const abuseDetection = (req, res, next) => {
+const abuseDetection = async (req, res, next) => {
   const suspiciousPatterns = [
     // Trop de requêtes vers des endpoints sensibles
     /\/(admin|api\/admin|debug|test)/i,
@@ -284,22 +365,22 @@ const abuseDetection = (req, res, next) => {
   const userAgent = req.get('User-Agent') || '';
   
   // Détecter les patterns suspects
-  const isSuspicious = suspiciousPatterns.some(pattern => pattern.test(url)) ||
-                      userAgent.includes('bot') ||
-                      userAgent.includes('crawler') ||
-                      userAgent.length < 10;
+  let isSuspicious = suspiciousPatterns.some(pattern => pattern.test(url)) ||
+                     userAgent.includes('bot') ||
+                     userAgent.includes('crawler') ||
+                     userAgent.length < 10;
+
+  if (!isSuspicious) {
+    // Chargé ici pour éviter une dépendance circulaire au démarrage
+    const { isFlaggedIp } = require('../services/securityService');
+    isSuspicious = await isFlaggedIp(req.ip);
+  }
 
   if (isSuspicious) {
     console.warn(`Activité suspecte détectée - IP: ${req.ip}, URL: ${url}, UA: ${userAgent}`);
     
     // Appliquer un rate limit très strict pour cette IP
-    return rateLimit({
-      windowMs: 60 * 60 * 1000, // 1 heure
-      max: 5, // 5 requêtes maximum
-      message: 'Activité suspecte détectée. Accès temporairement restreint.',
-      keyGenerator: () => req.ip,
-      store: new RedisStore({ prefix: 'abuse_limit:' })
-    })(req, res, next);
+    return abuseLimiter(req, res, next);
   }
 
   next();
@@ -312,9 +393,13 @@ module.exports = {
   uploadLimiter,
   paymentLimiter,
   registrationLimiter,
+  otpRequestLimiter,
+  otpVerifyLimiter,
   searchLimiter,
   createUserBasedLimiter,
+  userBasedLimiter,
   resetOnSuccess,
   abuseDetection,
+  abuseLimiter,
   RedisStore
 };
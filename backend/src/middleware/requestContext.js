@@ -0,0 +1,63 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Contexte de la requête en cours (identifiant, auteur, IP)
+ * Accessible depuis les modèles et services sans le passer en paramètre,
+ * notamment pour le journal d'audit.
+ */
+const storage = new AsyncLocalStorage();
+
+// Identifiant fourni par le reverse proxy, s'il est raisonnable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+/**
+ * Middleware: ouvrir le contexte et exposer l'identifiant de requête
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const context = {
+    requestId,
+    ipAddress: req.ip || null,
+    userAgent: req.get('User-Agent') || null,
+    method: req.method,
+    path: req.originalUrl,
+    actor: null
+  };
+
+  storage.run(context, () => next());
+};
+
+/**
+ * Contexte courant (null hors requête: scripts, tâches planifiées)
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Renseigner l'auteur des actions de la requête (après authentification)
+ * impersonator: administrateur agissant en tant que `user`, le cas échéant
+ * (user.apiKey est renseigné pour un accès par clé d'API de boutique)
+ */
+const setRequestActor = (user, impersonator = null) => {
+  const context = storage.getStore();
+  if (context && user) {
+    context.actor = {
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      impersonatorId: impersonator ? impersonator.id : null,
+      apiKeyId: user.apiKey ? user.apiKey.id : null
+    };
+  }
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  setRequestActor
+};
@@ -1,6 +1,26 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { STOCK_ADJUSTMENT_REASONS, PRODUCT_IMPORT_FIELDS } = require('../utils/constants');
+
+/**
+ * Variante de produit (options, SKU, prix propre, stock)
+ */
+const productVariant = Joi.object({
+  id: Joi.string().uuid().optional(),
+  options: Joi.object().pattern(Joi.string().max(50), Joi.string().max(100)).min(1).required().messages({
+    'object.min': 'Une variante doit avoir au moins une option (ex: taille, couleur)',
+    'any.required': 'Les options de la variante sont requises'
+  }),
+  sku: Joi.string().max(100).allow(null, '').optional(),
+  barcode: Joi.string().max(100).allow(null, '').optional(),
+  price: Joi.number().positive().allow(null).optional(),
+  compareAtPrice: Joi.number().positive().allow(null).optional(),
+  stockQuantity: Joi.number().integer().min(0).optional(),
+  images: Joi.array().items(Joi.string().max(500)).max(20).optional(),
+  position: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().default(true)
+});
 
 /**
  * Schémas de validation Joi pour les entités principales
@@ -40,7 +60,9 @@ const schemas = {
       country: Joi.string().length(2).default('TG'),
       city: Joi.string().max(100).optional(),
       address: Joi.string().max(255).optional(),
-      preferredLanguage: Joi.string().valid('fr', 'en').default('fr')
+      preferredLanguage: Joi.string().valid('fr', 'en').default('fr'),
+      marketingEmails: Joi.boolean().default(false),
+      marketingSms: Joi.boolean().default(false)
     }),
 
     login: Joi.object({
@@ -116,6 +138,8 @@ const schemas = {
 
   // Validation des produits
   product: {
+    variant: productVariant,
+
     create: Joi.object({
       name: Joi.string().min(2).max(300).required().messages({
         'string.min': 'Le nom du produit doit contenir au moins 2 caractères',
@@ -147,7 +171,8 @@ const schemas = {
       sizeOptions: Joi.array().items(Joi.string()).optional(),
       styleTags: Joi.array().items(Joi.string()).optional(),
       stockQuantity: Joi.number().min(0).default(0),
-      lowStockThreshold: Joi.number().min(0).default(5)
+      lowStockThreshold: Joi.number().min(0).default(5),
+      variants: Joi.array().items(productVariant).max(100).optional()
     }),
 
     update: Joi.object({
@@ -165,7 +190,107 @@ const schemas = {
       colorOptions: Joi.array().items(Joi.string()).optional(),
       sizeOptions: Joi.array().items(Joi.string()).optional(),
       styleTags: Joi.array().items(Joi.string()).optional(),
-      status: Joi.string().valid('draft', 'active', 'inactive', 'archived').optional()
+      status: Joi.string().valid('draft', 'active', 'inactive', 'archived').optional(),
+      variants: Joi.array().items(productVariant).max(100).optional()
+    })
+  },
+
+  // Validation des lieux de stock et des transferts
+  stockLocation: {
+    create: Joi.object({
+      name: Joi.string().min(2).max(100).required().messages({
+        'any.required': 'Le nom du lieu est requis'
+      }),
+      code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(30).required().messages({
+        'string.pattern.base': 'Le code ne peut contenir que des lettres, chiffres, tirets et soulignés',
+        'any.required': 'Le code du lieu est requis'
+      }),
+      type: Joi.string().valid('workshop', 'shop', 'warehouse').default('workshop'),
+      address: Joi.string().max(255).allow(null, '').optional(),
+      city: Joi.string().max(100).allow(null, '').optional(),
+      country: Joi.string().max(100).allow(null, '').optional(),
+      phone: Joi.string().max(30).allow(null, '').optional(),
+      isDefault: Joi.boolean().default(false),
+      fulfillsOnlineOrders: Joi.boolean().default(true),
+      priority: Joi.number().integer().min(0).default(0)
+    }),
+
+    update: Joi.object({
+      name: Joi.string().min(2).max(100).optional(),
+      code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(30).optional(),
+      type: Joi.string().valid('workshop', 'shop', 'warehouse').optional(),
+      address: Joi.string().max(255).allow(null, '').optional(),
+      city: Joi.string().max(100).allow(null, '').optional(),
+      country: Joi.string().max(100).allow(null, '').optional(),
+      phone: Joi.string().max(30).allow(null, '').optional(),
+      isDefault: Joi.boolean().valid(true).optional(),
+      fulfillsOnlineOrders: Joi.boolean().optional(),
+      priority: Joi.number().integer().min(0).optional(),
+      isActive: Joi.boolean().optional()
+    }).min(1),
+
+    stock: Joi.object({
+      items: Joi.array().items(Joi.object({
+        productId: Joi.string().uuid().required(),
+        variantId: Joi.string().uuid().allow(null).optional(),
+        quantity: Joi.number().integer().min(0).required(),
+        lowStockThreshold: Joi.number().integer().min(0).allow(null).optional()
+      })).min(1).max(500).required()
+    }),
+
+    transfer: Joi.object({
+      fromLocationId: Joi.string().uuid().required(),
+      toLocationId: Joi.string().uuid().required(),
+      items: Joi.array().items(Joi.object({
+        productId: Joi.string().uuid().required(),
+        variantId: Joi.string().uuid().allow(null).optional(),
+        quantity: Joi.number().integer().min(1).required()
+      })).min(1).max(200).required(),
+      notes: Joi.string().max(1000).allow('').optional()
+    }),
+
+    adjustment: Joi.object({
+      type: Joi.string().valid(...Object.keys(STOCK_ADJUSTMENT_REASONS)).required(),
+      reason: Joi.string().required().when('type', {
+        switch: Object.entries(STOCK_ADJUSTMENT_REASONS).map(([type, reasons]) => ({
+          is: type,
+          then: Joi.valid(...reasons).messages({
+            'any.only': `Motif invalide pour ce type d'ajustement (${reasons.join(', ')})`
+          })
+        }))
+      }),
+      items: Joi.array().items(Joi.object({
+        productId: Joi.string().uuid().required(),
+        variantId: Joi.string().uuid().allow(null).optional(),
+        quantity: Joi.number().integer().invalid(0).required().messages({
+          'any.invalid': 'La quantité d\'un ajustement ne peut pas être nulle'
+        })
+      })).min(1).max(200).required(),
+      notes: Joi.string().max(1000).allow('').optional()
+    }),
+
+    stocktake: Joi.object({
+      items: Joi.array().items(Joi.object({
+        productId: Joi.string().uuid().required(),
+        variantId: Joi.string().uuid().allow(null).optional(),
+        countedQuantity: Joi.number().integer().min(0).required()
+      })).min(1).max(1000).required(),
+      full: Joi.boolean().default(false),
+      dryRun: Joi.boolean().default(false),
+      notes: Joi.string().max(1000).allow('').optional()
+    })
+  },
+
+  // Validation des imports de produits (champs d'un formulaire multipart)
+  productImport: {
+    create: Joi.object({
+      mapping: Joi.object()
+        .pattern(Joi.string().valid(...Object.keys(PRODUCT_IMPORT_FIELDS)), Joi.string().max(255).allow(null))
+        .default({})
+        .messages({ 'object.unknown': 'Champ d\'import inconnu dans la correspondance des colonnes: {#key}' }),
+      dryRun: Joi.boolean().default(false),
+      categoryId: Joi.string().uuid().allow(null, '').optional(),
+      status: Joi.string().valid('draft', 'active', 'inactive').default('draft')
     })
   },
 
@@ -174,12 +299,14 @@ const schemas = {
     create: Joi.object({
       items: Joi.array().items(Joi.object({
         productId: Joi.string().uuid().required(),
+        variantId: Joi.string().uuid().optional(),
         quantity: Joi.number().integer().min(1).required(),
         price: Joi.number().positive().required()
       })).min(1).required().messages({
         'array.min': 'Au moins un article est requis',
         'any.required': 'Les articles sont requis'
       }),
+      fulfillmentLocationId: Joi.string().uuid().optional(),
       shippingAddress: Joi.object({
         firstName: Joi.string().required(),
         lastName: Joi.string().required(),
@@ -222,7 +349,7 @@ const schemas = {
  * Middleware de validation Joi
  */
 const validateJoi = (schema) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     const { error, value } = schema.validate(req.body, {
       abortEarly: false, // Retourner toutes les erreurs
       allowUnknown: false, // Rejeter les champs non définis
@@ -243,6 +370,10 @@ const validateJoi = (schema) => {
     req.body = value;
     next();
   };
+
+  // Schéma exposé pour la documentation OpenAPI de la route
+  middleware.schema = schema;
+  return middleware;
 };
 
 /**
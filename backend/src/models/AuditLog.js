@@ -0,0 +1,171 @@
+const db = require('../config/database');
+const { SYSTEM_LIMITS } = require('../utils/constants');
+
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Modèle AuditLog - Journal des actions privilégiées et financières
+ * Le journal est en ajout seul: la base refuse toute modification ou
+ * suppression d'une entrée (trigger audit_logs_append_only).
+ */
+class AuditLog {
+  /**
+   * Ajouter une entrée au journal
+   */
+  static async create(entry) {
+    const [log] = await db('audit_logs')
+      .insert({
+        actor_id: entry.actorId || null,
+        actor_role: entry.actorRole || null,
+        impersonator_id: entry.impersonatorId || null,
+        api_key_id: entry.apiKeyId || null,
+        action: entry.action,
+        entity_type: entry.entityType,
+        entity_id: entry.entityId != null ? String(entry.entityId) : null,
+        before: entry.before ? JSON.stringify(entry.before) : null,
+        after: entry.after ? JSON.stringify(entry.after) : null,
+        metadata: JSON.stringify(entry.metadata || {}),
+        ip_address: entry.ipAddress || null,
+        user_agent: entry.userAgent || null,
+        request_id: entry.requestId || null
+      })
+      .returning('*');
+
+    return log;
+  }
+
+  /**
+   * Appliquer les filtres de recherche
+   */
+  static applyFilters(query, filters = {}) {
+    const { actorId, impersonatorId, apiKeyId, action, entityType, entityId, requestId, from, to } = filters;
+
+    if (actorId) {
+      query.where('audit_logs.actor_id', actorId);
+    }
+
+    if (impersonatorId) {
+      query.where('audit_logs.impersonator_id', impersonatorId);
+    }
+
+    if (apiKeyId) {
+      query.where('audit_logs.api_key_id', apiKeyId);
+    }
+
+    if (action) {
+      // "store" filtre toutes les actions store.*, "store.verify" une seule action
+      if (action.includes('.')) {
+        query.where('audit_logs.action', action);
+      } else {
+        query.where('audit_logs.action', 'like', `${action}.%`);
+      }
+    }
+
+    if (entityType) {
+      query.where('audit_logs.entity_type', entityType);
+    }
+
+    if (entityId) {
+      query.where('audit_logs.entity_id', String(entityId));
+    }
+
+    if (requestId) {
+      query.where('audit_logs.request_id', requestId);
+    }
+
+    if (from) {
+      query.where('audit_logs.created_at', '>=', from);
+    }
+
+    if (to) {
+      query.where('audit_logs.created_at', '<=', to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Requête de base (avec l'email actuel de l'auteur, s'il existe encore)
+   */
+  static baseQuery() {
+    return db('audit_logs')
+      .select([
+        'audit_logs.*',
+        'users.email as actor_email'
+      ])
+      .leftJoin('users', 'audit_logs.actor_id', 'users.id');
+  }
+
+  /**
+   * Rechercher dans le journal avec pagination
+   */
+  static async findAll(filters = {}, page = 1, limit = SYSTEM_LIMITS.PAGINATION_DEFAULT_LIMIT) {
+    const offset = (page - 1) * limit;
+
+    const query = AuditLog.applyFilters(AuditLog.baseQuery(), filters)
+      .orderBy('audit_logs.created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+
+    const countQuery = AuditLog.applyFilters(db('audit_logs'), filters)
+      .count('* as total')
+      .first();
+
+    const [logs, countResult] = await Promise.all([query, countQuery]);
+    const total = parseInt(countResult.total);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Parcourir les entrées filtrées par lots (export)
+   * Pagination par curseur (created_at, id) pour rester stable pendant l'export.
+   * Le curseur garde created_at en texte: une Date JS est tronquée à la
+   * milliseconde alors que timestamptz est à la microseconde, ce qui ferait
+   * ressortir en double les entrées d'une même milliseconde à chaque lot.
+   */
+  static async *iterate(filters = {}, batchSize = EXPORT_BATCH_SIZE) {
+    let cursor = null;
+
+    while (true) {
+      const query = AuditLog.applyFilters(AuditLog.baseQuery(), filters)
+        .select(db.raw('audit_logs.created_at::text as cursor_created_at'))
+        .orderBy([
+          { column: 'audit_logs.created_at', order: 'asc' },
+          { column: 'audit_logs.id', order: 'asc' }
+        ])
+        .limit(batchSize);
+
+      if (cursor) {
+        query.whereRaw(
+          '(audit_logs.created_at, audit_logs.id) > (?::timestamptz, ?::uuid)',
+          [cursor.createdAt, cursor.id]
+        );
+      }
+
+      const rows = await query;
+      for (const { cursor_created_at: _cursorCreatedAt, ...row } of rows) {
+        yield row;
+      }
+
+      if (rows.length < batchSize) {
+        return;
+      }
+
+      const last = rows[rows.length - 1];
+      cursor = { createdAt: last.cursor_created_at, id: last.id };
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle Category - Gestion des catégories hiérarchiques
@@ -278,12 +279,18 @@ class Category {
 
     filteredData.updated_at = db.fn.now();
 
+    const before = await db('categories').where({ id }).whereNull('deleted_at').first();
+
     const [category] = await db('categories')
       .where({ id })
       .whereNull('deleted_at')
       .update(filteredData)
       .returning('*');
 
+    if (category) {
+      await auditService.record('category.update', { entityType: 'category', entityId: id, before, after: category });
+    }
+
     // Mettre à jour les niveaux des enfants si nécessaire
     if (filteredData.level !== undefined) {
       await this.updateChildrenLevels(id);
@@ -418,6 +425,8 @@ class Category {
       throw new Error('Impossible de supprimer une catégorie qui contient des sous-catégories');
     }
 
+    const before = await db('categories').where({ id }).whereNull('deleted_at').first();
+
     await db('categories')
       .where({ id })
       .update({
@@ -425,6 +434,10 @@ class Category {
         is_active: false
       });
 
+    if (before) {
+      await auditService.record('category.delete', { entityType: 'category', entityId: id, before });
+    }
+
     return true;
   }
 
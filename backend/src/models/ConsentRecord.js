@@ -0,0 +1,70 @@
+const db = require('../config/database');
+
+/**
+ * Modèle ConsentRecord - Registre des consentements (ajout seul)
+ * Chaque décision (accord ou retrait) est une nouvelle ligne; l'état courant
+ * d'un consentement est la ligne la plus récente pour (utilisateur, canal, finalité).
+ */
+class ConsentRecord {
+  /**
+   * Enregistrer une décision
+   */
+  static async record({ userId, channel = null, purpose, granted, source, policyVersion = null, ipAddress = null, userAgent = null }, trx = db) {
+    const [record] = await trx('consent_records')
+      .insert({
+        user_id: userId,
+        channel,
+        purpose,
+        granted,
+        source,
+        policy_version: policyVersion,
+        ip_address: ipAddress,
+        user_agent: userAgent
+      })
+      .returning('*');
+
+    return record;
+  }
+
+  /**
+   * Dernière décision d'un utilisateur pour un canal et une finalité
+   */
+  static async findLatest(userId, channel, purpose) {
+    return await db('consent_records')
+      .where({ user_id: userId, channel, purpose })
+      .orderBy('created_at', 'desc')
+      .first();
+  }
+
+  /**
+   * Utilisateurs dont la dernière décision pour ce canal et cette finalité est un accord
+   * Retourne la liste des IDs
+   */
+  static async findGrantedUserIds(userIds, channel, purpose) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const latest = await db('consent_records')
+      .distinctOn('user_id')
+      .select(['user_id', 'granted'])
+      .whereIn('user_id', userIds)
+      .where({ channel, purpose })
+      .orderBy([{ column: 'user_id' }, { column: 'created_at', order: 'desc' }]);
+
+    return latest.filter(record => record.granted).map(record => record.user_id);
+  }
+
+  /**
+   * Historique des décisions d'un utilisateur (les plus récentes d'abord)
+   */
+  static async findByUser(userId, { limit = 100 } = {}) {
+    return await db('consent_records')
+      .select(['id', 'channel', 'purpose', 'granted', 'source', 'policy_version', 'created_at'])
+      .where({ user_id: userId })
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+  }
+}
+
+module.exports = ConsentRecord;
@@ -0,0 +1,220 @@
+const db = require('../config/database');
+const { hashString } = require('../utils/helpers');
+
+// Colonnes exposées (jamais l'empreinte du lien)
+const PUBLIC_COLUMNS = [
+  'id', 'user_id', 'status', 'started_at', 'completed_at', 'error_message',
+  'file_name', 'file_size', 'summary', 'expires_at', 'download_count',
+  'last_downloaded_at', 'created_at'
+];
+
+/**
+ * Modèle DataExport - Exports des données personnelles (RGPD)
+ * Cycle de vie: pending -> processing -> completed (-> expired) | failed
+ */
+class DataExport {
+  /**
+   * Enregistrer une nouvelle demande d'export
+   */
+  static async create(userId, requestedIp = null) {
+    const [dataExport] = await db('data_exports')
+      .insert({
+        user_id: userId,
+        status: 'pending',
+        requested_ip: requestedIp
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    return dataExport;
+  }
+
+  /**
+   * Trouver un export par ID (optionnellement limité à un utilisateur)
+   */
+  static async findById(id, userId = null) {
+    const query = db('data_exports')
+      .select(PUBLIC_COLUMNS)
+      .where({ id });
+
+    if (userId) {
+      query.where({ user_id: userId });
+    }
+
+    return await query.first();
+  }
+
+  /**
+   * Historique des exports d'un utilisateur
+   */
+  static async findByUser(userId, limit = 20) {
+    return await db('data_exports')
+      .select(PUBLIC_COLUMNS)
+      .where({ user_id: userId })
+      .orderBy('created_at', 'desc')
+      .limit(limit);
+  }
+
+  /**
+   * Export en attente ou en cours pour un utilisateur
+   */
+  static async findActive(userId) {
+    return await db('data_exports')
+      .select(PUBLIC_COLUMNS)
+      .where({ user_id: userId })
+      .whereIn('status', ['pending', 'processing'])
+      .first();
+  }
+
+  /**
+   * Nombre de demandes d'un utilisateur depuis une date
+   */
+  static async countSince(userId, since) {
+    const result = await db('data_exports')
+      .where({ user_id: userId })
+      .where('created_at', '>=', since)
+      .count('* as count')
+      .first();
+
+    return parseInt(result.count) || 0;
+  }
+
+  /**
+   * Prendre en charge un export en attente (une seule instance le traite)
+   * Retourne l'export, ou null s'il a déjà été pris en charge
+   */
+  static async claim(id) {
+    const [dataExport] = await db('data_exports')
+      .where({ id, status: 'pending' })
+      .update({
+        status: 'processing',
+        started_at: db.fn.now(),
+        updated_at: db.fn.now()
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    return dataExport || null;
+  }
+
+  /**
+   * Archive prête: enregistrer le fichier et le lien de téléchargement
+   */
+  static async markCompleted(id, { fileName, fileSize, summary, token, expiresAt }) {
+    const [dataExport] = await db('data_exports')
+      .where({ id })
+      .update({
+        status: 'completed',
+        completed_at: db.fn.now(),
+        file_name: fileName,
+        file_size: fileSize,
+        summary: JSON.stringify(summary),
+        download_token_hash: hashString(token),
+        expires_at: expiresAt,
+        error_message: null,
+        updated_at: db.fn.now()
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    return dataExport;
+  }
+
+  /**
+   * Échec du traitement
+   */
+  static async markFailed(id, errorMessage) {
+    await db('data_exports')
+      .where({ id })
+      .update({
+        status: 'failed',
+        completed_at: db.fn.now(),
+        error_message: String(errorMessage).slice(0, 1000),
+        updated_at: db.fn.now()
+      });
+  }
+
+  /**
+   * Export téléchargeable avec ce lien (terminé, non expiré)
+   */
+  static async findDownloadable(id, userId, token) {
+    return await db('data_exports')
+      .select(PUBLIC_COLUMNS)
+      .where({
+        id,
+        user_id: userId,
+        status: 'completed',
+        download_token_hash: hashString(String(token))
+      })
+      .where('expires_at', '>', db.fn.now())
+      .first();
+  }
+
+  /**
+   * Noter un téléchargement
+   */
+  static async recordDownload(id) {
+    await db('data_exports')
+      .where({ id })
+      .increment('download_count', 1)
+      .update({ last_downloaded_at: db.fn.now() });
+  }
+
+  /**
+   * Exports à reprendre après un redémarrage: en attente, ou bloqués
+   * en traitement depuis plus de `staleMinutes`
+   */
+  static async findResumable(staleMinutes) {
+    return await db('data_exports')
+      .select(['id', 'status'])
+      .where({ status: 'pending' })
+      .orWhere(function() {
+        this.where({ status: 'processing' })
+          .where('started_at', '<', db.raw(`NOW() - INTERVAL '${parseInt(staleMinutes)} minutes'`));
+      })
+      .orderBy('created_at', 'asc');
+  }
+
+  /**
+   * Remettre un export bloqué en attente
+   */
+  static async resetToPending(id) {
+    await db('data_exports')
+      .where({ id, status: 'processing' })
+      .update({ status: 'pending', started_at: null, updated_at: db.fn.now() });
+  }
+
+  /**
+   * Exports terminés dont le lien a expiré
+   */
+  static async findExpired() {
+    return await db('data_exports')
+      .select(['id', 'file_name'])
+      .where({ status: 'completed' })
+      .where('expires_at', '<=', db.fn.now());
+  }
+
+  /**
+   * Marquer un export comme expiré (archive supprimée)
+   */
+  static async markExpired(id) {
+    await db('data_exports')
+      .where({ id })
+      .update({
+        status: 'expired',
+        file_name: null,
+        download_token_hash: null,
+        updated_at: db.fn.now()
+      });
+  }
+
+  /**
+   * Supprimer tous les exports d'un utilisateur
+   * Retourne les exports supprimés (pour effacer leurs archives)
+   */
+  static async deleteByUser(userId) {
+    return await db('data_exports')
+      .where({ user_id: userId })
+      .del()
+      .returning(['id', 'file_name']);
+  }
+}
+
+module.exports = DataExport;
@@ -0,0 +1,37 @@
+const db = require('../config/database');
+
+/**
+ * Modèle ErasureCertificate - Preuve d'effacement d'un compte (RGPD)
+ * Aucune donnée personnelle: identifiant du compte, dates, volumes traités
+ * et empreinte du contenu.
+ */
+class ErasureCertificate {
+  /**
+   * Enregistrer un certificat (dans la transaction d'anonymisation)
+   */
+  static async create(data, trx = db) {
+    const [certificate] = await trx('erasure_certificates')
+      .insert({
+        user_id: data.userId,
+        requested_at: data.requestedAt,
+        executed_at: data.executedAt,
+        records: JSON.stringify(data.records),
+        media_removed: data.mediaRemoved || 0,
+        certificate_hash: data.certificateHash
+      })
+      .returning('*');
+
+    return certificate;
+  }
+
+  /**
+   * Certificat d'un compte
+   */
+  static async findByUser(userId) {
+    return await db('erasure_certificates')
+      .where({ user_id: userId })
+      .first();
+  }
+}
+
+module.exports = ErasureCertificate;
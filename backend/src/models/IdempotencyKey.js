@@ -0,0 +1,78 @@
+const db = require('../config/database');
+
+/**
+ * Modèle IdempotencyKey - Réponses enregistrées par clé Idempotency-Key
+ * Cycle de vie: processing (requête en cours) -> completed (réponse rejouable)
+ * Une clé expirée ou un verrou abandonné peut être repris par une nouvelle requête.
+ */
+class IdempotencyKey {
+  /**
+   * Réserver une clé pour une requête
+   * Retourne la ligne créée, ou null si la clé est déjà prise
+   */
+  static async claim({ userId, key, endpoint, fingerprint, ttlSeconds }) {
+    const [record] = await db('idempotency_keys')
+      .insert({
+        user_id: userId,
+        idempotency_key: key,
+        endpoint,
+        request_fingerprint: fingerprint,
+        status: 'processing',
+        locked_at: new Date(),
+        expires_at: new Date(Date.now() + ttlSeconds * 1000)
+      })
+      .onConflict(['user_id', 'idempotency_key'])
+      .ignore()
+      .returning('*');
+
+    return record || null;
+  }
+
+  /**
+   * Trouver une clé d'un utilisateur
+   */
+  static async find(userId, key) {
+    return await db('idempotency_keys')
+      .where({ user_id: userId, idempotency_key: key })
+      .first();
+  }
+
+  /**
+   * Enregistrer la réponse d'une requête terminée
+   */
+  static async complete(id, { status, body }) {
+    await db('idempotency_keys')
+      .where({ id })
+      .update({
+        status: 'completed',
+        response_status: status,
+        response_body: JSON.stringify(body),
+        updated_at: db.fn.now()
+      });
+  }
+
+  /**
+   * Libérer une clé (échec serveur: le client peut réessayer)
+   * Si `lockedAt` est fourni, seule la réservation correspondante est supprimée
+   */
+  static async release(id, lockedAt = null) {
+    const query = db('idempotency_keys').where({ id });
+
+    if (lockedAt) {
+      query.where({ locked_at: lockedAt });
+    }
+
+    return await query.del();
+  }
+
+  /**
+   * Supprimer les clés expirées
+   */
+  static async deleteExpired() {
+    return await db('idempotency_keys')
+      .where('expires_at', '<', db.fn.now())
+      .del();
+  }
+}
+
+module.exports = IdempotencyKey;
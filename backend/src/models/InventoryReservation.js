@@ -0,0 +1,85 @@
+const db = require('../config/database');
+const { RESERVATION_STATUS } = require('../utils/constants');
+
+/**
+ * Modèle InventoryReservation - Stock réservé par les commandes
+ * Cycle de vie: active -> converted (vendu) | released (annulée) | expired
+ *               converted -> returned (commande payée puis annulée)
+ * Le stock est réservé dans un lieu (location_id): les compteurs
+ * reserved_quantity des niveaux de stock sont la somme des réservations actives.
+ */
+class InventoryReservation {
+  /**
+   * Enregistrer les réservations d'une commande
+   */
+  static async createMany(reservations, trx = db) {
+    if (reservations.length === 0) {
+      return [];
+    }
+
+    return await trx('inventory_reservations')
+      .insert(reservations.map(reservation => ({
+        order_id: reservation.orderId,
+        order_item_id: reservation.orderItemId || null,
+        product_id: reservation.productId,
+        variant_id: reservation.variantId || null,
+        location_id: reservation.locationId || null,
+        quantity: reservation.quantity,
+        status: RESERVATION_STATUS.ACTIVE,
+        expires_at: reservation.expiresAt || null
+      })))
+      .returning('*');
+  }
+
+  /**
+   * Réservations d'une commande dans un statut donné (lignes verrouillées)
+   */
+  static async findByOrder(orderId, status, trx = db) {
+    return await trx('inventory_reservations')
+      .where({ order_id: orderId, status })
+      .forUpdate();
+  }
+
+  /**
+   * Changer le statut de réservations
+   */
+  static async markAs(ids, status, trx = db) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const updateData = { status, updated_at: trx.fn.now() };
+    if (status === RESERVATION_STATUS.CONVERTED) {
+      updateData.converted_at = trx.fn.now();
+    } else {
+      updateData.released_at = trx.fn.now();
+    }
+
+    return await trx('inventory_reservations')
+      .whereIn('id', ids)
+      .update(updateData);
+  }
+
+  /**
+   * Lever l'échéance des réservations actives d'une commande (paiement reçu)
+   */
+  static async clearExpiry(orderId, trx = db) {
+    return await trx('inventory_reservations')
+      .where({ order_id: orderId, status: RESERVATION_STATUS.ACTIVE })
+      .update({ expires_at: null, updated_at: trx.fn.now() });
+  }
+
+  /**
+   * Commandes dont des réservations actives ont dépassé leur échéance
+   */
+  static async findExpiredOrderIds(limit = 100) {
+    return await db('inventory_reservations')
+      .distinct('order_id')
+      .where({ status: RESERVATION_STATUS.ACTIVE })
+      .where('expires_at', '<=', db.fn.now())
+      .limit(limit)
+      .pluck('order_id');
+  }
+}
+
+module.exports = InventoryReservation;
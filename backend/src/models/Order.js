@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle Order - Gestion des commandes avec workflow complet
@@ -308,12 +309,18 @@ class Order {
       updateData.status_notes = notes;
     }
 
+    const before = await db('orders').where({ id }).whereNull('deleted_at').first();
+
     const [order] = await db('orders')
       .where({ id })
       .whereNull('deleted_at')
       .update(updateData)
       .returning('*');
 
+    if (order) {
+      await auditService.record('order.update_status', { entityType: 'order', entityId: id, before, after: order });
+    }
+
     // Si la commande est annulée, restaurer le stock
     if (status === 'cancelled') {
       await this.restoreStock(id);
@@ -350,12 +357,24 @@ class Order {
       }
     }
 
+    const before = await db('orders').where({ id }).whereNull('deleted_at').first();
+
     const [order] = await db('orders')
       .where({ id })
       .whereNull('deleted_at')
       .update(updateData)
       .returning('*');
 
+    if (order) {
+      await auditService.record('order.update_payment_status', {
+        entityType: 'order',
+        entityId: id,
+        before,
+        after: order,
+        metadata: transactionId ? { transactionId } : {}
+      });
+    }
+
     return order ? this.formatOrder(order) : null;
   }
 
@@ -524,6 +543,17 @@ class Order {
       .where({ id })
       .update({ deleted_at: db.fn.now() });
 
+    await auditService.record('order.delete', {
+      entityType: 'order',
+      entityId: id,
+      before: {
+        order_number: order.order_number,
+        status: order.status,
+        payment_status: order.payment_status,
+        total_amount: order.total_amount
+      }
+    });
+
     return true;
   }
 
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle Payment - Gestion des paiements et transactions
@@ -222,7 +223,9 @@ class Payment {
       updateData.metadata = JSON.stringify(newMetadata);
     }
 
-    return await db.transaction(async (trx) => {
+    const before = await db('payments').where({ id }).first();
+
+    const payment = await db.transaction(async (trx) => {
       const [payment] = await trx('payments')
         .where({ id })
         .update(updateData)
@@ -248,8 +251,15 @@ class Payment {
         }
       }
 
-      return payment ? this.formatPayment(payment) : null;
+      return payment;
     });
+
+    // Journalisé après validation de la transaction
+    if (payment) {
+      await auditService.record('payment.update_status', { entityType: 'payment', entityId: id, before, after: payment });
+    }
+
+    return payment ? this.formatPayment(payment) : null;
   }
 
   /**
@@ -0,0 +1,152 @@
+const db = require('../config/database');
+const { PERMISSIONS, USER_ROLES } = require('../utils/constants');
+
+/**
+ * Modèle Permission - Registre des permissions et attribution aux rôles
+ * Le registre est défini dans le code (constants.PERMISSIONS), l'attribution
+ * aux rôles est stockée en base et modifiable par les super admins.
+ */
+class Permission {
+  /**
+   * Rôles dont les permissions sont modifiables
+   * (super_admin dispose toujours de toutes les permissions)
+   */
+  static getEditableRoles() {
+    return Object.values(USER_ROLES).filter(role => role !== USER_ROLES.SUPER_ADMIN);
+  }
+
+  /**
+   * La permission existe-t-elle dans le registre ?
+   */
+  static isKnown(key) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, key);
+  }
+
+  /**
+   * Enregistrer en base les permissions nouvellement déclarées
+   * Seules les permissions absentes reçoivent leurs rôles par défaut: une
+   * permission retirée d'un rôle par un super admin n'est jamais réattribuée.
+   * Les permissions qui ne figurent plus dans le registre sont supprimées.
+   * Retourne les clés ajoutées.
+   */
+  static async syncRegistry() {
+    const rows = Object.entries(PERMISSIONS).map(([key, definition]) => ({
+      key,
+      group: definition.group,
+      description: definition.description
+    }));
+
+    return await db.transaction(async (trx) => {
+      // Permissions retirées du registre (les attributions suivent en cascade)
+      await trx('permissions')
+        .whereNotIn('key', rows.map(row => row.key))
+        .del();
+
+      const inserted = await trx('permissions')
+        .insert(rows)
+        .onConflict('key')
+        .ignore()
+        .returning('key');
+
+      const addedKeys = inserted.map(row => row.key);
+
+      const grants = addedKeys.flatMap(key =>
+        PERMISSIONS[key].defaultRoles
+          .filter(role => role !== USER_ROLES.SUPER_ADMIN)
+          .map(role => ({ role, permission_key: key }))
+      );
+
+      if (grants.length > 0) {
+        await trx('role_permissions')
+          .insert(grants)
+          .onConflict(['role', 'permission_key'])
+          .ignore();
+      }
+
+      return addedKeys;
+    });
+  }
+
+  /**
+   * Toutes les permissions du registre, par groupe puis par clé
+   */
+  static async findAll() {
+    return await db('permissions')
+      .select(['key', 'group', 'description'])
+      .orderBy([{ column: 'group' }, { column: 'key' }]);
+  }
+
+  /**
+   * Clés des permissions accordées à un rôle
+   */
+  static async getKeysForRole(role) {
+    if (role === USER_ROLES.SUPER_ADMIN) {
+      return Object.keys(PERMISSIONS);
+    }
+
+    const rows = await db('role_permissions')
+      .select('permission_key')
+      .where({ role })
+      .orderBy('permission_key');
+
+    return rows.map(row => row.permission_key).filter(key => Permission.isKnown(key));
+  }
+
+  /**
+   * Matrice complète { role: [permissions] }
+   */
+  static async getRoleMatrix() {
+    const rows = await db('role_permissions')
+      .select(['role', 'permission_key'])
+      .orderBy('permission_key');
+
+    const matrix = {};
+    for (const role of Object.values(USER_ROLES)) {
+      matrix[role] = [];
+    }
+    matrix[USER_ROLES.SUPER_ADMIN] = Object.keys(PERMISSIONS);
+
+    for (const row of rows) {
+      if (matrix[row.role] && row.role !== USER_ROLES.SUPER_ADMIN && Permission.isKnown(row.permission_key)) {
+        matrix[row.role].push(row.permission_key);
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Remplacer les permissions d'un rôle
+   * Retourne { added, removed }
+   */
+  static async setRolePermissions(role, keys, grantedBy = null) {
+    const wanted = [...new Set(keys)];
+
+    return await db.transaction(async (trx) => {
+      const current = (await trx('role_permissions')
+        .select('permission_key')
+        .where({ role }))
+        .map(row => row.permission_key);
+
+      const added = wanted.filter(key => !current.includes(key));
+      const removed = current.filter(key => !wanted.includes(key));
+
+      if (removed.length > 0) {
+        await trx('role_permissions')
+          .where({ role })
+          .whereIn('permission_key', removed)
+          .del();
+      }
+
+      if (added.length > 0) {
+        await trx('role_permissions').insert(
+          added.map(key => ({ role, permission_key: key, granted_by: grantedBy }))
+        );
+      }
+
+      return { added, removed };
+    });
+  }
+}
+
+module.exports = Permission;
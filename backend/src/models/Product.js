@@ -1,4 +1,8 @@
 const db = require('../config/database');
+const auditService = require('../services/auditService');
+const StockLocation = require('./StockLocation');
+const StockLevel = require('./StockLevel');
+const { STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_REASONS } = require('../utils/constants');
 
 /**
  * Modèle Product - Gestion des produits avec spécificités africaines
@@ -100,6 +104,15 @@ class Product {
       })
       .returning('*');
 
+    // Stock initial placé dans le lieu par défaut de la boutique
+    const location = await StockLocation.getDefault(product.store_id);
+    await StockLevel.upsert(location.id, product.id, null, { quantity: product.stock_quantity }, {
+      type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+      reason: STOCK_MOVEMENT_REASONS.OPENING_BALANCE,
+      referenceType: 'product',
+      referenceId: product.id
+    });
+
     return this.formatProduct(product);
   }
 
@@ -319,55 +332,109 @@ class Product {
 
     filteredData.updated_at = db.fn.now();
 
+    const before = await db('products').where({ id }).whereNull('deleted_at').first();
+
     const [product] = await db('products')
       .where({ id })
       .whereNull('deleted_at')
       .update(filteredData)
       .returning('*');
 
+    if (product) {
+      await auditService.record('product.update', { entityType: 'product', entityId: id, before, after: product });
+    }
+
     return product ? this.formatProduct(product) : null;
   }
 
   /**
-   * Gestion du stock
+   * Gestion du stock (lieu par défaut de la boutique)
+   * Le changement est inscrit au registre des mouvements; le stock ne peut
+   * pas descendre sous les quantités réservées par des commandes
    */
   static async updateStock(id, quantity, operation = 'set') {
-    const product = await this.findById(id);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Quantité invalide: ${quantity}`);
+    }
+
+    const product = await db('products')
+      .select(['id', 'store_id'])
+      .where({ id })
+      .whereNull('deleted_at')
+      .first();
     if (!product) return null;
 
-    let newQuantity;
-    switch (operation) {
-      case 'add':
-        newQuantity = product.stock_quantity + quantity;
-        break;
-      case 'subtract':
-        newQuantity = Math.max(0, product.stock_quantity - quantity);
-        break;
-      case 'set':
-      default:
-        newQuantity = quantity;
+    const [{ count }] = await db('product_variants').where({ product_id: id, is_active: true }).count('* as count');
+    if (parseInt(count) > 0) {
+      throw new Error('Le stock d\'un produit décliné se gère par variante');
     }
 
-    const [updatedProduct] = await db('products')
-      .where({ id })
-      .update({
-        stock_quantity: newQuantity,
-        updated_at: db.fn.now()
-      })
-      .returning('*');
+    await db.transaction(async (trx) => {
+      const location = await StockLocation.getDefault(product.store_id, trx);
+      const level = await StockLevel.findForUpdate(location.id, id, null, trx);
+      const current = level ? level.quantity : 0;
+      const reserved = level ? level.reserved_quantity : 0;
+
+      let newQuantity;
+      switch (operation) {
+        case 'add':
+          newQuantity = current + quantity;
+          break;
+        case 'subtract':
+          newQuantity = Math.max(reserved, current - quantity);
+          break;
+        case 'set':
+        default:
+          newQuantity = quantity;
+      }
+
+      if (newQuantity < reserved) {
+        throw new Error(`Stock inférieur aux quantités réservées par des commandes (${reserved})`);
+      }
 
-    return this.formatProduct(updatedProduct);
+      await StockLevel.upsert(location.id, id, null, { quantity: newQuantity }, {
+        type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        reason: operation === 'add' ? STOCK_MOVEMENT_REASONS.RESTOCK : STOCK_MOVEMENT_REASONS.CORRECTION,
+        referenceType: 'product',
+        referenceId: id
+      }, trx);
+      await StockLevel.refreshTotals(id, trx);
+    });
+
+    return await this.findById(id);
   }
 
   /**
-   * Obtenir les produits en rupture de stock
+   * Obtenir les produits en rupture de stock, lieu par lieu
+   * Un article (produit ou variante) est signalé dans chaque lieu actif où son
+   * stock disponible atteint le seuil d'alerte du lieu, à défaut celui du produit
    */
-  static async getLowStock(storeId = null) {
-    let query = db('products')
-      .select('products.*', 'stores.name as store_name')
+  static async getLowStock(storeId = null, { locationId = null } = {}) {
+    const threshold = 'COALESCE(stock_levels.low_stock_threshold, products.low_stock_threshold)';
+
+    let query = db('stock_levels')
+      .select([
+        'stock_levels.*',
+        'stock_locations.name as location_name',
+        'stock_locations.code as location_code',
+        'products.name as product_name',
+        'products.sku as product_sku',
+        'products.store_id',
+        'stores.name as store_name',
+        'product_variants.options as variant_options',
+        'product_variants.sku as variant_sku',
+        db.raw(`${threshold} as alert_threshold`)
+      ])
+      .join('stock_locations', 'stock_levels.location_id', 'stock_locations.id')
+      .join('products', 'stock_levels.product_id', 'products.id')
       .leftJoin('stores', 'products.store_id', 'stores.id')
-      .whereRaw('products.stock_quantity <= products.low_stock_threshold')
-      .where('products.inventory_tracking', true)
+      .leftJoin('product_variants', 'stock_levels.variant_id', 'product_variants.id')
+      .whereRaw(`stock_levels.quantity - stock_levels.reserved_quantity <= ${threshold}`)
+      .where('stock_locations.is_active', true)
+      .where(builder => builder
+        .whereNull('stock_levels.variant_id')
+        .orWhere('product_variants.is_active', true))
+      .where('products.track_inventory', true)
       .where('products.status', 'active')
       .whereNull('products.deleted_at');
 
@@ -375,8 +442,32 @@ class Product {
       query = query.where('products.store_id', storeId);
     }
 
-    const products = await query.orderBy('products.stock_quantity', 'asc');
-    return products.map(product => this.formatProduct(product));
+    if (locationId) {
+      query = query.where('stock_levels.location_id', locationId);
+    }
+
+    const levels = await query
+      .orderBy('stock_locations.name')
+      .orderByRaw('stock_levels.quantity - stock_levels.reserved_quantity');
+
+    return levels.map(level => ({
+      location: {
+        id: level.location_id,
+        name: level.location_name,
+        code: level.location_code
+      },
+      productId: level.product_id,
+      productName: level.product_name,
+      sku: level.variant_sku || level.product_sku,
+      storeId: level.store_id,
+      storeName: level.store_name,
+      variantId: level.variant_id,
+      variantName: level.variant_options ? Object.values(level.variant_options).join(' / ') : null,
+      quantity: level.quantity,
+      reservedQuantity: level.reserved_quantity,
+      availableQuantity: Math.max(level.quantity - level.reserved_quantity, 0),
+      lowStockThreshold: level.alert_threshold
+    }));
   }
 
   /**
@@ -432,6 +523,8 @@ class Product {
    * Supprimer un produit (soft delete)
    */
   static async delete(id) {
+    const before = await db('products').where({ id }).whereNull('deleted_at').first();
+
     await db('products')
       .where({ id })
       .update({
@@ -439,6 +532,10 @@ class Product {
         status: 'archived'
       });
 
+    if (before) {
+      await auditService.record('product.delete', { entityType: 'product', entityId: id, before });
+    }
+
     return true;
   }
 
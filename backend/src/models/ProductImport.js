@@ -0,0 +1,351 @@
+const db = require('../config/database');
+
+/**
+ * Modèle ProductImport - Imports de produits en masse (CSV/XLSX)
+ * Cycle de vie: pending -> processing -> completed | failed
+ * processed_rows est le curseur de reprise: chaque lot de lignes est
+ * enregistré avec son rapport dans la même transaction que le curseur.
+ */
+class ProductImport {
+  /**
+   * Enregistrer un nouvel import
+   */
+  static async create({
+    id, storeId, createdBy, dryRun, fileName, originalFileName, fileFormat,
+    imagesFileName, mapping, options, totalRows
+  }) {
+    const [productImport] = await db('product_imports')
+      .insert({
+        id,
+        store_id: storeId,
+        created_by: createdBy,
+        status: 'pending',
+        dry_run: dryRun,
+        file_name: fileName,
+        original_file_name: originalFileName,
+        file_format: fileFormat,
+        images_file_name: imagesFileName || null,
+        column_mapping: JSON.stringify(mapping),
+        options: JSON.stringify(options),
+        total_rows: totalRows
+      })
+      .returning('*');
+
+    return productImport;
+  }
+
+  /**
+   * Trouver un import d'une boutique
+   */
+  static async findForStore(storeId, id) {
+    return await db('product_imports')
+      .where({ id, store_id: storeId })
+      .first();
+  }
+
+  /**
+   * Import en attente ou en cours pour une boutique
+   */
+  static async findActive(storeId) {
+    return await db('product_imports')
+      .where({ store_id: storeId })
+      .whereIn('status', ['pending', 'processing'])
+      .first();
+  }
+
+  /**
+   * Imports d'une boutique (les plus récents d'abord)
+   */
+  static async findByStore(storeId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = db('product_imports').where({ store_id: storeId });
+
+    const [imports, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      imports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Rapport ligne à ligne d'un import (filtre: status)
+   */
+  static async findRows(importId, { status, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = db('product_import_rows').where({ import_id: importId });
+
+    if (status) {
+      baseQuery.where({ status });
+    }
+
+    const [rows, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .orderBy('row_number')
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Prendre en charge un import en attente (une seule instance le traite)
+   * Retourne l'import, ou null s'il a déjà été pris en charge
+   */
+  static async claim(id) {
+    const [productImport] = await db('product_imports')
+      .where({ id, status: 'pending' })
+      .update({
+        status: 'processing',
+        started_at: db.fn.now(),
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return productImport || null;
+  }
+
+  /**
+   * Enregistrer un lot traité: rapport des lignes, compteurs et curseur
+   * counts: { created, updated, errors }
+   */
+  static async recordBatch(id, { processedRows, counts, rows }, trx = db) {
+    if (rows.length > 0) {
+      await trx('product_import_rows')
+        .insert(rows.map(row => ({
+          import_id: id,
+          row_number: row.rowNumber,
+          sku: row.sku,
+          action: row.action,
+          status: row.status,
+          errors: JSON.stringify(row.errors),
+          product_id: row.productId || null
+        })))
+        .onConflict(['import_id', 'row_number'])
+        .merge();
+    }
+
+    await trx('product_imports')
+      .where({ id })
+      .update({
+        processed_rows: processedRows,
+        created_count: trx.raw('created_count + ?', [counts.created]),
+        updated_count: trx.raw('updated_count + ?', [counts.updated]),
+        error_count: trx.raw('error_count + ?', [counts.errors]),
+        updated_at: trx.fn.now()
+      });
+  }
+
+  /**
+   * Toutes les lignes ont été traitées
+   */
+  static async markCompleted(id) {
+    const [productImport] = await db('product_imports')
+      .where({ id })
+      .update({
+        status: 'completed',
+        completed_at: db.fn.now(),
+        error_message: null,
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return productImport;
+  }
+
+  /**
+   * Échec du traitement (le curseur est conservé pour la reprise)
+   */
+  static async markFailed(id, errorMessage) {
+    await db('product_imports')
+      .where({ id })
+      .update({
+        status: 'failed',
+        completed_at: db.fn.now(),
+        error_message: String(errorMessage).slice(0, 1000),
+        updated_at: db.fn.now()
+      });
+  }
+
+  /**
+   * Imports à reprendre après un redémarrage: en attente, ou bloqués
+   * en traitement depuis plus de `staleMinutes`
+   */
+  static async findResumable(staleMinutes) {
+    return await db('product_imports')
+      .select(['id', 'status'])
+      .where({ status: 'pending' })
+      .orWhere(function() {
+        this.where({ status: 'processing' })
+          .where('updated_at', '<', db.raw(`NOW() - INTERVAL '${parseInt(staleMinutes)} minutes'`));
+      })
+      .orderBy('created_at', 'asc');
+  }
+
+  /**
+   * Remettre un import bloqué en attente
+   */
+  static async resetToPending(id) {
+    await db('product_imports')
+      .where({ id, status: 'processing' })
+      .update({ status: 'pending', started_at: null, updated_at: db.fn.now() });
+  }
+
+  /**
+   * Reprendre un import échoué là où il s'est arrêté
+   * Retourne l'import, ou null s'il n'a pas échoué ou si ses fichiers ont été purgés
+   */
+  static async resume(id) {
+    const [productImport] = await db('product_imports')
+      .where({ id, status: 'failed' })
+      .whereNotNull('file_name')
+      .update({
+        status: 'pending',
+        started_at: null,
+        completed_at: null,
+        error_message: null,
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return productImport || null;
+  }
+
+  /**
+   * Lancer l'import réel d'une simulation terminée (mêmes fichiers, même correspondance)
+   * Le rapport de simulation est remplacé par celui de l'import.
+   * Retourne l'import, ou null si ce n'est pas une simulation terminée
+   */
+  static async convertToImport(id) {
+    return await db.transaction(async (trx) => {
+      const [productImport] = await trx('product_imports')
+        .where({ id, status: 'completed', dry_run: true })
+        .whereNotNull('file_name')
+        .update({
+          status: 'pending',
+          dry_run: false,
+          processed_rows: 0,
+          created_count: 0,
+          updated_count: 0,
+          error_count: 0,
+          started_at: null,
+          completed_at: null,
+          updated_at: trx.fn.now()
+        })
+        .returning('*');
+
+      if (!productImport) {
+        return null;
+      }
+
+      await trx('product_import_rows').where({ import_id: id }).del();
+
+      return productImport;
+    });
+  }
+
+  /**
+   * Imports terminés depuis plus de `days` jours dont les fichiers sont encore conservés
+   */
+  static async findPurgeable(days) {
+    return await db('product_imports')
+      .select(['id', 'file_name', 'images_file_name'])
+      .whereIn('status', ['completed', 'failed'])
+      .whereNull('files_purged_at')
+      .where('completed_at', '<', db.raw(`NOW() - INTERVAL '${parseInt(days)} days'`));
+  }
+
+  /**
+   * Fichiers supprimés: l'import ne peut plus être relancé
+   */
+  static async markPurged(id) {
+    await db('product_imports')
+      .where({ id })
+      .update({
+        file_name: null,
+        images_file_name: null,
+        files_purged_at: db.fn.now(),
+        updated_at: db.fn.now()
+      });
+  }
+
+  /**
+   * Format public d'un import et de sa progression
+   */
+  static format(productImport) {
+    const total = productImport.total_rows;
+    const processed = productImport.processed_rows;
+
+    return {
+      id: productImport.id,
+      status: productImport.status,
+      dryRun: productImport.dry_run,
+      fileName: productImport.original_file_name,
+      format: productImport.file_format,
+      hasImages: Boolean(productImport.images_file_name),
+      mapping: productImport.column_mapping,
+      options: productImport.options,
+      progress: {
+        totalRows: total,
+        processedRows: processed,
+        percent: total > 0 ? Math.floor((processed / total) * 100) : 100
+      },
+      summary: {
+        created: productImport.created_count,
+        updated: productImport.updated_count,
+        errors: productImport.error_count
+      },
+      error: productImport.status === 'failed'
+        ? 'L\'import a été interrompu, relancez-le pour reprendre là où il s\'est arrêté'
+        : null,
+      filesAvailable: !productImport.files_purged_at,
+      createdBy: productImport.created_by,
+      startedAt: productImport.started_at,
+      completedAt: productImport.completed_at,
+      createdAt: productImport.created_at
+    };
+  }
+
+  /**
+   * Format public d'une ligne du rapport
+   */
+  static formatRow(row) {
+    return {
+      rowNumber: row.row_number,
+      sku: row.sku,
+      action: row.action,
+      status: row.status,
+      errors: row.errors || [],
+      productId: row.product_id
+    };
+  }
+}
+
+module.exports = ProductImport;
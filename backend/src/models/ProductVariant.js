@@ -0,0 +1,157 @@
+const db = require('../config/database');
+
+// Options reprises dans les filtres historiques du produit (colors_available, sizes_available)
+const COLOR_OPTIONS = ['color', 'couleur'];
+const SIZE_OPTIONS = ['size', 'taille'];
+
+/**
+ * Modèle ProductVariant - Déclinaisons d'un produit (taille, couleur...)
+ * Chaque variante porte son SKU, son prix éventuel et son propre stock,
+ * réparti entre les lieux de la boutique (voir StockLevel); le stock du
+ * produit est la somme de celui de ses variantes actives.
+ */
+class ProductVariant {
+  /**
+   * Variantes d'un produit, dans l'ordre d'affichage
+   */
+  static async findByProduct(productId, { activeOnly = false } = {}, trx = db) {
+    const query = trx('product_variants')
+      .where({ product_id: productId })
+      .orderBy([{ column: 'position' }, { column: 'created_at' }]);
+
+    if (activeOnly) {
+      query.where({ is_active: true });
+    }
+
+    return await query;
+  }
+
+  /**
+   * Trouver une variante d'un produit
+   */
+  static async findForProduct(productId, variantId, trx = db) {
+    return await trx('product_variants')
+      .where({ id: variantId, product_id: productId })
+      .first();
+  }
+
+  /**
+   * Remplacer les variantes d'un produit par la liste fournie
+   * Les variantes existantes sont identifiées par `id`; celles absentes de la
+   * liste sont supprimées, ou désactivées si elles figurent dans des commandes.
+   * Le stock des variantes est géré par lieu (inventoryService.syncVariants).
+   */
+  static async sync(productId, variants, trx = db) {
+    const existing = await trx('product_variants')
+      .select(['id'])
+      .where({ product_id: productId });
+    const existingIds = new Set(existing.map(variant => variant.id));
+    const keptIds = [];
+
+    for (const [index, variant] of variants.entries()) {
+      const data = {
+        options: JSON.stringify(variant.options),
+        sku: variant.sku || null,
+        barcode: variant.barcode || null,
+        price: variant.price ?? null,
+        compare_at_price: variant.compareAtPrice ?? null,
+        images: JSON.stringify(variant.images || []),
+        position: variant.position ?? index,
+        is_active: variant.isActive !== false
+      };
+
+      if (variant.id && existingIds.has(variant.id)) {
+        await trx('product_variants')
+          .where({ id: variant.id })
+          .update({ ...data, updated_at: trx.fn.now() });
+        keptIds.push(variant.id);
+      } else {
+        const [created] = await trx('product_variants')
+          .insert({ ...data, product_id: productId })
+          .returning(['id']);
+        keptIds.push(created.id);
+      }
+    }
+
+    const removedIds = [...existingIds].filter(id => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      const orderedIds = await trx('order_items')
+        .distinct('variant_id')
+        .whereIn('variant_id', removedIds)
+        .pluck('variant_id');
+
+      await trx('product_variants')
+        .whereIn('id', orderedIds)
+        .update({ is_active: false, updated_at: trx.fn.now() });
+
+      await trx('product_variants')
+        .whereIn('id', removedIds.filter(id => !orderedIds.includes(id)))
+        .del();
+    }
+
+    await this.refreshProductOptions(productId, trx);
+
+    return await this.findByProduct(productId, {}, trx);
+  }
+
+  /**
+   * Recalculer les options disponibles du produit (filtres couleur / taille)
+   * à partir des variantes actives
+   */
+  static async refreshProductOptions(productId, trx = db) {
+    const variants = await this.findByProduct(productId, { activeOnly: true }, trx);
+    if (variants.length === 0) {
+      return;
+    }
+
+    const valuesOf = (names) => [...new Set(variants.flatMap(variant =>
+      Object.entries(variant.options || {})
+        .filter(([name]) => names.includes(name.toLowerCase()))
+        .map(([, value]) => value)
+    ))];
+
+    await trx('products')
+      .where({ id: productId })
+      .update({
+        colors_available: JSON.stringify(valuesOf(COLOR_OPTIONS)),
+        sizes_available: JSON.stringify(valuesOf(SIZE_OPTIONS)),
+        updated_at: trx.fn.now()
+      });
+  }
+
+  /**
+   * Libellé d'une variante (ex: "M / Rouge")
+   */
+  static label(variant) {
+    return Object.values(variant.options || {}).join(' / ');
+  }
+
+  /**
+   * Format public d'une variante
+   * productPrice: prix du produit, appliqué sans prix propre à la variante
+   */
+  static format(variant, productPrice = null) {
+    const price = variant.price !== null && variant.price !== undefined
+      ? parseFloat(variant.price)
+      : (productPrice !== null ? parseFloat(productPrice) : null);
+
+    return {
+      id: variant.id,
+      name: this.label(variant),
+      options: variant.options,
+      sku: variant.sku,
+      barcode: variant.barcode,
+      price,
+      priceOverride: variant.price !== null && variant.price !== undefined,
+      compareAtPrice: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
+      stockQuantity: variant.stock_quantity,
+      reservedQuantity: variant.reserved_quantity,
+      availableQuantity: Math.max(variant.stock_quantity - variant.reserved_quantity, 0),
+      images: variant.images || [],
+      position: variant.position,
+      isActive: variant.is_active
+    };
+  }
+}
+
+module.exports = ProductVariant;
@@ -0,0 +1,153 @@
+const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const { hashString, generateSecureToken, durationToMs } = require('../utils/helpers');
+
+const DEFAULT_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000; // 30 jours
+
+/**
+ * Modèle RefreshToken - Tokens de rafraîchissement persistés
+ * Rotation à chaque utilisation, révocation de la famille en cas de rejeu
+ */
+class RefreshToken {
+  /**
+   * Durée de vie d'une session (REFRESH_TOKEN_EXPIRES_IN)
+   */
+  static getLifetimeMs() {
+    return durationToMs(process.env.REFRESH_TOKEN_EXPIRES_IN || '30d') || DEFAULT_LIFETIME_MS;
+  }
+
+  /**
+   * Émettre un nouveau refresh token
+   * Retourne le token en clair (seule occasion de le connaître) et l'enregistrement
+   */
+  static async issue(userId, options = {}) {
+    const {
+      familyId = uuidv4(),
+      parentId = null,
+      expiresAt = new Date(Date.now() + RefreshToken.getLifetimeMs()),
+      deviceName = null,
+      ipAddress = null,
+      userAgent = null,
+      trx = db
+    } = options;
+
+    const token = generateSecureToken(40);
+
+    const [record] = await trx('refresh_tokens')
+      .insert({
+        user_id: userId,
+        token_hash: hashString(token),
+        family_id: familyId,
+        parent_id: parentId,
+        device_name: deviceName,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        expires_at: expiresAt
+      })
+      .returning('*');
+
+    return { token, record };
+  }
+
+  /**
+   * Trouver un refresh token à partir de sa valeur en clair
+   */
+  static async findByToken(token) {
+    return await db('refresh_tokens')
+      .where({ token_hash: hashString(token) })
+      .first();
+  }
+
+  /**
+   * Échanger un refresh token contre un nouveau (rotation)
+   * Le nouveau token hérite de la famille et de l'expiration de la session,
+   * une session ne peut donc pas être prolongée indéfiniment.
+   *
+   * Retourne { status: 'rotated', token, record } ou
+   * { status: 'invalid' | 'expired' | 'revoked' | 'reused', record }
+   */
+  static async rotate(token, context = {}) {
+    const current = await RefreshToken.findByToken(token);
+
+    if (!current) {
+      return { status: 'invalid', record: null };
+    }
+
+    if (current.revoked_at) {
+      return { status: 'revoked', record: current };
+    }
+
+    // Un token déjà échangé qui revient: vol probable, toute la famille tombe
+    if (current.used_at) {
+      await RefreshToken.revokeFamily(current.family_id, 'reuse_detected');
+      return { status: 'reused', record: current };
+    }
+
+    if (new Date(current.expires_at) <= new Date()) {
+      return { status: 'expired', record: current };
+    }
+
+    return await db.transaction(async (trx) => {
+      // Marquage atomique: deux requêtes concurrentes ne peuvent pas toutes deux réussir
+      const consumed = await trx('refresh_tokens')
+        .where({ id: current.id })
+        .whereNull('used_at')
+        .whereNull('revoked_at')
+        .update({ used_at: trx.fn.now() });
+
+      if (consumed === 0) {
+        await RefreshToken.revokeFamily(current.family_id, 'reuse_detected', trx);
+        return { status: 'reused', record: current };
+      }
+
+      const { token: newToken, record } = await RefreshToken.issue(current.user_id, {
+        familyId: current.family_id,
+        parentId: current.id,
+        expiresAt: current.expires_at,
+        deviceName: context.deviceName || current.device_name,
+        ipAddress: context.ipAddress || current.ip_address,
+        userAgent: context.userAgent || current.user_agent,
+        trx
+      });
+
+      return { status: 'rotated', token: newToken, record };
+    });
+  }
+
+  /**
+   * Révoquer toute une famille de tokens (une session)
+   */
+  static async revokeFamily(familyId, reason = 'revoked', trx = db) {
+    return await trx('refresh_tokens')
+      .where({ family_id: familyId })
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: trx.fn.now(),
+        revoked_reason: reason
+      });
+  }
+
+  /**
+   * Révoquer tous les tokens d'un utilisateur
+   */
+  static async revokeAllForUser(userId, reason = 'revoked') {
+    return await db('refresh_tokens')
+      .where({ user_id: userId })
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: db.fn.now(),
+        revoked_reason: reason
+      });
+  }
+
+  /**
+   * Supprimer les tokens expirés depuis plus de `retentionDays` jours
+   */
+  static async purgeExpired(retentionDays = 7) {
+    return await db('refresh_tokens')
+      .where('expires_at', '<', db.raw(`NOW() - INTERVAL '${parseInt(retentionDays)} days'`))
+      .del();
+  }
+}
+
+module.exports = RefreshToken;
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle Review - Gestion des avis et évaluations
@@ -231,12 +232,18 @@ class Review {
     filteredData.updated_at = db.fn.now();
     filteredData.status = 'published'; // Remettre en attente de modération si nécessaire
 
+    const before = await db('reviews').where({ id }).whereNull('deleted_at').first();
+
     const [review] = await db('reviews')
       .where({ id })
       .whereNull('deleted_at')
       .update(filteredData)
       .returning('*');
 
+    if (review) {
+      await auditService.record('review.update', { entityType: 'review', entityId: id, before, after: review });
+    }
+
     if (review && filteredData.rating !== undefined) {
       // Mettre à jour les statistiques du produit si la note a changé
       await this.updateProductRating(review.product_id);
@@ -528,6 +535,8 @@ class Review {
       .where({ id })
       .update({ deleted_at: db.fn.now() });
 
+    await auditService.record('review.delete', { entityType: 'review', entityId: id, before: review });
+
     // Mettre à jour les statistiques du produit
     await this.updateProductRating(review.product_id);
 
@@ -0,0 +1,45 @@
+const db = require('../config/database');
+
+/**
+ * Modèle SecurityEvent - Journal des événements de sécurité
+ * (échecs de connexion, verrouillages, déverrouillages...)
+ */
+class SecurityEvent {
+  /**
+   * Enregistrer un événement
+   */
+  static async record(eventType, data = {}) {
+    const [event] = await db('security_events')
+      .insert({
+        event_type: eventType,
+        user_id: data.userId || null,
+        email: data.email ? String(data.email).toLowerCase().slice(0, 255) : null,
+        ip_address: data.ipAddress || null,
+        user_agent: data.userAgent || null,
+        metadata: JSON.stringify(data.metadata || {})
+      })
+      .returning('*');
+
+    return event;
+  }
+
+  /**
+   * Événements d'un utilisateur, du plus récent au plus ancien
+   */
+  static async findByUser(userId, options = {}) {
+    const { page = 1, limit = 20, eventType = null } = options;
+    const offset = (page - 1) * limit;
+
+    const query = db('security_events')
+      .where({ user_id: userId })
+      .orderBy('created_at', 'desc');
+
+    if (eventType) {
+      query.where({ event_type: eventType });
+    }
+
+    return await query.limit(limit).offset(offset);
+  }
+}
+
+module.exports = SecurityEvent;
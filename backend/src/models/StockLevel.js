@@ -0,0 +1,327 @@
+const db = require('../config/database');
+const StockMovement = require('./StockMovement');
+
+/**
+ * Modèle StockLevel - Stock d'un produit (ou d'une variante) dans un lieu
+ * Les compteurs stock_quantity / reserved_quantity des produits et variantes
+ * sont la somme de leurs niveaux de stock (voir refreshTotals).
+ * Toute variation de la quantité en stock est inscrite au registre des
+ * mouvements (StockMovement); les réservations ne sont pas des mouvements.
+ */
+class StockLevel {
+  /**
+   * Critère d'un article: la variante si le produit est décliné
+   */
+  static itemCriteria(productId, variantId = null) {
+    return (query) => {
+      query.where('stock_levels.product_id', productId);
+
+      if (variantId) {
+        query.where('stock_levels.variant_id', variantId);
+      } else {
+        query.whereNull('stock_levels.variant_id');
+      }
+    };
+  }
+
+  /**
+   * Stock d'un article dans un lieu
+   */
+  static async find(locationId, productId, variantId = null, trx = db) {
+    return await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .first();
+  }
+
+  /**
+   * Stock d'un article dans un lieu, verrouillé jusqu'à la fin de la transaction
+   */
+  static async findForUpdate(locationId, productId, variantId, trx = db) {
+    return await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .forUpdate()
+      .first();
+  }
+
+  /**
+   * Stock de produits dans les lieux indiqués (tous les lieux si locationIds est omis)
+   */
+  static async findForProducts(productIds, locationIds = null, trx = db) {
+    const query = trx('stock_levels').whereIn('product_id', productIds);
+
+    if (locationIds) {
+      query.whereIn('location_id', locationIds);
+    }
+
+    return await query;
+  }
+
+  /**
+   * Stock d'un produit par lieu (lieux actifs)
+   */
+  static async findByProduct(productId, trx = db) {
+    return await trx('stock_levels')
+      .select([
+        'stock_levels.*',
+        'stock_locations.name as location_name',
+        'stock_locations.city as location_city',
+        'stock_locations.type as location_type',
+        'stock_locations.fulfills_online_orders'
+      ])
+      .join('stock_locations', 'stock_levels.location_id', 'stock_locations.id')
+      .where('stock_levels.product_id', productId)
+      .where('stock_locations.is_active', true)
+      .orderBy([{ column: 'stock_locations.priority' }, { column: 'stock_locations.name' }]);
+  }
+
+  /**
+   * Stock d'un lieu, avec les produits et variantes concernés
+   */
+  static async findByLocation(locationId, { page = 1, limit = 50 } = {}, trx = db) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = trx('stock_levels')
+      .join('products', 'stock_levels.product_id', 'products.id')
+      .where('stock_levels.location_id', locationId)
+      .whereNull('products.deleted_at');
+
+    const [levels, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .select([
+          'stock_levels.*',
+          'products.name as product_name',
+          'products.sku as product_sku',
+          'products.low_stock_threshold as product_low_stock_threshold',
+          'product_variants.options as variant_options',
+          'product_variants.sku as variant_sku'
+        ])
+        .leftJoin('product_variants', 'stock_levels.variant_id', 'product_variants.id')
+        .orderBy([{ column: 'products.name' }, { column: 'product_variants.position' }])
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      levels,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Stock d'un lieu avec le nom et le prix des articles, verrouillé (inventaire)
+   */
+  static async findForStocktake(locationId, trx = db) {
+    return await trx('stock_levels')
+      .select([
+        'stock_levels.*',
+        'products.name as product_name',
+        'products.price as product_price',
+        'product_variants.options as variant_options',
+        'product_variants.price as variant_price'
+      ])
+      .join('products', 'stock_levels.product_id', 'products.id')
+      .leftJoin('product_variants', 'stock_levels.variant_id', 'product_variants.id')
+      .where('stock_levels.location_id', locationId)
+      .forUpdate('stock_levels');
+  }
+
+  /**
+   * Fixer le stock d'un article dans un lieu (niveau créé au besoin)
+   * data: { quantity, low_stock_threshold }
+   * movement: { type, reason, referenceType, referenceId, notes } inscrit si la quantité change
+   */
+  static async upsert(locationId, productId, variantId, data, movement, trx = db) {
+    const current = await this.findForUpdate(locationId, productId, variantId, trx);
+    let level;
+
+    if (current) {
+      [level] = await trx('stock_levels')
+        .where({ id: current.id })
+        .update({ ...data, updated_at: trx.fn.now() })
+        .returning('*');
+    } else {
+      [level] = await trx('stock_levels')
+        .insert({ ...data, location_id: locationId, product_id: productId, variant_id: variantId || null })
+        .returning('*');
+    }
+
+    const change = level.quantity - (current ? current.quantity : 0);
+    if (change !== 0) {
+      await StockMovement.create(level, change, movement, trx);
+    }
+
+    return level;
+  }
+
+  /**
+   * Entrée de stock dans un lieu (niveau créé au besoin)
+   * Retourne le niveau de stock mis à jour
+   */
+  static async add(locationId, productId, variantId, quantity, movement, trx = db) {
+    let [level] = await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .update({
+        quantity: trx.raw('quantity + ?', [quantity]),
+        updated_at: trx.fn.now()
+      })
+      .returning('*');
+
+    if (!level) {
+      [level] = await trx('stock_levels')
+        .insert({ location_id: locationId, product_id: productId, variant_id: variantId || null, quantity })
+        .returning('*');
+    }
+
+    await StockMovement.create(level, quantity, movement, trx);
+
+    return level;
+  }
+
+  /**
+   * Sortie de stock d'un lieu, dans la limite du stock non réservé
+   * Retourne le niveau de stock mis à jour, ou null si le stock ne suffit pas
+   */
+  static async remove(locationId, productId, variantId, quantity, movement, trx = db) {
+    const [level] = await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .whereRaw('quantity - reserved_quantity >= ?', [quantity])
+      .update({
+        quantity: trx.raw('quantity - ?', [quantity]),
+        updated_at: trx.fn.now()
+      })
+      .returning('*');
+
+    if (!level) {
+      return null;
+    }
+
+    await StockMovement.create(level, -quantity, movement, trx);
+
+    return level;
+  }
+
+  /**
+   * Réserver du stock dans un lieu pour une commande
+   * La réservation n'a lieu que si la quantité disponible suffit
+   * (verrou de ligne: deux commandes simultanées ne peuvent pas survendre)
+   * Retourne true si la réservation a été faite
+   */
+  static async reserve(locationId, productId, variantId, quantity, trx = db) {
+    const updated = await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .whereRaw('quantity - reserved_quantity >= ?', [quantity])
+      .increment('reserved_quantity', quantity);
+
+    return updated > 0;
+  }
+
+  /**
+   * Libérer une réservation (commande annulée)
+   */
+  static async release(locationId, productId, variantId, quantity, trx = db) {
+    await trx('stock_levels')
+      .where({ location_id: locationId })
+      .where(this.itemCriteria(productId, variantId))
+      .update({
+        reserved_quantity: trx.raw('GREATEST(reserved_quantity - ?, 0)', [quantity]),
+        updated_at: trx.fn.now()
+      });
+  }
+
+  /**
+   * Convertir une réservation en vente (stock physiquement sorti du lieu)
+   */
+  static async commitSale(locationId, productId, variantId, quantity, movement, trx = db) {
+    const current = await this.findForUpdate(locationId, productId, variantId, trx);
+    if (!current) {
+      return;
+    }
+
+    const sold = Math.min(quantity, current.quantity);
+
+    const [level] = await trx('stock_levels')
+      .where({ id: current.id })
+      .update({
+        reserved_quantity: Math.max(current.reserved_quantity - quantity, 0),
+        quantity: current.quantity - sold,
+        updated_at: trx.fn.now()
+      })
+      .returning('*');
+
+    if (sold > 0) {
+      await StockMovement.create(level, -sold, movement, trx);
+    }
+  }
+
+  /**
+   * Recalculer le stock des variantes et des produits à partir des lieux
+   * Un produit décliné totalise ses variantes actives, les autres
+   * leurs niveaux sans variante.
+   */
+  static async refreshTotals(productIds, trx = db) {
+    const ids = [...new Set([].concat(productIds))];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const variantSum = (column) => trx.raw(
+      `COALESCE((SELECT SUM(l.${column}) FROM stock_levels l WHERE l.variant_id = product_variants.id), 0)`
+    );
+
+    await trx('product_variants')
+      .whereIn('product_id', ids)
+      .update({
+        stock_quantity: variantSum('quantity'),
+        reserved_quantity: variantSum('reserved_quantity'),
+        updated_at: trx.fn.now()
+      });
+
+    const productSum = (column) => trx.raw(`COALESCE((
+      SELECT SUM(l.${column}) FROM stock_levels l
+      LEFT JOIN product_variants v ON v.id = l.variant_id
+      WHERE l.product_id = products.id
+        AND (v.is_active OR (l.variant_id IS NULL AND NOT EXISTS (
+          SELECT 1 FROM product_variants pv WHERE pv.product_id = products.id AND pv.is_active
+        )))
+    ), 0)`);
+
+    await trx('products')
+      .whereIn('id', ids)
+      .update({
+        stock_quantity: productSum('quantity'),
+        reserved_quantity: productSum('reserved_quantity'),
+        updated_at: trx.fn.now()
+      });
+  }
+
+  /**
+   * Format public d'un niveau de stock
+   */
+  static format(level) {
+    return {
+      id: level.id,
+      locationId: level.location_id,
+      productId: level.product_id,
+      variantId: level.variant_id,
+      quantity: level.quantity,
+      reservedQuantity: level.reserved_quantity,
+      availableQuantity: Math.max(level.quantity - level.reserved_quantity, 0),
+      lowStockThreshold: level.low_stock_threshold
+    };
+  }
+}
+
+module.exports = StockLevel;
@@ -0,0 +1,129 @@
+const db = require('../config/database');
+const { STOCK_LOCATION_TYPES } = require('../utils/constants');
+
+const DEFAULT_LOCATION = { name: 'Stock principal', code: 'MAIN' };
+
+/**
+ * Modèle StockLocation - Lieux de stock d'une boutique (ateliers, boutiques physiques)
+ * Chaque boutique a un lieu par défaut, qui reçoit le stock saisi sur la fiche
+ * produit; les commandes en ligne sont servies par les lieux actifs qui
+ * expédient (fulfills_online_orders), par priorité croissante.
+ */
+class StockLocation {
+  /**
+   * Lieux d'une boutique (lieu par défaut d'abord, puis par priorité)
+   */
+  static async findByStore(storeId, { activeOnly = false } = {}, trx = db) {
+    const query = trx('stock_locations')
+      .where({ store_id: storeId })
+      .orderBy([
+        { column: 'is_default', order: 'desc' },
+        { column: 'priority' },
+        { column: 'name' }
+      ]);
+
+    if (activeOnly) {
+      query.where({ is_active: true });
+    }
+
+    return await query;
+  }
+
+  /**
+   * Trouver un lieu appartenant à une boutique
+   */
+  static async findForStore(storeId, locationId, trx = db) {
+    return await trx('stock_locations')
+      .where({ id: locationId, store_id: storeId })
+      .first();
+  }
+
+  /**
+   * Lieu par défaut d'une boutique (créé au besoin, ex: nouvelle boutique)
+   */
+  static async getDefault(storeId, trx = db) {
+    const existing = await trx('stock_locations')
+      .where({ store_id: storeId, is_default: true })
+      .first();
+
+    if (existing) {
+      return existing;
+    }
+
+    const store = await trx('stores').select(['city', 'country']).where({ id: storeId }).first();
+
+    await trx('stock_locations')
+      .insert({
+        store_id: storeId,
+        ...DEFAULT_LOCATION,
+        type: STOCK_LOCATION_TYPES.WORKSHOP,
+        city: store ? store.city : null,
+        country: store ? store.country : null,
+        is_default: true
+      })
+      .onConflict()
+      .ignore();
+
+    return await trx('stock_locations')
+      .where({ store_id: storeId, is_default: true })
+      .first();
+  }
+
+  /**
+   * Créer un lieu
+   */
+  static async create(storeId, data, trx = db) {
+    const [location] = await trx('stock_locations')
+      .insert({ ...data, store_id: storeId })
+      .returning('*');
+
+    return location;
+  }
+
+  /**
+   * Mettre à jour un lieu
+   */
+  static async update(id, data, trx = db) {
+    const [location] = await trx('stock_locations')
+      .where({ id })
+      .update({ ...data, updated_at: trx.fn.now() })
+      .returning('*');
+
+    return location;
+  }
+
+  /**
+   * Faire d'un lieu le lieu par défaut de sa boutique
+   */
+  static async setDefault(storeId, id, trx = db) {
+    await trx('stock_locations')
+      .where({ store_id: storeId, is_default: true })
+      .whereNot({ id })
+      .update({ is_default: false, updated_at: trx.fn.now() });
+
+    return await this.update(id, { is_default: true, is_active: true }, trx);
+  }
+
+  /**
+   * Format public d'un lieu
+   */
+  static format(location) {
+    return {
+      id: location.id,
+      name: location.name,
+      code: location.code,
+      type: location.type,
+      address: location.address,
+      city: location.city,
+      country: location.country,
+      phone: location.phone,
+      isDefault: location.is_default,
+      fulfillsOnlineOrders: location.fulfills_online_orders,
+      priority: location.priority,
+      isActive: location.is_active,
+      createdAt: location.created_at
+    };
+  }
+}
+
+module.exports = StockLocation;
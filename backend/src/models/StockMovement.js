@@ -0,0 +1,197 @@
+const db = require('../config/database');
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Modèle StockMovement - Registre des mouvements de stock
+ * Chaque variation du stock d'un lieu (vente, retour, ajustement, transfert,
+ * inventaire, casse) y est inscrite avec son motif et son auteur. Le registre
+ * est en ajout seul (trigger stock_movements_append_only): la somme des
+ * mouvements d'un article dans un lieu est égale à son niveau de stock.
+ */
+class StockMovement {
+  /**
+   * Inscrire un mouvement
+   * level: niveau de stock après le mouvement
+   * movement: { type, reason, referenceType, referenceId, notes }
+   * L'auteur est celui de la requête en cours (null pour les tâches planifiées)
+   */
+  static async create(level, quantity, movement, trx = db) {
+    const context = getRequestContext() || {};
+    const actor = context.actor || null;
+
+    const [created] = await trx('stock_movements')
+      .insert({
+        location_id: level.location_id,
+        product_id: level.product_id,
+        variant_id: level.variant_id || null,
+        type: movement.type,
+        reason: movement.reason,
+        quantity,
+        balance_after: level.quantity,
+        reference_type: movement.referenceType || null,
+        reference_id: movement.referenceId || null,
+        notes: movement.notes || null,
+        actor_id: actor ? actor.id : null,
+        actor_role: actor ? actor.role : null,
+        api_key_id: actor ? actor.apiKeyId : null,
+        request_id: context.requestId || null
+      })
+      .returning('*');
+
+    return created;
+  }
+
+  /**
+   * Appliquer les filtres de recherche
+   */
+  static applyFilters(query, filters = {}) {
+    const { locationId, productId, variantId, type, reason, referenceType, referenceId, from, to } = filters;
+
+    if (locationId) {
+      query.where('stock_movements.location_id', locationId);
+    }
+
+    if (productId) {
+      query.where('stock_movements.product_id', productId);
+    }
+
+    if (variantId) {
+      query.where('stock_movements.variant_id', variantId);
+    }
+
+    if (type) {
+      query.where('stock_movements.type', type);
+    }
+
+    if (reason) {
+      query.where('stock_movements.reason', reason);
+    }
+
+    if (referenceType) {
+      query.where('stock_movements.reference_type', referenceType);
+    }
+
+    if (referenceId) {
+      query.where('stock_movements.reference_id', referenceId);
+    }
+
+    if (from) {
+      query.where('stock_movements.created_at', '>=', from);
+    }
+
+    if (to) {
+      query.where('stock_movements.created_at', '<=', to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Mouvements d'une boutique (les plus récents d'abord)
+   */
+  static async findByStore(storeId, filters = {}, { page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = this.applyFilters(
+      db('stock_movements')
+        .join('stock_locations', 'stock_movements.location_id', 'stock_locations.id')
+        .where('stock_locations.store_id', storeId),
+      filters
+    );
+
+    const [movements, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .select([
+          'stock_movements.*',
+          'stock_locations.name as location_name',
+          'products.name as product_name',
+          'product_variants.options as variant_options'
+        ])
+        .join('products', 'stock_movements.product_id', 'products.id')
+        .leftJoin('product_variants', 'stock_movements.variant_id', 'product_variants.id')
+        .orderBy([
+          { column: 'stock_movements.created_at', order: 'desc' },
+          { column: 'stock_movements.id', order: 'desc' }
+        ])
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Niveaux de stock d'une boutique qui ne correspondent pas au registre
+   * (somme des mouvements de l'article dans le lieu)
+   */
+  static async findDiscrepancies(storeId, { locationId = null } = {}, trx = db) {
+    const ledgerQuantity = `(
+      SELECT COALESCE(SUM(m.quantity), 0) FROM stock_movements m
+      WHERE m.location_id = stock_levels.location_id
+        AND m.product_id = stock_levels.product_id
+        AND m.variant_id IS NOT DISTINCT FROM stock_levels.variant_id
+    )`;
+
+    const query = trx('stock_levels')
+      .select([
+        'stock_levels.*',
+        'stock_locations.name as location_name',
+        'products.name as product_name',
+        'product_variants.options as variant_options',
+        trx.raw(`${ledgerQuantity}::integer as ledger_quantity`)
+      ])
+      .join('stock_locations', 'stock_levels.location_id', 'stock_locations.id')
+      .join('products', 'stock_levels.product_id', 'products.id')
+      .leftJoin('product_variants', 'stock_levels.variant_id', 'product_variants.id')
+      .where('stock_locations.store_id', storeId)
+      .whereRaw(`stock_levels.quantity <> ${ledgerQuantity}`)
+      .orderBy([{ column: 'stock_locations.name' }, { column: 'products.name' }]);
+
+    if (locationId) {
+      query.where('stock_levels.location_id', locationId);
+    }
+
+    return await query;
+  }
+
+  /**
+   * Format public d'un mouvement
+   */
+  static format(movement) {
+    return {
+      id: movement.id,
+      type: movement.type,
+      reason: movement.reason,
+      location: {
+        id: movement.location_id,
+        name: movement.location_name
+      },
+      productId: movement.product_id,
+      productName: movement.product_name,
+      variantId: movement.variant_id,
+      variantName: movement.variant_options ? Object.values(movement.variant_options).join(' / ') : null,
+      quantity: movement.quantity,
+      balanceAfter: movement.balance_after,
+      referenceType: movement.reference_type,
+      referenceId: movement.reference_id,
+      notes: movement.notes,
+      actorId: movement.actor_id,
+      actorRole: movement.actor_role,
+      apiKeyId: movement.api_key_id,
+      createdAt: movement.created_at
+    };
+  }
+}
+
+module.exports = StockMovement;
@@ -0,0 +1,181 @@
+const db = require('../config/database');
+const { STOCK_TRANSFER_STATUS } = require('../utils/constants');
+
+/**
+ * Modèle StockTransfer - Transferts de stock entre les lieux d'une boutique
+ * Cycle de vie: in_transit (stock sorti du lieu d'origine)
+ *               -> received (entré dans le lieu de destination)
+ *               | cancelled (remis dans le lieu d'origine)
+ * Chaque étape conserve son auteur et sa date.
+ */
+class StockTransfer {
+  /**
+   * Créer un transfert et ses articles
+   * id: identifiant choisi par l'appelant (référence des mouvements de stock)
+   */
+  static async create({ id, reference, storeId, fromLocationId, toLocationId, notes, createdBy, items }, trx = db) {
+    const [transfer] = await trx('stock_transfers')
+      .insert({
+        id,
+        reference,
+        store_id: storeId,
+        from_location_id: fromLocationId,
+        to_location_id: toLocationId,
+        status: STOCK_TRANSFER_STATUS.IN_TRANSIT,
+        notes: notes || null,
+        created_by: createdBy
+      })
+      .returning('*');
+
+    await trx('stock_transfer_items')
+      .insert(items.map(item => ({
+        transfer_id: transfer.id,
+        product_id: item.productId,
+        variant_id: item.variantId || null,
+        quantity: item.quantity
+      })));
+
+    return transfer;
+  }
+
+  /**
+   * Trouver un transfert d'une boutique
+   * forUpdate: verrouiller le transfert (changement de statut)
+   */
+  static async findForStore(storeId, id, { forUpdate = false } = {}, trx = db) {
+    const query = trx('stock_transfers')
+      .where({ id, store_id: storeId })
+      .first();
+
+    if (forUpdate) {
+      query.forUpdate();
+    }
+
+    return await query;
+  }
+
+  /**
+   * Articles d'un transfert
+   */
+  static async findItems(transferId, trx = db) {
+    return await trx('stock_transfer_items')
+      .select([
+        'stock_transfer_items.*',
+        'products.name as product_name',
+        'product_variants.options as variant_options'
+      ])
+      .join('products', 'stock_transfer_items.product_id', 'products.id')
+      .leftJoin('product_variants', 'stock_transfer_items.variant_id', 'product_variants.id')
+      .where('stock_transfer_items.transfer_id', transferId)
+      .orderBy('stock_transfer_items.created_at');
+  }
+
+  /**
+   * Transferts d'une boutique (les plus récents d'abord)
+   */
+  static async findByStore(storeId, { status, locationId, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = db('stock_transfers').where('stock_transfers.store_id', storeId);
+
+    if (status) {
+      baseQuery.where('stock_transfers.status', status);
+    }
+
+    if (locationId) {
+      baseQuery.where(query => query
+        .where('stock_transfers.from_location_id', locationId)
+        .orWhere('stock_transfers.to_location_id', locationId));
+    }
+
+    const [transfers, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .select([
+          'stock_transfers.*',
+          'from_location.name as from_location_name',
+          'to_location.name as to_location_name'
+        ])
+        .join('stock_locations as from_location', 'stock_transfers.from_location_id', 'from_location.id')
+        .join('stock_locations as to_location', 'stock_transfers.to_location_id', 'to_location.id')
+        .orderBy('stock_transfers.created_at', 'desc')
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Changer le statut d'un transfert en transit
+   * Retourne le transfert mis à jour, ou undefined s'il n'était plus en transit
+   */
+  static async updateStatus(id, status, userId, trx = db) {
+    const data = { status, updated_at: trx.fn.now() };
+
+    if (status === STOCK_TRANSFER_STATUS.RECEIVED) {
+      data.received_by = userId;
+      data.received_at = trx.fn.now();
+    } else {
+      data.cancelled_by = userId;
+      data.cancelled_at = trx.fn.now();
+    }
+
+    const [transfer] = await trx('stock_transfers')
+      .where({ id, status: STOCK_TRANSFER_STATUS.IN_TRANSIT })
+      .update(data)
+      .returning('*');
+
+    return transfer;
+  }
+
+  /**
+   * Format public d'un transfert
+   */
+  static format(transfer, items = null) {
+    const formatted = {
+      id: transfer.id,
+      reference: transfer.reference,
+      status: transfer.status,
+      fromLocation: {
+        id: transfer.from_location_id,
+        name: transfer.from_location_name
+      },
+      toLocation: {
+        id: transfer.to_location_id,
+        name: transfer.to_location_name
+      },
+      notes: transfer.notes,
+      createdBy: transfer.created_by,
+      receivedBy: transfer.received_by,
+      receivedAt: transfer.received_at,
+      cancelledBy: transfer.cancelled_by,
+      cancelledAt: transfer.cancelled_at,
+      createdAt: transfer.created_at
+    };
+
+    if (items) {
+      formatted.items = items.map(item => ({
+        productId: item.product_id,
+        productName: item.product_name,
+        variantId: item.variant_id,
+        variantName: item.variant_options ? Object.values(item.variant_options).join(' / ') : null,
+        quantity: item.quantity
+      }));
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = StockTransfer;
@@ -0,0 +1,150 @@
+const db = require('../config/database');
+
+/**
+ * Modèle Stocktake - Inventaires physiques d'un lieu de stock
+ * Un inventaire conserve, article par article, le stock attendu, le stock
+ * compté et l'écart; les écarts sont inscrits au registre des mouvements
+ * (type stocktake) avec l'inventaire pour référence.
+ */
+class Stocktake {
+  /**
+   * Créer un inventaire et ses lignes
+   * summary: { itemsCounted, itemsWithVariance, unitsOver, unitsShort, varianceValue }
+   */
+  static async create({ id, reference, storeId, locationId, isFull, notes, createdBy, summary, items }, trx = db) {
+    const [stocktake] = await trx('stocktakes')
+      .insert({
+        id,
+        reference,
+        store_id: storeId,
+        location_id: locationId,
+        is_full: isFull,
+        notes: notes || null,
+        items_counted: summary.itemsCounted,
+        items_with_variance: summary.itemsWithVariance,
+        units_over: summary.unitsOver,
+        units_short: summary.unitsShort,
+        variance_value: summary.varianceValue,
+        created_by: createdBy
+      })
+      .returning('*');
+
+    await trx('stocktake_items')
+      .insert(items.map(item => ({
+        stocktake_id: stocktake.id,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        expected_quantity: item.expected_quantity,
+        counted_quantity: item.counted_quantity,
+        variance: item.variance,
+        unit_price: item.unit_price
+      })));
+
+    return stocktake;
+  }
+
+  /**
+   * Trouver un inventaire d'une boutique
+   */
+  static async findForStore(storeId, id, trx = db) {
+    return await trx('stocktakes')
+      .select(['stocktakes.*', 'stock_locations.name as location_name'])
+      .join('stock_locations', 'stocktakes.location_id', 'stock_locations.id')
+      .where({ 'stocktakes.id': id, 'stocktakes.store_id': storeId })
+      .first();
+  }
+
+  /**
+   * Lignes d'un inventaire (écarts les plus importants d'abord)
+   */
+  static async findItems(stocktakeId, trx = db) {
+    return await trx('stocktake_items')
+      .select([
+        'stocktake_items.*',
+        'products.name as product_name',
+        'product_variants.options as variant_options'
+      ])
+      .join('products', 'stocktake_items.product_id', 'products.id')
+      .leftJoin('product_variants', 'stocktake_items.variant_id', 'product_variants.id')
+      .where('stocktake_items.stocktake_id', stocktakeId)
+      .orderByRaw('ABS(stocktake_items.variance) DESC, products.name');
+  }
+
+  /**
+   * Inventaires d'une boutique (les plus récents d'abord)
+   */
+  static async findByStore(storeId, { locationId, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const baseQuery = db('stocktakes').where('stocktakes.store_id', storeId);
+
+    if (locationId) {
+      baseQuery.where('stocktakes.location_id', locationId);
+    }
+
+    const [stocktakes, [{ count }]] = await Promise.all([
+      baseQuery.clone()
+        .select(['stocktakes.*', 'stock_locations.name as location_name'])
+        .join('stock_locations', 'stocktakes.location_id', 'stock_locations.id')
+        .orderBy('stocktakes.created_at', 'desc')
+        .limit(limit)
+        .offset(offset),
+      baseQuery.clone().count('* as count')
+    ]);
+
+    const total = parseInt(count);
+
+    return {
+      stocktakes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Format public d'un inventaire et de son rapport d'écarts
+   */
+  static format(stocktake, items = null) {
+    const formatted = {
+      id: stocktake.id,
+      reference: stocktake.reference,
+      location: {
+        id: stocktake.location_id,
+        name: stocktake.location_name
+      },
+      isFull: stocktake.is_full,
+      notes: stocktake.notes,
+      summary: {
+        itemsCounted: stocktake.items_counted,
+        itemsWithVariance: stocktake.items_with_variance,
+        unitsOver: stocktake.units_over,
+        unitsShort: stocktake.units_short,
+        varianceValue: parseFloat(stocktake.variance_value)
+      },
+      createdBy: stocktake.created_by,
+      createdAt: stocktake.created_at
+    };
+
+    if (items) {
+      formatted.items = items.map(item => ({
+        productId: item.product_id,
+        productName: item.product_name,
+        variantId: item.variant_id,
+        variantName: item.variant_options ? Object.values(item.variant_options).join(' / ') : null,
+        expectedQuantity: item.expected_quantity,
+        countedQuantity: item.counted_quantity,
+        variance: item.variance,
+        unitPrice: parseFloat(item.unit_price),
+        varianceValue: parseFloat(item.unit_price) * item.variance
+      }));
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = Stocktake;
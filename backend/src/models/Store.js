@@ -1,5 +1,6 @@
 const db = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle Store - Gestion des boutiques
@@ -256,12 +257,18 @@ class Store {
 
     filteredData.updated_at = db.fn.now();
 
+    const before = await db('stores').where({ id }).whereNull('deleted_at').first();
+
     const [store] = await db('stores')
       .where({ id })
       .whereNull('deleted_at')
       .update(filteredData)
       .returning('*');
 
+    if (store) {
+      await auditService.record('store.update', { entityType: 'store', entityId: id, before, after: store });
+    }
+
     return store ? this.formatStore(store) : null;
   }
 
@@ -345,6 +352,8 @@ class Store {
    * Vérifier une boutique
    */
   static async verify(id) {
+    const before = await db('stores').where({ id }).first();
+
     const [store] = await db('stores')
       .where({ id })
       .update({
@@ -355,6 +364,10 @@ class Store {
       })
       .returning('*');
 
+    if (store) {
+      await auditService.record('store.verify', { entityType: 'store', entityId: id, before, after: store });
+    }
+
     return store ? this.formatStore(store) : null;
   }
 
@@ -362,6 +375,8 @@ class Store {
    * Suspendre une boutique
    */
   static async suspend(id, reason = null) {
+    const before = await db('stores').where({ id }).first();
+
     const [store] = await db('stores')
       .where({ id })
       .update({
@@ -372,6 +387,16 @@ class Store {
       })
       .returning('*');
 
+    if (store) {
+      await auditService.record('store.suspend', {
+        entityType: 'store',
+        entityId: id,
+        before,
+        after: store,
+        metadata: { reason }
+      });
+    }
+
     return store ? this.formatStore(store) : null;
   }
 
@@ -379,6 +404,8 @@ class Store {
    * Supprimer une boutique (soft delete)
    */
   static async delete(id) {
+    const before = await db('stores').where({ id }).whereNull('deleted_at').first();
+
     await db('stores')
       .where({ id })
       .update({
@@ -386,6 +413,10 @@ class Store {
         status: 'closed'
       });
 
+    if (before) {
+      await auditService.record('store.delete', { entityType: 'store', entityId: id, before });
+    }
+
     return true;
   }
 
@@ -0,0 +1,129 @@
+const db = require('../config/database');
+const { hashString } = require('../utils/helpers');
+
+// Colonnes exposées (jamais l'empreinte de la clé)
+const PUBLIC_COLUMNS = [
+  'id', 'store_id', 'name', 'key_prefix', 'scopes', 'expires_at',
+  'last_used_at', 'last_used_ip', 'created_by', 'revoked_at', 'created_at'
+];
+
+// Intervalle minimal entre deux mises à jour de la dernière utilisation (secondes)
+const USAGE_UPDATE_INTERVAL = 60;
+
+/**
+ * Modèle StoreApiKey - Clés d'API d'une boutique (accès programmatique)
+ * Seule l'empreinte SHA-256 de la clé est stockée; le préfixe permet de
+ * la reconnaître dans l'interface.
+ */
+class StoreApiKey {
+  /**
+   * Enregistrer une nouvelle clé
+   */
+  static async create(storeId, { name, key, keyPrefix, scopes, expiresAt = null, createdBy = null }) {
+    const [apiKey] = await db('store_api_keys')
+      .insert({
+        store_id: storeId,
+        name,
+        key_prefix: keyPrefix,
+        key_hash: hashString(key),
+        scopes: JSON.stringify(scopes),
+        expires_at: expiresAt,
+        created_by: createdBy
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    return apiKey;
+  }
+
+  /**
+   * Trouver une clé active (ni révoquée ni expirée) à partir de sa valeur
+   */
+  static async findActiveByKey(key) {
+    return await db('store_api_keys')
+      .select(PUBLIC_COLUMNS)
+      .where({ key_hash: hashString(String(key)) })
+      .whereNull('revoked_at')
+      .where(function() {
+        this.whereNull('expires_at').orWhere('expires_at', '>', db.fn.now());
+      })
+      .first();
+  }
+
+  /**
+   * Trouver une clé d'une boutique par ID
+   */
+  static async findById(storeId, id) {
+    return await db('store_api_keys')
+      .select(PUBLIC_COLUMNS)
+      .where({ id, store_id: storeId })
+      .first();
+  }
+
+  /**
+   * Clés d'une boutique (les plus récentes d'abord)
+   */
+  static async findByStore(storeId, { includeRevoked = false } = {}) {
+    const query = db('store_api_keys')
+      .select(PUBLIC_COLUMNS)
+      .where({ store_id: storeId })
+      .orderBy('created_at', 'desc');
+
+    if (!includeRevoked) {
+      query.whereNull('revoked_at');
+    }
+
+    return await query;
+  }
+
+  /**
+   * Nombre de clés actives d'une boutique
+   */
+  static async countActive(storeId) {
+    const result = await db('store_api_keys')
+      .where({ store_id: storeId })
+      .whereNull('revoked_at')
+      .where(function() {
+        this.whereNull('expires_at').orWhere('expires_at', '>', db.fn.now());
+      })
+      .count('* as count')
+      .first();
+
+    return parseInt(result.count) || 0;
+  }
+
+  /**
+   * Révoquer une clé
+   * Retourne la clé révoquée, ou null si elle l'était déjà
+   */
+  static async revoke(storeId, id, revokedBy = null) {
+    const [apiKey] = await db('store_api_keys')
+      .where({ id, store_id: storeId })
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: db.fn.now(),
+        revoked_by: revokedBy,
+        updated_at: db.fn.now()
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    return apiKey || null;
+  }
+
+  /**
+   * Noter la dernière utilisation (au plus une écriture par minute)
+   */
+  static async touch(id, ipAddress) {
+    await db('store_api_keys')
+      .where({ id })
+      .where(function() {
+        this.whereNull('last_used_at')
+          .orWhere('last_used_at', '<', db.raw(`NOW() - INTERVAL '${USAGE_UPDATE_INTERVAL} seconds'`));
+      })
+      .update({
+        last_used_at: db.fn.now(),
+        last_used_ip: ipAddress || null
+      });
+  }
+}
+
+module.exports = StoreApiKey;
@@ -0,0 +1,195 @@
+const db = require('../config/database');
+const { hashString, generateSecureToken } = require('../utils/helpers');
+const { STORE_MEMBER_STATUS } = require('../utils/constants');
+
+const INVITATION_LIFETIME_DAYS = 7;
+
+/**
+ * Modèle StoreMember - Équipe d'une boutique (gérants, préparateurs, support)
+ * Un membre est invité par email puis rattaché à un compte à l'acceptation.
+ */
+class StoreMember {
+  /**
+   * Durée de validité d'une invitation (jours)
+   */
+  static getInvitationLifetimeDays() {
+    return INVITATION_LIFETIME_DAYS;
+  }
+
+  /**
+   * Inviter une adresse email dans l'équipe d'une boutique
+   * Une invitation en attente ou révoquée pour la même adresse est renouvelée.
+   * Retourne le token en clair (envoyé par email) et le membre.
+   */
+  static async invite(storeId, { email, role, invitedBy }) {
+    const token = generateSecureToken(32);
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const invitation = {
+      role,
+      status: STORE_MEMBER_STATUS.PENDING,
+      user_id: null,
+      invitation_token_hash: hashString(token),
+      invitation_expires_at: new Date(Date.now() + INVITATION_LIFETIME_DAYS * 24 * 60 * 60 * 1000),
+      invited_by: invitedBy,
+      accepted_at: null,
+      revoked_at: null
+    };
+
+    const [member] = await db('store_members')
+      .insert({ store_id: storeId, email: normalizedEmail, ...invitation })
+      .onConflict(['store_id', 'email'])
+      .merge({ ...invitation, updated_at: db.fn.now() })
+      .returning('*');
+
+    return { token, member };
+  }
+
+  /**
+   * Trouver un membre par ID
+   */
+  static async findById(id) {
+    return await db('store_members')
+      .where({ id })
+      .first();
+  }
+
+  /**
+   * Trouver un membre d'une boutique par email
+   */
+  static async findByEmail(storeId, email) {
+    return await db('store_members')
+      .where({ store_id: storeId, email: email.toLowerCase().trim() })
+      .first();
+  }
+
+  /**
+   * Trouver une invitation en attente à partir de son token
+   */
+  static async findByInvitationToken(token) {
+    return await db('store_members')
+      .select([
+        'store_members.*',
+        'stores.name as store_name'
+      ])
+      .join('stores', 'store_members.store_id', 'stores.id')
+      .where('store_members.invitation_token_hash', hashString(String(token)))
+      .where('store_members.status', STORE_MEMBER_STATUS.PENDING)
+      .where('store_members.invitation_expires_at', '>', db.fn.now())
+      .whereNull('stores.deleted_at')
+      .first();
+  }
+
+  /**
+   * Membre actif d'une boutique pour un utilisateur
+   */
+  static async findActive(storeId, userId) {
+    return await db('store_members')
+      .where({
+        store_id: storeId,
+        user_id: userId,
+        status: STORE_MEMBER_STATUS.ACTIVE
+      })
+      .first();
+  }
+
+  /**
+   * Équipe d'une boutique (hors membres révoqués)
+   */
+  static async findByStore(storeId) {
+    return await db('store_members')
+      .select([
+        'store_members.id',
+        'store_members.email',
+        'store_members.role',
+        'store_members.status',
+        'store_members.user_id',
+        'store_members.invitation_expires_at',
+        'store_members.accepted_at',
+        'store_members.created_at',
+        'users.first_name',
+        'users.last_name'
+      ])
+      .leftJoin('users', 'store_members.user_id', 'users.id')
+      .where('store_members.store_id', storeId)
+      .whereNot('store_members.status', STORE_MEMBER_STATUS.REVOKED)
+      .orderBy('store_members.created_at', 'asc');
+  }
+
+  /**
+   * Boutiques dont l'utilisateur est membre actif
+   */
+  static async findMembershipsByUser(userId) {
+    return await db('store_members')
+      .select([
+        'store_members.id',
+        'store_members.role',
+        'store_members.accepted_at',
+        'stores.id as store_id',
+        'stores.name as store_name',
+        'stores.slug as store_slug',
+        'stores.logo_url as store_logo'
+      ])
+      .join('stores', 'store_members.store_id', 'stores.id')
+      .where('store_members.user_id', userId)
+      .where('store_members.status', STORE_MEMBER_STATUS.ACTIVE)
+      .whereNull('stores.deleted_at')
+      .orderBy('stores.name', 'asc');
+  }
+
+  /**
+   * Accepter une invitation
+   */
+  static async accept(id, userId) {
+    const [member] = await db('store_members')
+      .where({ id, status: STORE_MEMBER_STATUS.PENDING })
+      .update({
+        user_id: userId,
+        status: STORE_MEMBER_STATUS.ACTIVE,
+        accepted_at: db.fn.now(),
+        invitation_token_hash: null,
+        invitation_expires_at: null,
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return member || null;
+  }
+
+  /**
+   * Changer le rôle d'un membre
+   */
+  static async updateRole(id, role) {
+    const [member] = await db('store_members')
+      .where({ id })
+      .whereNot('status', STORE_MEMBER_STATUS.REVOKED)
+      .update({
+        role,
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return member || null;
+  }
+
+  /**
+   * Retirer un membre de l'équipe (ou annuler son invitation)
+   */
+  static async revoke(id) {
+    const [member] = await db('store_members')
+      .where({ id })
+      .whereNot('status', STORE_MEMBER_STATUS.REVOKED)
+      .update({
+        status: STORE_MEMBER_STATUS.REVOKED,
+        revoked_at: db.fn.now(),
+        invitation_token_hash: null,
+        invitation_expires_at: null,
+        updated_at: db.fn.now()
+      })
+      .returning('*');
+
+    return member || null;
+  }
+}
+
+module.exports = StoreMember;
@@ -1,5 +1,7 @@
 const db = require('../config/database');
 const bcrypt = require('bcrypt');
+const tokenRevocationService = require('../services/tokenRevocationService');
+const auditService = require('../services/auditService');
 
 /**
  * Modèle User - Gestion des utilisateurs
@@ -58,6 +60,7 @@ class User {
 
     // Retourner l'utilisateur sans le hash du mot de passe
     delete user.password_hash;
+    delete user.two_factor_secret;
     return user;
   }
 
@@ -73,6 +76,7 @@ class User {
 
     if (user) {
       delete user.password_hash;
+      delete user.two_factor_secret;
     }
     return user;
   }
@@ -114,6 +118,8 @@ class User {
 
     filteredData.updated_at = db.fn.now();
 
+    const before = await db('users').where({ id }).whereNull('deleted_at').first();
+
     const [user] = await db('users')
       .where({ id })
       .whereNull('deleted_at')
@@ -121,7 +127,9 @@ class User {
       .returning('*');
 
     if (user) {
+      await auditService.record('user.update', { entityType: 'user', entityId: id, before, after: user });
       delete user.password_hash;
+      delete user.two_factor_secret;
     }
     return user;
   }
@@ -142,6 +150,7 @@ class User {
 
     if (user) {
       delete user.password_hash;
+      delete user.two_factor_secret;
     }
     return user;
   }
@@ -159,6 +168,8 @@ class User {
         updated_at: db.fn.now()
       });
 
+    await tokenRevocationService.revokeAllUserTokens(id, 'password_changed');
+
     return true;
   }
 
@@ -265,6 +276,8 @@ class User {
    * Suspendre un utilisateur
    */
   static async suspend(id, reason = null) {
+    const before = await db('users').where({ id }).first();
+
     const [user] = await db('users')
       .where({ id })
       .update({
@@ -276,7 +289,16 @@ class User {
       .returning('*');
 
     if (user) {
+      await tokenRevocationService.revokeAllUserTokens(id, 'account_suspended');
+      await auditService.record('user.suspend', {
+        entityType: 'user',
+        entityId: id,
+        before,
+        after: user,
+        metadata: { reason }
+      });
       delete user.password_hash;
+      delete user.two_factor_secret;
     }
     return user;
   }
@@ -285,6 +307,8 @@ class User {
    * Réactiver un utilisateur
    */
   static async reactivate(id) {
+    const before = await db('users').where({ id }).first();
+
     const [user] = await db('users')
       .where({ id })
       .update({
@@ -296,7 +320,9 @@ class User {
       .returning('*');
 
     if (user) {
+      await auditService.record('user.reactivate', { entityType: 'user', entityId: id, before, after: user });
       delete user.password_hash;
+      delete user.two_factor_secret;
     }
     return user;
   }
@@ -305,6 +331,8 @@ class User {
    * Supprimer un utilisateur (soft delete)
    */
   static async delete(id) {
+    const before = await db('users').where({ id }).whereNull('deleted_at').first();
+
     await db('users')
       .where({ id })
       .update({
@@ -312,6 +340,17 @@ class User {
         status: 'banned'
       });
 
+    await tokenRevocationService.revokeAllUserTokens(id, 'account_deleted');
+
+    if (before) {
+      // Pas d'instantané complet: le journal est immuable et ne doit pas figer de données personnelles
+      await auditService.record('user.delete', {
+        entityType: 'user',
+        entityId: id,
+        before: { role: before.role, status: before.status }
+      });
+    }
+
     return true;
   }
 
@@ -0,0 +1,93 @@
+const db = require('../config/database');
+
+/**
+ * Modèle UserIdentity - Comptes externes (OpenID Connect) liés à un utilisateur
+ */
+class UserIdentity {
+  /**
+   * Trouver une identité par fournisseur et identifiant chez le fournisseur
+   */
+  static async findByProviderSubject(provider, subject) {
+    return await db('user_identities')
+      .where({ provider, subject: String(subject) })
+      .first();
+  }
+
+  /**
+   * Identités liées à un utilisateur
+   */
+  static async findByUser(userId) {
+    return await db('user_identities')
+      .select(['id', 'provider', 'email', 'email_verified', 'last_login_at', 'created_at'])
+      .where({ user_id: userId })
+      .orderBy('created_at', 'asc');
+  }
+
+  /**
+   * Identité d'un utilisateur chez un fournisseur
+   */
+  static async findByUserAndProvider(userId, provider) {
+    return await db('user_identities')
+      .where({ user_id: userId, provider })
+      .first();
+  }
+
+  /**
+   * Lier une identité externe à un utilisateur
+   */
+  static async create(userId, { provider, subject, email = null, emailVerified = false }) {
+    const [identity] = await db('user_identities')
+      .insert({
+        user_id: userId,
+        provider,
+        subject: String(subject),
+        email,
+        email_verified: emailVerified,
+        last_login_at: db.fn.now()
+      })
+      .returning('*');
+
+    return identity;
+  }
+
+  /**
+   * Enregistrer une connexion avec cette identité
+   */
+  static async touch(id, { email, emailVerified } = {}) {
+    const updates = { last_login_at: db.fn.now(), updated_at: db.fn.now() };
+
+    if (email) {
+      updates.email = email;
+      updates.email_verified = Boolean(emailVerified);
+    }
+
+    await db('user_identities')
+      .where({ id })
+      .update(updates);
+  }
+
+  /**
+   * Délier une identité
+   */
+  static async delete(id, userId) {
+    const deleted = await db('user_identities')
+      .where({ id, user_id: userId })
+      .del();
+
+    return deleted > 0;
+  }
+
+  /**
+   * Nombre d'identités liées à un utilisateur
+   */
+  static async countByUser(userId) {
+    const result = await db('user_identities')
+      .where({ user_id: userId })
+      .count('* as count')
+      .first();
+
+    return parseInt(result.count) || 0;
+  }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,164 @@
+const db = require('../config/database');
+const { hashString } = require('../utils/helpers');
+
+const PLATFORMS = ['web', 'mobile'];
+
+// Clients natifs (applications mobiles, SDK HTTP)
+const MOBILE_USER_AGENT = /(okhttp|dart|cfnetwork|expo|react-native|afrikmode-mobile)/i;
+
+// Intervalle minimal entre deux mises à jour de l'activité (secondes)
+const ACTIVITY_UPDATE_INTERVAL = 60;
+
+/**
+ * Modèle UserSession - Appareils connectés d'un utilisateur
+ * Une session correspond à une famille de refresh tokens (une connexion)
+ */
+class UserSession {
+  /**
+   * Déterminer la plateforme du client
+   * (valeur explicite du client, en-tête X-Client-Platform ou user agent)
+   */
+  static detectPlatform(req) {
+    const declared = (req.body?.platform || req.get('X-Client-Platform') || '').toLowerCase();
+    if (PLATFORMS.includes(declared)) {
+      return declared;
+    }
+
+    return MOBILE_USER_AGENT.test(req.get('User-Agent') || '') ? 'mobile' : 'web';
+  }
+
+  /**
+   * Empreinte d'un appareil, utilisée pour reconnaître un appareil déjà vu
+   */
+  static fingerprint(deviceName, userAgent) {
+    return hashString(`${(deviceName || '').trim().toLowerCase()}|${userAgent || ''}`);
+  }
+
+  /**
+   * Enregistrer une nouvelle session
+   */
+  static async create(userId, refreshFamilyId, req) {
+    const deviceName = req.body?.deviceName || null;
+    const userAgent = req.get('User-Agent') || null;
+
+    const [session] = await db('user_sessions')
+      .insert({
+        user_id: userId,
+        refresh_family_id: refreshFamilyId,
+        device_name: deviceName,
+        platform: UserSession.detectPlatform(req),
+        device_fingerprint: UserSession.fingerprint(deviceName, userAgent),
+        ip_address: req.ip,
+        user_agent: userAgent,
+        last_ip_address: req.ip
+      })
+      .returning('*');
+
+    return session;
+  }
+
+  /**
+   * Trouver une session par ID
+   */
+  static async findById(id) {
+    return await db('user_sessions')
+      .where({ id })
+      .first();
+  }
+
+  /**
+   * Trouver la session d'une famille de refresh tokens
+   */
+  static async findByRefreshFamily(refreshFamilyId) {
+    return await db('user_sessions')
+      .where({ refresh_family_id: refreshFamilyId })
+      .first();
+  }
+
+  /**
+   * L'appareil a-t-il déjà été utilisé par cet utilisateur ?
+   * Retourne null pour une toute première connexion (aucune session connue)
+   */
+  static async isKnownDevice(userId, fingerprint, excludeSessionId = null) {
+    const query = db('user_sessions')
+      .select('device_fingerprint')
+      .where({ user_id: userId });
+
+    if (excludeSessionId) {
+      query.whereNot({ id: excludeSessionId });
+    }
+
+    const sessions = await query;
+    if (sessions.length === 0) {
+      return null;
+    }
+
+    return sessions.some(session => session.device_fingerprint === fingerprint);
+  }
+
+  /**
+   * Sessions actives d'un utilisateur
+   * (session non révoquée dont la famille possède encore un refresh token valide)
+   */
+  static async findActiveByUser(userId) {
+    return await db('user_sessions')
+      .where({ user_id: userId })
+      .whereNull('revoked_at')
+      .whereExists(function() {
+        this.select(db.raw('1'))
+          .from('refresh_tokens')
+          .whereRaw('refresh_tokens.family_id = user_sessions.refresh_family_id')
+          .whereNull('refresh_tokens.revoked_at')
+          .whereNull('refresh_tokens.used_at')
+          .where('refresh_tokens.expires_at', '>', db.fn.now());
+      })
+      .orderBy('last_activity_at', 'desc');
+  }
+
+  /**
+   * Mettre à jour la dernière activité (au plus une fois par minute)
+   */
+  static async touch(id, ipAddress) {
+    return await db('user_sessions')
+      .where({ id })
+      .whereNull('revoked_at')
+      .where('last_activity_at', '<', db.raw(`NOW() - INTERVAL '${ACTIVITY_UPDATE_INTERVAL} seconds'`))
+      .update({
+        last_activity_at: db.fn.now(),
+        last_ip_address: ipAddress
+      });
+  }
+
+  /**
+   * Marquer une session comme révoquée
+   */
+  static async markRevoked(id, reason = 'revoked') {
+    return await db('user_sessions')
+      .where({ id })
+      .whereNull('revoked_at')
+      .update({
+        revoked_at: db.fn.now(),
+        revoked_reason: reason
+      });
+  }
+
+  /**
+   * Marquer toutes les sessions d'un utilisateur comme révoquées
+   */
+  static async markAllRevoked(userId, reason = 'revoked', exceptId = null) {
+    const query = db('user_sessions')
+      .where({ user_id: userId })
+      .whereNull('revoked_at');
+
+    if (exceptId) {
+      query.whereNot({ id: exceptId });
+    }
+
+    return await query.update({
+      revoked_at: db.fn.now(),
+      revoked_reason: reason
+    });
+  }
+}
+
+module.exports = UserSession;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permissionController');
+const auditController = require('../controllers/auditController');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+/**
+ * @route GET /api/admin/permissions
+ * @desc Registre des permissions et attribution par rôle
+ * @access Private (permissions:manage)
+ */
+router.get('/permissions',
+  requireAuth,
+  requirePermission('permissions:manage'),
+  permissionController.getPermissionMatrix
+);
+
+/**
+ * @route PUT /api/admin/permissions/roles/:role
+ * @desc Remplacer les permissions d'un rôle
+ * @access Private (permissions:manage)
+ */
+router.put('/permissions/roles/:role',
+  requireAuth,
+  requirePermission('permissions:manage'),
+  permissionController.updateRolePermissions
+);
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc Journal d'audit (filtres: actorId, impersonatorId, action, entityType, entityId, requestId, from, to)
+ * @access Private (audit_logs:read)
+ */
+router.get('/audit-logs',
+  requireAuth,
+  requirePermission('audit_logs:read'),
+  auditController.getAuditLogs
+);
+
+/**
+ * @route GET /api/admin/audit-logs/export
+ * @desc Export CSV du journal d'audit (mêmes filtres)
+ * @access Private (audit_logs:read)
+ */
+router.get('/audit-logs/export',
+  requireAuth,
+  requirePermission('audit_logs:read'),
+  auditController.exportAuditLogs
+);
+
+module.exports = router;
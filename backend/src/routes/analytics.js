@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const { cacheMiddleware } = require('../config/redis');
 
 /**
@@ -11,7 +11,7 @@ const { cacheMiddleware } = require('../config/redis');
  */
 router.get('/dashboard',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('analytics:view_platform'),
   cacheMiddleware(1800, (req) => `analytics:dashboard:${req.query.period || '30d'}`),
   analyticsController.getGlobalDashboard
 );
@@ -23,7 +23,7 @@ router.get('/dashboard',
  */
 router.get('/sales',
   requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requirePermission('analytics:view_store'),
   cacheMiddleware(900, (req) => `analytics:sales:${JSON.stringify(req.query)}`),
   analyticsController.getSalesAnalytics
 );
@@ -35,7 +35,7 @@ router.get('/sales',
  */
 router.get('/products',
   requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requirePermission('analytics:view_store'),
   cacheMiddleware(1800, (req) => `analytics:products:${JSON.stringify(req.query)}`),
   analyticsController.getProductAnalytics
 );
@@ -47,7 +47,7 @@ router.get('/products',
  */
 router.get('/customers',
   requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requirePermission('analytics:view_store'),
   cacheMiddleware(1800, (req) => `analytics:customers:${JSON.stringify(req.query)}`),
   analyticsController.getCustomerAnalytics
 );
@@ -59,7 +59,7 @@ router.get('/customers',
  */
 router.get('/export',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('analytics:export'),
   analyticsController.exportAnalytics
 );
 
@@ -70,7 +70,7 @@ router.get('/export',
  */
 router.get('/real-time',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('analytics:view_platform'),
   async (req, res, next) => {
     const db = require('../config/database');
     
@@ -161,7 +161,7 @@ router.get('/real-time',
  */
 router.get('/trends',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('analytics:view_platform'),
   cacheMiddleware(3600, () => 'analytics:trends'),
   async (req, res, next) => {
     const db = require('../config/database');
@@ -265,7 +265,7 @@ router.get('/trends',
  */
 router.get('/geographic',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('analytics:view_platform'),
   cacheMiddleware(3600, (req) => `analytics:geographic:${req.query.period || '30d'}`),
   async (req, res, next) => {
     const { period = '30d' } = req.query;
@@ -367,7 +367,7 @@ router.get('/geographic',
  */
 router.get('/financial',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('analytics:view_financial'),
   cacheMiddleware(900, (req) => `analytics:financial:${req.query.period || '30d'}`),
   async (req, res, next) => {
     const { period = '30d' } = req.query;
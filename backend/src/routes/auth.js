@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, optionalAuth, denyImpersonation } = require('../middleware/auth');
+const { deprecated } = require('../middleware/apiVersion');
+const { RedisStore, otpRequestLimiter, otpVerifyLimiter, abuseDetection } = require('../middleware/rateLimiter');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting spécifique à l'authentification
@@ -14,7 +16,8 @@ const authLimiter = rateLimit({
     code: 'TOO_MANY_AUTH_ATTEMPTS'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  store: new RedisStore({ prefix: 'auth_route_limit:' })
 });
 
 const passwordLimiter = rateLimit({
@@ -24,13 +27,15 @@ const passwordLimiter = rateLimit({
     success: false,
     error: 'Trop de demandes de réinitialisation. Réessayez dans 1 heure.',
     code: 'TOO_MANY_PASSWORD_ATTEMPTS'
-  }
+  },
+  store: new RedisStore({ prefix: 'password_limit:' })
 });
 
 /**
  * @route POST /api/auth/register
  * @desc Inscription d'un nouvel utilisateur
  * @access Public
+ * @body user.register
  */
 router.post('/register', authLimiter, authController.register);
 
@@ -38,8 +43,9 @@ router.post('/register', authLimiter, authController.register);
  * @route POST /api/auth/login
  * @desc Connexion utilisateur
  * @access Public
+ * @body user.login
  */
-router.post('/login', authLimiter, authController.login);
+router.post('/login', authLimiter, abuseDetection, authController.login);
 
 /**
  * @route POST /api/auth/verify-email
@@ -48,6 +54,27 @@ router.post('/login', authLimiter, authController.login);
  */
 router.post('/verify-email', authController.verifyEmail);
 
+/**
+ * @route POST /api/auth/email/confirm-change
+ * @desc Confirmer une nouvelle adresse email (lien envoyé à la nouvelle adresse)
+ * @access Public
+ */
+router.post('/email/confirm-change', authLimiter, authController.confirmEmailChange);
+
+/**
+ * @route POST /api/auth/email/revert-change
+ * @desc Annuler un changement d'adresse email (lien envoyé à l'ancienne adresse)
+ * @access Public
+ */
+router.post('/email/revert-change', authLimiter, authController.revertEmailChange);
+
+/**
+ * @route POST /api/auth/account/restore
+ * @desc Annuler la suppression du compte pendant le délai de grâce
+ * @access Public
+ */
+router.post('/account/restore', authLimiter, authController.restoreAccount);
+
 /**
  * @route POST /api/auth/forgot-password
  * @desc Demande de réinitialisation de mot de passe
@@ -62,19 +89,127 @@ router.post('/forgot-password', passwordLimiter, authController.forgotPassword);
  */
 router.post('/reset-password', passwordLimiter, authController.resetPassword);
 
+/**
+ * @route POST /api/auth/unlock
+ * @desc Déverrouiller son compte avec le lien reçu par email
+ * @access Public
+ */
+router.post('/unlock', authLimiter, authController.unlockAccount);
+
 /**
  * @route POST /api/auth/logout
- * @desc Déconnexion utilisateur
+ * @desc Déconnexion de l'appareil courant (token d'accès et refresh token fourni)
  * @access Private
  */
 router.post('/logout', requireAuth, authController.logout);
 
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Déconnexion de tous les appareils
+ * @access Private
+ */
+router.post('/logout-all', requireAuth, denyImpersonation, authController.logoutAll);
+
+/**
+ * @route POST /api/auth/impersonation/stop
+ * @desc Mettre fin à une session d'impersonation (révoque le token courant)
+ * @access Private (session d'impersonation)
+ */
+router.post('/impersonation/stop', requireAuth, authController.stopImpersonation);
+
 /**
  * @route POST /api/auth/refresh
- * @desc Actualisation du token d'authentification
+ * @desc Rotation du refresh token et émission d'un nouveau token d'accès
+ * @access Public (refresh token requis, le token d'accès peut être expiré)
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * @route POST /api/auth/refresh-token
+ * @desc Alias de /refresh (anciennes versions de l'application mobile), retiré en v2
+ * @access Public (refresh token requis)
+ */
+router.post('/refresh-token',
+  deprecated({ since: '2025-10-20', sunset: '2026-12-31', successor: '/auth/refresh', removedIn: 'v2' }),
+  authController.refreshToken
+);
+
+/**
+ * @route POST /api/auth/phone/request-otp
+ * @desc Recevoir un code de connexion par SMS
+ * @access Public
+ */
+router.post('/phone/request-otp', authLimiter, abuseDetection, otpRequestLimiter, authController.requestPhoneOtp);
+
+/**
+ * @route POST /api/auth/phone/verify-otp
+ * @desc Se connecter avec le code reçu par SMS
+ * @access Public
+ */
+router.post('/phone/verify-otp', abuseDetection, otpVerifyLimiter, authController.verifyPhoneOtp);
+
+/**
+ * @route GET /api/auth/oidc/providers
+ * @desc Fournisseurs de connexion externes disponibles (Google, Apple...)
+ * @access Public
+ */
+router.get('/oidc/providers', authController.getOidcProviders);
+
+/**
+ * @route GET /api/auth/oidc/:provider/authorize
+ * @desc Obtenir l'URL de redirection vers le fournisseur (state, nonce et PKCE)
+ * @access Public
+ */
+router.get('/oidc/:provider/authorize', authLimiter, authController.startOidcLogin);
+
+/**
+ * @route POST /api/auth/oidc/:provider/callback
+ * @desc Se connecter avec le code retourné par le fournisseur
+ * @access Public
+ */
+router.post('/oidc/:provider/callback', authLimiter, abuseDetection, authController.completeOidcLogin);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Terminer la connexion avec un code TOTP ou un code de secours
+ * @access Public (challenge de connexion requis)
+ */
+router.post('/2fa/verify', authLimiter, abuseDetection, authController.verifyTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Démarrer l'activation de la double authentification (secret + QR code)
+ * @access Private (ou challenge d'enrôlement pour les rôles où la 2FA est obligatoire)
+ */
+router.post('/2fa/setup', optionalAuth, denyImpersonation, authController.setupTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Confirmer l'activation avec un premier code, retourne les codes de secours
+ * @access Private (ou challenge d'enrôlement)
+ */
+router.post('/2fa/confirm', authLimiter, optionalAuth, denyImpersonation, authController.confirmTwoFactor);
+
+/**
+ * @route GET /api/auth/2fa/status
+ * @desc Statut de la double authentification
+ * @access Private
+ */
+router.get('/2fa/status', requireAuth, authController.getTwoFactorStatus);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Régénérer les codes de secours
+ * @access Private
+ */
+router.post('/2fa/recovery-codes', authLimiter, requireAuth, denyImpersonation, authController.regenerateRecoveryCodes);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Désactiver la double authentification (interdit pour admin/super_admin)
  * @access Private
  */
-router.post('/refresh', requireAuth, authController.refreshToken);
+router.post('/2fa/disable', authLimiter, requireAuth, denyImpersonation, authController.disableTwoFactor);
 
 /**
  * @route GET /api/auth/me
@@ -83,6 +218,7 @@ router.post('/refresh', requireAuth, authController.refreshToken);
  */
 router.get('/me', requireAuth, async (req, res) => {
   const db = require('../config/database');
+  const consentService = require('../services/consentService');
   
   try {
     const user = await db('users')
@@ -120,7 +256,16 @@ router.get('/me', requireAuth, async (req, res) => {
         user: {
           ...user,
           stores
-        }
+        },
+        // Nouvelles conditions d'utilisation à accepter
+        policyAcceptanceRequired: consentService.isPolicyAcceptanceRequired(req.user),
+        // Session ouverte par un administrateur (bandeau côté interface)
+        impersonator: req.impersonator ? {
+          id: req.impersonator.id,
+          email: req.impersonator.email,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName
+        } : null
       }
     });
     
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission } = require('../middleware/auth');
 const { cacheMiddleware } = require('../config/redis');
 
 /**
@@ -114,7 +114,7 @@ router.get('/popular',
  */
 router.post('/',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('categories:manage'),
   categoryController.createCategory
 );
 
@@ -135,7 +135,7 @@ router.get('/:id',
  */
 router.put('/:id',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('categories:manage'),
   categoryController.updateCategory
 );
 
@@ -146,7 +146,7 @@ router.put('/:id',
  */
 router.delete('/:id',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('categories:manage'),
   categoryController.deleteCategory
 );
 
@@ -316,7 +316,7 @@ router.get('/:id/breadcrumb',
  */
 router.post('/:id/reorder',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('categories:manage'),
   async (req, res, next) => {
     const db = require('../config/database');
     const { cache, CACHE_KEYS } = require('../config/redis');
@@ -393,7 +393,7 @@ router.post('/:id/reorder',
  */
 router.get('/stats/admin',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('categories:view_stats'),
   cacheMiddleware(3600, () => 'categories:admin:stats'),
   async (req, res, next) => {
     const db = require('../config/database');
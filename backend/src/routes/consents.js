@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const consentController = require('../controllers/consentController');
+
+/**
+ * @route GET /api/consents/unsubscribe
+ * @desc Vérifier un lien de désabonnement (page de confirmation)
+ * @access Public (lien signé)
+ */
+router.get('/unsubscribe', consentController.getUnsubscribeTarget);
+
+/**
+ * @route POST /api/consents/unsubscribe
+ * @desc Désabonnement en un clic (List-Unsubscribe-Post, RFC 8058)
+ * @access Public (lien signé)
+ */
+router.post('/unsubscribe', consentController.unsubscribe);
+
+module.exports = router;
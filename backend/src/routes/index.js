@@ -10,16 +10,28 @@ const productRoutes = require('./products');
 const orderRoutes = require('./orders');
 const paymentRoutes = require('./payments');
 const analyticsRoutes = require('./analytics');
+const adminRoutes = require('./admin');
+const consentRoutes = require('./consents');
 
 // Import middleware
 const authMiddleware = require('../middleware/auth');
 
-// API version and info
+// Documentation
+const swaggerUi = require('swagger-ui-express');
+const openApiService = require('../services/openApiService');
+const { SUPPORTED_VERSIONS } = require('../middleware/apiVersion');
+
+/**
+ * @route GET /api
+ * @desc Version et informations de l'API
+ * @access Public
+ */
 router.get('/', (req, res) => {
   res.json({
     message: 'Bienvenue sur l\'API AfrikMode 🌍',
-    version: process.env.API_VERSION || 'v1',
-    documentation: `/api/docs`,
+    version: req.apiVersion,
+    supportedVersions: SUPPORTED_VERSIONS,
+    documentation: `${req.apiBasePath}/docs`,
     endpoints: {
       auth: '/api/auth',
       users: '/api/users',
@@ -28,7 +40,9 @@ router.get('/', (req, res) => {
       products: '/api/products',
       orders: '/api/orders',
       payments: '/api/payments',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      admin: '/api/admin',
+      consents: '/api/consents'
     },
     status: 'active',
     timestamp: new Date().toISOString()
@@ -40,14 +54,20 @@ router.use('/auth', authRoutes);
 router.use('/stores', storeRoutes); // Some store routes are public
 router.use('/categories', categoryRoutes); // Category browsing is public
 router.use('/products', productRoutes); // Product browsing is public
+router.use('/consents', consentRoutes); // Liens de désabonnement signés
 
 // Protected routes (authentication required)
 router.use('/users', authMiddleware.requireAuth, userRoutes);
-router.use('/orders', authMiddleware.requireAuth, orderRoutes);
+router.use('/orders', orderRoutes); // Authentification route par route: certaines acceptent une clé d'API de boutique
 router.use('/payments', authMiddleware.requireAuth, paymentRoutes);
 router.use('/analytics', authMiddleware.requireAuth, analyticsRoutes);
+router.use('/admin', authMiddleware.requireAuth, adminRoutes);
 
-// Health check endpoint with detailed info
+/**
+ * @route GET /api/health
+ * @desc État de l'API et de ses services (base de données, Redis)
+ * @access Public
+ */
 router.get('/health', async (req, res) => {
   try {
     // Check database connection
@@ -58,9 +78,14 @@ router.get('/health', async (req, res) => {
     let redisStatus = 'not_configured';
     if (process.env.REDIS_HOST) {
       try {
-        const redis = require('../config/redis');
-        await redis.ping();
-        redisStatus = 'connected';
+        const { client, isConnected } = require('../config/redis');
+        // Client hors ligne: ne pas attendre une commande mise en file d'attente
+        if (isConnected()) {
+          await client.ping();
+          redisStatus = 'connected';
+        } else {
+          redisStatus = 'disconnected';
+        }
       } catch (error) {
         redisStatus = 'error';
       }
@@ -70,7 +95,7 @@ router.get('/health', async (req, res) => {
       status: 'healthy',
       message: 'AfrikMode API fonctionne correctement',
       timestamp: new Date().toISOString(),
-      version: process.env.API_VERSION || 'v1',
+      version: req.apiVersion,
       environment: process.env.NODE_ENV || 'development',
       services: {
         database: 'connected',
@@ -91,116 +116,38 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// API Documentation (simple endpoint, can be enhanced with Swagger later)
-router.get('/docs', (req, res) => {
-  res.json({
-    title: 'AfrikMode API Documentation',
-    version: process.env.API_VERSION || 'v1',
-    description: 'API REST pour la plateforme e-commerce AfrikMode - Mode africaine',
-    base_url: `${req.protocol}://${req.get('host')}/api`,
-    authentication: {
-      type: 'JWT Bearer Token',
-      header: 'Authorization: Bearer <token>',
-      login_endpoint: '/api/auth/login'
-    },
-    endpoints: {
-      auth: {
-        login: 'POST /auth/login',
-        register: 'POST /auth/register',
-        logout: 'POST /auth/logout',
-        refresh: 'POST /auth/refresh',
-        verify_email: 'POST /auth/verify-email',
-        forgot_password: 'POST /auth/forgot-password',
-        reset_password: 'POST /auth/reset-password'
-      },
-      users: {
-        profile: 'GET /users/profile',
-        update_profile: 'PUT /users/profile',
-        change_password: 'PUT /users/change-password',
-        addresses: 'GET/POST /users/addresses',
-        wishlist: 'GET /users/wishlist',
-        orders: 'GET /users/orders'
-      },
-      stores: {
-        list: 'GET /stores',
-        details: 'GET /stores/:id',
-        create: 'POST /stores (vendor+)',
-        update: 'PUT /stores/:id (owner)',
-        products: 'GET /stores/:id/products',
-        orders: 'GET /stores/:id/orders (owner)',
-        analytics: 'GET /stores/:id/analytics (owner)'
-      },
-      categories: {
-        list: 'GET /categories',
-        details: 'GET /categories/:id',
-        create: 'POST /categories (admin)',
-        update: 'PUT /categories/:id (admin)',
-        products: 'GET /categories/:id/products'
-      },
-      products: {
-        list: 'GET /products',
-        search: 'GET /products/search?q=term',
-        details: 'GET /products/:id',
-        create: 'POST /products (vendor+)',
-        update: 'PUT /products/:id (owner)',
-        reviews: 'GET/POST /products/:id/reviews',
-        variants: 'GET /products/:id/variants'
-      },
-      orders: {
-        list: 'GET /orders',
-        create: 'POST /orders',
-        details: 'GET /orders/:id',
-        update: 'PUT /orders/:id (vendor+)',
-        cancel: 'POST /orders/:id/cancel',
-        tracking: 'GET /orders/:id/tracking'
-      },
-      payments: {
-        methods: 'GET /payments/methods',
-        process: 'POST /payments/process',
-        webhook: 'POST /payments/webhook/:provider',
-        refund: 'POST /payments/:id/refund (admin)'
-      },
-      analytics: {
-        dashboard: 'GET /analytics/dashboard',
-        sales: 'GET /analytics/sales',
-        products: 'GET /analytics/products',
-        customers: 'GET /analytics/customers'
-      }
-    },
-    response_format: {
-      success: {
-        success: true,
-        data: 'response_data',
-        message: 'success_message',
-        pagination: 'pagination_info (if applicable)'
-      },
-      error: {
-        success: false,
-        error: 'error_message',
-        code: 'error_code',
-        details: 'detailed_error_info'
-      }
-    },
-    status_codes: {
-      200: 'Success',
-      201: 'Created',
-      400: 'Bad Request',
-      401: 'Unauthorized',
-      403: 'Forbidden',
-      404: 'Not Found',
-      422: 'Validation Error',
-      429: 'Too Many Requests',
-      500: 'Internal Server Error'
-    }
-  });
+/**
+ * @route GET /api/openapi.json
+ * @desc Spécification OpenAPI 3 générée à partir des routes et des schémas de validation
+ * @access Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiService.getDocument(router, req.apiVersion));
 });
 
+// Documentation interactive (Swagger UI) chargeant l'openapi.json de la même version
+const docsOptions = { swaggerOptions: { url: '../openapi.json' } };
+router.use('/docs', swaggerUi.serveFiles(null, docsOptions));
+
+/**
+ * @route GET /api/docs
+ * @desc Documentation interactive de l'API (Swagger UI)
+ * @access Public
+ */
+router.get('/docs', (req, res, next) => {
+  // Les ressources du viewer sont relatives à /api/docs/
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, `${req.baseUrl}/docs/`);
+  }
+  next();
+}, swaggerUi.setup(null, docsOptions));
+
 // Catch all route for API
 router.use('*', (req, res) => {
   res.status(404).json({
     success: false,
     message: `Endpoint API ${req.originalUrl} introuvable`,
-    available_endpoints: '/api/docs',
+    available_endpoints: `${req.apiBasePath}/docs`,
     timestamp: new Date().toISOString()
   });
 });
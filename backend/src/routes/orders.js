@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requireAuthOrApiKey, requirePermission, requirePolicyAcceptance } = require('../middleware/auth');
+const { userBasedLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+const permissionService = require('../services/permissionService');
 
 /**
  * @route POST /api/orders
  * @desc Créer une nouvelle commande
- * @access Private
+ * @access Private (en-tête Idempotency-Key recommandé)
+ * @body order.create
  */
-router.post('/', requireAuth, orderController.createOrder);
+router.post('/', requireAuth, requirePolicyAcceptance, idempotency, orderController.createOrder);
 
 /**
  * @route GET /api/orders
@@ -20,32 +24,32 @@ router.get('/', requireAuth, orderController.getUserOrders);
 /**
  * @route GET /api/orders/:id
  * @desc Récupérer une commande spécifique
- * @access Private (Owner/Store Owner/Admin)
+ * @access Private (Owner/Store Owner/Admin) ou clé d'API (orders:read)
  */
-router.get('/:id', requireAuth, orderController.getOrderById);
+router.get('/:id', requireAuthOrApiKey, userBasedLimiter, orderController.getOrderById);
 
 /**
  * @route POST /api/orders/:id/cancel
  * @desc Annuler une commande
- * @access Private (Owner/Store Owner/Admin)
+ * @access Private (Owner/Store Owner/Admin) ou clé d'API (orders:cancel)
  */
-router.post('/:id/cancel', requireAuth, orderController.cancelOrder);
+router.post('/:id/cancel', requireAuthOrApiKey, userBasedLimiter, orderController.cancelOrder);
 
 /**
  * @route PUT /api/orders/:id/status
- * @desc Mettre à jour le statut d'une commande (vendeur/admin)
- * @access Private (Vendor+)
+ * @desc Mettre à jour le statut d'une commande (équipe de la boutique/admin)
+ * @access Private (Store Owner/Store Member/Admin) ou clé d'API (orders:update_status)
  */
 router.put('/:id/status',
-  requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requireAuthOrApiKey,
+  userBasedLimiter,
   orderController.updateOrderStatus
 );
 
 /**
  * @route GET /api/orders/:id/tracking
  * @desc Récupérer les informations de suivi d'une commande
- * @access Private (Owner/Store Owner/Admin)
+ * @access Private (Owner/Store Team/Admin)
  */
 router.get('/:id/tracking', requireAuth, async (req, res, next) => {
   const db = require('../config/database');
@@ -69,13 +73,7 @@ router.get('/:id/tracking', requireAuth, async (req, res, next) => {
     }
 
     // Vérifier les permissions
-    const isOwner = order.customer_id === req.user.id;
-    const isStoreOwner = req.user.role === 'vendor' && await db('stores')
-      .where({ id: order.store_id, owner_id: req.user.id })
-      .first();
-    const isAdmin = ['admin', 'super_admin', 'manager'].includes(req.user.role);
-
-    if (!isOwner && !isStoreOwner && !isAdmin) {
+    if (!await permissionService.canAccessOrder(req.user, order)) {
       throw commonErrors.forbidden('Accès non autorisé');
     }
 
@@ -264,7 +262,7 @@ router.post('/:id/review', requireAuth, async (req, res, next) => {
  */
 router.get('/stats/summary',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('orders:view_stats'),
   async (req, res, next) => {
     const db = require('../config/database');
     const { period = '30d' } = req.query;
@@ -369,9 +367,11 @@ router.get('/stats/summary',
  */
 router.post('/bulk-update',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('orders:bulk_update'),
   async (req, res, next) => {
     const db = require('../config/database');
+    const { commonErrors } = require('../middleware/errorHandler');
+    const auditService = require('../services/auditService');
     const { orderIds, status, notes } = req.body;
     
     try {
@@ -398,16 +398,34 @@ router.post('/bulk-update',
         updateData.admin_notes = notes;
       }
 
+      const previousOrders = await db('orders')
+        .select(['id', 'status', 'admin_notes'])
+        .whereIn('id', orderIds);
+
       // Mettre à jour les commandes
-      const updatedCount = await db('orders')
+      const updatedOrders = await db('orders')
         .whereIn('id', orderIds)
-        .update(updateData);
+        .update(updateData)
+        .returning(['id', 'status', 'admin_notes']);
+      const updatedCount = updatedOrders.length;
 
       // Mettre à jour les articles
       await db('order_items')
         .whereIn('order_id', orderIds)
         .update({ status });
 
+      // Une entrée d'audit par commande, reliées par l'identifiant du lot
+      const batchId = req.requestId;
+      for (const order of updatedOrders) {
+        await auditService.record('order.bulk_update', {
+          entityType: 'order',
+          entityId: order.id,
+          before: previousOrders.find(previous => previous.id === order.id),
+          after: order,
+          metadata: { batchId, batchSize: updatedCount }
+        });
+      }
+
       res.json({
         success: true,
         message: `${updatedCount} commande(s) mise(s) à jour avec le statut: ${status}`,
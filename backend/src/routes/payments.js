@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requirePermission, denyImpersonation } = require('../middleware/auth');
 const { cacheMiddleware } = require('../config/redis');
+const { idempotency } = require('../middleware/idempotency');
 
 /**
  * @route GET /api/payments/methods
@@ -17,10 +18,12 @@ router.get('/methods',
 /**
  * @route POST /api/payments/initiate
  * @desc Initier un paiement
- * @access Private
+ * @access Private (en-tête Idempotency-Key recommandé)
  */
 router.post('/initiate',
   requireAuth,
+  denyImpersonation,
+  idempotency,
   paymentController.initiatePayment
 );
 
@@ -51,7 +54,7 @@ router.get('/:id/status',
  */
 router.post('/:id/refund',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('payments:refund'),
   paymentController.initiateRefund
 );
 
@@ -62,7 +65,7 @@ router.post('/:id/refund',
  */
 router.get('/stats',
   requireAuth,
-  requireRole(['admin', 'super_admin', 'manager']),
+  requirePermission('payments:view_stats'),
   cacheMiddleware(1800, (req) => `payment_stats:${req.query.period || '30d'}`),
   paymentController.getPaymentStats
 );
@@ -122,7 +125,7 @@ router.post('/webhook/mtn-money', async (req, res) => {
  */
 router.get('/test/methods',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('payments:simulate'),
   async (req, res) => {
     if (process.env.NODE_ENV !== 'development') {
       return res.status(404).json({
@@ -176,7 +179,7 @@ router.get('/test/methods',
  */
 router.post('/test/simulate',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('payments:simulate'),
   async (req, res) => {
     if (process.env.NODE_ENV !== 'development') {
       return res.status(404).json({
@@ -188,6 +191,8 @@ router.post('/test/simulate',
     const { paymentId, status = 'completed' } = req.body;
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
+    const auditService = require('../services/auditService');
+    const { paymentService } = require('../services/paymentService');
 
     try {
       if (!paymentId) {
@@ -220,17 +225,21 @@ router.post('/test/simulate',
         .where({ id: payment.id })
         .update(updateData);
 
-      // Mettre à jour la commande si succès
+      // Mettre à jour la commande (paiement reçu, ou refusé: stock réservé libéré)
       if (status === 'completed') {
-        await db('orders')
-          .where({ id: payment.order_id })
-          .update({
-            status: 'paid',
-            payment_status: 'paid',
-            payment_date: db.fn.now()
-          });
+        await paymentService.markOrderPaid(payment.order_id);
+      } else if (status === 'failed') {
+        await paymentService.markOrderPaymentFailed(payment.order_id);
       }
 
+      await auditService.record('payment.simulate', {
+        entityType: 'payment',
+        entityId: payment.id,
+        before: { status: payment.status },
+        after: { status },
+        metadata: { orderId: payment.order_id, reference: payment.payment_reference }
+      });
+
       res.json({
         success: true,
         message: `Paiement simulé avec statut: ${status}`,
@@ -259,7 +268,7 @@ router.post('/test/simulate',
  */
 router.get('/reconciliation',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('payments:reconcile'),
   async (req, res) => {
     const { date = new Date().toISOString().split('T')[0] } = req.query;
     const db = require('../config/database');
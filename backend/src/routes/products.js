@@ -1,8 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/productController');
-const { requireAuth, requireRole, optionalAuth } = require('../middleware/auth');
+const { requireAuth, requireAuthOrApiKey, optionalAuth } = require('../middleware/auth');
+const { userBasedLimiter } = require('../middleware/rateLimiter');
 const { cacheMiddleware } = require('../config/redis');
+const permissionService = require('../services/permissionService');
+const inventoryService = require('../services/inventoryService');
+const auditService = require('../services/auditService');
+const ProductVariant = require('../models/ProductVariant');
+
+// Colonnes qu'une mise à jour de produit peut écrire (le stock et les
+// variantes sont traités à part)
+const UPDATABLE_PRODUCT_FIELDS = [
+  'name', 'description', 'short_description', 'sku', 'barcode', 'category_id',
+  'price', 'compare_at_price', 'cost_price', 'currency', 'fabric_type', 'fabric_origin',
+  'cultural_significance', 'care_instructions', 'dimensions', 'weight',
+  'colors_available', 'sizes_available', 'materials', 'low_stock_threshold',
+  'track_inventory', 'allow_backorders', 'status', 'featured', 'customizable',
+  'images', 'videos', 'primary_image', 'requires_shipping', 'shipping_weight',
+  'shipping_dimensions', 'fragile', 'meta_title', 'meta_description', 'meta_keywords',
+  'translations', 'artisan_name', 'artisan_story', 'artisan_location', 'attributes',
+  'seasons', 'occasions', 'tags'
+];
 
 /**
  * @route GET /api/products
@@ -71,11 +90,12 @@ router.get('/new',
 /**
  * @route POST /api/products
  * @desc Créer un nouveau produit
- * @access Private (Vendor+)
+ * @access Private (Store Owner/Store Manager/Admin) ou clé d'API (products:manage)
+ * @body product.create
  */
 router.post('/', 
-  requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requireAuthOrApiKey,
+  userBasedLimiter,
   productController.createProduct
 );
 
@@ -93,11 +113,12 @@ router.get('/:id',
 /**
  * @route PUT /api/products/:id
  * @desc Mettre à jour un produit
- * @access Private (Owner/Admin)
+ * @access Private (Store Owner/Store Manager/Admin) ou clé d'API (products:manage)
+ * @body product.update
  */
 router.put('/:id',
-  requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requireAuthOrApiKey,
+  userBasedLimiter,
   async (req, res, next) => {
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
@@ -113,47 +134,87 @@ router.put('/:id',
         throw commonErrors.notFound('Produit');
       }
 
-      // Vérifier les permissions
-      if (!['admin', 'super_admin'].includes(req.user.role)) {
-        const store = await db('stores')
-          .where({ id: product.store_id })
-          .first();
-        
-        if (!store || store.owner_id !== req.user.id) {
-          throw commonErrors.forbidden('Vous ne pouvez modifier que vos propres produits');
-        }
+      // Vérifier les permissions (propriétaire, gérant de l'équipe ou admin)
+      const storeAccess = await permissionService.getStoreAccess(req.user, product.store_id);
+      const canManage = storeAccess.permissions.includes('products:manage') ||
+        await permissionService.hasPermission(req.user, 'products:manage_all');
+
+      if (!canManage) {
+        throw commonErrors.forbidden('Vous ne pouvez modifier que vos propres produits');
       }
 
       req.product = product;
+      req.storeMember = storeAccess.member;
       next();
     } catch (error) {
       next(error);
     }
   },
-  async (req, res) => {
+  async (req, res, next) => {
     const db = require('../config/database');
     const { cache, CACHE_KEYS } = require('../config/redis');
+    const { commonErrors } = require('../middleware/errorHandler');
     
     try {
-      const updateData = { ...req.body };
+      const { variants, stock_quantity: stockQuantity } = req.body;
+
+      if (stockQuantity !== undefined && !(Number.isInteger(stockQuantity) && stockQuantity >= 0)) {
+        throw commonErrors.validation('La quantité en stock doit être un entier positif ou nul');
+      }
       
-      // Supprimer les champs non modifiables
-      delete updateData.id;
-      delete updateData.slug;
-      delete updateData.created_at;
-      delete updateData.views_count;
-      delete updateData.sales_count;
-      delete updateData.total_revenue;
+      // Seuls les champs de la fiche sont modifiables (ni la boutique, ni les
+      // compteurs, ni la suppression)
+      const updateData = {};
+      for (const field of UPDATABLE_PRODUCT_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      }
+
+      // Variantes fournies: elles remplacent les variantes existantes
+      const productVariants = variants !== undefined ? inventoryService.normalizeVariants(variants) : null;
       
       // Ajouter les métadonnées de mise à jour
       updateData.updated_at = db.fn.now();
       updateData.updated_by = req.user.id;
+      updateData.updated_by_member_id = req.storeMember ? req.storeMember.id : null;
       
-      // Mettre à jour le produit
-      const [updatedProduct] = await db('products')
-        .where({ id: req.params.id })
-        .update(updateData)
-        .returning('*');
+      // Mettre à jour le produit et ses variantes
+      const { previousProduct, updatedProduct, savedVariants } = await db.transaction(async (trx) => {
+        const previous = await trx('products').where({ id: req.params.id }).first();
+
+        await trx('products')
+          .where({ id: req.params.id })
+          .update(updateData);
+
+        const product = await trx('products').where({ id: req.params.id }).first();
+
+        let saved;
+        if (productVariants) {
+          saved = await inventoryService.syncVariants(product, productVariants, trx);
+        } else {
+          saved = await ProductVariant.findByProduct(req.params.id, {}, trx);
+
+          // Stock saisi sur la fiche: celui du lieu par défaut (produit sans variante;
+          // le stock d'un produit décliné reste la somme de celui des variantes)
+          if (stockQuantity !== undefined && !saved.some(variant => variant.is_active)) {
+            await inventoryService.setProductStock(product, stockQuantity, trx);
+          }
+        }
+
+        return {
+          previousProduct: previous,
+          updatedProduct: await trx('products').where({ id: req.params.id }).first(),
+          savedVariants: saved
+        };
+      });
+
+      await auditService.record('product.update', {
+        entityType: 'product',
+        entityId: req.params.id,
+        before: previousProduct,
+        after: updatedProduct
+      });
 
       // Invalider les caches
       await cache.delPattern(`${CACHE_KEYS.PRODUCTS}*`);
@@ -162,7 +223,10 @@ router.put('/:id',
       res.json({
         success: true,
         message: 'Produit mis à jour avec succès',
-        data: updatedProduct
+        data: {
+          ...updatedProduct,
+          variants: savedVariants.map(variant => ProductVariant.format(variant, updatedProduct.price))
+        }
       });
     } catch (error) {
       next(error);
@@ -173,11 +237,11 @@ router.put('/:id',
 /**
  * @route DELETE /api/products/:id
  * @desc Supprimer un produit (soft delete)
- * @access Private (Owner/Admin)
+ * @access Private (Store Owner/Store Manager/Admin) ou clé d'API (products:manage)
  */
 router.delete('/:id',
-  requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
+  requireAuthOrApiKey,
+  userBasedLimiter,
   async (req, res, next) => {
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
@@ -185,7 +249,6 @@ router.delete('/:id',
     
     try {
       const product = await db('products')
-        .select(['id', 'store_id', 'name'])
         .where({ id: req.params.id })
         .whereNull('deleted_at')
         .first();
@@ -194,15 +257,13 @@ router.delete('/:id',
         throw commonErrors.notFound('Produit');
       }
 
-      // Vérifier les permissions
-      if (!['admin', 'super_admin'].includes(req.user.role)) {
-        const store = await db('stores')
-          .where({ id: product.store_id })
-          .first();
-        
-        if (!store || store.owner_id !== req.user.id) {
-          throw commonErrors.forbidden('Vous ne pouvez supprimer que vos propres produits');
-        }
+      // Vérifier les permissions (propriétaire, gérant de l'équipe ou admin)
+      const storeAccess = await permissionService.getStoreAccess(req.user, product.store_id);
+      const canManage = storeAccess.permissions.includes('products:manage') ||
+        await permissionService.hasPermission(req.user, 'products:manage_all');
+
+      if (!canManage) {
+        throw commonErrors.forbidden('Vous ne pouvez supprimer que vos propres produits');
       }
 
       // Soft delete
@@ -210,9 +271,12 @@ router.delete('/:id',
         .where({ id: req.params.id })
         .update({
           deleted_at: db.fn.now(),
-          deleted_by: req.user.id
+          deleted_by: req.user.id,
+          updated_by_member_id: storeAccess.member ? storeAccess.member.id : null
         });
 
+      await auditService.record('product.delete', { entityType: 'product', entityId: req.params.id, before: product });
+
       // Décrémenter le compteur de produits de la boutique
       await db('stores')
         .where({ id: product.store_id })
@@ -239,7 +303,6 @@ router.delete('/:id',
  */
 router.post('/:id/images',
   requireAuth,
-  requireRole(['vendor', 'manager', 'admin', 'super_admin']),
   // Middleware upload sera implémenté plus tard
   async (req, res) => {
     // TODO: Implémenter l'upload d'images
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const storeController = require('../controllers/storeController');
-const { requireAuth, requireRole, requireStoreAccess } = require('../middleware/auth');
+const storeMemberController = require('../controllers/storeMemberController');
+const apiKeyController = require('../controllers/apiKeyController');
+const stockLocationController = require('../controllers/stockLocationController');
+const productImportController = require('../controllers/productImportController');
+const { requireAuth, requireAuthOrApiKey, requirePermission, requireStoreAccess, denyImpersonation } = require('../middleware/auth');
+const { userBasedLimiter } = require('../middleware/rateLimiter');
 const { uploadMiddleware, uploadService } = require('../services/uploadService');
 const { cacheMiddleware } = require('../config/redis');
 
@@ -66,13 +71,28 @@ router.get('/by-location/:country',
  * @route POST /api/stores
  * @desc Créer une nouvelle boutique
  * @access Private (Customer+, devient Vendor)
+ * @body store.create
  */
 router.post('/',
   requireAuth,
-  requireRole(['customer', 'vendor', 'admin', 'super_admin']),
+  requirePermission('stores:create'),
   storeController.createStore
 );
 
+/**
+ * @route GET /api/stores/memberships
+ * @desc Boutiques dont l'utilisateur fait partie de l'équipe
+ * @access Private
+ */
+router.get('/memberships', requireAuth, storeMemberController.getMyStoreMemberships);
+
+/**
+ * @route POST /api/stores/invitations/accept
+ * @desc Accepter une invitation à rejoindre l'équipe d'une boutique
+ * @access Private
+ */
+router.post('/invitations/accept', requireAuth, storeMemberController.acceptStoreInvitation);
+
 /**
  * @route GET /api/stores/:id
  * @desc Récupérer une boutique par ID ou slug
@@ -86,11 +106,12 @@ router.get('/:id',
 /**
  * @route PUT /api/stores/:id
  * @desc Mettre à jour une boutique
- * @access Private (Owner/Admin)
+ * @access Private (Owner/Store Manager/Admin)
+ * @body store.update
  */
 router.put('/:id',
   requireAuth,
-  requireStoreAccess,
+  requireStoreAccess('store:update'),
   storeController.updateStore
 );
 
@@ -101,7 +122,8 @@ router.put('/:id',
  */
 router.delete('/:id',
   requireAuth,
-  requireStoreAccess,
+  denyImpersonation,
+  requireStoreAccess(),
   async (req, res, next) => {
     const db = require('../config/database');
     const { cache, CACHE_KEYS } = require('../config/redis');
@@ -167,11 +189,11 @@ router.get('/:id/products',
 /**
  * @route POST /api/stores/:id/images
  * @desc Upload des images de boutique (logo, bannière)
- * @access Private (Owner/Admin)
+ * @access Private (Owner/Store Manager/Admin)
  */
 router.post('/:id/images',
   requireAuth,
-  requireStoreAccess,
+  requireStoreAccess('store:update'),
   uploadMiddleware(uploadService.uploadStoreImages),
   storeController.uploadStoreImages
 );
@@ -185,7 +207,7 @@ router.post('/:id/follow',
   requireAuth,
   async (req, res, next) => {
     const db = require('../config/database');
-    const { sets, CACHE_KEYS } = require('../config/redis');
+    const { cache, sets, CACHE_KEYS } = require('../config/redis');
     const { commonErrors } = require('../middleware/errorHandler');
     
     try {
@@ -203,7 +225,7 @@ router.post('/:id/follow',
       }
 
       // Vérifier si l'utilisateur suit déjà cette boutique
-      const followKey = `user:${userId}:following`;
+      const followKey = CACHE_KEYS.USER_FOLLOWING(userId);
       const isFollowing = await sets.isMember(followKey, storeId);
       
       if (isFollowing) {
@@ -244,11 +266,12 @@ router.post('/:id/follow',
 /**
  * @route GET /api/stores/:id/analytics
  * @desc Récupérer les analytics d'une boutique
- * @access Private (Owner/Admin)
+ * @access Private (Owner/Store Manager/Admin) ou clé d'API (store:view_analytics)
  */
 router.get('/:id/analytics',
-  requireAuth,
-  requireStoreAccess,
+  requireAuthOrApiKey,
+  userBasedLimiter,
+  requireStoreAccess('store:view_analytics'),
   async (req, res, next) => {
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
@@ -352,11 +375,12 @@ router.get('/:id/analytics',
 /**
  * @route GET /api/stores/:id/orders
  * @desc Récupérer les commandes d'une boutique
- * @access Private (Owner/Admin)
+ * @access Private (Owner/Store Team/Admin) ou clé d'API (orders:read)
  */
 router.get('/:id/orders',
-  requireAuth,
-  requireStoreAccess,
+  requireAuthOrApiKey,
+  userBasedLimiter,
+  requireStoreAccess('orders:read'),
   async (req, res, next) => {
     const db = require('../config/database');
     const {
@@ -427,6 +451,427 @@ router.get('/:id/orders',
   }
 );
 
+/**
+ * @route GET /api/stores/:id/members
+ * @desc Équipe de la boutique
+ * @access Private (Owner/Admin)
+ */
+router.get('/:id/members',
+  requireAuth,
+  requireStoreAccess('store:manage_members'),
+  storeMemberController.getStoreMembers
+);
+
+/**
+ * @route POST /api/stores/:id/members
+ * @desc Inviter un membre par email (manager, packer, support)
+ * @access Private (Owner/Admin)
+ */
+router.post('/:id/members',
+  requireAuth,
+  requireStoreAccess('store:manage_members'),
+  storeMemberController.inviteStoreMember
+);
+
+/**
+ * @route PUT /api/stores/:id/members/:memberId
+ * @desc Changer le rôle d'un membre
+ * @access Private (Owner/Admin)
+ */
+router.put('/:id/members/:memberId',
+  requireAuth,
+  requireStoreAccess('store:manage_members'),
+  storeMemberController.updateStoreMember
+);
+
+/**
+ * @route DELETE /api/stores/:id/members/:memberId
+ * @desc Retirer un membre de l'équipe ou annuler son invitation
+ * @access Private (Owner/Admin)
+ */
+router.delete('/:id/members/:memberId',
+  requireAuth,
+  requireStoreAccess('store:manage_members'),
+  storeMemberController.removeStoreMember
+);
+
+/**
+ * @route GET /api/stores/:id/api-keys
+ * @desc Clés d'API de la boutique (accès programmatique au catalogue et aux commandes)
+ * @access Private (Owner/Admin)
+ */
+router.get('/:id/api-keys',
+  requireAuth,
+  requireStoreAccess('store:manage_api_keys'),
+  apiKeyController.getStoreApiKeys
+);
+
+/**
+ * @route POST /api/stores/:id/api-keys
+ * @desc Créer une clé d'API (nom, scopes, durée de validité)
+ * @access Private (Owner/Admin)
+ */
+router.post('/:id/api-keys',
+  requireAuth,
+  denyImpersonation,
+  requireStoreAccess('store:manage_api_keys'),
+  apiKeyController.createStoreApiKey
+);
+
+/**
+ * @route DELETE /api/stores/:id/api-keys/:keyId
+ * @desc Révoquer une clé d'API
+ * @access Private (Owner/Admin)
+ */
+router.delete('/:id/api-keys/:keyId',
+  requireAuth,
+  requireStoreAccess('store:manage_api_keys'),
+  apiKeyController.revokeStoreApiKey
+);
+
+/**
+ * @route GET /api/stores/:id/locations
+ * @desc Lieux de stock de la boutique (ateliers, boutiques physiques)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:transfer)
+ */
+router.get('/:id/locations',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.getStoreLocations
+);
+
+/**
+ * @route POST /api/stores/:id/locations
+ * @desc Créer un lieu de stock
+ * @access Private (Owner/Store Manager)
+ * @body stockLocation.create
+ */
+router.post('/:id/locations',
+  requireAuth,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.createStoreLocation
+);
+
+/**
+ * @route PUT /api/stores/:id/locations/:locationId
+ * @desc Mettre à jour un lieu de stock (lieu par défaut, expédition en ligne, priorité, désactivation)
+ * @access Private (Owner/Store Manager)
+ * @body stockLocation.update
+ */
+router.put('/:id/locations/:locationId',
+  requireAuth,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.updateStoreLocation
+);
+
+/**
+ * @route GET /api/stores/:id/locations/:locationId/stock
+ * @desc Stock d'un lieu par produit et variante
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:transfer)
+ */
+router.get('/:id/locations/:locationId/stock',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.getLocationStock
+);
+
+/**
+ * @route PUT /api/stores/:id/locations/:locationId/stock
+ * @desc Fixer le stock d'articles dans un lieu (quantité, seuil d'alerte)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ * @body stockLocation.stock
+ */
+router.put('/:id/locations/:locationId/stock',
+  requireAuthOrApiKey,
+  userBasedLimiter,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.updateLocationStock
+);
+
+/**
+ * @route GET /api/stores/:id/inventory/low-stock
+ * @desc Articles en rupture de stock, lieu par lieu (filtre: locationId)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ */
+router.get('/:id/inventory/low-stock',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.getLowStock
+);
+
+/**
+ * @route GET /api/stores/:id/stock-transfers
+ * @desc Transferts de stock entre les lieux de la boutique (filtres: status, locationId)
+ * @access Private (Owner/Store Manager)
+ */
+router.get('/:id/stock-transfers',
+  requireAuth,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.getStockTransfers
+);
+
+/**
+ * @route POST /api/stores/:id/stock-transfers
+ * @desc Transférer du stock d'un lieu à un autre (le stock est en transit jusqu'à la réception)
+ * @access Private (Owner/Store Manager)
+ * @body stockLocation.transfer
+ */
+router.post('/:id/stock-transfers',
+  requireAuth,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.createStockTransfer
+);
+
+/**
+ * @route GET /api/stores/:id/stock-transfers/:transferId
+ * @desc Détail d'un transfert de stock
+ * @access Private (Owner/Store Manager)
+ */
+router.get('/:id/stock-transfers/:transferId',
+  requireAuth,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.getStockTransfer
+);
+
+/**
+ * @route POST /api/stores/:id/stock-transfers/:transferId/receive
+ * @desc Réceptionner un transfert dans le lieu de destination
+ * @access Private (Owner/Store Manager)
+ */
+router.post('/:id/stock-transfers/:transferId/receive',
+  requireAuth,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.receiveStockTransfer
+);
+
+/**
+ * @route POST /api/stores/:id/stock-transfers/:transferId/cancel
+ * @desc Annuler un transfert en transit (stock remis dans le lieu d'origine)
+ * @access Private (Owner/Store Manager)
+ */
+router.post('/:id/stock-transfers/:transferId/cancel',
+  requireAuth,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.cancelStockTransfer
+);
+
+/**
+ * @route POST /api/stores/:id/locations/:locationId/adjustments
+ * @desc Ajuster le stock d'articles dans un lieu avec un motif (réception, production, casse, perte, retour client)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ * @body stockLocation.adjustment
+ */
+router.post('/:id/locations/:locationId/adjustments',
+  requireAuthOrApiKey,
+  userBasedLimiter,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.adjustLocationStock
+);
+
+/**
+ * @route POST /api/stores/:id/locations/:locationId/stocktakes
+ * @desc Inventaire physique d'un lieu: rapport d'écarts, appliqué au stock sauf simulation (dryRun)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ * @body stockLocation.stocktake
+ */
+router.post('/:id/locations/:locationId/stocktakes',
+  requireAuthOrApiKey,
+  userBasedLimiter,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.createStocktake
+);
+
+/**
+ * @route GET /api/stores/:id/stocktakes
+ * @desc Inventaires de la boutique (filtre: locationId)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ */
+router.get('/:id/stocktakes',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.getStocktakes
+);
+
+/**
+ * @route GET /api/stores/:id/stocktakes/:stocktakeId
+ * @desc Rapport d'écarts d'un inventaire
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ */
+router.get('/:id/stocktakes/:stocktakeId',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.getStocktake
+);
+
+/**
+ * @route GET /api/stores/:id/stock-movements
+ * @desc Registre des mouvements de stock (filtres: locationId, productId, variantId, type, reason, from, to)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:transfer)
+ */
+router.get('/:id/stock-movements',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:transfer'),
+  stockLocationController.getStockMovements
+);
+
+/**
+ * @route GET /api/stores/:id/inventory/ledger-check
+ * @desc Niveaux de stock qui ne correspondent pas au registre des mouvements (filtre: locationId)
+ * @access Private (Owner/Store Manager) ou clé d'API (inventory:manage)
+ */
+router.get('/:id/inventory/ledger-check',
+  requireAuthOrApiKey,
+  requireStoreAccess('inventory:manage'),
+  stockLocationController.getLedgerCheck
+);
+
+/**
+ * @route POST /api/stores/:id/product-imports
+ * @desc Importer des produits depuis un fichier CSV/XLSX (champ file) et une archive ZIP d'images (champ images): création ou mise à jour par SKU, simulation avec dryRun
+ * @access Private (Owner/Store Manager)
+ * @body productImport.create
+ */
+router.post('/:id/product-imports',
+  requireAuth,
+  userBasedLimiter,
+  requireStoreAccess('products:manage'),
+  uploadMiddleware(uploadService.uploadProductImport),
+  productImportController.createProductImport
+);
+
+/**
+ * @route GET /api/stores/:id/product-imports
+ * @desc Imports de produits de la boutique
+ * @access Private (Owner/Store Manager)
+ */
+router.get('/:id/product-imports',
+  requireAuth,
+  requireStoreAccess('products:manage'),
+  productImportController.getProductImports
+);
+
+/**
+ * @route GET /api/stores/:id/product-imports/:importId
+ * @desc Progression d'un import de produits
+ * @access Private (Owner/Store Manager)
+ */
+router.get('/:id/product-imports/:importId',
+  requireAuth,
+  requireStoreAccess('products:manage'),
+  productImportController.getProductImport
+);
+
+/**
+ * @route GET /api/stores/:id/product-imports/:importId/rows
+ * @desc Rapport ligne à ligne d'un import (filtre: status valid, invalid, imported, failed)
+ * @access Private (Owner/Store Manager)
+ */
+router.get('/:id/product-imports/:importId/rows',
+  requireAuth,
+  requireStoreAccess('products:manage'),
+  productImportController.getProductImportRows
+);
+
+/**
+ * @route POST /api/stores/:id/product-imports/:importId/run
+ * @desc Appliquer au catalogue une simulation terminée
+ * @access Private (Owner/Store Manager)
+ */
+router.post('/:id/product-imports/:importId/run',
+  requireAuth,
+  userBasedLimiter,
+  requireStoreAccess('products:manage'),
+  productImportController.runProductImport
+);
+
+/**
+ * @route POST /api/stores/:id/product-imports/:importId/resume
+ * @desc Reprendre un import échoué à la première ligne non traitée
+ * @access Private (Owner/Store Manager)
+ */
+router.post('/:id/product-imports/:importId/resume',
+  requireAuth,
+  userBasedLimiter,
+  requireStoreAccess('products:manage'),
+  productImportController.resumeProductImport
+);
+
+/**
+ * @route POST /api/stores/:id/verify
+ * @desc Vérifier une boutique (admin)
+ * @access Private (stores:verify)
+ */
+router.post('/:id/verify',
+  requireAuth,
+  requirePermission('stores:verify'),
+  async (req, res, next) => {
+    const Store = require('../models/Store');
+    const { cache, CACHE_KEYS } = require('../config/redis');
+    const { commonErrors } = require('../middleware/errorHandler');
+    
+    try {
+      const store = await Store.verify(req.params.id);
+      
+      if (!store) {
+        throw commonErrors.notFound('Boutique');
+      }
+      
+      await cache.delPattern(`${CACHE_KEYS.STORES}*`);
+      await cache.del(`store:${req.params.id}`);
+      
+      res.json({
+        success: true,
+        message: 'Boutique vérifiée avec succès',
+        data: store
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/stores/:id/suspend
+ * @desc Suspendre une boutique (admin)
+ * @access Private (stores:suspend)
+ */
+router.post('/:id/suspend',
+  requireAuth,
+  requirePermission('stores:suspend'),
+  async (req, res, next) => {
+    const Store = require('../models/Store');
+    const { cache, CACHE_KEYS } = require('../config/redis');
+    const { commonErrors } = require('../middleware/errorHandler');
+    
+    try {
+      const { reason } = req.body;
+      
+      if (!reason) {
+        throw commonErrors.badRequest('Motif de suspension requis');
+      }
+      
+      const store = await Store.suspend(req.params.id, reason);
+      
+      if (!store) {
+        throw commonErrors.notFound('Boutique');
+      }
+      
+      await cache.delPattern(`${CACHE_KEYS.STORES}*`);
+      await cache.del(`store:${req.params.id}`);
+      
+      res.json({
+        success: true,
+        message: 'Boutique suspendue',
+        data: store
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/stores/stats/global
  * @desc Statistiques globales des boutiques (admin seulement)
@@ -434,7 +879,7 @@ router.get('/:id/orders',
  */
 router.get('/stats/global',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('stores:view_stats'),
   cacheMiddleware(3600, () => 'stores:global:stats'),
   async (req, res, next) => {
     const db = require('../config/database');
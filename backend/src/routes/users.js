@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const authController = require('../controllers/authController');
+const permissionController = require('../controllers/permissionController');
+const consentController = require('../controllers/consentController');
+const { requireAuth, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { deprecated } = require('../middleware/apiVersion');
+const { otpRequestLimiter, otpVerifyLimiter } = require('../middleware/rateLimiter');
 const { uploadMiddleware, uploadService } = require('../services/uploadService');
 
 /**
@@ -15,6 +20,7 @@ router.get('/profile', requireAuth, userController.getUserProfile);
  * @route PUT /api/users/profile
  * @desc Mettre à jour le profil utilisateur
  * @access Private
+ * @body user.update
  */
 router.put('/profile', requireAuth, userController.updateUserProfile);
 
@@ -23,7 +29,49 @@ router.put('/profile', requireAuth, userController.updateUserProfile);
  * @desc Changer le mot de passe
  * @access Private
  */
-router.put('/change-password', requireAuth, userController.changePassword);
+router.put('/change-password', requireAuth, denyImpersonation, userController.changePassword);
+
+/**
+ * @route POST /api/users/email/change
+ * @desc Demander le changement d'adresse email (confirmation par lien)
+ * @access Private
+ */
+router.post('/email/change', requireAuth, denyImpersonation, userController.requestEmailChange);
+
+/**
+ * @route DELETE /api/users/email/change
+ * @desc Abandonner le changement d'adresse email en attente
+ * @access Private
+ */
+router.delete('/email/change', requireAuth, denyImpersonation, userController.cancelEmailChange);
+
+/**
+ * @route GET /api/users/identities
+ * @desc Comptes externes (OpenID Connect) liés au compte
+ * @access Private
+ */
+router.get('/identities', requireAuth, userController.getLinkedIdentities);
+
+/**
+ * @route DELETE /api/users/identities/:id
+ * @desc Délier un compte externe
+ * @access Private
+ */
+router.delete('/identities/:id', requireAuth, denyImpersonation, userController.unlinkIdentity);
+
+/**
+ * @route POST /api/users/phone/send-verification
+ * @desc Envoyer un code de vérification au numéro du profil
+ * @access Private
+ */
+router.post('/phone/send-verification', requireAuth, denyImpersonation, otpRequestLimiter, authController.sendPhoneVerification);
+
+/**
+ * @route POST /api/users/phone/verify
+ * @desc Confirmer le numéro du profil avec le code reçu
+ * @access Private
+ */
+router.post('/phone/verify', requireAuth, denyImpersonation, otpVerifyLimiter, authController.confirmPhoneVerification);
 
 /**
  * @route POST /api/users/avatar
@@ -36,6 +84,34 @@ router.post('/avatar',
   userController.uploadAvatar
 );
 
+/**
+ * @route GET /api/users/sessions
+ * @desc Lister les appareils connectés
+ * @access Private
+ */
+router.get('/sessions', requireAuth, userController.getUserSessions);
+
+/**
+ * @route DELETE /api/users/sessions
+ * @desc Déconnecter tous les autres appareils
+ * @access Private
+ */
+router.delete('/sessions', requireAuth, denyImpersonation, userController.revokeOtherUserSessions);
+
+/**
+ * @route DELETE /api/users/sessions/:id
+ * @desc Déconnecter un appareil
+ * @access Private
+ */
+router.delete('/sessions/:id', requireAuth, denyImpersonation, userController.revokeUserSession);
+
+/**
+ * @route GET /api/users/permissions
+ * @desc Permissions effectives de l'utilisateur connecté
+ * @access Private
+ */
+router.get('/permissions', requireAuth, permissionController.getMyPermissions);
+
 /**
  * @route GET /api/users/dashboard
  * @desc Récupérer les données du dashboard utilisateur
@@ -113,13 +189,13 @@ router.post('/notifications/mark-all-read', requireAuth, async (req, res) => {
 
 /**
  * @route DELETE /api/users/account
- * @desc Supprimer le compte utilisateur (soft delete)
+ * @desc Supprimer le compte utilisateur (désactivation immédiate, effacement après le délai de grâce)
  * @access Private
  */
-router.delete('/account', requireAuth, async (req, res, next) => {
+router.delete('/account', requireAuth, denyImpersonation, async (req, res, next) => {
   const db = require('../config/database');
-  const { cache, CACHE_KEYS } = require('../config/redis');
   const { commonErrors } = require('../middleware/errorHandler');
+  const accountErasureService = require('../services/accountErasureService');
   
   try {
     const userId = req.user.id;
@@ -131,7 +207,7 @@ router.delete('/account', requireAuth, async (req, res, next) => {
     
     // Vérifier le mot de passe
     const user = await db('users')
-      .select(['password_hash'])
+      .select(['id', 'email', 'first_name', 'password_hash'])
       .where({ id: userId })
       .first();
     
@@ -142,35 +218,14 @@ router.delete('/account', requireAuth, async (req, res, next) => {
       throw commonErrors.badRequest('Mot de passe incorrect');
     }
     
-    // Vérifier qu'il n'y a pas de commandes en cours
-    const pendingOrders = await db('orders')
-      .where({ customer_id: userId })
-      .whereIn('status', ['pending', 'paid', 'confirmed', 'processing', 'shipped'])
-      .count('id as count')
-      .first();
-      
-    if (parseInt(pendingOrders.count) > 0) {
-      throw commonErrors.conflict(
-        'Impossible de supprimer votre compte. Des commandes sont en cours de traitement.'
-      );
-    }
-    
-    // Soft delete du compte
-    await db('users')
-      .where({ id: userId })
-      .update({
-        deleted_at: db.fn.now(),
-        deleted_by: userId,
-        admin_notes: reason || 'Suppression demandée par l\'utilisateur'
-      });
-    
-    // Supprimer les données en cache
-    await cache.del(CACHE_KEYS.USER_PROFILE(userId));
-    await cache.del(CACHE_KEYS.USER_WISHLIST(userId));
+    const { scheduledAt } = await accountErasureService.requestErasure(user, { reason }, req);
     
     res.json({
       success: true,
-      message: 'Votre compte a été supprimé avec succès'
+      message: `Votre compte a été supprimé. Vos données seront définitivement effacées dans ${accountErasureService.GRACE_DAYS} jours; un lien pour annuler vous a été envoyé par email.`,
+      data: {
+        erasureScheduledAt: scheduledAt
+      }
     });
     
   } catch (error) {
@@ -178,68 +233,78 @@ router.delete('/account', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /api/users/exports
+ * @desc Demander l'archive complète de ses données (RGPD), envoyée par email
+ * @access Private
+ */
+router.post('/exports', requireAuth, denyImpersonation, userController.requestDataExport);
+
+/**
+ * @route GET /api/users/exports
+ * @desc Historique des exports de données
+ * @access Private
+ */
+router.get('/exports', requireAuth, userController.getDataExports);
+
+/**
+ * @route GET /api/users/exports/:id/download
+ * @desc Télécharger l'archive d'un export (token du lien reçu par email)
+ * @access Private
+ */
+router.get('/exports/:id/download', requireAuth, denyImpersonation, userController.downloadDataExport);
+
+/**
+ * @route GET /api/users/consents
+ * @desc Préférences de communication et conditions acceptées
+ * @access Private
+ */
+router.get('/consents', requireAuth, consentController.getConsents);
+
+/**
+ * @route PUT /api/users/consents
+ * @desc Modifier ses préférences de communication (enregistrées dans le registre)
+ * @access Private
+ */
+router.put('/consents', requireAuth, denyImpersonation, consentController.updateConsents);
+
+/**
+ * @route GET /api/users/consents/history
+ * @desc Historique des consentements
+ * @access Private
+ */
+router.get('/consents/history', requireAuth, consentController.getConsentHistory);
+
+/**
+ * @route POST /api/users/consents/policy
+ * @desc Accepter la nouvelle version des conditions
+ * @access Private
+ */
+router.post('/consents/policy', requireAuth, denyImpersonation, consentController.acceptPolicy);
+
 /**
  * @route GET /api/users/export
- * @desc Exporter les données utilisateur (RGPD)
+ * @desc Exporter les données utilisateur au format JSON (RGPD, sans les médias), retiré en v2
  * @access Private
  */
-router.get('/export', requireAuth, async (req, res, next) => {
-  const db = require('../config/database');
-  const { sets, CACHE_KEYS } = require('../config/redis');
+router.get('/export', requireAuth, denyImpersonation, deprecated({
+  since: '2025-10-20',
+  sunset: '2026-12-31',
+  successor: '/users/exports',
+  removedIn: 'v2'
+}), async (req, res, next) => {
+  const dataExportService = require('../services/dataExportService');
   
   try {
-    const userId = req.user.id;
-    
-    // Données utilisateur
-    const user = await db('users')
-      .select([
-        'email', 'first_name', 'last_name', 'phone', 'birth_date',
-        'gender', 'bio', 'country', 'city', 'address', 'postal_code',
-        'preferred_language', 'preferred_currency', 'loyalty_points',
-        'marketing_emails', 'marketing_sms', 'created_at'
-      ])
-      .where({ id: userId })
-      .first();
-    
-    // Commandes
-    const orders = await db('orders')
-      .select([
-        'order_number', 'status', 'total_amount', 'currency',
-        'delivery_address', 'created_at'
-      ])
-      .where({ customer_id: userId });
-    
-    // Wishlist
-    const wishlistKey = CACHE_KEYS.USER_WISHLIST(userId);
-    const wishlistIds = await sets.members(wishlistKey);
-    
-    const wishlist = [];
-    if (wishlistIds.length > 0) {
-      const products = await db('products')
-        .select(['name', 'price', 'currency'])
-        .whereIn('id', wishlistIds.map(id => JSON.parse(id)));
-      wishlist.push(...products);
-    }
-    
-    // Avis
-    const reviews = await db('product_reviews')
-      .select(['rating', 'comment', 'created_at'])
-      .where({ customer_id: userId });
+    const { profile, ...data } = await dataExportService.collectUserData(req.user.id);
     
     const exportData = {
       exportDate: new Date().toISOString(),
-      user: {
-        ...user,
-        id: undefined // Ne pas inclure l'ID
-      },
-      orders,
-      wishlist,
-      reviews,
-      summary: {
-        totalOrders: orders.length,
-        totalWishlistItems: wishlist.length,
-        totalReviews: reviews.length
-      }
+      user: profile,
+      ...data,
+      summary: Object.fromEntries(
+        Object.entries(data).map(([name, rows]) => [name, rows.length])
+      )
     };
     
     res.json({
@@ -252,6 +317,39 @@ router.get('/export', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/users/:id/erasure-certificate (Admin only)
+ * @desc Certificat d'effacement d'un compte anonymisé
+ * @access Private (Admin)
+ */
+router.get('/:id/erasure-certificate',
+  requireAuth,
+  requirePermission('users:read'),
+  async (req, res, next) => {
+    const { createError } = require('../middleware/errorHandler');
+    const ErasureCertificate = require('../models/ErasureCertificate');
+    const accountErasureService = require('../services/accountErasureService');
+    
+    try {
+      const certificate = await ErasureCertificate.findByUser(req.params.id);
+      
+      if (!certificate) {
+        throw createError(404, 'Aucun certificat d\'effacement pour ce compte', 'NOT_FOUND_ERROR');
+      }
+      
+      res.json({
+        success: true,
+        data: {
+          certificate: accountErasureService.formatCertificate(certificate)
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/users/:id (Admin only)
  * @desc Récupérer un utilisateur par ID (admin)
@@ -259,7 +357,7 @@ router.get('/export', requireAuth, async (req, res, next) => {
  */
 router.get('/:id',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:read'),
   async (req, res, next) => {
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
@@ -314,7 +412,7 @@ router.get('/:id',
  */
 router.get('/',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:read'),
   async (req, res, next) => {
     const db = require('../config/database');
     const {
@@ -382,10 +480,12 @@ router.get('/',
  */
 router.put('/:id/status',
   requireAuth,
-  requireRole(['admin', 'super_admin']),
+  requirePermission('users:update_status'),
   async (req, res, next) => {
     const db = require('../config/database');
     const { commonErrors } = require('../middleware/errorHandler');
+    const tokenRevocationService = require('../services/tokenRevocationService');
+    const auditService = require('../services/auditService');
     
     try {
       const { id } = req.params;
@@ -414,6 +514,19 @@ router.put('/:id/status',
           updated_by: req.user.id
         });
       
+      // Un compte suspendu ou banni perd immédiatement ses sessions
+      if (status !== 'active') {
+        await tokenRevocationService.revokeAllUserTokens(id, `account_${status}`);
+      }
+      
+      await auditService.record('user.update_status', {
+        entityType: 'user',
+        entityId: id,
+        before: { status: user.status },
+        after: { status },
+        metadata: { reason: reason || null }
+      });
+      
       res.json({
         success: true,
         message: `Statut de l'utilisateur mis à jour: ${status}`,
@@ -426,4 +539,38 @@ router.put('/:id/status',
   }
 );
 
+/**
+ * @route POST /api/users/:id/unlock (Admin only)
+ * @desc Déverrouiller un compte bloqué après des échecs de connexion
+ * @access Private (Admin)
+ */
+router.post('/:id/unlock',
+  requireAuth,
+  requirePermission('users:unlock'),
+  authController.adminUnlockAccount
+);
+
+/**
+ * @route POST /api/users/:id/force-logout (Admin only)
+ * @desc Fermer toutes les sessions d'un utilisateur
+ * @access Private (Admin)
+ */
+router.post('/:id/force-logout',
+  requireAuth,
+  requirePermission('users:force_logout'),
+  authController.forceLogout
+);
+
+/**
+ * @route POST /api/users/:id/impersonate (Admin only)
+ * @desc Ouvrir une session courte en tant que client ou vendeur (support)
+ * @access Private (users:impersonate)
+ */
+router.post('/:id/impersonate',
+  requireAuth,
+  denyImpersonation,
+  requirePermission('users:impersonate'),
+  authController.startImpersonation
+);
+
 module.exports = router;
\ No newline at end of file
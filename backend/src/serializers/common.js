@@ -0,0 +1,27 @@
+/**
+ * Éléments communs aux sérialiseurs
+ */
+
+/**
+ * Montant avec sa devise (v2): { amount, currency }
+ */
+const money = (amount, currency) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+  return { amount, currency };
+};
+
+/**
+ * Liste paginée (v2): pagination regroupée dans `meta`
+ */
+const paginated = ({ pagination, ...body }, serializeItem) => ({
+  ...body,
+  data: body.data.map(serializeItem),
+  meta: { pagination }
+});
+
+module.exports = {
+  money,
+  paginated
+};
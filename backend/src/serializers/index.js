@@ -0,0 +1,36 @@
+const { SUPPORTED_VERSIONS, compareVersions } = require('../middleware/apiVersion');
+const productSerializer = require('./productSerializer');
+const orderSerializer = require('./orderSerializer');
+
+/**
+ * Sérialiseurs par version de l'API
+ *
+ * Les contrôleurs sont communs à toutes les versions et construisent la réponse
+ * v1; chaque ressource déclare ici les transformations des versions suivantes.
+ * Une version sans transformation reprend celle de la version précédente.
+ */
+const SERIALIZERS = {
+  ...productSerializer,
+  ...orderSerializer
+};
+
+/**
+ * Corps de réponse dans la forme de la version de la requête
+ * resource: clé de SERIALIZERS (product, productList, order...)
+ */
+const serialize = (req, resource, body) => {
+  const serializers = SERIALIZERS[resource];
+  if (!serializers) {
+    throw new Error(`Sérialiseur inconnu: ${resource}`);
+  }
+
+  const version = SUPPORTED_VERSIONS
+    .filter(candidate => serializers[candidate] && compareVersions(candidate, req.apiVersion) <= 0)
+    .pop();
+
+  return version ? serializers[version](body) : body;
+};
+
+module.exports = {
+  serialize
+};
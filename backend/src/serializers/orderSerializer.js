@@ -0,0 +1,60 @@
+const { money, paginated } = require('./common');
+
+/**
+ * Sérialiseurs des commandes par version
+ * v1: forme produite par le contrôleur (inchangée)
+ * v2: montants { amount, currency } regroupés dans `amounts`, pagination dans `meta`
+ */
+
+/**
+ * Article de commande v2
+ */
+const itemV2 = (currency) => ({ unitPrice, totalPrice, discountAmount, ...item }) => ({
+  ...item,
+  unitPrice: money(unitPrice, currency),
+  totalPrice: money(totalPrice, currency),
+  ...(discountAmount !== undefined && { discountAmount: money(discountAmount, currency) })
+});
+
+/**
+ * Commande (liste ou détail) v2
+ */
+const orderV2 = ({
+  subtotal,
+  shippingCost,
+  taxAmount,
+  discountAmount,
+  totalAmount,
+  currency,
+  items = [],
+  payments,
+  ...order
+}) => ({
+  ...order,
+  amounts: {
+    ...(subtotal !== undefined && {
+      subtotal: money(subtotal, currency),
+      shipping: money(shippingCost, currency),
+      tax: money(taxAmount, currency),
+      discount: money(discountAmount, currency)
+    }),
+    total: money(totalAmount, currency)
+  },
+  items: items.map(itemV2(currency)),
+  ...(payments && {
+    payments: payments.map(({ amount, currency: paymentCurrency, ...payment }) => ({
+      ...payment,
+      amount: money(amount, paymentCurrency)
+    }))
+  })
+});
+
+module.exports = {
+  order: {
+    v2: (body) => ({ ...body, data: orderV2(body.data) })
+  },
+
+  orderList: {
+    v2: (body) => paginated(body, orderV2)
+  }
+};
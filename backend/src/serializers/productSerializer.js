@@ -0,0 +1,65 @@
+const { money, paginated } = require('./common');
+
+/**
+ * Sérialiseurs des produits par version
+ * v1: forme produite par le contrôleur (inchangée)
+ * v2: montants { amount, currency }, pagination dans `meta`, résultats de
+ *     recherche au même format que la liste
+ */
+
+/**
+ * Produit (liste ou détail) v2
+ */
+const productV2 = ({ price, compareAtPrice, currency, variants, similarProducts, ...product }) => ({
+  ...product,
+  price: money(price, currency),
+  compareAtPrice: money(compareAtPrice, currency),
+  ...(variants && {
+    variants: variants.map(({ price: variantPrice, compareAtPrice: variantCompareAtPrice, ...variant }) => ({
+      ...variant,
+      price: money(variantPrice, currency),
+      compareAtPrice: money(variantCompareAtPrice, currency)
+    }))
+  }),
+  ...(similarProducts && {
+    similarProducts: similarProducts.map(({ price: similarPrice, ...similar }) => ({
+      ...similar,
+      price: money(similarPrice, currency)
+    }))
+  })
+});
+
+/**
+ * Résultat de recherche v2 (lignes brutes en v1)
+ */
+const searchResultV2 = (row) => ({
+  id: row.id,
+  name: row.name,
+  slug: row.slug,
+  shortDescription: row.short_description,
+  price: money(parseFloat(row.price), row.currency || 'FCFA'),
+  primaryImage: row.primary_image,
+  fabricType: row.fabric_type,
+  averageRating: row.average_rating ? parseFloat(row.average_rating) : 0,
+  reviewsCount: row.reviews_count || 0,
+  store: { name: row.store_name },
+  category: { name: row.category_name }
+});
+
+module.exports = {
+  product: {
+    v2: (body) => ({ ...body, data: productV2(body.data) })
+  },
+
+  productList: {
+    v2: (body) => paginated(body, productV2)
+  },
+
+  productSearch: {
+    v2: ({ searchQuery, ...body }) => {
+      const result = paginated(body, searchResultV2);
+      result.meta.searchQuery = searchQuery;
+      return result;
+    }
+  }
+};
@@ -2,239 +2,158 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const compression = require('compression');
 require('dotenv').config();
 
+const db = require('./config/database');
+const { client: redisClient } = require('./config/redis');
+const apiRoutes = require('./routes');
+const permissionService = require('./services/permissionService');
+const dataExportService = require('./services/dataExportService');
+const accountErasureService = require('./services/accountErasureService');
+const idempotencyService = require('./services/idempotencyService');
+const inventoryService = require('./services/inventoryService');
+const productImportService = require('./services/productImportService');
+const { generalLimiter } = require('./middleware/rateLimiter');
+const { requestContext } = require('./middleware/requestContext');
+const { setApiVersion, resolveApiVersion } = require('./middleware/apiVersion');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Délai maximal accordé aux requêtes en cours lors d'un arrêt
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+// Origines autorisées (CORS_ORIGIN=http://a,http://b)
+const corsOrigins = (process.env.CORS_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Derrière un reverse proxy (nginx, load balancer), req.ip doit refléter le client
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Configuration des middlewares
 app.use(helmet());
 app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  origin: corsOrigins,
+  credentials: true,
+  // En-têtes de version et de rejeu lisibles par les clients navigateur
+  exposedHeaders: ['API-Version', 'Deprecation', 'Sunset', 'Link', 'Idempotent-Replayed']
 }));
-app.use(morgan('dev'));
-app.use(express.json());
+app.use(compression());
+app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Route de santé
+// Identifiant de requête et contexte (auteur, IP) pour le journal d'audit
+// Monté après les parsers: le contexte doit englober les handlers
+app.use(requestContext);
+
+// Route de santé (sonde du load balancer / Docker HEALTHCHECK)
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
 });
 
-// ========================================
-// ROUTES D'AUTHENTIFICATION TEMPORAIRES
-// (en attendant la configuration complète)
-// ========================================
-
-// REGISTER
-app.post('/api/auth/register', (req, res) => {
-  console.log('Register request:', req.body);
-  const { email, password, firstName, lastName } = req.body;
-  
-  // Validation basique
-  if (!email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email et mot de passe requis'
-    });
-  }
-  
-  res.status(201).json({
-    success: true,
-    message: 'Inscription réussie',
-    data: {
-      user: {
-        id: 'user_' + Date.now(),
-        email,
-        firstName,
-        lastName,
-        role: 'CLIENT'
-      },
-      accessToken: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.' + Buffer.from(JSON.stringify({email})).toString('base64'),
-      refreshToken: 'refresh_' + Date.now()
-    }
+// API complète, par version (mêmes routes et contrôleurs, réponses sérialisées par version)
+app.use('/api/v1', generalLimiter, setApiVersion('v1'), apiRoutes);
+app.use('/api/v2', generalLimiter, setApiVersion('v2'), apiRoutes);
+
+// Sans préfixe: clients historiques (version via Accept-Version, sinon API_VERSION)
+app.use('/api', generalLimiter, resolveApiVersion, apiRoutes);
+
+// Routes non trouvées et gestion des erreurs
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+/**
+ * Démarrer le serveur HTTP avec arrêt gracieux
+ * (drain des connexions, fermeture du pool Knex et du client Redis)
+ */
+const startServer = (port = PORT) => {
+  const server = app.listen(port, () => {
+    console.log(`🚀 Server running on http://localhost:${port}`);
+    console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`📖 API: http://localhost:${port}/api/v1, /api/v2 (docs: /api/v2/docs)`);
   });
-});
 
-// LOGIN
-app.post('/api/auth/login', (req, res) => {
-  console.log('Login request:', req.body);
-  const { email, password } = req.body;
-  
-  // Validation basique
-  if (!email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email et mot de passe requis'
-    });
-  }
-  
-  // Simulation de vérification
-  if (password !== 'Test@1234') {
-    return res.status(401).json({
-      success: false,
-      message: 'Identifiants invalides'
+  // Enregistrer les permissions nouvellement déclarées avec leurs rôles par défaut
+  permissionService.syncRegistry()
+    .then(added => {
+      if (added.length > 0) {
+        console.log(`🔐 Permissions ajoutées: ${added.join(', ')}`);
+      }
+    })
+    .catch(error => console.error('❌ Synchronisation des permissions impossible:', error.message));
+
+  // Reprise des exports de données interrompus et purge des archives expirées
+  dataExportService.startMaintenance();
+
+  // Anonymisation des comptes dont le délai de grâce est écoulé
+  accountErasureService.startMaintenance();
+
+  // Purge des clés Idempotency-Key expirées
+  idempotencyService.startMaintenance();
+
+  // Annulation des commandes non payées à l'échéance de leur réservation de stock
+  inventoryService.startMaintenance();
+
+  // Reprise des imports de produits interrompus et purge des fichiers déposés
+  productImportService.startMaintenance();
+
+  let shuttingDown = false;
+
+  const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.log(`🛑 Signal ${signal} reçu, arrêt gracieux en cours...`);
+
+    // Forcer l'arrêt si le drain prend trop de temps
+    setTimeout(() => {
+      console.error('❌ Arrêt forcé: délai de drain dépassé');
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    server.close(async (closeError) => {
+      let exitCode = closeError ? 1 : 0;
+
+      try {
+        await db.destroy();
+        console.log('✅ Pool de connexions base de données fermé');
+      } catch (error) {
+        console.error('❌ Erreur fermeture base de données:', error.message);
+        exitCode = 1;
+      }
+
+      try {
+        if (redisClient.isOpen) {
+          await redisClient.quit();
+        }
+      } catch (error) {
+        console.error('❌ Erreur fermeture Redis:', error.message);
+        exitCode = 1;
+      }
+
+      process.exit(exitCode);
     });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: 'Connexion réussie',
-    data: {
-      user: {
-        id: 'user_123',
-        email,
-        firstName: 'John',
-        lastName: 'Doe',
-        role: 'CLIENT'
-      },
-      accessToken: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.' + Buffer.from(JSON.stringify({email})).toString('base64'),
-      refreshToken: 'refresh_' + Date.now()
-    }
-  });
-});
 
-// GET PROFILE
-app.get('/api/auth/me', (req, res) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      success: false,
-      message: 'Token manquant'
-    });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: 'Profil récupéré',
-    data: {
-      id: 'user_123',
-      email: 'test@example.com',
-      firstName: 'John',
-      lastName: 'Doe',
-      role: 'CLIENT',
-      createdAt: new Date().toISOString()
-    }
-  });
-});
+    // Fermer les connexions keep-alive inactives pour ne pas bloquer le drain
+    server.closeIdleConnections();
+  };
 
-// REFRESH TOKEN
-app.post('/api/auth/refresh-token', (req, res) => {
-  const { refreshToken } = req.body;
-  
-  if (!refreshToken) {
-    return res.status(400).json({
-      success: false,
-      message: 'Refresh token requis'
-    });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: 'Token rafraîchi',
-    data: {
-      accessToken: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.new.' + Date.now(),
-      refreshToken: 'refresh_new_' + Date.now()
-    }
-  });
-});
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
 
-// FORGOT PASSWORD
-app.post('/api/auth/forgot-password', (req, res) => {
-  const { email } = req.body;
-  console.log('Password reset request for:', email);
-  
-  res.status(200).json({
-    success: true,
-    message: 'Si cet email existe, un lien de réinitialisation sera envoyé'
-  });
-});
+  return server;
+};
 
-// RESET PASSWORD
-app.post('/api/auth/reset-password', (req, res) => {
-  const { token, newPassword } = req.body;
-  
-  if (!token || !newPassword) {
-    return res.status(400).json({
-      success: false,
-      message: 'Token et nouveau mot de passe requis'
-    });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: 'Mot de passe réinitialisé avec succès'
-  });
-});
-
-// CHANGE PASSWORD
-app.post('/api/auth/change-password', (req, res) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
-    return res.status(401).json({
-      success: false,
-      message: 'Non authentifié'
-    });
-  }
-  
-  const { currentPassword, newPassword } = req.body;
-  
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({
-      success: false,
-      message: 'Mots de passe requis'
-    });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: 'Mot de passe changé avec succès'
-  });
-});
-
-// LOGOUT
-app.post('/api/auth/logout', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Déconnexion réussie'
-  });
-});
-
-// Route 404 pour les routes non trouvées
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Route ${req.method} ${req.url} non trouvée`
-  });
-});
-
-// Gestion des erreurs
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Erreur serveur',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
-// Démarrage du serveur
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('\n📋 Available endpoints:');
-  console.log('  GET  http://localhost:' + PORT + '/health');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/register');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/login');
-  console.log('  GET  http://localhost:' + PORT + '/api/auth/me');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/refresh-token');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/forgot-password');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/reset-password');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/change-password');
-  console.log('  POST http://localhost:' + PORT + '/api/auth/logout');
-});
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
+module.exports.startServer = startServer;
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { hashString, generateSecureToken, resolveUploadPath, parseMediaUrls } = require('../utils/helpers');
+const { commonErrors } = require('../middleware/errorHandler');
+const { STORE_STATUS } = require('../utils/constants');
+const ErasureCertificate = require('../models/ErasureCertificate');
+const emailService = require('./emailService');
+const securityService = require('./securityService');
+const tokenRevocationService = require('./tokenRevocationService');
+const auditService = require('./auditService');
+const dataExportService = require('./dataExportService');
+
+/**
+ * Service d'effacement des comptes (droit à l'oubli)
+ *
+ * - La demande désactive le compte immédiatement et programme l'effacement
+ *   après un délai de grâce; un lien reçu par email permet de l'annuler
+ * - À échéance, les données personnelles sont anonymisées de façon
+ *   irréversible: les commandes et paiements sont conservés (obligations
+ *   comptables) mais détachés de toute donnée identifiante
+ * - Avatar, photos d'avis et archives d'export sont supprimés du stockage
+ * - Un certificat d'effacement (sans donnée personnelle) est enregistré
+ */
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_ERASURE_GRACE_DAYS) || 30;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Statuts de commande qui bloquent la suppression du compte
+const OPEN_ORDER_STATUSES = ['pending', 'paid', 'confirmed', 'processing', 'shipped'];
+
+const ANONYMIZED_NAME = 'Client anonymisé';
+
+const ERASURE_RESET = {
+  erasure_requested_at: null,
+  erasure_scheduled_at: null,
+  erasure_cancel_token_hash: null
+};
+
+/**
+ * Adresse de remplacement (unique, non routable)
+ */
+const anonymizedEmail = (userId) => `deleted-${userId}@anonymized.invalid`;
+
+/**
+ * Ne garder d'une adresse que le pays (fiscalité des ventes)
+ */
+const scrubAddress = (address) => {
+  if (!address) return null;
+
+  const value = typeof address === 'string' ? (() => {
+    try {
+      return JSON.parse(address);
+    } catch (error) {
+      return {};
+    }
+  })() : address;
+
+  return JSON.stringify(value?.country ? { country: value.country } : {});
+};
+
+/**
+ * Demander la suppression du compte
+ * Retourne { scheduledAt }
+ */
+const requestErasure = async (user, { reason = null } = {}, req = null) => {
+  const openOrders = await db('orders')
+    .where({ customer_id: user.id })
+    .whereIn('status', OPEN_ORDER_STATUSES)
+    .count('id as count')
+    .first();
+
+  if (parseInt(openOrders.count) > 0) {
+    throw commonErrors.conflict(
+      'Impossible de supprimer votre compte. Des commandes sont en cours de traitement.'
+    );
+  }
+
+  const openStores = await db('stores')
+    .where({ owner_id: user.id })
+    .whereNot({ status: STORE_STATUS.CLOSED })
+    .whereNull('deleted_at')
+    .count('id as count')
+    .first();
+
+  if (parseInt(openStores.count) > 0) {
+    throw commonErrors.conflict(
+      'Impossible de supprimer votre compte. Fermez d\'abord vos boutiques.'
+    );
+  }
+
+  const token = generateSecureToken();
+  const scheduledAt = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      deleted_at: db.fn.now(),
+      deleted_by: user.id,
+      erasure_requested_at: db.fn.now(),
+      erasure_scheduled_at: scheduledAt,
+      erasure_cancel_token_hash: hashString(token),
+      updated_at: db.fn.now()
+    });
+
+  // Fermer toutes les sessions du compte
+  await tokenRevocationService.revokeAllUserTokens(user.id, 'account_deleted');
+  await cache.del(CACHE_KEYS.USER_PROFILE(user.id));
+
+  await securityService.recordEvent('account_erasure_requested', {
+    userId: user.id,
+    req,
+    metadata: { scheduledAt, reason: reason ? String(reason).slice(0, 500) : null }
+  });
+
+  await auditService.record('user.erasure_request', {
+    entityType: 'user',
+    entityId: user.id,
+    metadata: { scheduledAt, graceDays: GRACE_DAYS }
+  });
+
+  try {
+    await emailService.sendAccountErasureScheduledEmail(user.email, {
+      firstName: user.first_name,
+      token,
+      scheduledAt
+    });
+  } catch (error) {
+    console.error('Erreur envoi confirmation de suppression:', error.message);
+  }
+
+  return { scheduledAt };
+};
+
+/**
+ * Annuler la suppression avec le lien reçu par email (pendant le délai de grâce)
+ * Retourne l'utilisateur restauré, ou null si le lien est invalide ou expiré
+ */
+const cancelErasure = async (token, req = null) => {
+  const user = await db('users')
+    .select(['id', 'email'])
+    .where({ erasure_cancel_token_hash: hashString(String(token)) })
+    .whereNull('anonymized_at')
+    .where('erasure_scheduled_at', '>', db.fn.now())
+    .first();
+
+  if (!user) {
+    return null;
+  }
+
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      ...ERASURE_RESET,
+      deleted_at: null,
+      deleted_by: null,
+      updated_at: db.fn.now()
+    });
+
+  await securityService.recordEvent('account_erasure_cancelled', { userId: user.id, req });
+
+  await auditService.record('user.erasure_cancel', {
+    entityType: 'user',
+    entityId: user.id
+  });
+
+  return user;
+};
+
+/**
+ * Supprimer des fichiers uploadés
+ * Retourne le nombre de fichiers effectivement supprimés
+ */
+const removeMedia = async (urls) => {
+  let removed = 0;
+
+  for (const url of new Set(urls.filter(Boolean))) {
+    const filePath = resolveUploadPath(url);
+    if (!filePath) continue;
+
+    try {
+      await fs.promises.unlink(filePath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Anonymiser un compte de façon irréversible
+ * Retourne le certificat d'effacement
+ */
+const anonymizeUser = async (userId) => {
+  const user = await db('users')
+    .select(['id', 'avatar_url', 'erasure_requested_at', 'anonymized_at'])
+    .where({ id: userId })
+    .first();
+
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+
+  if (user.anonymized_at) {
+    throw commonErrors.conflict('Ce compte est déjà anonymisé');
+  }
+
+  // Fichiers et données hors base d'abord: en cas d'échec de la transaction,
+  // l'effacement est simplement relancé au prochain passage
+  const reviews = await db('product_reviews')
+    .select(['media_urls'])
+    .where({ customer_id: userId });
+
+  const mediaRemoved = await removeMedia([
+    user.avatar_url,
+    ...reviews.flatMap(review => parseMediaUrls(review.media_urls))
+  ]);
+
+  await dataExportService.deleteUserExports(userId);
+
+  await cache.del(CACHE_KEYS.USER_PROFILE(userId));
+  await cache.del(CACHE_KEYS.USER_WISHLIST(userId));
+  await cache.del(CACHE_KEYS.USER_CART(userId));
+  await cache.del(CACHE_KEYS.USER_FOLLOWING(userId));
+
+  const executedAt = new Date();
+
+  const certificate = await db.transaction(async (trx) => {
+    const records = {};
+
+    // Compte: plus aucune donnée identifiante ni moyen de connexion
+    records.users = await trx('users')
+      .where({ id: userId })
+      .update({
+        ...ERASURE_RESET,
+        email: anonymizedEmail(userId),
+        password_hash: hashString(generateSecureToken()),
+        first_name: 'Utilisateur',
+        last_name: 'supprimé',
+        phone: null,
+        birth_date: null,
+        gender: null,
+        avatar_url: null,
+        bio: null,
+        country: null,
+        city: null,
+        address: null,
+        postal_code: null,
+        email_verified: false,
+        phone_verified: false,
+        email_verification_token: null,
+        password_reset_token: null,
+        two_factor_secret: null,
+        two_factor_enabled: false,
+        last_login_ip: null,
+        marketing_emails: false,
+        marketing_sms: false,
+        order_notifications: false,
+        pending_email: null,
+        email_change_token_hash: null,
+        email_revert_token_hash: null,
+        email_revert_address: null,
+        unlock_token_hash: null,
+        anonymized_at: executedAt,
+        updated_at: db.fn.now()
+      });
+
+    // Commandes et paiements conservés (montants, taxes, références), détachés de l'identité
+    const orders = await trx('orders')
+      .select(['id', 'delivery_address', 'billing_address'])
+      .where({ customer_id: userId });
+
+    for (const order of orders) {
+      await trx('orders')
+        .where({ id: order.id })
+        .update({
+          customer_name: ANONYMIZED_NAME,
+          customer_email: null,
+          customer_phone: null,
+          customer_notes: null,
+          delivery_address: scrubAddress(order.delivery_address),
+          billing_address: scrubAddress(order.billing_address)
+        });
+    }
+    records.orders = orders.length;
+
+    records.payments = await trx('payments')
+      .where({ customer_id: userId })
+      .update({
+        customer_name: ANONYMIZED_NAME,
+        customer_email: null,
+        customer_phone: null,
+        phone_number: null,
+        wallet_id: null,
+        account_number: null,
+        account_holder: null,
+        iban: null,
+        provider_response: null,
+        webhook_data: null
+      });
+
+    // Avis: la note reste (statistiques produit), le contenu rédigé disparaît
+    records.product_reviews = await trx('product_reviews')
+      .where({ customer_id: userId })
+      .update({ title: null, comment: null, media_urls: null });
+
+    records.order_reviews = await trx('order_reviews')
+      .where({ customer_id: userId })
+      .update({ comment: null });
+
+    // Traces de connexion
+    records.security_events = await trx('security_events')
+      .where({ user_id: userId })
+      .update({ email: null, ip_address: null, user_agent: null });
+
+    // Registre des consentements: décisions conservées (preuve), contexte réseau effacé
+    records.consent_records = await trx('consent_records')
+      .where({ user_id: userId })
+      .update({ ip_address: null, user_agent: null });
+
+    records.user_sessions = await trx('user_sessions').where({ user_id: userId }).del();
+    records.refresh_tokens = await trx('refresh_tokens').where({ user_id: userId }).del();
+    records.user_recovery_codes = await trx('user_recovery_codes').where({ user_id: userId }).del();
+    records.user_identities = await trx('user_identities').where({ user_id: userId }).del();
+    records.store_members = await trx('store_members').where({ user_id: userId }).del();
+    records.idempotency_keys = await trx('idempotency_keys').where({ user_id: userId }).del();
+
+    const content = {
+      userId,
+      requestedAt: user.erasure_requested_at ? new Date(user.erasure_requested_at).toISOString() : null,
+      executedAt: executedAt.toISOString(),
+      records,
+      mediaRemoved
+    };
+
+    return await ErasureCertificate.create({
+      ...content,
+      requestedAt: user.erasure_requested_at || null,
+      executedAt,
+      certificateHash: hashString(JSON.stringify(content))
+    }, trx);
+  });
+
+  await auditService.record('user.erasure_completed', {
+    entityType: 'user',
+    entityId: userId,
+    metadata: {
+      certificateId: certificate.id,
+      certificateHash: certificate.certificate_hash,
+      mediaRemoved
+    }
+  });
+
+  return certificate;
+};
+
+/**
+ * Anonymiser les comptes dont le délai de grâce est écoulé
+ * Retourne le nombre de comptes traités
+ */
+const processDueErasures = async () => {
+  const due = await db('users')
+    .select(['id'])
+    .whereNull('anonymized_at')
+    .whereNotNull('deleted_at')
+    .where('erasure_scheduled_at', '<=', db.fn.now())
+    .orderBy('erasure_scheduled_at', 'asc')
+    .limit(BATCH_SIZE);
+
+  let processed = 0;
+
+  for (const { id } of due) {
+    try {
+      await anonymizeUser(id);
+      processed++;
+    } catch (error) {
+      console.error(`❌ Erreur effacement du compte ${id}:`, error.message);
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Traitement périodique des effacements programmés
+ */
+const startMaintenance = () => {
+  const run = () => {
+    processDueErasures()
+      .catch(error => console.error('❌ Traitement des effacements de comptes:', error.message));
+  };
+
+  run();
+  return setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+};
+
+/**
+ * Format public d'un certificat d'effacement
+ */
+const formatCertificate = (certificate) => ({
+  id: certificate.id,
+  userId: certificate.user_id,
+  requestedAt: certificate.requested_at,
+  executedAt: certificate.executed_at,
+  records: certificate.records,
+  mediaRemoved: certificate.media_removed,
+  certificateHash: certificate.certificate_hash
+});
+
+module.exports = {
+  GRACE_DAYS,
+  requestErasure,
+  cancelErasure,
+  anonymizeUser,
+  processDueErasures,
+  startMaintenance,
+  formatCertificate
+};
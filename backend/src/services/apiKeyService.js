@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const StoreApiKey = require('../models/StoreApiKey');
+const { commonErrors } = require('../middleware/errorHandler');
+const { API_KEY_SCOPES, STORE_STATUS } = require('../utils/constants');
+const auditService = require('./auditService');
+
+/**
+ * Service des clés d'API de boutique
+ *
+ * Une clé donne accès aux endpoints de catalogue et de commandes d'une seule
+ * boutique, limité à ses scopes (permissions de boutique). Format:
+ * afk_<préfixe>_<secret>; le préfixe "afk_<préfixe>" est affichable,
+ * la clé complète n'est montrée qu'à la création.
+ */
+
+const KEY_PATTERN = /^afk_([a-f0-9]{8})_([a-f0-9]{40})$/;
+const MAX_ACTIVE_KEYS_PER_STORE = 10;
+const MAX_EXPIRATION_DAYS = 365;
+
+/**
+ * La valeur ressemble-t-elle à une clé d'API ? (pour la distinguer d'un JWT)
+ */
+const isApiKey = (value) => typeof value === 'string' && value.startsWith('afk_');
+
+/**
+ * Générer une nouvelle clé
+ * Retourne { key, keyPrefix }
+ */
+const generateKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(20).toString('hex');
+
+  return {
+    key: `afk_${prefix}_${secret}`,
+    keyPrefix: `afk_${prefix}`
+  };
+};
+
+/**
+ * Valider les scopes demandés
+ */
+const normalizeScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw commonErrors.badRequest(`Au moins un scope requis parmi: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw commonErrors.badRequest(`Scope(s) non autorisé(s): ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(scopes)];
+};
+
+/**
+ * Créer une clé pour une boutique
+ * Retourne { key, apiKey } (key: valeur en clair, à transmettre une seule fois)
+ */
+const createKey = async (storeId, { name, scopes, expiresInDays = null }, createdBy = null) => {
+  if (!name || !String(name).trim()) {
+    throw commonErrors.badRequest('Nom de la clé requis');
+  }
+
+  const normalizedScopes = normalizeScopes(scopes);
+
+  let expiresAt = null;
+  if (expiresInDays !== null && expiresInDays !== undefined) {
+    const days = parseInt(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRATION_DAYS) {
+      throw commonErrors.badRequest(`La durée de validité doit être comprise entre 1 et ${MAX_EXPIRATION_DAYS} jours`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (await StoreApiKey.countActive(storeId) >= MAX_ACTIVE_KEYS_PER_STORE) {
+    throw commonErrors.conflict(`Nombre maximal de clés actives atteint (${MAX_ACTIVE_KEYS_PER_STORE}). Révoquez une clé inutilisée.`);
+  }
+
+  const { key, keyPrefix } = generateKey();
+  const apiKey = await StoreApiKey.create(storeId, {
+    name: String(name).trim().slice(0, 100),
+    key,
+    keyPrefix,
+    scopes: normalizedScopes,
+    expiresAt,
+    createdBy
+  });
+
+  await auditService.record('store.api_key_create', {
+    entityType: 'store',
+    entityId: storeId,
+    metadata: {
+      apiKeyId: apiKey.id,
+      keyPrefix,
+      scopes: normalizedScopes,
+      expiresAt
+    }
+  });
+
+  return { key, apiKey };
+};
+
+/**
+ * Révoquer une clé d'une boutique
+ */
+const revokeKey = async (storeId, keyId, revokedBy = null) => {
+  const existing = await StoreApiKey.findById(storeId, keyId);
+  if (!existing) {
+    throw commonErrors.notFound('Clé d\'API');
+  }
+
+  const revoked = await StoreApiKey.revoke(storeId, keyId, revokedBy);
+  if (!revoked) {
+    throw commonErrors.conflict('Cette clé est déjà révoquée');
+  }
+
+  await auditService.record('store.api_key_revoke', {
+    entityType: 'store',
+    entityId: storeId,
+    metadata: { apiKeyId: keyId, keyPrefix: existing.key_prefix }
+  });
+
+  return revoked;
+};
+
+/**
+ * Authentifier une requête par clé d'API
+ * Retourne { apiKey, owner } ou null si la clé est invalide, expirée, révoquée,
+ * ou si la boutique ou son propriétaire n'est plus actif
+ */
+const authenticate = async (rawKey, ipAddress = null) => {
+  if (!KEY_PATTERN.test(String(rawKey))) {
+    return null;
+  }
+
+  const apiKey = await StoreApiKey.findActiveByKey(rawKey);
+  if (!apiKey) {
+    return null;
+  }
+
+  const store = await db('stores')
+    .select(['id', 'owner_id', 'status'])
+    .where({ id: apiKey.store_id })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!store || [STORE_STATUS.SUSPENDED, STORE_STATUS.CLOSED].includes(store.status)) {
+    return null;
+  }
+
+  const owner = await db('users')
+    .where({ id: store.owner_id })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!owner || owner.status !== 'active') {
+    return null;
+  }
+
+  // Dernière utilisation (sans bloquer la requête)
+  StoreApiKey.touch(apiKey.id, ipAddress).catch(error => {
+    console.error('Erreur mise à jour utilisation clé d\'API:', error.message);
+  });
+
+  return { apiKey, owner };
+};
+
+/**
+ * Format public d'une clé (sans la valeur)
+ */
+const formatKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  keyPrefix: apiKey.key_prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expires_at,
+  lastUsedAt: apiKey.last_used_at,
+  lastUsedIp: apiKey.last_used_ip,
+  revokedAt: apiKey.revoked_at,
+  createdAt: apiKey.created_at
+});
+
+module.exports = {
+  MAX_ACTIVE_KEYS_PER_STORE,
+  isApiKey,
+  generateKey,
+  createKey,
+  revokeKey,
+  authenticate,
+  formatKey
+};
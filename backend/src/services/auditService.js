@@ -0,0 +1,147 @@
+const AuditLog = require('../models/AuditLog');
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Service d'audit
+ *
+ * - Journalisation des actions privilégiées et financières
+ * - Auteur, IP et identifiant de requête issus du contexte de la requête
+ * - Seuls les champs modifiés sont conservés (avant / après), secrets masqués
+ * - Aucune donnée personnelle (email, téléphone, nom, adresse, IP) n'est
+ *   conservée dans les états: le journal est immuable et ne peut pas être
+ *   anonymisé lors d'un effacement de compte, seuls les identifiants y figurent
+ *
+ * L'audit ne doit jamais faire échouer l'action journalisée: les erreurs
+ * d'écriture sont consignées dans les logs applicatifs.
+ */
+
+const REDACTED = '[MASQUÉ]';
+const SENSITIVE_FIELD_PATTERN = /password|secret|token|hash|otp/i;
+const PERSONAL_FIELD_PATTERN = /email|phone|first_name|last_name|customer_name|account_holder|address|(^|_)ip(_|$)|birth_date|postal_code|iban|account_number/i;
+const IGNORED_FIELDS = ['updated_at', 'created_at'];
+
+/**
+ * Champ à masquer: secret, ou donnée personnelle (les indicateurs booléens
+ * comme email_verified restent lisibles)
+ */
+const isRedacted = (key, value) => {
+  if (value == null) {
+    return false;
+  }
+  return SENSITIVE_FIELD_PATTERN.test(key)
+    || (PERSONAL_FIELD_PATTERN.test(key) && typeof value !== 'boolean');
+};
+
+/**
+ * Masquer les champs sensibles et personnels d'un enregistrement
+ */
+const sanitize = (record) => {
+  if (!record || typeof record !== 'object') {
+    return record || null;
+  }
+
+  const sanitized = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    sanitized[key] = isRedacted(key, value) ? REDACTED : value;
+  }
+  return sanitized;
+};
+
+/**
+ * Valeur comparable (dates, JSON, nombres stockés en texte)
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Champs modifiés entre deux états
+ * Retourne { before, after } limités aux champs dont la valeur a changé
+ * (la comparaison porte sur les valeurs réelles: un champ masqué modifié
+ * apparaît, sans sa valeur)
+ */
+const diff = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const sanitizedPrevious = sanitize(previous);
+  const sanitizedNext = sanitize(next);
+  const changes = { before: {}, after: {} };
+
+  const keys = new Set([...Object.keys(sanitizedPrevious), ...Object.keys(sanitizedNext)]);
+  for (const key of keys) {
+    if (normalize(previous[key]) !== normalize(next[key])) {
+      changes.before[key] = sanitizedPrevious[key] ?? null;
+      changes.after[key] = sanitizedNext[key] ?? null;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Enregistrer une action dans le journal d'audit
+ *
+ * - avant et après fournis: seuls les champs modifiés sont conservés
+ *   (rien n'est journalisé si aucun champ n'a changé)
+ * - un seul des deux fourni (création, suppression): l'état complet est conservé
+ */
+const record = async (action, {
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = {},
+  actor = null
+} = {}) => {
+  try {
+    let changes;
+    if (before && after) {
+      changes = diff(before, after);
+      if (Object.keys(changes.after).length === 0 && Object.keys(metadata).length === 0) {
+        return null;
+      }
+    } else {
+      changes = { before: sanitize(before), after: sanitize(after) };
+    }
+
+    const context = getRequestContext() || {};
+    const author = actor || context.actor || null;
+
+    return await AuditLog.create({
+      actorId: author?.id || null,
+      actorRole: author?.role || null,
+      impersonatorId: author?.impersonatorId || null,
+      apiKeyId: author?.apiKeyId || null,
+      action,
+      entityType: entityType || action.split('.')[0],
+      entityId,
+      before: changes.before,
+      after: changes.after,
+      metadata,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      requestId: context.requestId
+    });
+  } catch (error) {
+    console.error(`Erreur journal d'audit (${action}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  sanitize,
+  diff,
+  record
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { createError } = require('../middleware/errorHandler');
+const { CONSENT_CHANNELS, CONSENT_PURPOSES, CONSENT_SOURCES } = require('../utils/constants');
+const ConsentRecord = require('../models/ConsentRecord');
+
+/**
+ * Service des consentements
+ *
+ * - Registre en ajout seul: canal, finalité, origine, date et version des
+ *   conditions de chaque décision; les colonnes marketing_* de users ne sont
+ *   qu'une copie de l'état courant
+ * - Liens de désabonnement en un clic signés (HMAC), sans connexion
+ * - Nouvelle acceptation demandée quand la version des conditions change
+ * - Aucun envoi marketing sans accord en vigueur dans le registre
+ */
+
+// Version en vigueur des conditions d'utilisation et de la politique de confidentialité
+const CURRENT_POLICY_VERSION = process.env.POLICY_VERSION || '2025-10-01';
+
+// Préférences exposées à l'utilisateur et colonne users correspondante
+const PREFERENCES = {
+  marketingEmails: { channel: CONSENT_CHANNELS.EMAIL, purpose: CONSENT_PURPOSES.MARKETING, column: 'marketing_emails' },
+  marketingSms: { channel: CONSENT_CHANNELS.SMS, purpose: CONSENT_PURPOSES.MARKETING, column: 'marketing_sms' },
+  orderNotifications: { channel: CONSENT_CHANNELS.EMAIL, purpose: CONSENT_PURPOSES.ORDER_NOTIFICATIONS, column: 'order_notifications' }
+};
+
+/**
+ * Clé de signature des liens de désabonnement
+ */
+const getUnsubscribeSecret = () => {
+  const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('UNSUBSCRIBE_SECRET ou JWT_SECRET requis pour signer les liens de désabonnement');
+  }
+  return secret;
+};
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getUnsubscribeSecret()).update(payload).digest('base64url');
+};
+
+/**
+ * Contexte réseau d'une décision
+ */
+const requestMetadata = (req) => ({
+  ipAddress: req?.ip || null,
+  userAgent: req?.get ? req.get('User-Agent') || null : null
+});
+
+/**
+ * Préférences courantes d'un utilisateur
+ */
+const formatPreferences = (user) => {
+  return Object.fromEntries(
+    Object.entries(PREFERENCES).map(([key, { column }]) => [key, Boolean(user[column])])
+  );
+};
+
+/**
+ * L'utilisateur doit-il accepter la version en vigueur des conditions ?
+ */
+const isPolicyAcceptanceRequired = (user) => {
+  return (user.policy_version ?? user.policyVersion ?? null) !== CURRENT_POLICY_VERSION;
+};
+
+/**
+ * État des consentements (préférences et conditions)
+ */
+const getConsents = async (userId) => {
+  const user = await db('users')
+    .select(['id', 'policy_version', 'policy_accepted_at', ...Object.values(PREFERENCES).map(pref => pref.column)])
+    .where({ id: userId })
+    .first();
+
+  return {
+    preferences: formatPreferences(user),
+    policy: {
+      currentVersion: CURRENT_POLICY_VERSION,
+      acceptedVersion: user.policy_version,
+      acceptedAt: user.policy_accepted_at,
+      acceptanceRequired: isPolicyAcceptanceRequired(user)
+    }
+  };
+};
+
+/**
+ * Modifier des préférences (seules les valeurs qui changent sont enregistrées)
+ * changes: { marketingEmails?, marketingSms?, orderNotifications? }
+ * Retourne les préférences courantes
+ */
+const updatePreferences = async (userId, changes, { source, req = null } = {}) => {
+  const requested = Object.entries(changes || {})
+    .filter(([key, value]) => PREFERENCES[key] && value !== undefined);
+
+  for (const [key, value] of requested) {
+    if (typeof value !== 'boolean') {
+      throw createError(400, `La préférence ${key} doit être un booléen`, 'INVALID_CONSENT_VALUE');
+    }
+  }
+
+  const metadata = requestMetadata(req);
+
+  const user = await db.transaction(async (trx) => {
+    const current = await trx('users')
+      .select(['id', 'policy_version', ...Object.values(PREFERENCES).map(pref => pref.column)])
+      .where({ id: userId })
+      .forUpdate()
+      .first();
+
+    const updates = {};
+
+    for (const [key, granted] of requested) {
+      const { channel, purpose, column } = PREFERENCES[key];
+      if (Boolean(current[column]) === granted) continue;
+
+      await ConsentRecord.record({
+        userId,
+        channel,
+        purpose,
+        granted,
+        source,
+        policyVersion: current.policy_version,
+        ...metadata
+      }, trx);
+      updates[column] = granted;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return current;
+    }
+
+    const [updated] = await trx('users')
+      .where({ id: userId })
+      .update({ ...updates, updated_at: db.fn.now() })
+      .returning(Object.values(PREFERENCES).map(pref => pref.column));
+
+    return updated;
+  });
+
+  await cache.del(CACHE_KEYS.USER_PROFILE(userId));
+
+  return formatPreferences(user);
+};
+
+/**
+ * Accepter la version en vigueur des conditions
+ */
+const acceptPolicy = async (userId, version, { source = CONSENT_SOURCES.POLICY_ACCEPTANCE, req = null } = {}) => {
+  if (version !== CURRENT_POLICY_VERSION) {
+    throw createError(409, 'Ces conditions ne sont plus en vigueur, veuillez recharger la page', 'POLICY_VERSION_MISMATCH', {
+      currentVersion: CURRENT_POLICY_VERSION
+    });
+  }
+
+  await db.transaction(async (trx) => {
+    await ConsentRecord.record({
+      userId,
+      purpose: CONSENT_PURPOSES.POLICY,
+      granted: true,
+      source,
+      policyVersion: version,
+      ...requestMetadata(req)
+    }, trx);
+
+    await trx('users')
+      .where({ id: userId })
+      .update({
+        policy_version: version,
+        policy_accepted_at: db.fn.now(),
+        updated_at: db.fn.now()
+      });
+  });
+
+  await cache.del(CACHE_KEYS.USER_PROFILE(userId));
+
+  return { version };
+};
+
+/**
+ * Consentements donnés à l'inscription: conditions en vigueur et choix marketing
+ * explicites (jamais présumés)
+ */
+const recordRegistration = async (userId, { marketingEmails = false, marketingSms = false } = {}, req = null) => {
+  await acceptPolicy(userId, CURRENT_POLICY_VERSION, { source: CONSENT_SOURCES.REGISTRATION, req });
+
+  const metadata = requestMetadata(req);
+  const choices = {
+    marketingEmails: marketingEmails === true,
+    marketingSms: marketingSms === true,
+    orderNotifications: true
+  };
+
+  await db.transaction(async (trx) => {
+    for (const [key, granted] of Object.entries(choices)) {
+      const { channel, purpose } = PREFERENCES[key];
+      await ConsentRecord.record({
+        userId,
+        channel,
+        purpose,
+        granted,
+        source: CONSENT_SOURCES.REGISTRATION,
+        policyVersion: CURRENT_POLICY_VERSION,
+        ...metadata
+      }, trx);
+    }
+
+    await trx('users')
+      .where({ id: userId })
+      .update(Object.fromEntries(
+        Object.entries(choices).map(([key, granted]) => [PREFERENCES[key].column, granted])
+      ));
+  });
+};
+
+/**
+ * Destinataires autorisés pour un envoi marketing sur ce canal: comptes
+ * actifs dont la dernière décision enregistrée est un accord
+ * recipients: [{ id, ... }]
+ */
+const filterMarketingRecipients = async (recipients, channel = CONSENT_CHANNELS.EMAIL) => {
+  const ids = [...new Set(recipients.map(recipient => recipient?.id).filter(Boolean))];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const activeIds = await db('users')
+    .whereIn('id', ids)
+    .where({ status: 'active' })
+    .whereNull('deleted_at')
+    .pluck('id');
+
+  const granted = new Set(await ConsentRecord.findGrantedUserIds(activeIds, channel, CONSENT_PURPOSES.MARKETING));
+
+  return recipients.filter(recipient => granted.has(recipient?.id));
+};
+
+/**
+ * Un envoi marketing est-il autorisé pour cet utilisateur ?
+ */
+const canSendMarketing = async (userId, channel = CONSENT_CHANNELS.EMAIL) => {
+  const allowed = await filterMarketingRecipients([{ id: userId }], channel);
+  return allowed.length === 1;
+};
+
+/**
+ * Jeton de désabonnement signé (sans expiration: un lien de désabonnement
+ * doit rester utilisable)
+ */
+const createUnsubscribeToken = (userId, channel = CONSENT_CHANNELS.EMAIL, purpose = CONSENT_PURPOSES.MARKETING) => {
+  const payload = Buffer.from(JSON.stringify({ u: userId, c: channel, p: purpose })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Vérifier un jeton de désabonnement
+ * Retourne { userId, channel, purpose } ou null
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { u, c, p } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const preference = Object.values(PREFERENCES).find(pref => pref.channel === c && pref.purpose === p);
+    return u && preference ? { userId: u, channel: c, purpose: p } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Liens de désabonnement d'un message: page de confirmation (frontend)
+ * et URL de désabonnement en un clic (en-tête List-Unsubscribe, RFC 8058)
+ */
+const getUnsubscribeLinks = (userId, channel = CONSENT_CHANNELS.EMAIL, purpose = CONSENT_PURPOSES.MARKETING) => {
+  const token = encodeURIComponent(createUnsubscribeToken(userId, channel, purpose));
+
+  return {
+    pageUrl: `${process.env.FRONTEND_URL || 'http://localhost:4200'}/unsubscribe?token=${token}`,
+    oneClickUrl: `${process.env.BASE_URL || 'http://localhost:5000'}/api/consents/unsubscribe?token=${token}`
+  };
+};
+
+/**
+ * Préférence visée par un lien de désabonnement
+ */
+const findPreferenceKey = (channel, purpose) => {
+  return Object.keys(PREFERENCES).find(key => PREFERENCES[key].channel === channel && PREFERENCES[key].purpose === purpose);
+};
+
+/**
+ * Se désabonner avec un lien signé (idempotent)
+ * Retourne { channel, purpose } ou null si le lien est invalide
+ */
+const unsubscribe = async (token, req = null) => {
+  const target = verifyUnsubscribeToken(token);
+  if (!target) {
+    return null;
+  }
+
+  const user = await db('users')
+    .select(['id'])
+    .where({ id: target.userId })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    return null;
+  }
+
+  await updatePreferences(user.id, { [findPreferenceKey(target.channel, target.purpose)]: false }, {
+    source: CONSENT_SOURCES.UNSUBSCRIBE_LINK,
+    req
+  });
+
+  return { channel: target.channel, purpose: target.purpose };
+};
+
+/**
+ * Format public d'une entrée du registre
+ */
+const formatRecord = (record) => ({
+  id: record.id,
+  channel: record.channel,
+  purpose: record.purpose,
+  granted: record.granted,
+  source: record.source,
+  policyVersion: record.policy_version,
+  createdAt: record.created_at
+});
+
+module.exports = {
+  CURRENT_POLICY_VERSION,
+  PREFERENCES,
+  isPolicyAcceptanceRequired,
+  getConsents,
+  updatePreferences,
+  acceptPolicy,
+  recordRegistration,
+  filterMarketingRecipients,
+  canSendMarketing,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeLinks,
+  unsubscribe,
+  formatRecord
+};
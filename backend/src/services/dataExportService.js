@@ -0,0 +1,513 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const db = require('../config/database');
+const { cache, sets, CACHE_KEYS, isConnected } = require('../config/redis');
+const { generateSecureToken, toCsvRow, resolveUploadPath, parseMediaUrls } = require('../utils/helpers');
+const { commonErrors, createError } = require('../middleware/errorHandler');
+const DataExport = require('../models/DataExport');
+const emailService = require('./emailService');
+const securityService = require('./securityService');
+const auditService = require('./auditService');
+
+/**
+ * Service d'export des données personnelles (RGPD)
+ *
+ * La demande crée un job traité en arrière-plan: les données du compte sont
+ * rassemblées depuis la base et Redis, écrites dans une archive ZIP (JSON,
+ * CSV et médias envoyés par l'utilisateur), puis un lien de téléchargement
+ * à durée limitée est envoyé par email. Chaque demande reste visible dans
+ * l'historique des exports de l'utilisateur.
+ */
+
+const EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || 'storage/exports');
+const UPLOADS_DIR = path.resolve(process.env.UPLOAD_PATH || 'uploads');
+const LINK_VALIDITY_DAYS = 7;
+const MAX_EXPORTS_PER_DAY = 3;
+const STALE_PROCESSING_MINUTES = 30;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Champs jamais exportés (secrets d'authentification, empreintes internes)
+const SENSITIVE_KEY_PATTERN = /password|secret|token|hash|otp|fingerprint/i;
+
+// Détails techniques des prestataires de paiement
+const PAYMENT_INTERNAL_FIELDS = ['provider_response', 'webhook_data'];
+
+/**
+ * Retirer les champs sensibles d'une ligne
+ */
+const sanitizeRow = (row, omit = []) => {
+  return Object.fromEntries(
+    Object.entries(row || {}).filter(([key]) => !SENSITIVE_KEY_PATTERN.test(key) && !omit.includes(key))
+  );
+};
+
+/**
+ * Adresses connues: profil et adresses de livraison/facturation des commandes
+ */
+const collectAddresses = (user, orders) => {
+  const addresses = [];
+  const seen = new Set();
+
+  const add = (type, source, address) => {
+    if (!address) return;
+    const value = typeof address === 'string' ? address : JSON.stringify(address);
+    if (seen.has(value)) return;
+    seen.add(value);
+    addresses.push({ type, source, address: typeof address === 'string' ? address : { ...address } });
+  };
+
+  if (user.address) {
+    add('profile', 'users', {
+      address: user.address,
+      city: user.city,
+      postal_code: user.postal_code,
+      country: user.country
+    });
+  }
+
+  for (const order of orders) {
+    add('delivery', order.order_number, order.delivery_address);
+    add('billing', order.order_number, order.billing_address);
+  }
+
+  return addresses;
+};
+
+/**
+ * Rassembler toutes les données personnelles d'un utilisateur
+ * Retourne un objet { dataset: lignes } (profil: objet unique)
+ */
+const collectUserData = async (userId) => {
+  // Le panier, la wishlist et les boutiques suivies ne vivent que dans Redis:
+  // un export sans eux serait incomplet sans que personne ne le remarque
+  if (!isConnected()) {
+    throw createError(503, 'Export temporairement indisponible, veuillez réessayer plus tard', 'EXPORT_UNAVAILABLE');
+  }
+
+  const user = await db('users')
+    .where({ id: userId })
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    throw commonErrors.notFound('Utilisateur');
+  }
+
+  const orders = await db('orders')
+    .where({ customer_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const orderIds = orders.map(order => order.id);
+  const orderItems = orderIds.length > 0
+    ? await db('order_items').whereIn('order_id', orderIds).orderBy('created_at', 'asc')
+    : [];
+
+  const payments = await db('payments')
+    .where({ customer_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const sessions = await db('user_sessions')
+    .where({ user_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const securityEvents = await db('security_events')
+    .where({ user_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const consentRecords = await db('consent_records')
+    .where({ user_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const productReviews = await db('product_reviews')
+    .where({ customer_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const orderReviews = await db('order_reviews')
+    .where({ customer_id: userId })
+    .orderBy('created_at', 'asc');
+
+  const linkedAccounts = await db('user_identities')
+    .select(['provider', 'email', 'email_verified', 'last_login_at', 'created_at'])
+    .where({ user_id: userId });
+
+  const storeMemberships = await db('store_members')
+    .join('stores', 'store_members.store_id', 'stores.id')
+    .select([
+      'stores.name as store_name', 'store_members.role', 'store_members.status',
+      'store_members.accepted_at', 'store_members.revoked_at', 'store_members.created_at'
+    ])
+    .where('store_members.user_id', userId);
+
+  const ownedStores = await db('stores')
+    .where({ owner_id: userId })
+    .orderBy('created_at', 'asc');
+
+  // Données conservées dans Redis
+  const wishlistIds = await sets.members(CACHE_KEYS.USER_WISHLIST(userId));
+  const wishlist = wishlistIds.length > 0
+    ? await db('products').select(['id', 'name', 'price', 'currency']).whereIn('id', wishlistIds)
+    : [];
+
+  const followedStoreIds = await sets.members(CACHE_KEYS.USER_FOLLOWING(userId));
+  const followedStores = followedStoreIds.length > 0
+    ? await db('stores').select(['id', 'name', 'slug']).whereIn('id', followedStoreIds)
+    : [];
+
+  const cart = await cache.get(CACHE_KEYS.USER_CART(userId));
+  const cartItems = Array.isArray(cart) ? cart : Array.isArray(cart?.items) ? cart.items : [];
+
+  return {
+    profile: sanitizeRow(user),
+    addresses: collectAddresses(user, orders),
+    orders: orders.map(order => sanitizeRow(order)),
+    order_items: orderItems.map(item => sanitizeRow(item)),
+    payments: payments.map(payment => sanitizeRow(payment, PAYMENT_INTERNAL_FIELDS)),
+    sessions: sessions.map(session => sanitizeRow(session)),
+    security_events: securityEvents.map(event => sanitizeRow(event)),
+    consent_records: consentRecords.map(record => sanitizeRow(record)),
+    product_reviews: productReviews.map(review => sanitizeRow(review)),
+    order_reviews: orderReviews.map(review => sanitizeRow(review)),
+    linked_accounts: linkedAccounts,
+    store_memberships: storeMemberships,
+    stores: ownedStores.map(store => sanitizeRow(store)),
+    wishlist,
+    followed_stores: followedStores,
+    cart: cartItems
+  };
+};
+
+/**
+ * Nombre d'éléments par jeu de données (profil exclu)
+ */
+const summarize = (data) => {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, rows]) => Array.isArray(rows))
+      .map(([name, rows]) => [name, rows.length])
+  );
+};
+
+/**
+ * Convertir des lignes en CSV (colonnes: union des clés)
+ */
+const toCsv = (rows) => {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const columns = [...new Set(list.flatMap(row => Object.keys(row || {})))];
+
+  if (columns.length === 0) {
+    return '';
+  }
+
+  return toCsvRow(columns) + list.map(row => toCsvRow(columns.map(column => row[column]))).join('');
+};
+
+/**
+ * Fichier local d'une URL de média, ou null s'il est introuvable ou hors
+ * du dossier des uploads
+ */
+const resolveMediaPath = (url) => {
+  const filePath = resolveUploadPath(url, UPLOADS_DIR);
+  return filePath && fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+};
+
+/**
+ * Médias envoyés par l'utilisateur: avatar, photos d'avis, logo et
+ * bannière de ses boutiques
+ */
+const collectMedia = (data) => {
+  const urls = [
+    data.profile.avatar_url,
+    ...data.product_reviews.flatMap(review => parseMediaUrls(review.media_urls)),
+    ...data.stores.flatMap(store => [store.logo_url, store.banner_url])
+  ].filter(Boolean);
+
+  const files = [];
+  const missing = [];
+
+  for (const url of new Set(urls)) {
+    const filePath = resolveMediaPath(url);
+    if (filePath) {
+      files.push({ filePath, name: path.relative(UPLOADS_DIR, filePath).split(path.sep).join('/') });
+    } else {
+      missing.push(url);
+    }
+  }
+
+  return { files, missing };
+};
+
+/**
+ * Écrire l'archive ZIP de l'export
+ * Retourne la taille du fichier en octets
+ */
+const buildArchive = async (filePath, data, media, exportedAt = new Date()) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.part`;
+  const output = fs.createWriteStream(tempPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  archive.append([
+    'Export de vos données personnelles - AfrikMode',
+    `Date de l'export: ${exportedAt.toISOString()}`,
+    '',
+    'data/   : vos données au format JSON',
+    'csv/    : les mêmes données au format CSV',
+    'media/  : les fichiers que vous avez envoyés (photo de profil, photos d\'avis, visuels de boutique)',
+    '',
+    'Les mots de passe, secrets et jetons d\'authentification ne sont jamais exportés.',
+    media.missing.length > 0 ? `Médias introuvables sur le serveur: ${media.missing.length}` : ''
+  ].join('\n'), { name: 'README.txt' });
+
+  for (const [name, rows] of Object.entries(data)) {
+    archive.append(JSON.stringify(rows, null, 2), { name: `data/${name}.json` });
+    archive.append(toCsv(rows), { name: `csv/${name}.csv` });
+  }
+
+  for (const file of media.files) {
+    archive.file(file.filePath, { name: `media/${file.name}` });
+  }
+
+  await archive.finalize();
+  await written;
+
+  await fs.promises.rename(tempPath, filePath);
+  const stats = await fs.promises.stat(filePath);
+  return stats.size;
+};
+
+/**
+ * Traiter un export en attente (génération de l'archive et envoi du lien)
+ */
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.claim(exportId);
+  if (!dataExport) {
+    // Déjà pris en charge par une autre instance
+    return null;
+  }
+
+  const fileName = `${dataExport.id}.zip`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+
+  try {
+    const user = await db('users')
+      .select(['id', 'email', 'first_name'])
+      .where({ id: dataExport.user_id })
+      .first();
+
+    const data = await collectUserData(dataExport.user_id);
+    const media = collectMedia(data);
+
+    const fileSize = await buildArchive(filePath, data, media);
+
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + LINK_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+    const completed = await DataExport.markCompleted(dataExport.id, {
+      fileName,
+      fileSize,
+      summary: { ...summarize(data), media: media.files.length, missingMedia: media.missing.length },
+      token,
+      expiresAt
+    });
+
+    // L'export reste téléchargeable depuis l'historique si l'email n'est pas parti
+    try {
+      await emailService.sendDataExportReadyEmail(user.email, {
+        exportId: dataExport.id,
+        token,
+        firstName: user.first_name,
+        expiresInDays: LINK_VALIDITY_DAYS
+      });
+    } catch (error) {
+      console.error(`Erreur envoi du lien de l'export ${exportId}:`, error.message);
+    }
+
+    return completed;
+
+  } catch (error) {
+    console.error(`❌ Erreur export de données ${exportId}:`, error.message);
+    // Seuls les exports terminés sont purgés: ne rien laisser sur le disque
+    await Promise.all([
+      fs.promises.rm(filePath, { force: true }),
+      fs.promises.rm(`${filePath}.part`, { force: true })
+    ]);
+    await DataExport.markFailed(exportId, error.message);
+    return null;
+  }
+};
+
+/**
+ * Lancer le traitement sans bloquer la requête
+ */
+const schedule = (exportId) => {
+  setImmediate(() => {
+    processExport(exportId).catch(error => {
+      console.error(`❌ Erreur export de données ${exportId}:`, error.message);
+    });
+  });
+};
+
+/**
+ * Demander un export des données de l'utilisateur
+ */
+const requestExport = async (user, req = null) => {
+  const active = await DataExport.findActive(user.id);
+  if (active) {
+    throw createError(409, 'Un export est déjà en cours de préparation', 'EXPORT_IN_PROGRESS');
+  }
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  if (await DataExport.countSince(user.id, since) >= MAX_EXPORTS_PER_DAY) {
+    throw createError(429, `Limite de ${MAX_EXPORTS_PER_DAY} exports par 24 heures atteinte`, 'EXPORT_LIMIT_REACHED');
+  }
+
+  const dataExport = await DataExport.create(user.id, req?.ip || null);
+
+  await securityService.recordEvent('data_export_requested', {
+    userId: user.id,
+    req,
+    metadata: { exportId: dataExport.id }
+  });
+
+  await auditService.record('user.data_export_request', {
+    entityType: 'user',
+    entityId: user.id,
+    metadata: { exportId: dataExport.id }
+  });
+
+  schedule(dataExport.id);
+
+  return dataExport;
+};
+
+/**
+ * Archive à télécharger pour un lien valide
+ * Retourne { dataExport, filePath }
+ */
+const getDownload = async (userId, exportId, token, req = null) => {
+  if (!token) {
+    throw createError(400, 'Lien de téléchargement invalide', 'INVALID_EXPORT_TOKEN');
+  }
+
+  const dataExport = await DataExport.findDownloadable(exportId, userId, token);
+  if (!dataExport) {
+    throw createError(404, 'Lien de téléchargement invalide ou expiré', 'INVALID_EXPORT_TOKEN');
+  }
+
+  const filePath = path.join(EXPORT_DIR, dataExport.file_name);
+  if (!fs.existsSync(filePath)) {
+    throw createError(410, 'Cette archive n\'est plus disponible, veuillez demander un nouvel export', 'EXPORT_GONE');
+  }
+
+  await DataExport.recordDownload(dataExport.id);
+  await securityService.recordEvent('data_export_downloaded', {
+    userId,
+    req,
+    metadata: { exportId: dataExport.id }
+  });
+
+  return { dataExport, filePath };
+};
+
+/**
+ * Supprimer les archives dont le lien a expiré
+ */
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.findExpired();
+
+  for (const dataExport of expired) {
+    if (dataExport.file_name) {
+      await fs.promises.rm(path.join(EXPORT_DIR, dataExport.file_name), { force: true });
+    }
+    await DataExport.markExpired(dataExport.id);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Supprimer les exports d'un utilisateur et leurs archives (effacement du compte)
+ */
+const deleteUserExports = async (userId) => {
+  const deleted = await DataExport.deleteByUser(userId);
+
+  for (const dataExport of deleted) {
+    if (dataExport.file_name) {
+      await fs.promises.rm(path.join(EXPORT_DIR, dataExport.file_name), { force: true });
+    }
+  }
+
+  return deleted.length;
+};
+
+/**
+ * Reprendre les exports interrompus (redémarrage pendant le traitement)
+ */
+const resumePendingExports = async () => {
+  const resumable = await DataExport.findResumable(STALE_PROCESSING_MINUTES);
+
+  for (const dataExport of resumable) {
+    if (dataExport.status === 'processing') {
+      await DataExport.resetToPending(dataExport.id);
+    }
+    schedule(dataExport.id);
+  }
+
+  return resumable.length;
+};
+
+/**
+ * Maintenance périodique: reprise des exports et purge des archives expirées
+ */
+const startMaintenance = () => {
+  const run = () => {
+    resumePendingExports()
+      .then(() => purgeExpiredExports())
+      .catch(error => console.error('❌ Maintenance des exports de données:', error.message));
+  };
+
+  run();
+  return setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+};
+
+/**
+ * Format public d'un export (historique)
+ */
+const formatExport = (dataExport) => ({
+  id: dataExport.id,
+  status: dataExport.status,
+  requestedAt: dataExport.created_at,
+  completedAt: dataExport.completed_at,
+  fileSize: dataExport.file_size ? parseInt(dataExport.file_size) : null,
+  summary: dataExport.summary,
+  expiresAt: dataExport.expires_at,
+  downloadCount: dataExport.download_count,
+  lastDownloadedAt: dataExport.last_downloaded_at,
+  error: dataExport.status === 'failed' ? 'La préparation de l\'export a échoué' : null
+});
+
+module.exports = {
+  LINK_VALIDITY_DAYS,
+  MAX_EXPORTS_PER_DAY,
+  collectUserData,
+  buildArchive,
+  collectMedia,
+  processExport,
+  requestExport,
+  getDownload,
+  purgeExpiredExports,
+  deleteUserExports,
+  resumePendingExports,
+  startMaintenance,
+  formatExport
+};
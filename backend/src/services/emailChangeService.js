@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { hashString, generateSecureToken } = require('../utils/helpers');
+const { commonErrors } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+const securityService = require('./securityService');
+const tokenRevocationService = require('./tokenRevocationService');
+const auditService = require('./auditService');
+
+/**
+ * Service de changement d'adresse email
+ *
+ * - La nouvelle adresse reçoit un lien de confirmation; l'ancienne reste
+ *   l'adresse de connexion tant que le changement n'est pas confirmé
+ * - L'ancienne adresse reçoit un lien "ce n'était pas moi" qui annule la
+ *   demande ou, si elle a déjà été confirmée, rétablit l'adresse d'origine
+ *   et ferme toutes les sessions du compte
+ */
+
+const CHANGE_TOKEN_HOURS = 24;
+const REVERT_TOKEN_DAYS = 7;
+const PASSWORD_RESET_MINUTES = 60;
+
+const PENDING_CHANGE_RESET = {
+  pending_email: null,
+  email_change_token_hash: null,
+  email_change_expires: null
+};
+
+const REVERT_RESET = {
+  email_revert_token_hash: null,
+  email_revert_expires: null,
+  email_revert_address: null
+};
+
+/**
+ * L'adresse est-elle utilisée par un autre compte ?
+ */
+const isEmailTaken = async (email, exceptUserId) => {
+  const existing = await db('users')
+    .select('id')
+    .where({ email })
+    .whereNot({ id: exceptUserId })
+    .first();
+
+  return Boolean(existing);
+};
+
+/**
+ * Demander le changement d'adresse email
+ * Retourne { pendingEmail, expiresAt }
+ */
+const requestEmailChange = async (user, newEmail, req = null) => {
+  const pendingEmail = newEmail.toLowerCase().trim();
+
+  if (pendingEmail === user.email.toLowerCase()) {
+    throw commonErrors.badRequest('La nouvelle adresse est identique à l\'adresse actuelle');
+  }
+
+  if (await isEmailTaken(pendingEmail, user.id)) {
+    throw commonErrors.conflict('Un utilisateur avec cet email existe déjà');
+  }
+
+  const token = generateSecureToken(32);
+  const revertToken = generateSecureToken(32);
+  const expiresAt = new Date(Date.now() + CHANGE_TOKEN_HOURS * 60 * 60 * 1000);
+
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      pending_email: pendingEmail,
+      email_change_token_hash: hashString(token),
+      email_change_expires: expiresAt,
+      email_revert_token_hash: hashString(revertToken),
+      email_revert_expires: new Date(Date.now() + REVERT_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+      email_revert_address: user.email,
+      updated_at: db.fn.now()
+    });
+
+  await securityService.recordEvent('email_change_requested', {
+    userId: user.id,
+    email: user.email,
+    req,
+    metadata: { newEmail: pendingEmail }
+  });
+
+  try {
+    await emailService.sendEmailChangeVerificationEmail(pendingEmail, {
+      token,
+      firstName: user.first_name,
+      expiresInHours: CHANGE_TOKEN_HOURS
+    });
+  } catch (emailError) {
+    console.error('Erreur envoi confirmation de changement d\'email:', emailError);
+  }
+
+  try {
+    await emailService.sendEmailChangeNoticeEmail(user.email, {
+      revertToken,
+      firstName: user.first_name,
+      newEmail: pendingEmail,
+      revertDays: REVERT_TOKEN_DAYS
+    });
+  } catch (emailError) {
+    console.error('Erreur envoi avertissement de changement d\'email:', emailError);
+  }
+
+  return { pendingEmail, expiresAt };
+};
+
+/**
+ * Confirmer la nouvelle adresse avec le lien reçu
+ * Retourne l'utilisateur mis à jour, ou null si le lien est invalide ou expiré
+ */
+const confirmEmailChange = async (token, req = null) => {
+  const user = await db('users')
+    .where({ email_change_token_hash: hashString(String(token)) })
+    .where('email_change_expires', '>', db.fn.now())
+    .whereNotNull('pending_email')
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    return null;
+  }
+
+  // L'adresse a pu être prise par un autre compte depuis la demande
+  if (await isEmailTaken(user.pending_email, user.id)) {
+    await db('users').where({ id: user.id }).update(PENDING_CHANGE_RESET);
+    throw commonErrors.conflict('Cette adresse email est désormais utilisée par un autre compte');
+  }
+
+  const [updated] = await db('users')
+    .where({ id: user.id })
+    .update({
+      email: user.pending_email,
+      email_verified: true,
+      ...PENDING_CHANGE_RESET,
+      updated_at: db.fn.now()
+    })
+    .returning(['id', 'email', 'first_name']);
+
+  await cache.del(CACHE_KEYS.USER_PROFILE(user.id));
+
+  await securityService.recordEvent('email_changed', {
+    userId: user.id,
+    email: updated.email,
+    req,
+    metadata: { previousEmail: user.email }
+  });
+
+  // Pas d'adresses dans le journal d'audit (immuable)
+  await auditService.record('user.email_change', { entityType: 'user', entityId: user.id });
+
+  return updated;
+};
+
+/**
+ * Annuler un changement d'adresse depuis le lien envoyé à l'ancienne adresse
+ * L'adresse d'origine est rétablie, toutes les sessions sont fermées et un
+ * lien de réinitialisation du mot de passe est envoyé.
+ * Retourne l'utilisateur, ou null si le lien est invalide ou expiré
+ */
+const revertEmailChange = async (token, req = null) => {
+  const user = await db('users')
+    .where({ email_revert_token_hash: hashString(String(token)) })
+    .where('email_revert_expires', '>', db.fn.now())
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    return null;
+  }
+
+  const originalEmail = user.email_revert_address;
+  const wasConfirmed = user.email !== originalEmail;
+
+  if (wasConfirmed && await isEmailTaken(originalEmail, user.id)) {
+    throw commonErrors.conflict('L\'adresse d\'origine est désormais utilisée par un autre compte. Contactez le support.');
+  }
+
+  // Le mot de passe est peut-être connu de l'auteur de la demande
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      email: originalEmail,
+      ...PENDING_CHANGE_RESET,
+      ...REVERT_RESET,
+      password_reset_token: resetToken,
+      password_reset_expires: new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000),
+      updated_at: db.fn.now()
+    });
+
+  await tokenRevocationService.revokeAllUserTokens(user.id, 'email_change_reverted');
+  await cache.del(CACHE_KEYS.USER_PROFILE(user.id));
+
+  await securityService.recordEvent('email_change_reverted', {
+    userId: user.id,
+    email: originalEmail,
+    req,
+    metadata: { wasConfirmed }
+  });
+
+  await auditService.record('user.email_revert', {
+    entityType: 'user',
+    entityId: user.id,
+    metadata: { wasConfirmed }
+  });
+
+  try {
+    await emailService.sendPasswordResetEmail(originalEmail, resetToken, user.first_name);
+  } catch (emailError) {
+    console.error('Erreur envoi email de réinitialisation:', emailError);
+  }
+
+  return { id: user.id, email: originalEmail, wasConfirmed };
+};
+
+/**
+ * Abandonner une demande en attente (depuis le compte)
+ */
+const cancelEmailChange = async (userId) => {
+  const cancelled = await db('users')
+    .where({ id: userId })
+    .whereNotNull('pending_email')
+    .update({
+      ...PENDING_CHANGE_RESET,
+      ...REVERT_RESET,
+      updated_at: db.fn.now()
+    });
+
+  return cancelled > 0;
+};
+
+module.exports = {
+  CHANGE_TOKEN_HOURS,
+  REVERT_TOKEN_DAYS,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  cancelEmailChange
+};
@@ -19,6 +19,16 @@ const createTransporter = () => {
   });
 };
 
+/**
+ * Échapper les valeurs fournies par le client (nom d'appareil, user agent...)
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Templates d'emails
  */
@@ -211,8 +221,414 @@ const emailTemplates = {
     `
   }),
 
+  // Template de connexion depuis un nouvel appareil
+  newDeviceLogin: (firstName, device, sessionsUrl) => ({
+    subject: 'Nouvelle connexion à votre compte AfrikMode 🔐',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Sécurité de votre compte</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            Une connexion à votre compte vient d'avoir lieu depuis un appareil que nous ne connaissions pas :
+          </p>
+          
+          <div style="background: #F5E4D7; padding: 20px; border-radius: 8px; margin: 20px 0; color: #3A3A3A; line-height: 1.8;">
+            <strong>Appareil :</strong> ${escapeHtml(device.deviceName || 'Inconnu')}<br>
+            <strong>Plateforme :</strong> ${escapeHtml(device.platform)}<br>
+            <strong>Adresse IP :</strong> ${escapeHtml(device.ipAddress)}<br>
+            <strong>Navigateur :</strong> ${escapeHtml(device.userAgent || 'Inconnu')}<br>
+            <strong>Date :</strong> ${escapeHtml(device.loggedAt)}
+          </div>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 30px;">
+            Si c'était vous, aucune action n'est nécessaire. Sinon, fermez cette session et changez votre mot de passe immédiatement.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${sessionsUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              🔒 Gérer mes appareils
+            </a>
+          </div>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      Une connexion à votre compte vient d'avoir lieu depuis un nouvel appareil :
+      Appareil : ${device.deviceName || 'Inconnu'}
+      Plateforme : ${device.platform}
+      Adresse IP : ${device.ipAddress}
+      Date : ${device.loggedAt}
+      
+      Si ce n'était pas vous, fermez cette session et changez votre mot de passe : ${sessionsUrl}
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  // Template de verrouillage du compte
+  accountLocked: (firstName, unlockUrl, lockoutMinutes) => ({
+    subject: 'Votre compte AfrikMode a été temporairement verrouillé 🔒',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Sécurité de votre compte</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            Suite à de nombreuses tentatives de connexion échouées, votre compte a été verrouillé pendant ${lockoutMinutes} minutes.
+          </p>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 30px;">
+            Si c'était vous, vous pouvez le déverrouiller immédiatement :
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${unlockUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              🔓 Déverrouiller mon compte
+            </a>
+          </div>
+          
+          <p style="color: #D9744F; font-size: 14px; font-weight: bold;">
+            ⚠️ Si ce n'était pas vous, quelqu'un essaie peut-être d'accéder à votre compte. Nous vous recommandons de changer votre mot de passe.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      Suite à de nombreuses tentatives de connexion échouées, votre compte a été verrouillé pendant ${lockoutMinutes} minutes.
+      
+      Pour le déverrouiller immédiatement : ${unlockUrl}
+      
+      Si ce n'était pas vous, changez votre mot de passe.
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  storeInvitation: (storeName, inviterName, roleLabel, acceptUrl, expiresInDays) => ({
+    subject: `Invitation à rejoindre l'équipe de ${storeName} sur AfrikMode`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Mode Africaine Authentique</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour,</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            ${escapeHtml(inviterName)} vous invite à rejoindre l'équipe de la boutique
+            <strong>${escapeHtml(storeName)}</strong> en tant que <strong>${escapeHtml(roleLabel)}</strong>.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${acceptUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              🤝 Rejoindre l'équipe
+            </a>
+          </div>
+          
+          <p style="color: #6B6B6B; font-size: 14px;">
+            Connectez-vous ou créez un compte avec cette adresse email pour accepter l'invitation.
+            Ce lien expire dans ${expiresInDays} jours.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Célébrons la mode africaine ensemble</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour,
+      
+      ${inviterName} vous invite à rejoindre l'équipe de la boutique ${storeName} en tant que ${roleLabel}.
+      
+      Pour accepter l'invitation : ${acceptUrl}
+      
+      Connectez-vous ou créez un compte avec cette adresse email. Ce lien expire dans ${expiresInDays} jours.
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  // Template de confirmation de la nouvelle adresse email
+  emailChangeVerification: (firstName, newEmail, confirmUrl, expiresInHours) => ({
+    subject: 'Confirmez votre nouvelle adresse email AfrikMode ✉️',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Sécurité de votre compte</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 30px;">
+            Vous avez demandé à utiliser <strong>${escapeHtml(newEmail)}</strong> comme adresse email de votre compte AfrikMode.
+            Confirmez ce changement en cliquant sur le bouton ci-dessous :
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${confirmUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              ✅ Confirmer ma nouvelle adresse
+            </a>
+          </div>
+          
+          <p style="color: #6B6B6B; font-size: 14px;">
+            Ce lien expire dans ${expiresInHours} heures. Votre adresse actuelle reste active jusqu'à la confirmation.
+            Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      Vous avez demandé à utiliser ${newEmail} comme adresse email de votre compte AfrikMode.
+      
+      Pour confirmer ce changement : ${confirmUrl}
+      
+      Ce lien expire dans ${expiresInHours} heures. Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  // Template d'avertissement envoyé à l'ancienne adresse email
+  emailChangeNotice: (firstName, newEmail, revertUrl, revertDays) => ({
+    subject: 'Changement d\'adresse email demandé sur votre compte AfrikMode ⚠️',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Sécurité de votre compte</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            Une demande de changement de l'adresse email de votre compte vers <strong>${escapeHtml(newEmail)}</strong> vient d'être effectuée.
+            Cette adresse-ci reste active tant que la nouvelle n'a pas été confirmée.
+          </p>
+          
+          <p style="color: #D9744F; font-size: 14px; font-weight: bold; margin-bottom: 30px;">
+            ⚠️ Si ce n'était pas vous, annulez ce changement : votre adresse sera rétablie et toutes les sessions de votre compte seront fermées.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${revertUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              🛑 Ce n'était pas moi
+            </a>
+          </div>
+          
+          <p style="color: #6B6B6B; font-size: 14px;">
+            Ce lien reste valable ${revertDays} jours, même après la confirmation du changement.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      Une demande de changement de l'adresse email de votre compte vers ${newEmail} vient d'être effectuée.
+      Cette adresse-ci reste active tant que la nouvelle n'a pas été confirmée.
+      
+      Si ce n'était pas vous, annulez ce changement (lien valable ${revertDays} jours) : ${revertUrl}
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  // Template d'export des données personnelles prêt
+  dataExportReady: (firstName, downloadUrl, expiresInDays) => ({
+    subject: 'Votre export de données AfrikMode est prêt 📦',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Vos données personnelles</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            L'archive contenant l'ensemble de vos données personnelles (profil, commandes, paiements, adresses,
+            sessions, avis, boutiques suivies et fichiers envoyés) est prête.
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${downloadUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              📦 Télécharger mes données
+            </a>
+          </div>
+          
+          <p style="color: #6B6B6B; font-size: 14px;">
+            Ce lien est valable ${expiresInDays} jours et nécessite d'être connecté à votre compte.
+            Si vous n'êtes pas à l'origine de cette demande, changez votre mot de passe.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      L'archive contenant l'ensemble de vos données personnelles est prête.
+      Téléchargez-la (lien valable ${expiresInDays} jours, connexion requise) : ${downloadUrl}
+      
+      Si vous n'êtes pas à l'origine de cette demande, changez votre mot de passe.
+      
+      L'équipe AfrikMode
+    `
+  }),
+
+  accountErasureScheduled: (firstName, cancelUrl, erasureDate) => ({
+    subject: 'Suppression de votre compte AfrikMode programmée',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #8B2E2E; font-size: 28px; margin: 0;">AfrikMode</h1>
+          <p style="color: #6B8E23; font-size: 16px; margin: 5px 0;">Suppression de compte</p>
+        </div>
+        
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <h2 style="color: #8B2E2E; margin-bottom: 20px;">Bonjour ${firstName},</h2>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            Votre compte a été désactivé à votre demande. Le <strong>${erasureDate}</strong>, vos données
+            personnelles (profil, adresses, avis, photos) seront définitivement effacées. Seules les
+            informations comptables de vos commandes sont conservées, sans lien avec votre identité.
+          </p>
+          
+          <p style="color: #3A3A3A; line-height: 1.6; margin-bottom: 20px;">
+            Vous avez changé d'avis ? Vous pouvez restaurer votre compte jusqu'à cette date :
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${cancelUrl}" 
+               style="background: linear-gradient(135deg, #8B2E2E 0%, #D9744F 100%); 
+                      color: white; 
+                      padding: 15px 30px; 
+                      text-decoration: none; 
+                      border-radius: 25px; 
+                      font-weight: bold; 
+                      display: inline-block;
+                      box-shadow: 0 4px 15px rgba(139, 46, 46, 0.3);">
+              Restaurer mon compte
+            </a>
+          </div>
+          
+          <p style="color: #6B6B6B; font-size: 14px;">
+            Si vous n'êtes pas à l'origine de cette demande, restaurez votre compte puis changez votre mot de passe.
+          </p>
+        </div>
+        
+        <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
+          <p>© 2024 AfrikMode - Votre sécurité est notre priorité</p>
+        </div>
+      </div>
+    `,
+    text: `
+      Bonjour ${firstName},
+      
+      Votre compte a été désactivé à votre demande. Le ${erasureDate}, vos données personnelles
+      seront définitivement effacées (les informations comptables des commandes sont conservées sans lien avec votre identité).
+      
+      Pour restaurer votre compte avant cette date : ${cancelUrl}
+      
+      Si vous n'êtes pas à l'origine de cette demande, restaurez votre compte puis changez votre mot de passe.
+      
+      L'équipe AfrikMode
+    `
+  }),
+
   // Template de newsletter
-  newsletter: (firstName, subject, content) => ({
+  newsletter: (firstName, subject, content, unsubscribeUrl) => ({
     subject: subject,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #FFF9F6;">
@@ -228,11 +644,11 @@ const emailTemplates = {
         
         <div style="text-align: center; margin-top: 30px; color: #6B6B6B; font-size: 12px;">
           <p>© 2024 AfrikMode</p>
-          <p><a href="#" style="color: #8B2E2E;">Se désabonner</a></p>
+          <p><a href="${unsubscribeUrl}" style="color: #8B2E2E;">Se désabonner</a></p>
         </div>
       </div>
     `,
-    text: `Bonjour ${firstName},\n\n${content}\n\nL'équipe AfrikMode`
+    text: `Bonjour ${firstName},\n\n${content}\n\nL'équipe AfrikMode\n\nSe désabonner : ${unsubscribeUrl}`
   })
 };
 
@@ -289,16 +705,175 @@ const sendPasswordResetEmail = async (email, token, firstName) => {
 };
 
 /**
- * Envoyer un email de confirmation de commande
+ * Envoyer une alerte de connexion depuis un nouvel appareil
  */
-const sendOrderConfirmationEmail = async (email, firstName, orderData) => {
+const sendNewDeviceLoginEmail = async (email, firstName, device) => {
   try {
     const transporter = createTransporter();
-    const template = emailTemplates.orderConfirmation(
-      firstName,
-      orderData.orderNumber,
-      orderData.total,
-      orderData.items
+    const sessionsUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/account/security`;
+    const template = emailTemplates.newDeviceLogin(firstName, device, sessionsUrl);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Alerte nouvel appareil envoyée à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi alerte nouvel appareil:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer le lien de déverrouillage d'un compte verrouillé
+ */
+const sendAccountLockedEmail = async (email, firstName, token, lockoutMinutes) => {
+  try {
+    const transporter = createTransporter();
+    const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/unlock-account?token=${token}`;
+    const template = emailTemplates.accountLocked(firstName, unlockUrl, lockoutMinutes);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Email de verrouillage envoyé à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email de verrouillage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer le lien de confirmation d'une nouvelle adresse email
+ */
+const sendEmailChangeVerificationEmail = async (email, { token, firstName, expiresInHours }) => {
+  try {
+    const transporter = createTransporter();
+    const confirmUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/confirm-email-change?token=${token}`;
+    const template = emailTemplates.emailChangeVerification(firstName, email, confirmUrl, expiresInHours);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Email de confirmation de changement d'adresse envoyé à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi email de confirmation de changement d\'adresse:', error);
+    throw error;
+  }
+};
+
+/**
+ * Prévenir l'ancienne adresse d'un changement d'email (avec lien d'annulation)
+ */
+const sendEmailChangeNoticeEmail = async (email, { revertToken, firstName, newEmail, revertDays }) => {
+  try {
+    const transporter = createTransporter();
+    const revertUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/revert-email-change?token=${revertToken}`;
+    const template = emailTemplates.emailChangeNotice(firstName, newEmail, revertUrl, revertDays);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Avertissement de changement d'adresse envoyé à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi avertissement de changement d\'adresse:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer le lien de téléchargement d'un export de données personnelles
+ */
+const sendDataExportReadyEmail = async (email, { exportId, token, firstName, expiresInDays }) => {
+  try {
+    const transporter = createTransporter();
+    const downloadUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/account/data-exports/${exportId}?token=${token}`;
+    const template = emailTemplates.dataExportReady(firstName, downloadUrl, expiresInDays);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Lien d'export de données envoyé à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi lien d\'export de données:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirmer la programmation de la suppression du compte (lien de restauration)
+ */
+const sendAccountErasureScheduledEmail = async (email, { firstName, token, scheduledAt }) => {
+  try {
+    const transporter = createTransporter();
+    const cancelUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/account/restore?token=${token}`;
+    const erasureDate = new Date(scheduledAt).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+    const template = emailTemplates.accountErasureScheduled(firstName, cancelUrl, erasureDate);
+    
+    await transporter.sendMail({
+      from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text
+    });
+    
+    console.log(`✅ Confirmation de suppression de compte envoyée à ${email}`);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Erreur envoi confirmation de suppression de compte:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer une invitation à rejoindre l'équipe d'une boutique
+ */
+const sendStoreInvitationEmail = async (email, invitation) => {
+  try {
+    const transporter = createTransporter();
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:4200'}/store-invitations/accept?token=${invitation.token}`;
+    const template = emailTemplates.storeInvitation(
+      invitation.storeName,
+      invitation.inviterName,
+      invitation.roleLabel,
+      acceptUrl,
+      invitation.expiresInDays
     );
     
     await transporter.sendMail({
@@ -309,22 +884,27 @@ const sendOrderConfirmationEmail = async (email, firstName, orderData) => {
       text: template.text
     });
     
-    console.log(`✅ Email de confirmation de commande envoyé à ${email}`);
+    console.log(`✅ Invitation boutique envoyée à ${email}`);
     return true;
     
   } catch (error) {
-    console.error('❌ Erreur envoi email de confirmation:', error);
+    console.error('❌ Erreur envoi invitation boutique:', error);
     throw error;
   }
 };
 
 /**
- * Envoyer une newsletter
+ * Envoyer un email de confirmation de commande
  */
-const sendNewsletterEmail = async (email, firstName, subject, content) => {
+const sendOrderConfirmationEmail = async (email, firstName, orderData) => {
   try {
     const transporter = createTransporter();
-    const template = emailTemplates.newsletter(firstName, subject, content);
+    const template = emailTemplates.orderConfirmation(
+      firstName,
+      orderData.orderNumber,
+      orderData.total,
+      orderData.items
+    );
     
     await transporter.sendMail({
       from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
@@ -334,15 +914,64 @@ const sendNewsletterEmail = async (email, firstName, subject, content) => {
       text: template.text
     });
     
-    console.log(`✅ Newsletter envoyée à ${email}`);
+    console.log(`✅ Email de confirmation de commande envoyé à ${email}`);
     return true;
     
   } catch (error) {
-    console.error('❌ Erreur envoi newsletter:', error);
+    console.error('❌ Erreur envoi email de confirmation:', error);
     throw error;
   }
 };
 
+/**
+ * Envoyer une newsletter
+ * Seuls les destinataires dont le consentement marketing par email est en
+ * vigueur la reçoivent; chaque message porte un lien de désabonnement signé
+ * (et l'en-tête List-Unsubscribe en un clic).
+ * recipients: utilisateurs [{ id, email, first_name | firstName }]
+ * Retourne { success, sent, failed, skipped }
+ */
+const sendNewsletterEmail = async ({ subject, content }, recipients) => {
+  const consentService = require('./consentService');
+  const transporter = createTransporter();
+  const allowed = await consentService.filterMarketingRecipients(recipients);
+  
+  let sent = 0;
+  let failed = 0;
+  
+  for (const recipient of allowed) {
+    const { pageUrl, oneClickUrl } = consentService.getUnsubscribeLinks(recipient.id);
+    const template = emailTemplates.newsletter(recipient.first_name || recipient.firstName, subject, content, pageUrl);
+    
+    try {
+      await transporter.sendMail({
+        from: `${process.env.MAIL_FROM_NAME || 'AfrikMode'} <${process.env.MAIL_FROM}>`,
+        to: recipient.email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+        headers: {
+          'List-Unsubscribe': `<${oneClickUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Erreur envoi newsletter à ${recipient.email}:`, error.message);
+      failed++;
+    }
+  }
+  
+  console.log(`✅ Newsletter "${subject}": ${sent} envoyée(s), ${failed} échec(s), ${recipients.length - allowed.length} sans consentement`);
+  
+  return {
+    success: true,
+    sent,
+    failed,
+    skipped: recipients.length - allowed.length
+  };
+};
+
 /**
  * Tester la connexion email
  */
@@ -363,5 +992,12 @@ module.exports = {
   sendPasswordResetEmail,
   sendOrderConfirmationEmail,
   sendNewsletterEmail,
+  sendNewDeviceLoginEmail,
+  sendAccountLockedEmail,
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeNoticeEmail,
+  sendStoreInvitationEmail,
+  sendDataExportReadyEmail,
+  sendAccountErasureScheduledEmail,
   testConnection
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+const { hashString } = require('../utils/helpers');
+const { createError } = require('../middleware/errorHandler');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Service d'idempotence (en-tête Idempotency-Key)
+ *
+ * Une requête de création portant une clé réserve cette clé pour l'utilisateur
+ * avec l'empreinte de la requête. Sa réponse est enregistrée puis rejouée à
+ * l'identique pour toute nouvelle tentative avec la même clé, tant que la clé
+ * n'a pas expiré. Une tentative concurrente (réponse pas encore enregistrée)
+ * reçoit un 409; une clé réutilisée pour une autre requête, un 422.
+ */
+
+const KEY_TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Sérialisation JSON à clés triées (empreinte indépendante de l'ordre des champs)
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Endpoint d'une requête, indépendant du préfixe de version (/api, /api/v1...)
+ */
+const getEndpoint = (req) => {
+  const basePath = req.apiBasePath || '/api';
+  const mountPath = req.baseUrl.startsWith(basePath) ? req.baseUrl.slice(basePath.length) : req.baseUrl;
+  const routePath = `${mountPath}${req.route ? req.route.path : req.path}`.replace(/\/$/, '');
+
+  return `${req.method} ${routePath || '/'}`;
+};
+
+/**
+ * Empreinte d'une requête: endpoint et corps
+ */
+const getFingerprint = (endpoint, body) => hashString(`${endpoint}\n${canonicalize(body || {})}`);
+
+/**
+ * Valider la valeur de l'en-tête
+ */
+const validateKey = (key) => {
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw createError(
+      400,
+      `En-tête Idempotency-Key invalide (1 à ${MAX_KEY_LENGTH} caractères)`,
+      'INVALID_IDEMPOTENCY_KEY'
+    );
+  }
+};
+
+/**
+ * Démarrer une requête idempotente
+ * Retourne { record } si la requête doit être traitée,
+ * { replay: { status, body } } si une réponse est déjà enregistrée
+ */
+const begin = async ({ userId, key, endpoint, fingerprint }) => {
+  validateKey(key);
+
+  // Deux passes: une clé expirée ou abandonnée est libérée puis réservée à nouveau
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const record = await IdempotencyKey.claim({
+      userId,
+      key,
+      endpoint,
+      fingerprint,
+      ttlSeconds: KEY_TTL_SECONDS
+    });
+
+    if (record) {
+      return { record };
+    }
+
+    const existing = await IdempotencyKey.find(userId, key);
+    if (!existing) {
+      continue;
+    }
+
+    const expired = new Date(existing.expires_at) <= new Date();
+    const abandoned = existing.status === 'processing'
+      && Date.now() - new Date(existing.locked_at).getTime() > LOCK_TIMEOUT_MS;
+
+    if (expired || abandoned) {
+      await IdempotencyKey.release(existing.id, existing.locked_at);
+      continue;
+    }
+
+    if (existing.endpoint !== endpoint || existing.request_fingerprint !== fingerprint) {
+      throw createError(
+        422,
+        'Cette clé d\'idempotence a déjà été utilisée pour une autre requête',
+        'IDEMPOTENCY_KEY_REUSED'
+      );
+    }
+
+    if (existing.status === 'processing') {
+      break;
+    }
+
+    return {
+      replay: {
+        status: existing.response_status,
+        body: existing.response_body
+      }
+    };
+  }
+
+  throw createError(
+    409,
+    'Une requête avec cette clé d\'idempotence est déjà en cours de traitement',
+    'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+  );
+};
+
+/**
+ * Terminer une requête idempotente
+ * Les erreurs serveur (5xx) ne sont pas enregistrées: la clé est libérée
+ * pour que le client puisse réessayer
+ */
+const finish = async (record, { status, body }) => {
+  if (status >= 500) {
+    await IdempotencyKey.release(record.id);
+    return;
+  }
+
+  await IdempotencyKey.complete(record.id, { status, body });
+};
+
+/**
+ * Purge périodique des clés expirées
+ */
+const startMaintenance = () => {
+  const run = () => {
+    IdempotencyKey.deleteExpired()
+      .catch(error => console.error('❌ Purge des clés d\'idempotence:', error.message));
+  };
+
+  run();
+  return setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  KEY_TTL_SECONDS,
+  getEndpoint,
+  getFingerprint,
+  begin,
+  finish,
+  startMaintenance
+};
@@ -0,0 +1,522 @@
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { commonErrors } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { RESERVATION_STATUS, STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_REASONS } = require('../utils/constants');
+const ProductVariant = require('../models/ProductVariant');
+const StockLocation = require('../models/StockLocation');
+const StockLevel = require('../models/StockLevel');
+const InventoryReservation = require('../models/InventoryReservation');
+const { validate: uuidValidate } = require('uuid');
+
+/**
+ * Service d'inventaire
+ *
+ * Chaque commande réserve son stock pour une durée limitée: la réservation est
+ * convertie en vente au paiement (ou à la livraison d'une commande payée à la
+ * livraison), libérée à l'annulation, et expirée par un balayage périodique si
+ * le paiement n'arrive pas à temps, ce qui annule la commande.
+ *
+ * Le stock est tenu par lieu (ateliers, boutiques physiques): chaque article
+ * d'une commande est réservé dans le lieu qui l'expédie. Un article portant
+ * une variante est suivi sur la variante; les compteurs des variantes et des
+ * produits sont le total de leurs lieux (StockLevel.refreshTotals).
+ *
+ * Les ventes et les retours de commandes sont inscrits au registre des
+ * mouvements de stock avec la commande pour référence.
+ */
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const variantList = schemas.product.create.extract('variants');
+
+/**
+ * Clé d'une combinaison d'options (ordre et casse indifférents)
+ */
+const optionsKey = (options) => JSON.stringify(
+  Object.entries(options)
+    .map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()])
+    .sort(([a], [b]) => a.localeCompare(b))
+);
+
+/**
+ * Valider les variantes envoyées à la création/mise à jour d'un produit
+ * Retourne les variantes normalisées (valeurs par défaut appliquées)
+ */
+const normalizeVariants = (variants) => {
+  const { error, value } = variantList.validate(variants, { abortEarly: false });
+
+  if (error) {
+    throw commonErrors.validation('Variantes invalides', error.details.map(detail => ({
+      field: `variants.${detail.path.join('.')}`,
+      message: detail.message
+    })));
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of value) {
+    const key = optionsKey(variant.options);
+    if (combinations.has(key)) {
+      throw commonErrors.validation(`Variante en double: ${Object.values(variant.options).join(' / ')}`);
+    }
+    combinations.add(key);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        throw commonErrors.validation(`SKU de variante en double: ${variant.sku}`);
+      }
+      skus.add(variant.sku);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Fixer le stock d'un article dans un lieu
+ * item: { productId, variantId, quantity, lowStockThreshold, productName, variantName }
+ * Le stock ne peut pas descendre sous les quantités réservées par des commandes.
+ * L'écart est inscrit au registre: solde d'ouverture pour un nouvel article
+ * du lieu, correction sinon.
+ */
+const setStockLevel = async (locationId, item, trx) => {
+  const level = await StockLevel.findForUpdate(locationId, item.productId, item.variantId, trx);
+
+  if (level && item.quantity < level.reserved_quantity) {
+    throw commonErrors.conflict(
+      `Stock de ${itemLabel(item)} inférieur aux quantités réservées par des commandes (${level.reserved_quantity})`
+    );
+  }
+
+  const data = { quantity: item.quantity };
+  if (item.lowStockThreshold !== undefined) {
+    data.low_stock_threshold = item.lowStockThreshold;
+  }
+
+  return await StockLevel.upsert(locationId, item.productId, item.variantId || null, data, {
+    type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+    reason: level ? STOCK_MOVEMENT_REASONS.CORRECTION : STOCK_MOVEMENT_REASONS.OPENING_BALANCE,
+    notes: item.notes
+  }, trx);
+};
+
+/**
+ * Enregistrer les variantes d'un produit
+ * Le stock saisi sur une variante est celui du lieu par défaut de la boutique;
+ * sans stock saisi, le stock d'une variante existante dans ses lieux est conservé.
+ * Retourne toutes les variantes du produit
+ */
+const syncVariants = async (product, variants, trx) => {
+  const saved = await ProductVariant.sync(product.id, variants, trx);
+  // Une nouvelle variante a toujours un stock dans le lieu par défaut (0 sans saisie)
+  const withStock = variants.filter(variant => variant.stockQuantity !== undefined || !variant.id);
+
+  if (withStock.length > 0) {
+    const location = await StockLocation.getDefault(product.store_id, trx);
+
+    for (const variant of withStock) {
+      const stored = saved.find(candidate => optionsKey(candidate.options) === optionsKey(variant.options));
+
+      await setStockLevel(location.id, {
+        productId: product.id,
+        variantId: stored.id,
+        quantity: variant.stockQuantity ?? 0,
+        productName: product.name,
+        variantName: ProductVariant.label(stored)
+      }, trx);
+    }
+  }
+
+  await StockLevel.refreshTotals(product.id, trx);
+
+  return await ProductVariant.findByProduct(product.id, {}, trx);
+};
+
+/**
+ * Fixer le stock d'un produit sans variante (stock du lieu par défaut)
+ */
+const setProductStock = async (product, quantity, trx) => {
+  const location = await StockLocation.getDefault(product.store_id, trx);
+
+  await setStockLevel(location.id, {
+    productId: product.id,
+    variantId: null,
+    quantity,
+    productName: product.name
+  }, trx);
+
+  await StockLevel.refreshTotals(product.id, trx);
+};
+
+/**
+ * Échéance de la réservation d'une nouvelle commande
+ * Sans paiement en ligne (paiement à la livraison), le stock reste réservé
+ * jusqu'à l'annulation ou la livraison
+ */
+const getReservationExpiry = (paymentMethod, now = new Date()) => {
+  if (paymentMethod === 'cash_on_delivery') {
+    return null;
+  }
+
+  return new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000);
+};
+
+/**
+ * Stock disponible à la vente: stock moins les réservations actives
+ */
+const getAvailableQuantity = ({ stock_quantity: stock, reserved_quantity: reserved }) =>
+  Math.max((stock || 0) - (reserved || 0), 0);
+
+/**
+ * Stock disponible d'un niveau de stock (lieu)
+ */
+const getLevelAvailableQuantity = (level) => getAvailableQuantity({
+  stock_quantity: level.quantity,
+  reserved_quantity: level.reserved_quantity
+});
+
+/**
+ * Clé d'un article de stock (produit, variante éventuelle)
+ */
+const itemKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Libellé d'un article dans les messages (produit et variante)
+ */
+const itemLabel = (item) => `${item.productName}${item.variantName ? ` (${item.variantName})` : ''}`;
+
+/**
+ * Valider une requête avec un schéma Joi (erreur 400 détaillée par champ)
+ */
+const validatePayload = (schema, payload, message = 'Données invalides') => {
+  const { error, value } = schema.validate(payload, { abortEarly: false, stripUnknown: true });
+
+  if (error) {
+    throw commonErrors.validation(message, error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })));
+  }
+
+  return value;
+};
+
+/**
+ * Invalider le cache des produits dont le stock disponible a changé
+ * (à appeler après validation de la transaction)
+ */
+const invalidateProducts = async (productIds) => {
+  for (const productId of new Set(productIds)) {
+    await cache.del(`${CACHE_KEYS.PRODUCTS}:${productId}`);
+    await cache.delPattern(`product:${productId}:*`);
+  }
+};
+
+/**
+ * Choisir le lieu qui expédie chaque article d'une commande
+ * - lieu demandé par le client (retrait en boutique): il doit tout fournir
+ * - sinon, parmi les lieux actifs qui expédient les commandes en ligne (ceux de
+ *   la ville de livraison d'abord, puis par priorité), le premier qui peut
+ *   fournir toute la commande, à défaut le premier qui peut fournir chaque article
+ * items: [{ productId, variantId, quantity, productName, variantName }]
+ * Retourne les articles complétés de locationId / locationName
+ */
+const selectFulfillment = async (storeId, items, { locationId = null, city = null } = {}) => {
+  let locations;
+
+  if (locationId) {
+    const location = uuidValidate(locationId) && await StockLocation.findForStore(storeId, locationId);
+    if (!location || !location.is_active) {
+      throw commonErrors.badRequest('Lieu de retrait indisponible pour cette boutique');
+    }
+    locations = [location];
+  } else {
+    const sameCity = (location) => Boolean(city && location.city && location.city.toLowerCase() === city.toLowerCase());
+
+    locations = (await StockLocation.findByStore(storeId, { activeOnly: true }))
+      .filter(location => location.fulfills_online_orders)
+      .sort((a, b) => sameCity(b) - sameCity(a));
+  }
+
+  if (locations.length === 0) {
+    throw commonErrors.stock('Aucun lieu de la boutique n\'expédie de commandes en ligne', 0);
+  }
+
+  const levels = await StockLevel.findForProducts(
+    [...new Set(items.map(item => item.productId))],
+    locations.map(location => location.id)
+  );
+
+  // Stock disponible restant par lieu et par article
+  const remaining = new Map(levels.map(level => [
+    `${level.location_id}:${itemKey(level.product_id, level.variant_id)}`,
+    getLevelAvailableQuantity(level)
+  ]));
+  const availableAt = (location, item) => remaining.get(`${location.id}:${itemKey(item.productId, item.variantId)}`) || 0;
+
+  // Quantités demandées par article (un même article peut figurer sur plusieurs lignes)
+  const requested = new Map();
+  for (const item of items) {
+    const key = itemKey(item.productId, item.variantId);
+    requested.set(key, (requested.get(key) || 0) + item.quantity);
+  }
+
+  const single = locations.find(location => items.every(item =>
+    availableAt(location, item) >= requested.get(itemKey(item.productId, item.variantId))
+  ));
+
+  if (single) {
+    return items.map(item => ({ ...item, locationId: single.id, locationName: single.name }));
+  }
+
+  return items.map(item => {
+    const location = locations.find(candidate => availableAt(candidate, item) >= item.quantity);
+
+    if (!location) {
+      const available = Math.max(...locations.map(candidate => availableAt(candidate, item)));
+      throw commonErrors.stock(
+        locationId
+          ? `Stock insuffisant pour ${itemLabel(item)} à ${locations[0].name}. Stock disponible: ${available}`
+          : `Stock insuffisant pour ${itemLabel(item)}. Stock disponible dans un même lieu: ${available}`,
+        available
+      );
+    }
+
+    remaining.set(`${location.id}:${itemKey(item.productId, item.variantId)}`, availableAt(location, item) - item.quantity);
+    return { ...item, locationId: location.id, locationName: location.name };
+  });
+};
+
+/**
+ * Réserver le stock des articles d'une commande
+ * items: [{ orderItemId, productId, variantId, locationId, quantity, productName, variantName }]
+ * La réservation n'a lieu que si le stock disponible du lieu suffit
+ */
+const reserveItems = async (items, trx, { orderId, expiresAt = null }) => {
+  for (const item of items) {
+    const reserved = await StockLevel.reserve(item.locationId, item.productId, item.variantId, item.quantity, trx);
+
+    if (!reserved) {
+      const level = await StockLevel.find(item.locationId, item.productId, item.variantId, trx);
+      const available = level ? getLevelAvailableQuantity(level) : 0;
+
+      throw commonErrors.stock(
+        `Stock insuffisant pour ${itemLabel(item)}. Stock disponible: ${available}`,
+        available
+      );
+    }
+  }
+
+  await StockLevel.refreshTotals(items.map(item => item.productId), trx);
+
+  return await InventoryReservation.createMany(items.map(item => ({
+    orderId,
+    orderItemId: item.orderItemId,
+    productId: item.productId,
+    variantId: item.variantId,
+    locationId: item.locationId,
+    quantity: item.quantity,
+    expiresAt
+  })), trx);
+};
+
+/**
+ * Libérer le stock d'une commande annulée
+ * - réservations actives: libérées (ou expirées, selon `status`)
+ * - réservations déjà converties (commande payée): stock remis en vente
+ * Retourne les réservations traitées
+ */
+const releaseOrder = async (orderId, trx, status = RESERVATION_STATUS.RELEASED) => {
+  const active = await InventoryReservation.findByOrder(orderId, RESERVATION_STATUS.ACTIVE, trx);
+
+  for (const reservation of active) {
+    await StockLevel.release(
+      reservation.location_id, reservation.product_id, reservation.variant_id, reservation.quantity, trx
+    );
+  }
+
+  await InventoryReservation.markAs(active.map(reservation => reservation.id), status, trx);
+
+  if (status !== RESERVATION_STATUS.RELEASED) {
+    await StockLevel.refreshTotals(active.map(reservation => reservation.product_id), trx);
+    return active;
+  }
+
+  // Stock remis dans le lieu d'où il était parti
+  const converted = await InventoryReservation.findByOrder(orderId, RESERVATION_STATUS.CONVERTED, trx);
+
+  for (const reservation of converted) {
+    await StockLevel.add(
+      reservation.location_id, reservation.product_id, reservation.variant_id, reservation.quantity, {
+        type: STOCK_MOVEMENT_TYPES.RETURN,
+        reason: STOCK_MOVEMENT_REASONS.ORDER_CANCELLED,
+        referenceType: 'order',
+        referenceId: orderId
+      }, trx
+    );
+  }
+
+  await InventoryReservation.markAs(converted.map(reservation => reservation.id), RESERVATION_STATUS.RETURNED, trx);
+
+  const processed = [...active, ...converted];
+  await StockLevel.refreshTotals(processed.map(reservation => reservation.product_id), trx);
+
+  return processed;
+};
+
+/**
+ * Convertir les réservations actives d'une commande en vente
+ * (paiement reçu, ou livraison d'une commande payée à la livraison)
+ * Retourne le nombre de réservations converties
+ */
+const convertOrder = async (orderId, trx) => {
+  const active = await InventoryReservation.findByOrder(orderId, RESERVATION_STATUS.ACTIVE, trx);
+
+  for (const reservation of active) {
+    await StockLevel.commitSale(
+      reservation.location_id, reservation.product_id, reservation.variant_id, reservation.quantity, {
+        type: STOCK_MOVEMENT_TYPES.SALE,
+        reason: STOCK_MOVEMENT_REASONS.ORDER_SALE,
+        referenceType: 'order',
+        referenceId: orderId
+      }, trx
+    );
+  }
+
+  await InventoryReservation.markAs(active.map(reservation => reservation.id), RESERVATION_STATUS.CONVERTED, trx);
+  await StockLevel.refreshTotals(active.map(reservation => reservation.product_id), trx);
+
+  return active.length;
+};
+
+/**
+ * Enregistrer la livraison d'une commande: stock sorti et statistiques de vente
+ * items: lignes order_items (product_id, quantity, total_price)
+ */
+const recordDelivery = async (orderId, items, trx) => {
+  await convertOrder(orderId, trx);
+
+  for (const item of items) {
+    await trx('products')
+      .where({ id: item.product_id })
+      .increment('sales_count', item.quantity)
+      .increment('total_revenue', item.total_price);
+  }
+};
+
+/**
+ * Annuler une commande dont la réservation a expiré sans paiement
+ * Retourne true si la commande a été annulée
+ */
+const expireOrder = async (orderId) => {
+  const productIds = await db.transaction(async (trx) => {
+    const order = await trx('orders')
+      .select(['id', 'order_number', 'status', 'payment_status'])
+      .where({ id: orderId })
+      .forUpdate()
+      .first();
+
+    if (!order) {
+      return null;
+    }
+
+    // Paiement reçu entre-temps: la réservation n'expire plus
+    if (order.payment_status === 'paid' || order.status !== 'pending') {
+      await InventoryReservation.clearExpiry(orderId, trx);
+      return null;
+    }
+
+    const released = await releaseOrder(orderId, trx, RESERVATION_STATUS.EXPIRED);
+
+    await trx('orders')
+      .where({ id: orderId })
+      .update({
+        status: 'cancelled',
+        payment_status: 'failed',
+        admin_notes: 'Réservation expirée: paiement non reçu à temps',
+        updated_at: trx.fn.now()
+      });
+
+    await trx('order_items')
+      .where({ order_id: orderId })
+      .update({ status: 'cancelled' });
+
+    await trx('payments')
+      .where({ order_id: orderId })
+      .whereIn('status', ['pending', 'processing'])
+      .update({ status: 'expired', updated_at: trx.fn.now() });
+
+    return released.map(reservation => reservation.product_id);
+  });
+
+  if (!productIds) {
+    return false;
+  }
+
+  await invalidateProducts(productIds);
+  return true;
+};
+
+/**
+ * Expirer les réservations échues et annuler les commandes non payées
+ * Retourne le nombre de commandes annulées
+ */
+const expireReservations = async () => {
+  const orderIds = await InventoryReservation.findExpiredOrderIds();
+  let cancelled = 0;
+
+  for (const orderId of orderIds) {
+    try {
+      if (await expireOrder(orderId)) {
+        cancelled++;
+      }
+    } catch (error) {
+      console.error(`❌ Expiration de la réservation de la commande ${orderId}:`, error.message);
+    }
+  }
+
+  if (cancelled > 0) {
+    console.log(`⏱️ Commandes annulées faute de paiement: ${cancelled}`);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Balayage périodique des réservations expirées
+ */
+const startMaintenance = () => {
+  const run = () => {
+    expireReservations()
+      .catch(error => console.error('❌ Balayage des réservations de stock:', error.message));
+  };
+
+  run();
+  return setInterval(run, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  normalizeVariants,
+  validatePayload,
+  itemKey,
+  itemLabel,
+  setStockLevel,
+  syncVariants,
+  setProductStock,
+  getReservationExpiry,
+  getAvailableQuantity,
+  getLevelAvailableQuantity,
+  invalidateProducts,
+  selectFulfillment,
+  reserveItems,
+  releaseOrder,
+  convertOrder,
+  recordDelivery,
+  expireOrder,
+  expireReservations,
+  startMaintenance
+};
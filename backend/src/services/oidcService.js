@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { cache, CACHE_KEYS, isConnected } = require('../config/redis');
+const oidcConfig = require('../config/oidc');
+const UserIdentity = require('../models/UserIdentity');
+const { generateSecureToken } = require('../utils/helpers');
+const { USER_ROLES } = require('../utils/constants');
+const { commonErrors, createError } = require('../middleware/errorHandler');
+const securityService = require('./securityService');
+const auditService = require('./auditService');
+
+/**
+ * Service de connexion OpenID Connect (Google, Apple, Facebook ou tout
+ * émetteur conforme)
+ *
+ * Flux "authorization code" avec PKCE: state, nonce et code_verifier sont
+ * conservés dans Redis le temps de l'aller-retour chez le fournisseur et ne
+ * sont utilisables qu'une fois. L'id_token est vérifié avec les clés publiques
+ * (JWKS) de l'émetteur.
+ *
+ * Une identité inconnue est liée au compte portant la même adresse si le
+ * fournisseur ET le compte local l'ont vérifiée; sinon un compte client est créé.
+ */
+
+const STATE_TTL_SECONDS = 10 * 60;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Algorithmes asymétriques uniquement (pas de "none" ni de HS256 signé avec le secret client)
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Documents de découverte et JWKS, par émetteur / URL
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const ensureAvailable = () => {
+  if (!isConnected()) {
+    throw createError(503, 'Connexion externe temporairement indisponible', 'OIDC_UNAVAILABLE');
+  }
+};
+
+const getProviderOrFail = (name) => {
+  const provider = oidcConfig.getProvider(name);
+
+  if (!provider) {
+    throw createError(404, 'Fournisseur de connexion inconnu ou désactivé', 'OIDC_UNKNOWN_PROVIDER');
+  }
+
+  return provider;
+};
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Document de découverte de l'émetteur (mis en cache une heure)
+ */
+const discover = async (provider) => {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  let metadata;
+  try {
+    const response = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, {
+      timeout: HTTP_TIMEOUT_MS
+    });
+    metadata = response.data;
+  } catch (error) {
+    console.error(`Erreur découverte OIDC (${provider.name}):`, error.message);
+    throw createError(502, 'Fournisseur de connexion injoignable', 'OIDC_PROVIDER_ERROR');
+  }
+
+  if (!metadata || String(metadata.issuer || '').replace(/\/+$/, '') !== provider.issuer) {
+    throw createError(502, 'Configuration du fournisseur de connexion invalide', 'OIDC_PROVIDER_ERROR');
+  }
+
+  metadataCache.set(provider.issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Clé publique de signature d'un id_token
+ * Le JWKS est rechargé une fois si la clé est inconnue (rotation des clés).
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let keys = jwksCache.get(jwksUri);
+  let key = keys && findKey(keys);
+
+  if (!key) {
+    try {
+      const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+      keys = response.data.keys || [];
+    } catch (error) {
+      console.error('Erreur récupération JWKS:', error.message);
+      throw createError(502, 'Fournisseur de connexion injoignable', 'OIDC_PROVIDER_ERROR');
+    }
+
+    jwksCache.set(jwksUri, keys);
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw commonErrors.unauthorized('Jeton d\'identité invalide');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Préparer la redirection vers le fournisseur
+ * Retourne { authorizationUrl, state, expiresIn }
+ */
+const createAuthorizationRequest = async (providerName) => {
+  ensureAvailable();
+
+  const provider = getProviderOrFail(providerName);
+  const metadata = await discover(provider);
+
+  const state = generateSecureToken(32);
+  const nonce = generateSecureToken(32);
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await cache.set(CACHE_KEYS.OIDC_STATE(state), {
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    redirectUri: provider.redirectUri
+  }, STATE_TTL_SECONDS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    expiresIn: STATE_TTL_SECONDS
+  };
+};
+
+/**
+ * Récupérer et invalider le state d'une tentative (usage unique)
+ */
+const consumeState = async (providerName, state) => {
+  ensureAvailable();
+
+  if (!state) {
+    throw commonErrors.badRequest('Paramètre state manquant');
+  }
+
+  // Lecture et suppression atomiques: deux callbacks simultanés avec le
+  // même state ne peuvent pas tous deux le consommer
+  const stored = await cache.getDel(CACHE_KEYS.OIDC_STATE(String(state)));
+
+  if (!stored || stored.provider !== String(providerName).toLowerCase()) {
+    throw createError(400, 'Tentative de connexion expirée ou invalide. Veuillez recommencer.', 'OIDC_INVALID_STATE');
+  }
+
+  return stored;
+};
+
+/**
+ * Échanger le code d'autorisation contre les tokens du fournisseur
+ */
+const exchangeCode = async (provider, metadata, code, { codeVerifier, redirectUri }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  try {
+    const response = await axios.post(metadata.token_endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Erreur échange du code OIDC (${provider.name}):`, error.response?.data || error.message);
+    throw commonErrors.unauthorized('Code d\'autorisation invalide ou expiré');
+  }
+};
+
+/**
+ * Vérifier l'id_token: signature, émetteur, audience, expiration et nonce
+ * Retourne les claims
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken || '', { complete: true });
+
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw commonErrors.unauthorized('Jeton d\'identité invalide');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw commonErrors.unauthorized('Jeton d\'identité invalide');
+  }
+
+  if (!claims.sub || claims.nonce !== nonce) {
+    throw commonErrors.unauthorized('Jeton d\'identité invalide');
+  }
+
+  return claims;
+};
+
+const findActiveUser = async (where) => await db('users')
+  .where(where)
+  .whereNull('deleted_at')
+  .first();
+
+/**
+ * Créer un compte client à partir des informations du fournisseur
+ * Le mot de passe est aléatoire: l'utilisateur pourra en définir un via
+ * "mot de passe oublié".
+ */
+const createUserFromClaims = async (email, claims) => {
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+  const passwordHash = await bcrypt.hash(generateSecureToken(32), saltRounds);
+
+  const [user] = await db('users')
+    .insert({
+      email,
+      password_hash: passwordHash,
+      first_name: (claims.given_name || claims.name || email.split('@')[0]).slice(0, 100),
+      last_name: (claims.family_name || '').slice(0, 100),
+      avatar_url: claims.picture || null,
+      role: USER_ROLES.CUSTOMER,
+      status: 'active',
+      email_verified: true
+    })
+    .returning('*');
+
+  return user;
+};
+
+/**
+ * Trouver ou créer le compte local correspondant à une identité externe
+ * Retourne { user, identity, isNewUser, isNewIdentity }
+ */
+const resolveUser = async (provider, claims, req = null) => {
+  const identityData = {
+    provider: provider.name,
+    subject: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    // Apple transmet "true"/"false" sous forme de chaîne
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true'
+  };
+
+  // Identité déjà liée
+  const existingIdentity = await UserIdentity.findByProviderSubject(provider.name, claims.sub);
+  if (existingIdentity) {
+    const user = await findActiveUser({ id: existingIdentity.user_id });
+    if (!user) {
+      throw commonErrors.unauthorized('Compte introuvable');
+    }
+
+    await UserIdentity.touch(existingIdentity.id, identityData);
+    return { user, identity: existingIdentity, isNewUser: false, isNewIdentity: false };
+  }
+
+  if (!identityData.email || !identityData.emailVerified) {
+    throw createError(
+      403,
+      'Une adresse email vérifiée par le fournisseur est requise pour vous connecter',
+      'OIDC_EMAIL_NOT_VERIFIED'
+    );
+  }
+
+  let user = await findActiveUser({ email: identityData.email });
+  let isNewUser = false;
+
+  if (user) {
+    // Un compte créé avec cette adresse sans l'avoir vérifiée ne doit pas
+    // pouvoir être pris en main (ni préparé) via un fournisseur externe
+    if (!user.email_verified) {
+      throw createError(
+        409,
+        'Un compte non vérifié existe avec cette adresse. Vérifiez votre email puis réessayez.',
+        'OIDC_ACCOUNT_NOT_VERIFIED'
+      );
+    }
+
+    if (await UserIdentity.findByUserAndProvider(user.id, provider.name)) {
+      throw createError(
+        409,
+        `Ce compte est déjà lié à un autre compte ${provider.label}`,
+        'OIDC_PROVIDER_ALREADY_LINKED'
+      );
+    }
+  } else {
+    user = await createUserFromClaims(identityData.email, claims);
+    isNewUser = true;
+  }
+
+  const identity = await UserIdentity.create(user.id, identityData);
+
+  await securityService.recordEvent('oidc_identity_linked', {
+    userId: user.id,
+    email: user.email,
+    req,
+    metadata: { provider: provider.name, isNewUser }
+  });
+
+  await auditService.record('user.identity_link', {
+    entityType: 'user',
+    entityId: user.id,
+    actor: { id: user.id, role: user.role },
+    metadata: { provider: provider.name, identityId: identity.id, isNewUser }
+  });
+
+  return { user, identity, isNewUser, isNewIdentity: true };
+};
+
+/**
+ * Terminer la connexion au retour du fournisseur
+ * Retourne { user, identity, isNewUser, isNewIdentity }
+ */
+const authenticate = async (providerName, { code, state }, req = null) => {
+  const provider = getProviderOrFail(providerName);
+  const stored = await consumeState(provider.name, state);
+
+  if (!code) {
+    throw commonErrors.badRequest('Code d\'autorisation manquant');
+  }
+
+  const metadata = await discover(provider);
+  const tokens = await exchangeCode(provider, metadata, String(code), stored);
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, stored.nonce);
+
+  return await resolveUser(provider, claims, req);
+};
+
+/**
+ * Délier une identité externe du compte
+ */
+const unlinkIdentity = async (user, identityId, req = null) => {
+  const identities = await UserIdentity.findByUser(user.id);
+  const identity = identities.find((item) => item.id === identityId);
+
+  if (!identity) {
+    throw commonErrors.notFound('Identité liée');
+  }
+
+  await UserIdentity.delete(identity.id, user.id);
+
+  await securityService.recordEvent('oidc_identity_unlinked', {
+    userId: user.id,
+    email: user.email,
+    req,
+    metadata: { provider: identity.provider }
+  });
+
+  await auditService.record('user.identity_unlink', {
+    entityType: 'user',
+    entityId: user.id,
+    metadata: { provider: identity.provider, identityId: identity.id }
+  });
+
+  return identity;
+};
+
+/**
+ * Vider les caches de découverte et de clés (tests, rotation forcée)
+ */
+const clearCaches = () => {
+  metadataCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  STATE_TTL_SECONDS,
+  listProviders: oidcConfig.listProviders,
+  createAuthorizationRequest,
+  consumeState,
+  verifyIdToken,
+  resolveUser,
+  authenticate,
+  unlinkIdentity,
+  clearCaches
+};
@@ -0,0 +1,417 @@
+const fs = require('fs');
+const path = require('path');
+const { schemas } = require('../middleware/validation');
+const { DEFAULT_API_VERSION, compareVersions } = require('../middleware/apiVersion');
+const { idempotency } = require('../middleware/idempotency');
+
+/**
+ * Service de documentation OpenAPI
+ *
+ * La spécification est construite à partir de la couche routes:
+ * - routes réellement enregistrées dans le routeur Express (méthode, chemin)
+ * - bloc JSDoc de chaque route: @route, @desc, @access et @body (schéma Joi
+ *   de middleware/validation.js, ex: "@body user.register")
+ * - schéma d'un middleware validateJoi présent sur la route
+ * - middleware deprecated(): opération dépréciée, ou absente des versions où
+ *   elle est retirée
+ * Une route enregistrée sans bloc JSDoc est signalée par findUndocumentedRoutes.
+ */
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+const API_PREFIX = '/api';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Spécification par version (les routes ne changent pas après le démarrage)
+const cachedDocuments = new Map();
+
+/**
+ * Chemin sans slash final (sauf la racine)
+ */
+const normalizePath = (routePath) => {
+  const normalized = routePath.replace(/\/+/g, '/').replace(/\/$/, '');
+  return normalized || '/';
+};
+
+/**
+ * Chemin de montage d'un sous-routeur (express.Router().use('/auth', ...))
+ * Express 4 ne conserve que l'expression régulière: /^\/auth\/?(?=\/|$)/i
+ */
+const getMountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  const match = layer.regexp.source.match(/^\^((?:\\\/[\w.-]+)+)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match ? match[1].replace(/\\\//g, '/') : null;
+};
+
+/**
+ * Routes enregistrées dans un routeur et ses sous-routeurs
+ * Retourne [{ method, path, handlers }] (chemins au format Express: /stores/:id)
+ */
+const listRoutes = (router, prefix = API_PREFIX) => {
+  const routes = [];
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods).filter(m => HTTP_METHODS.includes(m))) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: normalizePath(`${prefix}${layer.route.path}`),
+          handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+        });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      const mountPath = getMountPath(layer);
+      if (mountPath !== null) {
+        routes.push(...listRoutes(layer.handle, `${prefix}${mountPath}`));
+      }
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Blocs JSDoc des fichiers de routes
+ * Retourne une Map "METHODE /api/chemin" => { summary, access, body, file }
+ */
+const parseRouteDocs = (dir = ROUTES_DIR) => {
+  const docs = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+      const tags = {};
+      for (const line of block.split('\n')) {
+        const tag = line.replace(/^\s*\*\s?/, '').match(/^@(\w+)\s+(.*)$/);
+        if (tag) tags[tag[1]] = tag[2].trim();
+      }
+
+      const route = tags.route && tags.route.match(/^([A-Z]+)\s+(\S+)/);
+      if (!route) continue;
+
+      docs.set(`${route[1]} ${normalizePath(route[2])}`, {
+        summary: tags.desc || null,
+        access: tags.access || null,
+        body: tags.body || null,
+        file
+      });
+    }
+  }
+
+  return docs;
+};
+
+/**
+ * Nom du composant d'un schéma de validation.js ("user.register" => "UserRegister")
+ */
+const getSchemaName = (schemaPath) => {
+  return schemaPath.split('.').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+};
+
+/**
+ * Schéma Joi de validation.js désigné par son chemin ("user.register")
+ */
+const resolveSchema = (schemaPath) => {
+  const [group, name] = schemaPath.split('.');
+  return schemas[group]?.[name] || null;
+};
+
+/**
+ * Nom du composant d'un schéma Joi s'il provient de validation.js
+ */
+const findSchemaName = (schema) => {
+  for (const [group, groupSchemas] of Object.entries(schemas)) {
+    for (const [name, candidate] of Object.entries(groupSchemas)) {
+      if (candidate === schema) return getSchemaName(`${group}.${name}`);
+    }
+  }
+  return null;
+};
+
+/**
+ * Conversion d'une description Joi (schema.describe()) en schéma OpenAPI 3.0
+ */
+const describeToSchema = (description) => {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const rule = (name) => rules.find(item => item.name === name);
+  let schema = {};
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      const keys = description.keys || {};
+      schema.properties = Object.fromEntries(
+        Object.entries(keys).map(([key, value]) => [key, describeToSchema(value)])
+      );
+      const required = Object.keys(keys).filter(key => keys[key].flags?.presence === 'required');
+      if (required.length > 0) schema.required = required;
+      break;
+    }
+    case 'array':
+      schema.type = 'array';
+      schema.items = description.items?.length ? describeToSchema(description.items[0]) : {};
+      if (rule('min')) schema.minItems = rule('min').args.limit;
+      if (rule('max')) schema.maxItems = rule('max').args.limit;
+      break;
+    case 'string':
+      schema.type = 'string';
+      if (rule('email')) schema.format = 'email';
+      if (rule('uri')) schema.format = 'uri';
+      if (rule('guid')) schema.format = 'uuid';
+      if (rule('length')) {
+        schema.minLength = rule('length').args.limit;
+        schema.maxLength = rule('length').args.limit;
+      }
+      if (rule('min')) schema.minLength = rule('min').args.limit;
+      if (rule('max')) schema.maxLength = rule('max').args.limit;
+      if (rule('pattern')) schema.pattern = rule('pattern').args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+      break;
+    case 'number':
+      schema.type = rule('integer') ? 'integer' : 'number';
+      if (rule('min')) schema.minimum = rule('min').args.limit;
+      if (rule('max')) schema.maximum = rule('max').args.limit;
+      if (rule('sign')?.args.sign === 'positive') {
+        schema.minimum = 0;
+        schema.exclusiveMinimum = true;
+      }
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    default:
+      schema = {};
+  }
+
+  // Valeurs autorisées: liste fermée (valid) ou valeurs supplémentaires (allow(''))
+  if (flags.only && description.allow) {
+    schema.enum = description.allow;
+  } else if (description.allow?.includes(null)) {
+    schema.nullable = true;
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'object') {
+    schema.default = flags.default;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+/**
+ * Composants: schémas Joi de validation.js et formats de réponse communs
+ */
+const buildComponents = () => {
+  const schemaComponents = {};
+
+  for (const [group, groupSchemas] of Object.entries(schemas)) {
+    for (const [name, schema] of Object.entries(groupSchemas)) {
+      schemaComponents[getSchemaName(`${group}.${name}`)] = describeToSchema(schema.describe());
+    }
+  }
+
+  return {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: {
+      ...schemaComponents,
+      SuccessResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          message: { type: 'string' },
+          data: { type: 'object' }
+        }
+      },
+      ErrorResponse: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: false },
+          error: {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              message: { type: 'string' },
+              details: {},
+              timestamp: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Authentification d'une route d'après son @access
+ */
+const getSecurity = (access) => {
+  if (!access || access.startsWith('Public')) {
+    return [];
+  }
+
+  const security = [{ bearerAuth: [] }];
+  if (access.includes('clé d\'API')) {
+    security.push({ apiKeyAuth: [] });
+  }
+  return security;
+};
+
+/**
+ * Opération OpenAPI d'une route enregistrée
+ */
+const buildOperation = (route, doc) => {
+  const relativePath = route.path.slice(API_PREFIX.length) || '/';
+  const pathParams = [...relativePath.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  // Corps de la requête: middleware validateJoi de la route, sinon tag @body
+  const validator = route.handlers.find(handler => handler.schema);
+  const bodySchema = validator?.schema || (doc?.body ? resolveSchema(doc.body) : null);
+
+  const operation = {
+    tags: [relativePath.split('/')[1] || 'api'],
+    summary: doc?.summary || undefined,
+    description: doc?.access ? `Accès: ${doc.access}` : undefined,
+    security: getSecurity(doc?.access),
+    responses: {
+      '2XX': {
+        description: 'Succès',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+      },
+      '4XX': {
+        description: 'Erreur',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+      }
+    }
+  };
+
+  const deprecation = route.handlers.find(handler => handler.deprecation)?.deprecation;
+  if (deprecation) {
+    operation.deprecated = true;
+    operation.description = [
+      operation.description,
+      deprecation.sunset ? `Retrait prévu le ${deprecation.sunset}.` : null,
+      deprecation.successor ? `Remplacé par ${deprecation.successor}.` : null
+    ].filter(Boolean).join(' ');
+  }
+
+  const parameters = pathParams.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  if (route.handlers.includes(idempotency)) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Clé unique par tentative logique: une nouvelle tentative avec la même clé rejoue la réponse enregistrée',
+      schema: { type: 'string', maxLength: 255 }
+    });
+  }
+
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (bodySchema) {
+    const schemaName = findSchemaName(bodySchema);
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: schemaName
+            ? { $ref: `#/components/schemas/${schemaName}` }
+            : describeToSchema(bodySchema.describe())
+        }
+      }
+    };
+  }
+
+  return {
+    path: relativePath.replace(/:(\w+)/g, '{$1}'),
+    operation
+  };
+};
+
+/**
+ * Spécification OpenAPI 3 d'une version de l'API (/api/v1, /api/v2)
+ */
+const buildDocument = (router, { docs = parseRouteDocs(), version = DEFAULT_API_VERSION } = {}) => {
+  const paths = {};
+
+  for (const route of listRoutes(router)) {
+    // Endpoint retiré dans cette version
+    const removedIn = route.handlers.find(handler => handler.deprecation)?.deprecation.removedIn;
+    if (removedIn && compareVersions(version, removedIn) >= 0) continue;
+
+    const { path: openApiPath, operation } = buildOperation(route, docs.get(`${route.method} ${route.path}`));
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = JSON.parse(JSON.stringify(operation));
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'AfrikMode API',
+      version,
+      description: 'API REST pour la plateforme e-commerce AfrikMode - Mode africaine'
+    },
+    servers: [{ url: `${API_PREFIX}/${version}` }],
+    paths,
+    components: buildComponents()
+  };
+};
+
+/**
+ * Spécification d'une version, mise en cache
+ */
+const getDocument = (router, version = DEFAULT_API_VERSION) => {
+  if (!cachedDocuments.has(version)) {
+    cachedDocuments.set(version, buildDocument(router, { version }));
+  }
+  return cachedDocuments.get(version);
+};
+
+/**
+ * Routes enregistrées sans bloc JSDoc @route correspondant
+ * Retourne ["METHODE /api/chemin"]
+ */
+const findUndocumentedRoutes = (router, { docs = parseRouteDocs() } = {}) => {
+  return listRoutes(router)
+    .map(route => `${route.method} ${route.path}`)
+    .filter(key => !docs.has(key));
+};
+
+/**
+ * Blocs JSDoc @route ne correspondant à aucune route enregistrée
+ * Retourne ["METHODE /api/chemin"]
+ */
+const findStaleRouteDocs = (router, { docs = parseRouteDocs() } = {}) => {
+  const registered = new Set(listRoutes(router).map(route => `${route.method} ${route.path}`));
+  return [...docs.keys()].filter(key => !registered.has(key));
+};
+
+module.exports = {
+  listRoutes,
+  parseRouteDocs,
+  resolveSchema,
+  describeToSchema,
+  buildDocument,
+  getDocument,
+  findUndocumentedRoutes,
+  findStaleRouteDocs
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { cache, CACHE_KEYS, isConnected } = require('../config/redis');
+const { hashString } = require('../utils/helpers');
+const { createError } = require('../middleware/errorHandler');
+const smsService = require('./smsService');
+
+/**
+ * Service de codes à usage unique envoyés par SMS
+ * Les codes sont stockés hachés dans Redis, avec une durée de vie courte
+ * et un nombre de tentatives limité.
+ *
+ * purpose: 'login' (connexion sans mot de passe) ou 'verify' (vérification du numéro)
+ */
+
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = 5 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+const ensureAvailable = () => {
+  if (!isConnected()) {
+    throw createError(503, 'Service de vérification temporairement indisponible', 'OTP_UNAVAILABLE');
+  }
+};
+
+const hashCode = (phone, code) => hashString(String(code), phone);
+
+/**
+ * Bloquer les nouvelles demandes pendant le délai de renvoi
+ * À appeler avant toute recherche de compte pour ne pas révéler
+ * l'existence d'un numéro.
+ */
+const acquireCooldown = async (phone, purpose) => {
+  ensureAvailable();
+
+  const acquired = await cache.setNX(
+    CACHE_KEYS.PHONE_OTP_COOLDOWN(purpose, phone),
+    true,
+    OTP_RESEND_COOLDOWN_SECONDS
+  );
+
+  if (!acquired) {
+    throw createError(
+      429,
+      `Veuillez patienter ${OTP_RESEND_COOLDOWN_SECONDS} secondes avant de demander un nouveau code`,
+      'OTP_COOLDOWN'
+    );
+  }
+};
+
+/**
+ * Générer, stocker et envoyer un code
+ * Un nouveau code remplace le précédent.
+ */
+const sendOtp = async (phone, purpose, data = {}) => {
+  ensureAvailable();
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+  await cache.del(CACHE_KEYS.PHONE_OTP_ATTEMPTS(purpose, phone));
+  await cache.set(
+    CACHE_KEYS.PHONE_OTP(purpose, phone),
+    { ...data, hash: hashCode(phone, code) },
+    OTP_TTL_SECONDS
+  );
+
+  await smsService.sendOtpSms(phone, code, Math.round(OTP_TTL_SECONDS / 60));
+
+  return { expiresIn: OTP_TTL_SECONDS };
+};
+
+/**
+ * Vérifier un code
+ * Retourne { status: 'valid', data } ou
+ * { status: 'invalid' | 'expired' | 'too_many_attempts' }
+ */
+const verifyOtp = async (phone, purpose, code) => {
+  ensureAvailable();
+
+  const key = CACHE_KEYS.PHONE_OTP(purpose, phone);
+  const attemptsKey = CACHE_KEYS.PHONE_OTP_ATTEMPTS(purpose, phone);
+
+  const entry = await cache.get(key);
+  if (!entry) {
+    return { status: 'expired' };
+  }
+
+  const attempts = await cache.incr(attemptsKey);
+  if (attempts === 1) {
+    await cache.expire(attemptsKey, OTP_TTL_SECONDS);
+  }
+
+  if (attempts > OTP_MAX_ATTEMPTS) {
+    await cache.del(key);
+    return { status: 'too_many_attempts' };
+  }
+
+  const expected = Buffer.from(entry.hash);
+  const received = Buffer.from(hashCode(phone, String(code || '').trim()));
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { status: 'invalid', remainingAttempts: OTP_MAX_ATTEMPTS - attempts };
+  }
+
+  // Usage unique
+  await cache.del(key);
+  await cache.del(attemptsKey);
+
+  const { hash: _hash, ...data } = entry;
+  return { status: 'valid', data };
+};
+
+module.exports = {
+  OTP_TTL_SECONDS,
+  OTP_MAX_ATTEMPTS,
+  acquireCooldown,
+  sendOtp,
+  verifyOtp
+};
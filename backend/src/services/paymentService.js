@@ -1,6 +1,7 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const db = require('../config/database');
+const inventoryService = require('./inventoryService');
 require('dotenv').config();
 
 /**
@@ -391,6 +392,103 @@ const paymentService = {
     }
   },
 
+  /**
+   * Marquer une commande comme payée et convertir sa réservation de stock en vente
+   * Une commande déjà annulée (réservation expirée) reste annulée: le paiement
+   * est enregistré et signalé pour remboursement
+   */
+  markOrderPaid: async (orderId) => {
+    return await db.transaction(async (trx) => {
+      const order = await trx('orders')
+        .select(['id', 'order_number', 'status', 'payment_status'])
+        .where({ id: orderId })
+        .forUpdate()
+        .first();
+
+      if (!order) {
+        return null;
+      }
+
+      if (order.status === 'cancelled') {
+        await trx('orders')
+          .where({ id: orderId })
+          .update({
+            payment_status: 'paid',
+            payment_date: trx.fn.now(),
+            admin_notes: 'Paiement reçu après l\'annulation de la commande: remboursement à traiter'
+          });
+
+        console.warn(`⚠️ Paiement reçu pour la commande annulée ${order.order_number}: remboursement à traiter`);
+        return order;
+      }
+
+      await trx('orders')
+        .where({ id: orderId })
+        .update({
+          status: order.status === 'pending' ? 'paid' : order.status,
+          payment_status: 'paid',
+          payment_date: trx.fn.now()
+        });
+
+      await inventoryService.convertOrder(orderId, trx);
+
+      return order;
+    });
+  },
+
+  /**
+   * Paiement refusé: annuler la commande en attente et remettre en vente son
+   * stock réservé (la commande annulée ne peut plus être payée)
+   * Une autre tentative de paiement encore en cours laisse la commande intacte
+   * Retourne true si la commande a été annulée
+   */
+  markOrderPaymentFailed: async (orderId) => {
+    const productIds = await db.transaction(async (trx) => {
+      const order = await trx('orders')
+        .select(['id', 'status', 'payment_status'])
+        .where({ id: orderId })
+        .forUpdate()
+        .first();
+
+      if (!order || order.payment_status === 'paid' || order.status !== 'pending') {
+        return null;
+      }
+
+      const pendingPayment = await trx('payments')
+        .where({ order_id: orderId })
+        .whereIn('status', ['pending', 'processing'])
+        .first();
+
+      if (pendingPayment) {
+        return null;
+      }
+
+      const released = await inventoryService.releaseOrder(orderId, trx);
+
+      await trx('orders')
+        .where({ id: orderId })
+        .update({
+          status: 'cancelled',
+          payment_status: 'failed',
+          admin_notes: 'Paiement refusé: commande annulée et stock remis en vente',
+          updated_at: trx.fn.now()
+        });
+
+      await trx('order_items')
+        .where({ order_id: orderId })
+        .update({ status: 'cancelled' });
+
+      return released.map(reservation => reservation.product_id);
+    });
+
+    if (!productIds) {
+      return false;
+    }
+
+    await inventoryService.invalidateProducts(productIds);
+    return true;
+  },
+
   /**
    * Traiter les webhooks de paiement
    */
@@ -432,13 +530,9 @@ const paymentService = {
       
       // Mettre à jour le statut de la commande
       if (status === 'SUCCESS') {
-        await db('orders')
-          .where({ id: payment.order_id })
-          .update({
-            status: 'paid',
-            payment_status: 'paid',
-            payment_date: db.fn.now()
-          });
+        await paymentService.markOrderPaid(payment.order_id);
+      } else {
+        await paymentService.markOrderPaymentFailed(payment.order_id);
       }
       
       return {
@@ -0,0 +1,221 @@
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const Permission = require('../models/Permission');
+const StoreMember = require('../models/StoreMember');
+const auditService = require('./auditService');
+const { USER_ROLES, STORE_PERMISSIONS } = require('../utils/constants');
+
+/**
+ * Service de permissions
+ *
+ * - Permissions effectives d'un utilisateur (via son rôle, mises en cache)
+ * - Modification de la correspondance rôle -> permissions
+ * - Synchronisation du registre au démarrage
+ * - Permissions au sein d'une boutique (propriétaire et membres de l'équipe)
+ * - Contrôles d'accès communs (accès à une commande)
+ *
+ * Un accès par clé d'API (user.apiKey) ne reçoit aucune permission globale:
+ * seulement les scopes de la clé, dans sa boutique.
+ */
+
+const ROLE_PERMISSIONS_TTL_SECONDS = 5 * 60;
+
+/**
+ * Permissions accordées à un rôle
+ */
+const getRolePermissions = async (role) => {
+  if (!role) {
+    return [];
+  }
+
+  const cacheKey = CACHE_KEYS.ROLE_PERMISSIONS(role);
+  const cached = await cache.get(cacheKey);
+  if (Array.isArray(cached)) {
+    return cached;
+  }
+
+  const keys = await Permission.getKeysForRole(role);
+  await cache.set(cacheKey, keys, ROLE_PERMISSIONS_TTL_SECONDS);
+
+  return keys;
+};
+
+/**
+ * Permissions effectives d'un utilisateur
+ */
+const getEffectivePermissions = async (user) => {
+  if (!user || user.apiKey) {
+    return [];
+  }
+  return await getRolePermissions(user.role);
+};
+
+/**
+ * L'utilisateur dispose-t-il de la permission ?
+ */
+const hasPermission = async (user, permission) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === USER_ROLES.SUPER_ADMIN && !user.apiKey) {
+    return true;
+  }
+
+  const permissions = await getEffectivePermissions(user);
+  return permissions.includes(permission);
+};
+
+/**
+ * L'utilisateur dispose-t-il d'au moins une des permissions ?
+ */
+const hasAnyPermission = async (user, permissions) => {
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === USER_ROLES.SUPER_ADMIN && !user.apiKey) {
+    return true;
+  }
+
+  const granted = await getEffectivePermissions(user);
+  return permissions.some(permission => granted.includes(permission));
+};
+
+/**
+ * Remplacer les permissions d'un rôle et invalider le cache
+ */
+const updateRolePermissions = async (role, permissions, grantedBy = null) => {
+  const changes = await Permission.setRolePermissions(role, permissions, grantedBy);
+  await cache.del(CACHE_KEYS.ROLE_PERMISSIONS(role));
+
+  if (changes.added.length > 0 || changes.removed.length > 0) {
+    console.log(`Permissions du rôle ${role} modifiées par ${grantedBy} - ajoutées: [${changes.added.join(', ')}], retirées: [${changes.removed.join(', ')}]`);
+    await auditService.record('permission.update_role', {
+      entityType: 'role',
+      entityId: role,
+      metadata: { added: changes.added, removed: changes.removed }
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Enregistrer les permissions du registre (au démarrage) et invalider le cache
+ * des rôles: une requête arrivée pendant la synchronisation a pu y placer les
+ * permissions d'avant (aucune sur une base neuve)
+ */
+const syncRegistry = async () => {
+  const added = await Permission.syncRegistry();
+
+  await Promise.all(
+    Object.values(USER_ROLES).map(role => cache.del(CACHE_KEYS.ROLE_PERMISSIONS(role)))
+  );
+
+  return added;
+};
+
+/**
+ * L'utilisateur est-il propriétaire de la boutique ?
+ */
+const isStoreOwner = async (user, storeId) => {
+  if (!user || !storeId) {
+    return false;
+  }
+
+  const store = await db('stores')
+    .select('id')
+    .where({ id: storeId, owner_id: user.id })
+    .whereNull('deleted_at')
+    .first();
+
+  return Boolean(store);
+};
+
+/**
+ * Permissions d'un rôle de l'équipe d'une boutique
+ */
+const getStoreMemberPermissions = (memberRole) => {
+  return Object.entries(STORE_PERMISSIONS)
+    .filter(([, roles]) => roles.includes(memberRole))
+    .map(([permission]) => permission);
+};
+
+/**
+ * Accès d'un utilisateur à une boutique
+ * Retourne { isOwner, member, permissions } (member: membre actif de l'équipe ou null)
+ */
+const getStoreAccess = async (user, storeId) => {
+  const noAccess = { isOwner: false, member: null, permissions: [] };
+
+  if (!user || !storeId) {
+    return noAccess;
+  }
+
+  // Clé d'API: sa boutique uniquement, dans la limite de ses scopes
+  if (user.apiKey) {
+    return user.apiKey.storeId === storeId
+      ? { isOwner: false, member: null, permissions: user.apiKey.scopes }
+      : noAccess;
+  }
+
+  if (await isStoreOwner(user, storeId)) {
+    return { isOwner: true, member: null, permissions: Object.keys(STORE_PERMISSIONS) };
+  }
+
+  const member = await StoreMember.findActive(storeId, user.id);
+  if (!member) {
+    return noAccess;
+  }
+
+  return { isOwner: false, member, permissions: getStoreMemberPermissions(member.role) };
+};
+
+/**
+ * L'utilisateur dispose-t-il de la permission dans la boutique ?
+ */
+const hasStorePermission = async (user, storeId, permission) => {
+  const access = await getStoreAccess(user, storeId);
+  return access.permissions.includes(permission);
+};
+
+/**
+ * Accès à une commande: client de la commande (si autorisé), équipe de la
+ * boutique disposant de `storePermission`, ou titulaire de la permission globale
+ */
+const canAccessOrder = async (user, order, options = {}) => {
+  const {
+    permission = 'orders:read_all',
+    storePermission = 'orders:read',
+    allowCustomer = true
+  } = options;
+
+  if (!user || !order) {
+    return false;
+  }
+
+  if (allowCustomer && !user.apiKey && order.customer_id === user.id) {
+    return true;
+  }
+
+  if (await hasStorePermission(user, order.store_id, storePermission)) {
+    return true;
+  }
+
+  return await hasPermission(user, permission);
+};
+
+module.exports = {
+  getRolePermissions,
+  getEffectivePermissions,
+  hasPermission,
+  hasAnyPermission,
+  updateRolePermissions,
+  syncRegistry,
+  isStoreOwner,
+  getStoreMemberPermissions,
+  getStoreAccess,
+  hasStorePermission,
+  canAccessOrder
+};
@@ -0,0 +1,860 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const db = require('../config/database');
+const { cache, CACHE_KEYS } = require('../config/redis');
+const { commonErrors, createError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { generateSlug } = require('../utils/helpers');
+const { isValidSKU, isValidPrice, isValidStockQuantity, isValidFabricType } = require('../utils/validators');
+const { FABRIC_TYPES, PRODUCT_IMPORT_FIELDS } = require('../utils/constants');
+const ProductImport = require('../models/ProductImport');
+const inventoryService = require('./inventoryService');
+const auditService = require('./auditService');
+const { uploadService, ALLOWED_IMAGE_TYPES } = require('./uploadService');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Service d'import de produits en masse (CSV/XLSX)
+ *
+ * Le fichier déposé (et l'archive ZIP de ses images) est conservé le temps
+ * du traitement en arrière-plan. Chaque ligne est validée puis, hors
+ * simulation (dryRun), le produit est créé ou mis à jour selon son SKU dans
+ * la boutique. Les lignes sont traitées par lots: le rapport d'un lot et le
+ * curseur de reprise sont enregistrés ensemble, un import interrompu reprend
+ * donc à la première ligne non traitée.
+ */
+
+const IMPORT_DIR = path.resolve(process.env.PRODUCT_IMPORT_DIR || 'storage/imports');
+const MAX_ROWS = 5000;
+const BATCH_SIZE = 50;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const STALE_PROCESSING_MINUTES = 30;
+const FILE_RETENTION_DAYS = 7;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Champ importé -> colonne de la table products
+const PRODUCT_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  shortDescription: 'short_description',
+  price: 'price',
+  compareAtPrice: 'compare_at_price',
+  costPrice: 'cost_price',
+  fabricType: 'fabric_type',
+  fabricOrigin: 'fabric_origin',
+  careInstructions: 'care_instructions',
+  lowStockThreshold: 'low_stock_threshold',
+  weight: 'weight',
+  barcode: 'barcode',
+  status: 'status'
+};
+
+// Champs listes (valeurs séparées par , ; ou |)
+const LIST_COLUMNS = {
+  colors: 'colors_available',
+  sizes: 'sizes_available',
+  tags: 'tags'
+};
+
+const IMPORT_STATUSES = ['draft', 'active', 'inactive'];
+const IMAGE_EXTENSIONS = [...new Set(Object.values(ALLOWED_IMAGE_TYPES)), 'jpeg'];
+
+/**
+ * Chemin absolu d'un fichier d'import
+ */
+const importPath = (fileName) => path.join(IMPORT_DIR, fileName);
+
+/**
+ * En-tête comparable: minuscules, sans accents ni séparateurs
+ */
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Nombre saisi à la française ("15 000", "12,5")
+ */
+const parseNumber = (value) => {
+  const normalized = value.replace(/[\s\u00a0\u202f]/g, '').replace(',', '.');
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+};
+
+/**
+ * Liste saisie dans une cellule
+ */
+const parseList = (value) => value.split(/[,;|]/).map(item => item.trim()).filter(Boolean);
+
+/**
+ * Lire un CSV (séparateur ; des exports Excel en français, sinon ,)
+ */
+const readCsv = async (filePath) => {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  return await new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+
+    fs.createReadStream(filePath)
+      .pipe(csv({ separator, mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+      .on('headers', (parsed) => { headers = parsed; })
+      // L'en-tête est la ligne 1 (lignes sur plusieurs lignes non prises en compte)
+      .on('data', (values) => rows.push({ rowNumber: rows.length + 2, values }))
+      .on('error', reject)
+      .on('end', () => resolve({ headers, rows }));
+  });
+};
+
+/**
+ * Lire la première feuille d'un classeur XLSX
+ */
+const readXlsx = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const columns = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    columns[column] = String(cell.text || '').trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    columns.forEach((header, column) => {
+      if (header) {
+        values[header] = String(row.getCell(column).text || '');
+      }
+    });
+    rows.push({ rowNumber, values });
+  });
+
+  return { headers: columns.filter(Boolean), rows };
+};
+
+/**
+ * Lire un fichier d'import
+ * Retourne { headers, rows: [{ rowNumber, values }] } sans les lignes vides
+ */
+const readSpreadsheet = async (filePath, format) => {
+  const { headers, rows } = format === 'xlsx' ? await readXlsx(filePath) : await readCsv(filePath);
+
+  return {
+    headers,
+    rows: rows.filter(row => Object.values(row.values).some(value => String(value).trim() !== ''))
+  };
+};
+
+/**
+ * Images d'une archive ZIP, indexées par nom de fichier (sans dossier, sans casse)
+ */
+const openImageArchive = (filePath) => {
+  const zip = new AdmZip(filePath);
+  const entries = new Map();
+
+  for (const entry of zip.getEntries()) {
+    const name = path.basename(entry.entryName);
+
+    // Dossiers et fichiers cachés (métadonnées __MACOSX, ._photo.jpg)
+    if (entry.isDirectory || name.startsWith('.') || entry.entryName.startsWith('__MACOSX/')) {
+      continue;
+    }
+
+    entries.set(name.toLowerCase(), entry);
+  }
+
+  return entries;
+};
+
+/**
+ * Correspondance champ -> colonne du fichier
+ * Les champs non précisés sont reconnus d'après l'en-tête; null ignore un champ.
+ */
+const resolveMapping = (headers, mapping = {}) => {
+  const resolved = {};
+  const errors = [];
+
+  for (const [field, column] of Object.entries(mapping)) {
+    if (column === null) continue;
+
+    if (!headers.includes(column)) {
+      errors.push({ field: `mapping.${field}`, message: `Colonne « ${column} » introuvable dans le fichier` });
+    } else {
+      resolved[field] = column;
+    }
+  }
+
+  for (const [field, aliases] of Object.entries(PRODUCT_IMPORT_FIELDS)) {
+    if (field in mapping) continue;
+
+    const header = headers.find(candidate =>
+      aliases.includes(normalizeHeader(candidate)) && !Object.values(resolved).includes(candidate));
+
+    if (header) {
+      resolved[field] = header;
+    }
+  }
+
+  if (!resolved.sku && errors.length === 0) {
+    errors.push({ field: 'mapping.sku', message: 'Aucune colonne SKU: précisez-la dans la correspondance des colonnes' });
+  }
+
+  if (errors.length > 0) {
+    throw commonErrors.validation('Correspondance des colonnes invalide', errors);
+  }
+
+  return resolved;
+};
+
+/**
+ * SKU d'une ligne (en majuscules), tel que lu
+ */
+const readSku = (values, mapping) => String(values[mapping.sku] || '').trim().toUpperCase();
+
+/**
+ * Catégorie désignée par son identifiant, son slug ou son nom
+ */
+const findCategory = (categories, value) => {
+  const wanted = normalizeHeader(value);
+
+  return categories.find(category =>
+    category.id === value || category.slug === value.toLowerCase() || normalizeHeader(category.name) === wanted);
+};
+
+/**
+ * Lire et valider une ligne
+ * context: { mapping, categories, images, seen } (seen: SKU -> ligne où il apparaît)
+ * Retourne { sku, data, images, errors }; data ne contient que les cellules renseignées
+ */
+const parseRow = (row, context) => {
+  const { mapping } = context;
+  const errors = [];
+  const data = {};
+
+  const read = (field) => {
+    const column = mapping[field];
+    const value = column ? String(row.values[column] ?? '').trim() : '';
+    return value === '' ? null : value;
+  };
+
+  const sku = readSku(row.values, mapping);
+  if (!sku) {
+    errors.push('SKU manquant');
+  } else if (!isValidSKU(sku)) {
+    errors.push(`SKU invalide: ${sku} (3 à 50 caractères: lettres, chiffres, - et _)`);
+  } else if (context.seen.has(sku)) {
+    errors.push(`SKU déjà présent ligne ${context.seen.get(sku)}`);
+  } else {
+    context.seen.set(sku, row.rowNumber);
+  }
+
+  for (const field of ['name', 'description', 'shortDescription', 'fabricOrigin', 'careInstructions', 'barcode']) {
+    const value = read(field);
+    if (value !== null) data[field] = value;
+  }
+
+  if (data.name && (data.name.length < 2 || data.name.length > 300)) {
+    errors.push('Le nom doit contenir entre 2 et 300 caractères');
+  }
+
+  for (const [field, label] of [['price', 'Prix'], ['compareAtPrice', 'Prix barré'], ['costPrice', 'Prix d\'achat']]) {
+    const value = read(field);
+    if (value === null) continue;
+
+    const amount = parseNumber(value);
+    if (!isValidPrice(amount)) {
+      errors.push(`${label} invalide: ${value}`);
+    } else {
+      data[field] = amount;
+    }
+  }
+
+  for (const [field, label] of [['stockQuantity', 'Quantité en stock'], ['lowStockThreshold', 'Seuil d\'alerte']]) {
+    const value = read(field);
+    if (value === null) continue;
+
+    if (!/^\d+$/.test(value) || !isValidStockQuantity(value)) {
+      errors.push(`${label} invalide: ${value}`);
+    } else {
+      data[field] = parseInt(value);
+    }
+  }
+
+  const weight = read('weight');
+  if (weight !== null) {
+    const grams = parseNumber(weight);
+    if (!(grams > 0)) {
+      errors.push(`Poids invalide: ${weight}`);
+    } else {
+      data.weight = grams;
+    }
+  }
+
+  const fabricType = read('fabricType');
+  if (fabricType !== null) {
+    if (!isValidFabricType(fabricType.toLowerCase())) {
+      errors.push(`Type de tissu inconnu: ${fabricType} (${Object.values(FABRIC_TYPES).join(', ')})`);
+    } else {
+      data.fabricType = fabricType.toLowerCase();
+    }
+  }
+
+  const status = read('status');
+  if (status !== null) {
+    if (!IMPORT_STATUSES.includes(status.toLowerCase())) {
+      errors.push(`Statut invalide: ${status} (${IMPORT_STATUSES.join(', ')})`);
+    } else {
+      data.status = status.toLowerCase();
+    }
+  }
+
+  const category = read('category');
+  if (category !== null) {
+    const found = findCategory(context.categories, category);
+    if (!found) {
+      errors.push(`Catégorie introuvable: ${category}`);
+    } else {
+      data.categoryId = found.id;
+    }
+  }
+
+  for (const field of Object.keys(LIST_COLUMNS)) {
+    const value = read(field);
+    if (value !== null) data[field] = parseList(value);
+  }
+
+  // Images: fichiers de l'archive ZIP ou adresses http(s), dans l'ordre d'affichage
+  const images = [];
+  for (const name of parseList(read('images') || '')) {
+    if (/^https?:\/\//i.test(name)) {
+      images.push({ url: name });
+      continue;
+    }
+
+    const entry = context.images ? context.images.get(path.basename(name).toLowerCase()) : null;
+    const extension = path.extname(name).slice(1).toLowerCase();
+
+    if (!context.images) {
+      errors.push(`Image ${name}: aucune archive d'images n'a été fournie`);
+    } else if (!entry) {
+      errors.push(`Image introuvable dans l'archive: ${name}`);
+    } else if (!IMAGE_EXTENSIONS.includes(extension)) {
+      errors.push(`Format d'image non autorisé: ${name}`);
+    } else if (entry.header.size > MAX_IMAGE_SIZE) {
+      errors.push(`Image trop volumineuse: ${name}`);
+    } else {
+      images.push({ entry, name });
+    }
+  }
+
+  return { sku: sku || null, data, images, errors };
+};
+
+/**
+ * Vérifier qu'une ligne valide peut être appliquée au produit existant (ou créer le produit)
+ */
+const checkTarget = (parsed, product, options) => {
+  const errors = [];
+
+  if (!product) {
+    if (!parsed.data.name) errors.push('Nom requis pour créer le produit');
+    if (parsed.data.price === undefined) errors.push('Prix requis pour créer le produit');
+    if (!parsed.data.categoryId && !options.categoryId) errors.push('Catégorie requise pour créer le produit');
+    return errors;
+  }
+
+  if (product.deleted_at) {
+    errors.push('Ce SKU appartient à un produit supprimé');
+  } else if (parsed.data.stockQuantity !== undefined && product.has_variants) {
+    errors.push('Le stock de ce produit est géré par ses variantes');
+  }
+
+  return errors;
+};
+
+/**
+ * Produits de la boutique portant ces SKU (supprimés compris), indexés par SKU
+ */
+const findExistingProducts = async (storeId, skus, trx) => {
+  if (skus.length === 0) {
+    return new Map();
+  }
+
+  const products = await trx('products')
+    .select([
+      'products.*',
+      trx.raw('EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active) AS has_variants')
+    ])
+    .where('products.store_id', storeId)
+    .whereIn('products.sku', skus);
+
+  return new Map(products.map(product => [product.sku, product]));
+};
+
+/**
+ * Colonnes products des champs renseignés d'une ligne
+ */
+const toColumns = (data) => {
+  const columns = {};
+
+  for (const [field, column] of Object.entries(PRODUCT_COLUMNS)) {
+    if (data[field] !== undefined) columns[column] = data[field];
+  }
+
+  for (const [field, column] of Object.entries(LIST_COLUMNS)) {
+    if (data[field] !== undefined) columns[column] = JSON.stringify(data[field]);
+  }
+
+  if (data.categoryId) {
+    columns.category_id = data.categoryId;
+  }
+
+  return columns;
+};
+
+/**
+ * Slug libre dans la boutique (suffixé par le SKU en cas de doublon)
+ */
+const uniqueSlug = async (storeId, name, sku, trx) => {
+  const slug = generateSlug(name).replace(/^-+|-+$/g, '');
+
+  const taken = await trx('products')
+    .where({ slug, store_id: storeId })
+    .first();
+
+  return taken ? generateSlug(slug, sku.toLowerCase()) : slug;
+};
+
+/**
+ * Créer ou mettre à jour le produit d'une ligne valide
+ * Le stock passe par le lieu par défaut (inscrit au registre des mouvements)
+ */
+const saveProduct = async (job, parsed, existing, trx) => {
+  const columns = toColumns(parsed.data);
+  let product;
+
+  if (existing) {
+    [product] = await trx('products')
+      .where({ id: existing.id })
+      .update({ ...columns, updated_by: job.created_by, updated_at: trx.fn.now() })
+      .returning('*');
+
+    if (parsed.data.stockQuantity !== undefined) {
+      await inventoryService.setProductStock(product, parsed.data.stockQuantity, trx);
+    }
+  } else {
+    const store = await trx('stores').select(['tenant_id']).where({ id: job.store_id }).first();
+
+    [product] = await trx('products')
+      .insert({
+        category_id: job.options.categoryId,
+        status: job.options.status,
+        colors_available: JSON.stringify([]),
+        sizes_available: JSON.stringify([]),
+        tags: JSON.stringify([]),
+        ...columns,
+        sku: parsed.sku,
+        slug: await uniqueSlug(job.store_id, parsed.data.name, parsed.sku, trx),
+        store_id: job.store_id,
+        created_by: job.created_by,
+        tenant_id: store ? store.tenant_id : null
+      })
+      .returning('*');
+
+    await inventoryService.setProductStock(product, parsed.data.stockQuantity || 0, trx);
+  }
+
+  if (parsed.images.length > 0) {
+    const uploaded = await uploadService.processProductImages(
+      parsed.images.filter(image => image.entry).map(image => ({ originalname: image.name, buffer: image.entry.getData() })),
+      product.id
+    );
+
+    let next = 0;
+    const urls = parsed.images.map(image => (image.entry ? uploaded[next++].original.path : image.url));
+
+    [product] = await trx('products')
+      .where({ id: product.id })
+      .update({ images: JSON.stringify(urls), primary_image: urls[0], updated_at: trx.fn.now() })
+      .returning('*');
+  }
+
+  return product;
+};
+
+/**
+ * Traiter un lot de lignes dans une transaction (rapport, compteurs et curseur)
+ * processedRows: nombre de lignes traitées à la fin du lot
+ */
+const processBatch = async (context, batch, processedRows) => {
+  const { job } = context;
+
+  await db.transaction(async (trx) => {
+    const skus = batch.map(row => readSku(row.values, context.mapping)).filter(sku => isValidSKU(sku));
+    const existing = await findExistingProducts(job.store_id, skus, trx);
+
+    const rows = [];
+    const counts = { created: 0, updated: 0, errors: 0 };
+
+    for (const row of batch) {
+      const parsed = parseRow(row, context);
+      const product = parsed.sku ? existing.get(parsed.sku) : undefined;
+      const action = product ? 'update' : 'create';
+      const errors = parsed.errors.length > 0 ? parsed.errors : checkTarget(parsed, product, job.options);
+
+      const result = {
+        rowNumber: row.rowNumber,
+        sku: parsed.sku,
+        action: isValidSKU(parsed.sku) ? action : null,
+        productId: product ? product.id : null
+      };
+
+      if (errors.length > 0) {
+        rows.push({ ...result, status: 'invalid', errors });
+        counts.errors++;
+        continue;
+      }
+
+      if (!job.dry_run) {
+        try {
+          // Point de sauvegarde: une ligne en échec n'annule pas le lot
+          const saved = await trx.transaction(rowTrx => saveProduct(job, parsed, product, rowTrx));
+          result.productId = saved.id;
+        } catch (error) {
+          rows.push({ ...result, status: 'failed', errors: [error.message] });
+          counts.errors++;
+          continue;
+        }
+      }
+
+      rows.push({ ...result, status: job.dry_run ? 'valid' : 'imported', errors: [] });
+      counts[product ? 'updated' : 'created']++;
+    }
+
+    if (!job.dry_run && counts.created > 0) {
+      await trx('stores')
+        .where({ id: job.store_id })
+        .increment('total_products', counts.created);
+    }
+
+    await ProductImport.recordBatch(job.id, { processedRows, counts, rows }, trx);
+  });
+};
+
+/**
+ * Invalider les caches du catalogue après un import (même partiel)
+ */
+const invalidateCatalog = async () => {
+  await cache.delPattern(`${CACHE_KEYS.PRODUCTS}*`);
+  await cache.delPattern(`${CACHE_KEYS.STORES}*`);
+};
+
+/**
+ * Catégories utilisables par la boutique (communes ou propres à la boutique)
+ */
+const categoriesQuery = (storeId) => db('categories')
+  .select(['id', 'name', 'slug'])
+  .whereNull('deleted_at')
+  .where(function() {
+    this.whereNull('store_id').orWhere('store_id', storeId);
+  });
+
+/**
+ * Traiter un import en attente, à partir de son curseur de reprise
+ */
+const processImport = async (importId) => {
+  const job = await ProductImport.claim(importId);
+  if (!job) {
+    // Déjà pris en charge par une autre instance
+    return null;
+  }
+
+  try {
+    const { rows } = await readSpreadsheet(importPath(job.file_name), job.file_format);
+
+    const context = {
+      job,
+      mapping: job.column_mapping,
+      categories: await categoriesQuery(job.store_id),
+      images: job.images_file_name ? openImageArchive(importPath(job.images_file_name)) : null,
+      seen: new Map()
+    };
+
+    // SKU des lignes déjà traitées: un doublon reste signalé après une reprise
+    for (const row of rows.slice(0, job.processed_rows)) {
+      const sku = readSku(row.values, context.mapping);
+      if (isValidSKU(sku) && !context.seen.has(sku)) {
+        context.seen.set(sku, row.rowNumber);
+      }
+    }
+
+    for (let start = job.processed_rows; start < rows.length; start += BATCH_SIZE) {
+      const batch = rows.slice(start, start + BATCH_SIZE);
+      await processBatch(context, batch, start + batch.length);
+    }
+
+    const completed = await ProductImport.markCompleted(job.id);
+
+    if (!job.dry_run) {
+      await invalidateCatalog();
+      await auditService.record('product.import', {
+        entityType: 'store',
+        entityId: job.store_id,
+        actor: job.created_by ? { id: job.created_by } : null,
+        metadata: {
+          importId: job.id,
+          fileName: job.original_file_name,
+          created: completed.created_count,
+          updated: completed.updated_count,
+          errors: completed.error_count
+        }
+      });
+    }
+
+    return completed;
+
+  } catch (error) {
+    console.error(`❌ Erreur import de produits ${importId}:`, error.message);
+    await ProductImport.markFailed(importId, error.message);
+    if (!job.dry_run) {
+      await invalidateCatalog();
+    }
+    return null;
+  }
+};
+
+/**
+ * Lancer le traitement sans bloquer la requête
+ */
+const schedule = (importId) => {
+  setImmediate(() => {
+    processImport(importId).catch(error => {
+      console.error(`❌ Erreur import de produits ${importId}:`, error.message);
+    });
+  });
+};
+
+/**
+ * Refuser un second import simultané dans une boutique (mêmes SKU)
+ */
+const assertNoActiveImport = async (storeId) => {
+  if (await ProductImport.findActive(storeId)) {
+    throw createError(409, 'Un import de produits est déjà en cours pour cette boutique', 'IMPORT_IN_PROGRESS');
+  }
+};
+
+/**
+ * Déposer un fichier de produits (et l'archive de ses images) à importer
+ * files: { file: [fichier CSV/XLSX], images: [archive ZIP] } (multer)
+ * payload: { mapping, dryRun, categoryId, status }, mapping en JSON dans un formulaire multipart
+ */
+const createImport = async (storeId, user, files = {}, payload = {}) => {
+  const file = files.file && files.file[0];
+  const archive = files.images && files.images[0];
+
+  if (!file) {
+    throw commonErrors.validation('Fichier CSV ou XLSX requis');
+  }
+
+  let mapping = payload.mapping;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw commonErrors.validation('Correspondance des colonnes invalide: JSON attendu');
+    }
+  }
+
+  const value = inventoryService.validatePayload(
+    schemas.productImport.create,
+    { ...payload, mapping },
+    'Import de produits invalide'
+  );
+
+  if (value.categoryId) {
+    const category = await categoriesQuery(storeId).where({ id: value.categoryId }).first();
+    if (!category) {
+      throw commonErrors.notFound('Catégorie');
+    }
+  }
+
+  await assertNoActiveImport(storeId);
+
+  const id = uuidv4();
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+  const fileName = path.join(id, `source.${format}`);
+  const imagesFileName = archive ? path.join(id, 'images.zip') : null;
+
+  await fs.promises.mkdir(importPath(id), { recursive: true });
+
+  try {
+    await fs.promises.writeFile(importPath(fileName), file.buffer);
+
+    let spreadsheet;
+    try {
+      spreadsheet = await readSpreadsheet(importPath(fileName), format);
+    } catch (error) {
+      throw commonErrors.validation(`Fichier ${format.toUpperCase()} illisible`);
+    }
+
+    if (spreadsheet.rows.length === 0) {
+      throw commonErrors.validation('Le fichier ne contient aucune ligne de produit');
+    }
+
+    if (spreadsheet.rows.length > MAX_ROWS) {
+      throw commonErrors.validation(`Le fichier dépasse ${MAX_ROWS} lignes: découpez-le en plusieurs imports`);
+    }
+
+    const resolved = resolveMapping(spreadsheet.headers, value.mapping);
+
+    if (archive) {
+      await fs.promises.writeFile(importPath(imagesFileName), archive.buffer);
+      try {
+        openImageArchive(importPath(imagesFileName));
+      } catch (error) {
+        throw commonErrors.validation('Archive d\'images illisible: ZIP attendu');
+      }
+    }
+
+    const productImport = await ProductImport.create({
+      id,
+      storeId,
+      createdBy: user.id,
+      dryRun: value.dryRun,
+      fileName,
+      originalFileName: file.originalname,
+      fileFormat: format,
+      imagesFileName,
+      mapping: resolved,
+      options: { categoryId: value.categoryId || null, status: value.status },
+      totalRows: spreadsheet.rows.length
+    });
+
+    schedule(productImport.id);
+
+    return productImport;
+
+  } catch (error) {
+    await fs.promises.rm(importPath(id), { recursive: true, force: true });
+    throw error;
+  }
+};
+
+/**
+ * Trouver un import d'une boutique
+ */
+const getImport = async (storeId, importId) => {
+  const productImport = await ProductImport.findForStore(storeId, importId);
+
+  if (!productImport) {
+    throw commonErrors.notFound('Import');
+  }
+
+  return productImport;
+};
+
+/**
+ * Appliquer au catalogue une simulation terminée
+ */
+const runImport = async (storeId, importId) => {
+  await getImport(storeId, importId);
+  await assertNoActiveImport(storeId);
+
+  const productImport = await ProductImport.convertToImport(importId);
+  if (!productImport) {
+    throw createError(409, 'Seule une simulation terminée dont les fichiers sont conservés peut être importée', 'IMPORT_NOT_RUNNABLE');
+  }
+
+  schedule(productImport.id);
+
+  return productImport;
+};
+
+/**
+ * Reprendre un import échoué à la première ligne non traitée
+ */
+const resumeImport = async (storeId, importId) => {
+  await getImport(storeId, importId);
+  await assertNoActiveImport(storeId);
+
+  const productImport = await ProductImport.resume(importId);
+  if (!productImport) {
+    throw createError(409, 'Seul un import échoué dont les fichiers sont conservés peut être repris', 'IMPORT_NOT_RESUMABLE');
+  }
+
+  schedule(productImport.id);
+
+  return productImport;
+};
+
+/**
+ * Reprendre les imports interrompus (redémarrage pendant le traitement)
+ */
+const resumePendingImports = async () => {
+  const resumable = await ProductImport.findResumable(STALE_PROCESSING_MINUTES);
+
+  for (const productImport of resumable) {
+    if (productImport.status === 'processing') {
+      await ProductImport.resetToPending(productImport.id);
+    }
+    schedule(productImport.id);
+  }
+
+  return resumable.length;
+};
+
+/**
+ * Supprimer les fichiers des imports terminés depuis plus de FILE_RETENTION_DAYS jours
+ */
+const purgeImportFiles = async () => {
+  const purgeable = await ProductImport.findPurgeable(FILE_RETENTION_DAYS);
+
+  for (const productImport of purgeable) {
+    await fs.promises.rm(importPath(productImport.id), { recursive: true, force: true });
+    await ProductImport.markPurged(productImport.id);
+  }
+
+  return purgeable.length;
+};
+
+/**
+ * Maintenance périodique: reprise des imports et purge des fichiers déposés
+ */
+const startMaintenance = () => {
+  const run = () => {
+    resumePendingImports()
+      .then(() => purgeImportFiles())
+      .catch(error => console.error('❌ Maintenance des imports de produits:', error.message));
+  };
+
+  run();
+  return setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  MAX_ROWS,
+  readSpreadsheet,
+  resolveMapping,
+  parseRow,
+  checkTarget,
+  processImport,
+  createImport,
+  getImport,
+  runImport,
+  resumeImport,
+  resumePendingImports,
+  purgeImportFiles,
+  startMaintenance
+};
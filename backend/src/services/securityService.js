@@ -0,0 +1,270 @@
+const db = require('../config/database');
+const { cache, sets, CACHE_KEYS } = require('../config/redis');
+const { hashString, generateSecureToken } = require('../utils/helpers');
+const SecurityEvent = require('../models/SecurityEvent');
+const emailService = require('./emailService');
+require('dotenv').config();
+
+/**
+ * Service de protection des comptes
+ *
+ * - Comptage des échecs de connexion par compte (indépendamment de l'IP)
+ * - Délai progressif entre deux tentatives, puis verrouillage temporaire
+ * - Déverrouillage par lien envoyé par email ou par un administrateur
+ * - Journal des événements de sécurité et signaux pour abuseDetection
+ */
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const PROGRESSIVE_DELAY_AFTER = 3; // échecs avant le premier délai
+const MAX_DELAY_SECONDS = 60;
+const UNLOCK_TOKEN_HOURS = 24;
+
+// Credential stuffing: une IP qui échoue sur de nombreux comptes différents
+const STUFFING_WINDOW_SECONDS = 15 * 60;
+const STUFFING_DISTINCT_ACCOUNTS = 5;
+const FLAGGED_IP_SECONDS = 60 * 60;
+
+/**
+ * Délai imposé après `attempts` échecs consécutifs (secondes)
+ * 3 échecs -> 1s, 4 -> 2s, 5 -> 4s ... plafonné à 60s
+ */
+const getProgressiveDelay = (attempts) => {
+  if (attempts < PROGRESSIVE_DELAY_AFTER) {
+    return 0;
+  }
+  return Math.min(2 ** (attempts - PROGRESSIVE_DELAY_AFTER), MAX_DELAY_SECONDS);
+};
+
+/**
+ * État de connexion d'un compte
+ * Retourne { locked, lockedUntil, retryAfter } (retryAfter en secondes)
+ */
+const getLoginThrottle = (user, now = Date.now()) => {
+  if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+    return {
+      locked: true,
+      lockedUntil: new Date(user.locked_until),
+      retryAfter: Math.ceil((new Date(user.locked_until).getTime() - now) / 1000)
+    };
+  }
+
+  const attempts = user.failed_login_attempts || 0;
+  if (attempts === 0 || !user.last_failed_login_at) {
+    return { locked: false, lockedUntil: null, retryAfter: 0 };
+  }
+
+  const nextAttemptAt = new Date(user.last_failed_login_at).getTime() + getProgressiveDelay(attempts) * 1000;
+
+  return {
+    locked: false,
+    lockedUntil: null,
+    retryAfter: Math.max(Math.ceil((nextAttemptAt - now) / 1000), 0)
+  };
+};
+
+/**
+ * Contexte réseau d'une requête pour le journal
+ */
+const requestContext = (req) => ({
+  ipAddress: req?.ip || null,
+  userAgent: req?.get ? req.get('User-Agent') || null : null
+});
+
+/**
+ * Enregistrer un événement de sécurité
+ * Les échecs alimentent aussi les signaux utilisés par abuseDetection.
+ */
+const recordEvent = async (eventType, { userId = null, email = null, req = null, metadata = {} } = {}) => {
+  const context = requestContext(req);
+
+  try {
+    await SecurityEvent.record(eventType, { userId, email, ...context, metadata });
+  } catch (error) {
+    // Le journal ne doit jamais bloquer une connexion
+    console.error('Erreur journal de sécurité:', error.message);
+  }
+
+  if (eventType === 'login_failed' && context.ipAddress) {
+    await trackFailedLoginSource(context.ipAddress, userId || email);
+  }
+};
+
+/**
+ * Compter les comptes distincts visés depuis une IP
+ */
+const trackFailedLoginSource = async (ipAddress, account) => {
+  if (!account) return;
+
+  const key = CACHE_KEYS.SECURITY_IP_FAILED_ACCOUNTS(ipAddress);
+  await sets.add(key, hashString(String(account).toLowerCase()));
+  await cache.expire(key, STUFFING_WINDOW_SECONDS);
+
+  const distinctAccounts = await sets.count(key);
+  if (distinctAccounts >= STUFFING_DISTINCT_ACCOUNTS) {
+    const flagged = await cache.setNX(CACHE_KEYS.SECURITY_FLAGGED_IP(ipAddress), {
+      reason: 'credential_stuffing',
+      distinctAccounts,
+      flaggedAt: new Date().toISOString()
+    }, FLAGGED_IP_SECONDS);
+
+    if (flagged) {
+      console.warn(`Credential stuffing suspecté - IP: ${ipAddress}, comptes visés: ${distinctAccounts}`);
+      await SecurityEvent.record('ip_flagged', {
+        ipAddress,
+        metadata: { reason: 'credential_stuffing', distinctAccounts }
+      }).catch(error => console.error('Erreur journal de sécurité:', error.message));
+    }
+  }
+};
+
+/**
+ * L'IP a-t-elle été signalée (credential stuffing) ?
+ */
+const isFlaggedIp = async (ipAddress) => {
+  return Boolean(await cache.get(CACHE_KEYS.SECURITY_FLAGGED_IP(ipAddress)));
+};
+
+/**
+ * Enregistrer un échec d'authentification sur un compte existant
+ * Verrouille le compte au-delà du seuil et envoie le lien de déverrouillage.
+ */
+const recordFailedLogin = async (user, req, reason = 'invalid_password') => {
+  const [updated] = await db('users')
+    .where({ id: user.id })
+    .update({
+      failed_login_attempts: db.raw('COALESCE(failed_login_attempts, 0) + 1'),
+      last_failed_login_at: db.fn.now()
+    })
+    .returning(['id', 'failed_login_attempts']);
+
+  await recordEvent('login_failed', {
+    userId: user.id,
+    email: user.email,
+    req,
+    metadata: { reason, attempts: updated.failed_login_attempts }
+  });
+
+  if (updated.failed_login_attempts >= MAX_FAILED_ATTEMPTS) {
+    await lockAccount(user, req);
+  }
+
+  return updated.failed_login_attempts;
+};
+
+/**
+ * Verrouiller temporairement un compte
+ */
+const lockAccount = async (user, req = null) => {
+  const unlockToken = generateSecureToken(32);
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+
+  const locked = await db('users')
+    .where({ id: user.id })
+    .where(function() {
+      this.whereNull('locked_until').orWhere('locked_until', '<=', db.fn.now());
+    })
+    .update({
+      locked_until: lockedUntil,
+      unlock_token_hash: hashString(unlockToken),
+      unlock_token_expires: new Date(Date.now() + UNLOCK_TOKEN_HOURS * 60 * 60 * 1000)
+    });
+
+  // Déjà verrouillé par une requête concurrente
+  if (locked === 0) {
+    return null;
+  }
+
+  await recordEvent('account_locked', {
+    userId: user.id,
+    email: user.email,
+    req,
+    metadata: { lockedUntil: lockedUntil.toISOString(), lockoutMinutes: LOCKOUT_MINUTES }
+  });
+
+  console.warn(`Compte verrouillé après ${MAX_FAILED_ATTEMPTS} échecs - User: ${user.id}`);
+
+  try {
+    await emailService.sendAccountLockedEmail(user.email, user.first_name, unlockToken, LOCKOUT_MINUTES);
+  } catch (emailError) {
+    console.error('Erreur envoi email de verrouillage:', emailError);
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Remettre les compteurs à zéro après une connexion réussie
+ */
+const recordSuccessfulLogin = async (user) => {
+  if (!user.failed_login_attempts && !user.locked_until) {
+    return;
+  }
+
+  await db('users')
+    .where({ id: user.id })
+    .update({
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      unlock_token_hash: null,
+      unlock_token_expires: null
+    });
+};
+
+/**
+ * Déverrouiller un compte
+ * by: 'email' (lien) ou identifiant de l'administrateur
+ */
+const unlockAccount = async (userId, { by = 'email', req = null } = {}) => {
+  await db('users')
+    .where({ id: userId })
+    .update({
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      unlock_token_hash: null,
+      unlock_token_expires: null,
+      updated_at: db.fn.now()
+    });
+
+  await recordEvent('account_unlocked', {
+    userId,
+    req,
+    metadata: { by }
+  });
+};
+
+/**
+ * Déverrouiller un compte avec le lien reçu par email
+ * Retourne l'utilisateur déverrouillé, ou null si le lien est invalide
+ */
+const unlockWithToken = async (token, req = null) => {
+  const user = await db('users')
+    .select(['id', 'email'])
+    .where({ unlock_token_hash: hashString(String(token)) })
+    .where('unlock_token_expires', '>', db.fn.now())
+    .whereNull('deleted_at')
+    .first();
+
+  if (!user) {
+    return null;
+  }
+
+  await unlockAccount(user.id, { by: 'email', req });
+  return user;
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  getProgressiveDelay,
+  getLoginThrottle,
+  recordEvent,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  lockAccount,
+  unlockAccount,
+  unlockWithToken,
+  isFlaggedIp
+};
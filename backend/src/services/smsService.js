@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { maskPhoneNumber } = require('../utils/helpers');
+require('dotenv').config();
+
+/**
+ * Service d'envoi de SMS
+ *
+ * Le transport est choisi via SMS_TRANSPORT:
+ *  - console: affiche le SMS dans les logs (développement)
+ *  - file: ajoute le SMS dans SMS_OUTBOX_FILE (tests manuels, QA)
+ *  - http: passerelle SMS générique (SMS_API_URL, SMS_API_KEY, SMS_SENDER_ID)
+ *
+ * Un transport personnalisé peut être enregistré avec registerTransport().
+ */
+
+const transports = {
+  console: {
+    send: async ({ to, message }) => {
+      console.log(`📱 [SMS] ${to}: ${message}`);
+      return { provider: 'console', messageId: null };
+    }
+  },
+
+  file: {
+    send: async ({ to, message }) => {
+      const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '../../logs/sms-outbox.log');
+      await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+      await fs.promises.appendFile(
+        outbox,
+        JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n'
+      );
+      return { provider: 'file', messageId: null };
+    }
+  },
+
+  http: {
+    send: async ({ to, message }) => {
+      if (!process.env.SMS_API_URL) {
+        throw new Error('SMS_API_URL non configurée');
+      }
+
+      const response = await axios.post(
+        process.env.SMS_API_URL,
+        {
+          to,
+          message,
+          sender: process.env.SMS_SENDER_ID || 'AfrikMode'
+        },
+        {
+          headers: { Authorization: `Bearer ${process.env.SMS_API_KEY}` },
+          timeout: 10000
+        }
+      );
+
+      return {
+        provider: 'http',
+        messageId: response.data?.messageId || response.data?.id || null
+      };
+    }
+  }
+};
+
+/**
+ * Enregistrer (ou remplacer) un transport
+ * Le transport doit exposer send({ to, message }) -> Promise
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Un transport SMS doit exposer une méthode send()');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Transport actif
+ */
+const getTransport = () => {
+  const defaultTransport = process.env.NODE_ENV === 'production' ? 'http' : 'console';
+  const name = process.env.SMS_TRANSPORT || defaultTransport;
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Transport SMS inconnu: ${name}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Envoyer un SMS
+ */
+const sendSms = async (to, message) => {
+  try {
+    const result = await getTransport().send({ to, message });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`❌ Erreur envoi SMS à ${maskPhoneNumber(to)}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer un code de vérification à usage unique
+ */
+const sendOtpSms = async (to, code, ttlMinutes) => {
+  return await sendSms(
+    to,
+    `AfrikMode: votre code de vérification est ${code}. Il expire dans ${ttlMinutes} min. Ne le communiquez à personne.`
+  );
+};
+
+module.exports = {
+  sendSms,
+  sendOtpSms,
+  registerTransport
+};
@@ -0,0 +1,437 @@
+const db = require('../config/database');
+const { commonErrors } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { generateReferenceCode } = require('../utils/helpers');
+const { STOCK_TRANSFER_STATUS, STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_REASONS } = require('../utils/constants');
+const ProductVariant = require('../models/ProductVariant');
+const StockLocation = require('../models/StockLocation');
+const StockLevel = require('../models/StockLevel');
+const StockTransfer = require('../models/StockTransfer');
+const inventoryService = require('./inventoryService');
+const auditService = require('./auditService');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+
+/**
+ * Service des lieux de stock
+ *
+ * Une boutique répartit son stock entre ses ateliers et boutiques physiques.
+ * Le stock d'un lieu est saisi directement (inventaire) ou déplacé par
+ * transfert: le stock quitte le lieu d'origine à l'envoi et n'entre dans le
+ * lieu de destination qu'à la réception; un transfert annulé est remis dans
+ * le lieu d'origine. Chaque opération est journalisée dans l'audit.
+ */
+
+/**
+ * Champs d'un lieu (API -> base)
+ */
+const toLocationData = (payload) => {
+  const fields = {
+    name: 'name',
+    code: 'code',
+    type: 'type',
+    address: 'address',
+    city: 'city',
+    country: 'country',
+    phone: 'phone',
+    fulfillsOnlineOrders: 'fulfills_online_orders',
+    priority: 'priority',
+    isActive: 'is_active'
+  };
+
+  return Object.entries(fields).reduce((data, [key, column]) => {
+    if (payload[key] !== undefined) {
+      data[column] = key === 'code' ? payload[key].toUpperCase() : payload[key];
+    }
+    return data;
+  }, {});
+};
+
+/**
+ * Charger un lieu de la boutique
+ */
+const loadLocation = async (storeId, locationId, trx = db) => {
+  const location = uuidValidate(locationId) && await StockLocation.findForStore(storeId, locationId, trx);
+
+  if (!location) {
+    throw commonErrors.notFound('Lieu de stock');
+  }
+
+  return location;
+};
+
+/**
+ * Vérifier qu'aucun autre lieu de la boutique n'utilise ce code
+ */
+const assertCodeAvailable = async (storeId, code, exceptId = null, trx = db) => {
+  const query = trx('stock_locations')
+    .where({ store_id: storeId })
+    .whereRaw('UPPER(code) = ?', [code.toUpperCase()]);
+
+  if (exceptId) {
+    query.whereNot({ id: exceptId });
+  }
+
+  if (await query.first()) {
+    throw commonErrors.conflict(`Le code ${code.toUpperCase()} est déjà utilisé par un autre lieu`);
+  }
+};
+
+/**
+ * Lieux d'une boutique (le lieu par défaut est créé au besoin)
+ */
+const listLocations = async (storeId) => {
+  await StockLocation.getDefault(storeId);
+  return await StockLocation.findByStore(storeId);
+};
+
+/**
+ * Créer un lieu de stock
+ */
+const createLocation = async (storeId, payload) => {
+  const value = inventoryService.validatePayload(schemas.stockLocation.create, payload, 'Lieu de stock invalide');
+
+  const location = await db.transaction(async (trx) => {
+    await StockLocation.getDefault(storeId, trx);
+    await assertCodeAvailable(storeId, value.code, null, trx);
+
+    const created = await StockLocation.create(storeId, toLocationData(value), trx);
+    return value.isDefault ? await StockLocation.setDefault(storeId, created.id, trx) : created;
+  });
+
+  await auditService.record('stock_location.create', {
+    entityType: 'stock_location',
+    entityId: location.id,
+    after: location,
+    metadata: { storeId }
+  });
+
+  return location;
+};
+
+/**
+ * Mettre à jour un lieu de stock
+ * Le lieu par défaut ne peut pas être désactivé (il reçoit le stock saisi
+ * sur les fiches produits); un lieu qui a encore du stock non plus.
+ */
+const updateLocation = async (storeId, locationId, payload) => {
+  const value = inventoryService.validatePayload(schemas.stockLocation.update, payload, 'Lieu de stock invalide');
+
+  const { before, after } = await db.transaction(async (trx) => {
+    const location = await loadLocation(storeId, locationId, trx);
+
+    if (value.code) {
+      await assertCodeAvailable(storeId, value.code, location.id, trx);
+    }
+
+    if (value.isActive === false) {
+      if (location.is_default) {
+        throw commonErrors.badRequest('Le lieu par défaut ne peut pas être désactivé: choisissez d\'abord un autre lieu par défaut');
+      }
+
+      const stocked = await trx('stock_levels')
+        .where({ location_id: location.id })
+        .where(query => query.where('quantity', '>', 0).orWhere('reserved_quantity', '>', 0))
+        .first();
+
+      if (stocked) {
+        throw commonErrors.conflict('Ce lieu a encore du stock: transférez-le avant de désactiver le lieu');
+      }
+    }
+
+    let updated = await StockLocation.update(location.id, toLocationData(value), trx);
+    if (value.isDefault) {
+      updated = await StockLocation.setDefault(storeId, location.id, trx);
+    }
+
+    return { before: location, after: updated };
+  });
+
+  await auditService.record('stock_location.update', {
+    entityType: 'stock_location',
+    entityId: after.id,
+    before,
+    after,
+    metadata: { storeId }
+  });
+
+  return after;
+};
+
+/**
+ * Articles de stock d'une requête: produits de la boutique, variante
+ * obligatoire si le produit est décliné
+ * Retourne les articles complétés des libellés produit / variante
+ */
+const resolveStockItems = async (storeId, items, trx = db) => {
+  const productIds = [...new Set(items.map(item => item.productId))];
+
+  const products = await trx('products')
+    .select(['id', 'name', 'store_id'])
+    .whereIn('id', productIds)
+    .where({ store_id: storeId })
+    .whereNull('deleted_at');
+
+  const variants = await trx('product_variants')
+    .select(['id', 'product_id', 'options', 'is_active'])
+    .whereIn('product_id', productIds);
+
+  return items.map(item => {
+    const product = products.find(candidate => candidate.id === item.productId);
+    if (!product) {
+      throw commonErrors.badRequest(`Produit ${item.productId} introuvable dans cette boutique`);
+    }
+
+    const productVariants = variants.filter(variant => variant.product_id === product.id);
+    let variant = null;
+
+    if (item.variantId) {
+      variant = productVariants.find(candidate => candidate.id === item.variantId);
+      if (!variant) {
+        throw commonErrors.badRequest(`Variante ${item.variantId} introuvable pour ${product.name}`);
+      }
+    } else if (productVariants.some(candidate => candidate.is_active)) {
+      throw commonErrors.badRequest(`Précisez la variante de ${product.name}`);
+    }
+
+    return {
+      ...item,
+      variantId: variant ? variant.id : null,
+      productName: product.name,
+      variantName: variant ? ProductVariant.label(variant) : null,
+      variantOptions: variant ? variant.options : null
+    };
+  });
+};
+
+/**
+ * Stock d'un lieu
+ */
+const getLocationStock = async (storeId, locationId, { page = 1, limit = 50 } = {}) => {
+  const location = await loadLocation(storeId, locationId);
+  const result = await StockLevel.findByLocation(location.id, { page, limit });
+
+  return { location, ...result };
+};
+
+/**
+ * Fixer le stock d'articles dans un lieu (inventaire)
+ */
+const setLocationStock = async (storeId, locationId, payload) => {
+  const { items } = inventoryService.validatePayload(schemas.stockLocation.stock, payload, 'Niveaux de stock invalides');
+
+  const levels = await db.transaction(async (trx) => {
+    const location = await loadLocation(storeId, locationId, trx);
+    const resolved = await resolveStockItems(storeId, items, trx);
+    const saved = [];
+
+    for (const item of resolved) {
+      saved.push(await inventoryService.setStockLevel(location.id, item, trx));
+    }
+
+    await StockLevel.refreshTotals(resolved.map(item => item.productId), trx);
+    return saved;
+  });
+
+  await inventoryService.invalidateProducts(levels.map(level => level.product_id));
+
+  await auditService.record('stock_level.update', {
+    entityType: 'stock_location',
+    entityId: locationId,
+    metadata: {
+      storeId,
+      items: levels.map(level => ({
+        productId: level.product_id,
+        variantId: level.variant_id,
+        quantity: level.quantity
+      }))
+    }
+  });
+
+  return levels;
+};
+
+/**
+ * Charger un transfert avec ses lieux et ses articles
+ */
+const loadTransfer = async (storeId, transferId, trx = db) => {
+  const transfer = uuidValidate(transferId) && await StockTransfer.findForStore(storeId, transferId, {}, trx);
+
+  if (!transfer) {
+    throw commonErrors.notFound('Transfert de stock');
+  }
+
+  const [from, to] = await Promise.all([
+    StockLocation.findForStore(storeId, transfer.from_location_id, trx),
+    StockLocation.findForStore(storeId, transfer.to_location_id, trx)
+  ]);
+
+  return {
+    transfer: { ...transfer, from_location_name: from.name, to_location_name: to.name },
+    items: await StockTransfer.findItems(transfer.id, trx)
+  };
+};
+
+/**
+ * Sortir du stock (non réservé) d'un lieu
+ * Retourne le niveau de stock mis à jour
+ */
+const removeStock = async (location, item, movement, trx) => {
+  const level = await StockLevel.remove(location.id, item.productId, item.variantId, item.quantity, movement, trx);
+
+  if (!level) {
+    const current = await StockLevel.find(location.id, item.productId, item.variantId, trx);
+    const available = current ? inventoryService.getLevelAvailableQuantity(current) : 0;
+
+    throw commonErrors.stock(
+      `Stock insuffisant pour ${inventoryService.itemLabel(item)} à ${location.name}. Stock disponible: ${available}`,
+      available
+    );
+  }
+
+  return level;
+};
+
+/**
+ * Transférer du stock entre deux lieux de la boutique
+ * Le stock (non réservé) quitte le lieu d'origine immédiatement
+ */
+const createTransfer = async (storeId, payload, user) => {
+  const value = inventoryService.validatePayload(schemas.stockLocation.transfer, payload, 'Transfert de stock invalide');
+
+  if (value.fromLocationId === value.toLocationId) {
+    throw commonErrors.badRequest('Les lieux d\'origine et de destination doivent être différents');
+  }
+
+  const transferId = await db.transaction(async (trx) => {
+    const from = await loadLocation(storeId, value.fromLocationId, trx);
+    const to = await loadLocation(storeId, value.toLocationId, trx);
+
+    if (!to.is_active) {
+      throw commonErrors.badRequest(`Le lieu ${to.name} est désactivé`);
+    }
+
+    const items = await resolveStockItems(storeId, value.items, trx);
+    // Identifiant connu d'avance: référence des sorties inscrites au registre
+    const id = uuidv4();
+    const movement = {
+      type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason: STOCK_MOVEMENT_REASONS.TRANSFER_OUT,
+      referenceType: 'stock_transfer',
+      referenceId: id
+    };
+
+    for (const item of items) {
+      await removeStock(from, item, movement, trx);
+    }
+
+    const transfer = await StockTransfer.create({
+      id,
+      reference: generateReferenceCode('TRF'),
+      storeId,
+      fromLocationId: from.id,
+      toLocationId: to.id,
+      notes: value.notes,
+      createdBy: user.id,
+      items
+    }, trx);
+
+    await StockLevel.refreshTotals(items.map(item => item.productId), trx);
+    return transfer.id;
+  });
+
+  const result = await loadTransfer(storeId, transferId);
+
+  await inventoryService.invalidateProducts(result.items.map(item => item.product_id));
+  await auditService.record('stock_transfer.create', {
+    entityType: 'stock_transfer',
+    entityId: transferId,
+    after: { status: result.transfer.status },
+    metadata: {
+      storeId,
+      reference: result.transfer.reference,
+      fromLocationId: result.transfer.from_location_id,
+      toLocationId: result.transfer.to_location_id,
+      items: result.items.map(item => ({
+        productId: item.product_id,
+        variantId: item.variant_id,
+        quantity: item.quantity
+      }))
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Clore un transfert en transit
+ * - received: le stock entre dans le lieu de destination
+ * - cancelled: le stock retourne dans le lieu d'origine
+ */
+const closeTransfer = async (storeId, transferId, status, user) => {
+  await db.transaction(async (trx) => {
+    const transfer = uuidValidate(transferId) &&
+      await StockTransfer.findForStore(storeId, transferId, { forUpdate: true }, trx);
+
+    if (!transfer) {
+      throw commonErrors.notFound('Transfert de stock');
+    }
+
+    if (transfer.status !== STOCK_TRANSFER_STATUS.IN_TRANSIT) {
+      throw commonErrors.conflict(`Ce transfert n'est plus en transit (statut: ${transfer.status})`);
+    }
+
+    const received = status === STOCK_TRANSFER_STATUS.RECEIVED;
+    const locationId = received ? transfer.to_location_id : transfer.from_location_id;
+    const movement = {
+      type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason: received ? STOCK_MOVEMENT_REASONS.TRANSFER_IN : STOCK_MOVEMENT_REASONS.TRANSFER_CANCELLED,
+      referenceType: 'stock_transfer',
+      referenceId: transfer.id
+    };
+    const items = await StockTransfer.findItems(transfer.id, trx);
+
+    for (const item of items) {
+      await StockLevel.add(locationId, item.product_id, item.variant_id, item.quantity, movement, trx);
+    }
+
+    await StockTransfer.updateStatus(transfer.id, status, user.id, trx);
+    await StockLevel.refreshTotals(items.map(item => item.product_id), trx);
+  });
+
+  const result = await loadTransfer(storeId, transferId);
+
+  await inventoryService.invalidateProducts(result.items.map(item => item.product_id));
+  await auditService.record(
+    status === STOCK_TRANSFER_STATUS.RECEIVED ? 'stock_transfer.receive' : 'stock_transfer.cancel',
+    {
+      entityType: 'stock_transfer',
+      entityId: result.transfer.id,
+      before: { status: STOCK_TRANSFER_STATUS.IN_TRANSIT },
+      after: { status },
+      metadata: { storeId, reference: result.transfer.reference }
+    }
+  );
+
+  return result;
+};
+
+const receiveTransfer = (storeId, transferId, user) =>
+  closeTransfer(storeId, transferId, STOCK_TRANSFER_STATUS.RECEIVED, user);
+
+const cancelTransfer = (storeId, transferId, user) =>
+  closeTransfer(storeId, transferId, STOCK_TRANSFER_STATUS.CANCELLED, user);
+
+module.exports = {
+  loadLocation,
+  listLocations,
+  createLocation,
+  updateLocation,
+  resolveStockItems,
+  removeStock,
+  getLocationStock,
+  setLocationStock,
+  loadTransfer,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
@@ -0,0 +1,300 @@
+const db = require('../config/database');
+const { commonErrors } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { generateReferenceCode } = require('../utils/helpers');
+const { STOCK_MOVEMENT_TYPES, STOCK_MOVEMENT_REASONS } = require('../utils/constants');
+const StockLevel = require('../models/StockLevel');
+const StockMovement = require('../models/StockMovement');
+const Stocktake = require('../models/Stocktake');
+const inventoryService = require('./inventoryService');
+const stockLocationService = require('./stockLocationService');
+const auditService = require('./auditService');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Service des mouvements de stock
+ *
+ * - Ajustements manuels d'un lieu (réception, casse, retour client...) avec motif
+ * - Inventaires physiques: écart entre le stock compté et le stock attendu,
+ *   valorisé au prix de vente, appliqué au lieu (sauf simulation)
+ * - Contrôle des niveaux de stock par le registre des mouvements
+ */
+
+/**
+ * Refuser un article présent plusieurs fois dans une même requête
+ */
+const assertUniqueItems = (items) => {
+  const seen = new Set();
+
+  for (const item of items) {
+    const key = inventoryService.itemKey(item.productId, item.variantId);
+    if (seen.has(key)) {
+      throw commonErrors.validation(`${inventoryService.itemLabel(item)} figure plusieurs fois dans la liste`);
+    }
+    seen.add(key);
+  }
+};
+
+/**
+ * Ajuster le stock d'articles dans un lieu
+ * Quantités signées: une casse retire du stock, un retour client en ajoute
+ */
+const adjustStock = async (storeId, locationId, payload) => {
+  const value = inventoryService.validatePayload(schemas.stockLocation.adjustment, payload, 'Ajustement de stock invalide');
+
+  if (value.type === STOCK_MOVEMENT_TYPES.DAMAGE && value.items.some(item => item.quantity > 0)) {
+    throw commonErrors.validation('Une casse retire du stock: les quantités doivent être négatives');
+  }
+
+  if (value.type === STOCK_MOVEMENT_TYPES.RETURN && value.items.some(item => item.quantity < 0)) {
+    throw commonErrors.validation('Un retour remet du stock: les quantités doivent être positives');
+  }
+
+  const movement = { type: value.type, reason: value.reason, notes: value.notes };
+
+  const levels = await db.transaction(async (trx) => {
+    const location = await stockLocationService.loadLocation(storeId, locationId, trx);
+
+    if (!location.is_active) {
+      throw commonErrors.badRequest(`Le lieu ${location.name} est désactivé`);
+    }
+
+    const items = await stockLocationService.resolveStockItems(storeId, value.items, trx);
+    assertUniqueItems(items);
+    const saved = [];
+
+    for (const item of items) {
+      saved.push(item.quantity > 0
+        ? await StockLevel.add(location.id, item.productId, item.variantId, item.quantity, movement, trx)
+        : await stockLocationService.removeStock(location, { ...item, quantity: -item.quantity }, movement, trx));
+    }
+
+    await StockLevel.refreshTotals(items.map(item => item.productId), trx);
+    return saved;
+  });
+
+  await inventoryService.invalidateProducts(levels.map(level => level.product_id));
+  await auditService.record('stock_level.adjust', {
+    entityType: 'stock_location',
+    entityId: locationId,
+    metadata: {
+      storeId,
+      type: value.type,
+      reason: value.reason,
+      items: value.items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity
+      }))
+    }
+  });
+
+  return levels;
+};
+
+/**
+ * Prix de vente des articles (prix de la variante, à défaut celui du produit)
+ * Retourne un index itemKey -> prix
+ */
+const loadPrices = async (items, trx) => {
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const variantIds = items.map(item => item.variantId).filter(Boolean);
+
+  const [products, variants] = await Promise.all([
+    trx('products').select(['id', 'price']).whereIn('id', productIds),
+    variantIds.length > 0
+      ? trx('product_variants').select(['id', 'price']).whereIn('id', variantIds)
+      : []
+  ]);
+
+  return items.reduce((prices, item) => {
+    const variant = variants.find(candidate => candidate.id === item.variantId);
+    const product = products.find(candidate => candidate.id === item.productId);
+    prices[inventoryService.itemKey(item.productId, item.variantId)] =
+      parseFloat((variant && variant.price) || (product && product.price) || 0);
+    return prices;
+  }, {});
+};
+
+/**
+ * Totaux du rapport d'écarts
+ */
+const summarize = (lines) => lines.reduce((summary, line) => ({
+  itemsCounted: summary.itemsCounted + 1,
+  itemsWithVariance: summary.itemsWithVariance + (line.variance !== 0 ? 1 : 0),
+  unitsOver: summary.unitsOver + Math.max(line.variance, 0),
+  unitsShort: summary.unitsShort + Math.max(-line.variance, 0),
+  varianceValue: summary.varianceValue + line.variance * line.unit_price
+}), { itemsCounted: 0, itemsWithVariance: 0, unitsOver: 0, unitsShort: 0, varianceValue: 0 });
+
+/**
+ * Inventaire physique d'un lieu
+ * - le stock compté de chaque article remplace son stock attendu (l'écart
+ *   est inscrit au registre)
+ * - full: les articles du lieu non comptés sont considérés à zéro
+ * - dryRun: rapport d'écarts sans modifier le stock
+ * Retourne { stocktake, items, dryRun }
+ */
+const runStocktake = async (storeId, locationId, payload, user) => {
+  const value = inventoryService.validatePayload(schemas.stockLocation.stocktake, payload, 'Inventaire invalide');
+
+  const report = await db.transaction(async (trx) => {
+    const location = await stockLocationService.loadLocation(storeId, locationId, trx);
+    const counted = await stockLocationService.resolveStockItems(storeId, value.items, trx);
+    assertUniqueItems(counted);
+
+    const levels = await StockLevel.findForStocktake(location.id, trx);
+    const findLevel = (productId, variantId) => levels.find(level =>
+      level.product_id === productId && (level.variant_id || null) === (variantId || null));
+
+    const prices = await loadPrices(counted, trx);
+
+    const lines = counted.map(item => {
+      const level = findLevel(item.productId, item.variantId);
+      const expected = level ? level.quantity : 0;
+
+      return {
+        product_id: item.productId,
+        variant_id: item.variantId,
+        product_name: item.productName,
+        variant_options: item.variantOptions,
+        expected_quantity: expected,
+        counted_quantity: item.countedQuantity,
+        variance: item.countedQuantity - expected,
+        unit_price: prices[inventoryService.itemKey(item.productId, item.variantId)]
+      };
+    });
+
+    // Inventaire complet: ce qui n'a pas été compté n'est plus dans le lieu
+    if (value.full) {
+      const countedKeys = new Set(counted.map(item => inventoryService.itemKey(item.productId, item.variantId)));
+
+      for (const level of levels) {
+        if (level.quantity !== 0 && !countedKeys.has(inventoryService.itemKey(level.product_id, level.variant_id))) {
+          lines.push({
+            product_id: level.product_id,
+            variant_id: level.variant_id,
+            product_name: level.product_name,
+            variant_options: level.variant_options,
+            expected_quantity: level.quantity,
+            counted_quantity: 0,
+            variance: -level.quantity,
+            unit_price: parseFloat(level.variant_price || level.product_price || 0)
+          });
+        }
+      }
+    }
+
+    const summary = summarize(lines);
+    const stocktake = {
+      id: value.dryRun ? null : uuidv4(),
+      reference: value.dryRun ? null : generateReferenceCode('INV'),
+      location_id: location.id,
+      location_name: location.name,
+      is_full: value.full,
+      notes: value.notes || null,
+      items_counted: summary.itemsCounted,
+      items_with_variance: summary.itemsWithVariance,
+      units_over: summary.unitsOver,
+      units_short: summary.unitsShort,
+      variance_value: summary.varianceValue,
+      created_by: user.id,
+      created_at: null
+    };
+
+    if (value.dryRun) {
+      return { stocktake, items: lines };
+    }
+
+    const created = await Stocktake.create({
+      id: stocktake.id,
+      reference: stocktake.reference,
+      storeId,
+      locationId: location.id,
+      isFull: value.full,
+      notes: value.notes,
+      createdBy: user.id,
+      summary,
+      items: lines
+    }, trx);
+
+    const movement = {
+      type: STOCK_MOVEMENT_TYPES.STOCKTAKE,
+      reason: STOCK_MOVEMENT_REASONS.STOCKTAKE_COUNT,
+      referenceType: 'stocktake',
+      referenceId: created.id,
+      notes: value.notes
+    };
+
+    for (const line of lines.filter(candidate => candidate.variance !== 0)) {
+      await StockLevel.upsert(location.id, line.product_id, line.variant_id, {
+        quantity: line.counted_quantity
+      }, movement, trx);
+    }
+
+    await StockLevel.refreshTotals(lines.map(line => line.product_id), trx);
+
+    return { stocktake: { ...created, location_name: location.name }, items: lines };
+  });
+
+  if (value.dryRun) {
+    return { ...report, dryRun: true };
+  }
+
+  await inventoryService.invalidateProducts(report.items.map(item => item.product_id));
+  await auditService.record('stocktake.create', {
+    entityType: 'stocktake',
+    entityId: report.stocktake.id,
+    after: { reference: report.stocktake.reference },
+    metadata: {
+      storeId,
+      locationId,
+      isFull: value.full,
+      summary: summarize(report.items)
+    }
+  });
+
+  return { ...report, dryRun: false };
+};
+
+/**
+ * Rapport d'écarts d'un inventaire
+ */
+const getStocktake = async (storeId, stocktakeId) => {
+  const stocktake = await Stocktake.findForStore(storeId, stocktakeId);
+
+  if (!stocktake) {
+    throw commonErrors.notFound('Inventaire');
+  }
+
+  return { stocktake, items: await Stocktake.findItems(stocktake.id) };
+};
+
+/**
+ * Contrôler les niveaux de stock d'une boutique par le registre
+ * Retourne les niveaux dont la quantité diffère de la somme de leurs mouvements
+ */
+const verifyLedger = async (storeId, { locationId = null } = {}) => {
+  const discrepancies = await StockMovement.findDiscrepancies(storeId, { locationId });
+
+  return discrepancies.map(level => ({
+    location: {
+      id: level.location_id,
+      name: level.location_name
+    },
+    productId: level.product_id,
+    productName: level.product_name,
+    variantId: level.variant_id,
+    variantName: level.variant_options ? Object.values(level.variant_options).join(' / ') : null,
+    quantity: level.quantity,
+    ledgerQuantity: level.ledger_quantity,
+    difference: level.quantity - level.ledger_quantity
+  }));
+};
+
+module.exports = {
+  adjustStock,
+  runStocktake,
+  getStocktake,
+  verifyLedger
+};
@@ -0,0 +1,177 @@
+const db = require('../config/database');
+const { cache, CACHE_KEYS, isConnected } = require('../config/redis');
+const { durationToMs } = require('../utils/helpers');
+const { createError } = require('../middleware/errorHandler');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+
+/**
+ * Service de révocation des tokens d'accès
+ *
+ * Les JWT étant sans état, on maintient dans Redis:
+ *  - une liste de révocation par `jti` (déconnexion d'un appareil),
+ *    conservée jusqu'à l'expiration naturelle du token;
+ *  - une liste de révocation par session (`sid`, appareil fermé à distance);
+ *  - une date de coupure par utilisateur (déconnexion de tous les appareils):
+ *    tout token émis avant cette date (à la milliseconde, claim issuedAtMs)
+ *    est refusé.
+ *
+ * Les sessions et la date de coupure sont aussi enregistrées en base, qui
+ * prend le relais quand Redis est indisponible. Une révocation par `jti`
+ * n'existe que dans Redis: sans Redis, elle est refusée (503).
+ */
+
+const DEFAULT_ACCESS_TOKEN_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000; // 7 jours
+
+/**
+ * Durée de vie maximale d'un token d'accès, en secondes
+ */
+const getAccessTokenLifetimeSeconds = () => {
+  const ms = durationToMs(process.env.JWT_EXPIRES_IN || '7d') || DEFAULT_ACCESS_TOKEN_LIFETIME_MS;
+  return Math.ceil(ms / 1000);
+};
+
+/**
+ * Révoquer un token d'accès à partir de son payload décodé
+ */
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) {
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const ttl = decoded.exp ? decoded.exp - now : getAccessTokenLifetimeSeconds();
+
+  // Token déjà expiré: rien à retenir
+  if (ttl <= 0) {
+    return true;
+  }
+
+  const stored = await cache.set(CACHE_KEYS.REVOKED_TOKEN(decoded.jti), true, ttl);
+  if (!stored) {
+    throw createError(503, 'Déconnexion temporairement indisponible, veuillez réessayer plus tard', 'REVOCATION_UNAVAILABLE');
+  }
+
+  return true;
+};
+
+/**
+ * Révoquer tous les tokens (accès et refresh) d'un utilisateur
+ */
+const revokeAllUserTokens = async (userId, reason = 'logout_all') => {
+  // En millisecondes: un token émis dans la même seconde, juste après, reste valide
+  const revokedAt = Date.now();
+
+  await db('users')
+    .where({ id: userId })
+    .update({ tokens_revoked_at: new Date(revokedAt) });
+
+  await cache.set(
+    CACHE_KEYS.USER_TOKENS_REVOKED_AT(userId),
+    revokedAt,
+    getAccessTokenLifetimeSeconds()
+  );
+
+  const refreshTokensRevoked = await RefreshToken.revokeAllForUser(userId, reason);
+  await UserSession.markAllRevoked(userId, reason);
+
+  return { revokedAt, refreshTokensRevoked };
+};
+
+/**
+ * Fermer une session (un appareil): refresh tokens et tokens d'accès
+ */
+const revokeSession = async (session, reason = 'revoked') => {
+  await cache.set(CACHE_KEYS.REVOKED_SESSION(session.id), true, getAccessTokenLifetimeSeconds());
+  await RefreshToken.revokeFamily(session.refresh_family_id, reason);
+  await UserSession.markRevoked(session.id, reason);
+};
+
+/**
+ * Fermer toutes les sessions d'un utilisateur sauf celle indiquée
+ */
+const revokeOtherSessions = async (userId, currentSessionId, reason = 'revoked') => {
+  const sessions = await UserSession.findActiveByUser(userId);
+  const others = sessions.filter(session => session.id !== currentSessionId);
+
+  for (const session of others) {
+    await revokeSession(session, reason);
+  }
+
+  return others.length;
+};
+
+/**
+ * Date d'émission d'un token en millisecondes
+ * (claim issuedAtMs, ou iat pour les tokens émis avant son ajout)
+ */
+const getIssuedAtMs = (decoded) => decoded.issuedAtMs || decoded.iat * 1000;
+
+/**
+ * Le token a-t-il été émis avant la date de révocation (en millisecondes) ?
+ */
+const isIssuedBefore = (decoded, revokedAt) => {
+  return Boolean(revokedAt) && getIssuedAtMs(decoded) <= revokedAt;
+};
+
+/**
+ * Redis indisponible: vérifier la session et la date de coupure conservées
+ * en base (utilisateur et, en impersonation, administrateur)
+ */
+const isRevokedInDatabase = async (decoded) => {
+  if (decoded.sid) {
+    const session = await UserSession.findById(decoded.sid);
+    if (session && session.revoked_at) {
+      return true;
+    }
+  }
+
+  const userIds = [decoded.userId, decoded.impersonatorId].filter(Boolean);
+
+  const users = await db('users')
+    .select(['tokens_revoked_at'])
+    .whereIn('id', userIds);
+
+  return users.some(user =>
+    user.tokens_revoked_at && isIssuedBefore(decoded, new Date(user.tokens_revoked_at).getTime())
+  );
+};
+
+/**
+ * Vérifier si un token d'accès décodé a été révoqué
+ */
+const isAccessTokenRevoked = async (decoded) => {
+  if (!isConnected()) {
+    return await isRevokedInDatabase(decoded);
+  }
+
+  if (decoded.jti && await cache.get(CACHE_KEYS.REVOKED_TOKEN(decoded.jti))) {
+    return true;
+  }
+
+  if (decoded.sid && await cache.get(CACHE_KEYS.REVOKED_SESSION(decoded.sid))) {
+    return true;
+  }
+
+  const revokedAt = await cache.get(CACHE_KEYS.USER_TOKENS_REVOKED_AT(decoded.userId));
+  if (isIssuedBefore(decoded, revokedAt)) {
+    return true;
+  }
+
+  // Impersonation: la déconnexion globale de l'administrateur ferme aussi ses impersonations
+  if (decoded.impersonatorId) {
+    const impersonatorRevokedAt = await cache.get(CACHE_KEYS.USER_TOKENS_REVOKED_AT(decoded.impersonatorId));
+    return isIssuedBefore(decoded, impersonatorRevokedAt);
+  }
+
+  return false;
+};
+
+module.exports = {
+  revokeAccessToken,
+  revokeAllUserTokens,
+  revokeSession,
+  revokeOtherSessions,
+  isAccessTokenRevoked,
+  getAccessTokenLifetimeSeconds
+};
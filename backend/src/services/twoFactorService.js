@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { cache, CACHE_KEYS, isConnected } = require('../config/redis');
+const { hashString } = require('../utils/helpers');
+require('dotenv').config();
+
+/**
+ * Service de double authentification (TOTP, RFC 6238)
+ * Compatible Google Authenticator, Authy, Microsoft Authenticator...
+ */
+
+const TOTP_PERIOD = 30; // secondes
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // tolérance d'un pas avant/après (décalage d'horloge)
+const RECOVERY_CODES_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Rôles pour lesquels la double authentification est obligatoire
+const TWO_FACTOR_REQUIRED_ROLES = ['admin', 'super_admin'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ========================================
+// ENCODAGE ET CHIFFREMENT DU SECRET
+// ========================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secret base32 invalide');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Clé AES-256 de chiffrement des secrets TOTP au repos
+ */
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:2fa`)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `v1:${iv.toString('hex')}:${tag.toString('hex')}:${encrypted.toString('hex')}`;
+};
+
+const decryptSecret = (stored) => {
+  const [version, iv, tag, encrypted] = String(stored).split(':');
+  if (version !== 'v1' || !iv || !tag || !encrypted) {
+    throw new Error('Format de secret 2FA inconnu');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// ========================================
+// TOTP
+// ========================================
+
+/**
+ * Générer un nouveau secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calculer le code TOTP d'un pas de temps donné
+ */
+const generateCode = (secret, step = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Vérifier un code TOTP
+ * Retourne le pas de temps correspondant, ou null si le code est invalide
+ */
+const verifyCode = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD);
+
+  for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+    const expected = generateCode(secret, currentStep + delta);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return currentStep + delta;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * URI de provisioning (otpauth://) et QR code associé
+ */
+const buildProvisioning = async (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'AfrikMode';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { otpauthUrl, qrCode };
+};
+
+/**
+ * Vérifier le code TOTP d'un utilisateur enrôlé
+ * Un même code ne peut être utilisé qu'une fois (protection contre le rejeu)
+ */
+const verifyUserCode = async (user, code) => {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(user.two_factor_secret), code);
+  if (step === null) {
+    return false;
+  }
+
+  if (isConnected()) {
+    const firstUse = await cache.setNX(
+      CACHE_KEYS.TWO_FACTOR_USED_STEP(user.id, step),
+      true,
+      TOTP_PERIOD * (TOTP_WINDOW * 2 + 1)
+    );
+    if (!firstUse) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// ========================================
+// CODES DE SECOURS
+// ========================================
+
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Générer (et remplacer) les codes de secours d'un utilisateur
+ * Les codes en clair ne sont retournés qu'une seule fois
+ */
+const generateRecoveryCodes = async (userId, trx = db) => {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await trx('user_recovery_codes').where({ user_id: userId }).del();
+  await trx('user_recovery_codes').insert(
+    codes.map(code => ({
+      user_id: userId,
+      code_hash: hashString(normalizeRecoveryCode(code))
+    }))
+  );
+
+  return codes;
+};
+
+/**
+ * Consommer un code de secours (usage unique)
+ */
+const consumeRecoveryCode = async (userId, code, ipAddress = null) => {
+  const consumed = await db('user_recovery_codes')
+    .where({
+      user_id: userId,
+      code_hash: hashString(normalizeRecoveryCode(code))
+    })
+    .whereNull('used_at')
+    .update({
+      used_at: db.fn.now(),
+      used_ip: ipAddress
+    });
+
+  return consumed > 0;
+};
+
+/**
+ * Nombre de codes de secours encore utilisables
+ */
+const countRemainingRecoveryCodes = async (userId) => {
+  const result = await db('user_recovery_codes')
+    .where({ user_id: userId })
+    .whereNull('used_at')
+    .count('id as count')
+    .first();
+
+  return parseInt(result.count);
+};
+
+// ========================================
+// CHALLENGE DE CONNEXION
+// ========================================
+
+/**
+ * Secret dédié: un challenge ne peut jamais servir de token d'accès
+ */
+const getChallengeSecret = () => `${process.env.JWT_SECRET}:2fa_challenge`;
+
+/**
+ * Émettre un challenge de connexion
+ * purpose: 'verify' (code à saisir) ou 'enroll' (enrôlement obligatoire)
+ */
+const createChallengeToken = (userId, purpose = 'verify') => {
+  return jwt.sign({ userId, purpose }, getChallengeSecret(), {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+    jwtid: uuidv4()
+  });
+};
+
+/**
+ * Vérifier un challenge et comptabiliser la tentative
+ * Retourne le payload, ou null si le challenge est invalide, expiré ou épuisé
+ */
+const verifyChallengeToken = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, getChallengeSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose) {
+    return null;
+  }
+
+  const attemptsKey = CACHE_KEYS.TWO_FACTOR_CHALLENGE_ATTEMPTS(decoded.jti);
+  const attempts = await cache.incr(attemptsKey);
+  if (attempts === 1) {
+    await cache.expire(attemptsKey, decoded.exp - Math.floor(Date.now() / 1000));
+  }
+  if (attempts !== null && attempts > CHALLENGE_MAX_ATTEMPTS) {
+    return null;
+  }
+
+  return decoded;
+};
+
+/**
+ * Marquer un challenge comme utilisé (connexion terminée)
+ */
+const consumeChallengeToken = async (decoded) => {
+  await cache.set(
+    CACHE_KEYS.TWO_FACTOR_CHALLENGE_ATTEMPTS(decoded.jti),
+    CHALLENGE_MAX_ATTEMPTS + 1,
+    Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1)
+  );
+};
+
+/**
+ * La double authentification est-elle obligatoire pour ce rôle ?
+ */
+const isRequiredForRole = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES,
+  CHALLENGE_EXPIRES_IN,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  buildProvisioning,
+  verifyUserCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  isRequiredForRole
+};
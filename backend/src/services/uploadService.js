@@ -93,6 +93,34 @@ const uploadMemory = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Import de produits: fichier CSV/XLSX et archive ZIP des images
+ * (les types MIME déclarés par les navigateurs varient, seule l'extension fait foi)
+ */
+const ALLOWED_IMPORT_EXTENSIONS = {
+  file: ['.csv', '.xlsx'],
+  images: ['.zip']
+};
+
+const importFileFilter = (req, file, cb) => {
+  const allowed = ALLOWED_IMPORT_EXTENSIONS[file.fieldname] || [];
+
+  if (allowed.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Type de fichier non autorisé pour ${file.fieldname}: ${allowed.join(', ') || 'aucun'}`), false);
+  }
+};
+
+const uploadImport = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 50 * 1024 * 1024, // 50MB (archive d'images)
+    files: 2
+  },
+  fileFilter: importFileFilter
+});
+
 /**
  * Service de traitement des images avec Sharp
  */
@@ -207,6 +235,14 @@ const uploadService = {
    */
   uploadCategoryImage: uploadMemory.single('category_image'),
 
+  /**
+   * Upload d'un import de produits (fichier et archive des images)
+   */
+  uploadProductImport: uploadImport.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'images', maxCount: 1 }
+  ]),
+
   /**
    * Upload de documents
    */
@@ -467,5 +503,6 @@ module.exports = {
   uploadMiddleware,
   imageProcessor,
   ALLOWED_IMAGE_TYPES,
-  ALLOWED_DOCUMENT_TYPES
+  ALLOWED_DOCUMENT_TYPES,
+  ALLOWED_IMPORT_EXTENSIONS
 };
\ No newline at end of file
@@ -36,6 +36,70 @@ const ORDER_STATUS = {
   RETURNED: 'returned'
 };
 
+// ========================================
+// RÉSERVATIONS DE STOCK
+// ========================================
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  CONVERTED: 'converted',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+  RETURNED: 'returned'
+};
+
+// ========================================
+// LIEUX DE STOCK (ateliers, boutiques physiques)
+// ========================================
+const STOCK_LOCATION_TYPES = {
+  WORKSHOP: 'workshop',
+  SHOP: 'shop',
+  WAREHOUSE: 'warehouse'
+};
+
+// in_transit (sorti du lieu d'origine) -> received | cancelled
+const STOCK_TRANSFER_STATUS = {
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// ========================================
+// MOUVEMENTS DE STOCK (registre en ajout seul)
+// ========================================
+const STOCK_MOVEMENT_TYPES = {
+  SALE: 'sale',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+  STOCKTAKE: 'stocktake',
+  DAMAGE: 'damage'
+};
+
+const STOCK_MOVEMENT_REASONS = {
+  OPENING_BALANCE: 'opening_balance',
+  ORDER_SALE: 'order_sale',
+  ORDER_CANCELLED: 'order_cancelled',
+  CUSTOMER_RETURN: 'customer_return',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  TRANSFER_CANCELLED: 'transfer_cancelled',
+  RESTOCK: 'restock',
+  PRODUCTION: 'production',
+  CORRECTION: 'correction',
+  LOST: 'lost',
+  THEFT: 'theft',
+  DAMAGED: 'damaged',
+  DEFECTIVE: 'defective',
+  STOCKTAKE_COUNT: 'stocktake_count'
+};
+
+// Ajustements manuels: motifs autorisés par type de mouvement
+const STOCK_ADJUSTMENT_REASONS = {
+  adjustment: ['restock', 'production', 'correction', 'lost', 'theft'],
+  damage: ['damaged', 'defective'],
+  return: ['customer_return']
+};
+
 // ========================================
 // MÉTHODES DE PAIEMENT AFRICAINES
 // ========================================
@@ -75,6 +139,34 @@ const FABRIC_TYPES = {
   SHOOWA: 'shoowa'
 };
 
+// ========================================
+// IMPORT DE PRODUITS EN MASSE (CSV/XLSX)
+// ========================================
+// Champ importé -> en-têtes reconnus sans correspondance explicite
+// (comparés sans casse, accents, espaces ni ponctuation)
+const PRODUCT_IMPORT_FIELDS = {
+  sku: ['sku', 'reference', 'ref', 'codearticle'],
+  name: ['name', 'nom', 'designation', 'produit'],
+  description: ['description'],
+  shortDescription: ['shortdescription', 'descriptioncourte', 'resume'],
+  price: ['price', 'prix', 'prixdevente'],
+  compareAtPrice: ['compareatprice', 'prixbarre', 'ancienprix'],
+  costPrice: ['costprice', 'prixdachat', 'cout'],
+  category: ['category', 'categorie'],
+  fabricType: ['fabrictype', 'tissu', 'typedetissu'],
+  fabricOrigin: ['fabricorigin', 'origine', 'originedutissu'],
+  careInstructions: ['careinstructions', 'entretien'],
+  stockQuantity: ['stock', 'stockquantity', 'quantite', 'qte'],
+  lowStockThreshold: ['lowstockthreshold', 'seuil', 'seuilalerte'],
+  weight: ['weight', 'poids'],
+  barcode: ['barcode', 'codebarre', 'ean'],
+  colors: ['colors', 'couleurs'],
+  sizes: ['sizes', 'tailles'],
+  tags: ['tags', 'motscles'],
+  status: ['status', 'statut'],
+  images: ['images', 'image', 'photos']
+};
+
 // ========================================
 // PAYS AFRICAINS SUPPORTÉS
 // ========================================
@@ -214,6 +306,48 @@ const STORE_STATUS = {
   CLOSED: 'closed'
 };
 
+// ========================================
+// ÉQUIPE DES BOUTIQUES
+// ========================================
+const STORE_MEMBER_ROLES = {
+  MANAGER: 'manager', // Gérant: catalogue, commandes et réglages de la boutique
+  PACKER: 'packer', // Préparateur: traitement et expédition des commandes
+  SUPPORT: 'support' // Service client: consultation et annulation des commandes
+};
+
+const STORE_MEMBER_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+// Permissions au sein d'une boutique et rôles de l'équipe qui les reçoivent.
+// Le propriétaire de la boutique dispose de toutes ces permissions.
+const STORE_PERMISSIONS = {
+  'store:update': ['manager'],
+  'store:view_analytics': ['manager'],
+  'store:manage_members': [],
+  'store:manage_api_keys': [],
+  'products:manage': ['manager'],
+  'inventory:manage': ['manager'],
+  'inventory:transfer': ['manager'],
+  'orders:read': ['manager', 'packer', 'support'],
+  'orders:update_status': ['manager', 'packer'],
+  'orders:cancel': ['manager', 'support']
+};
+
+// Permissions de boutique pouvant être accordées à une clé d'API
+// (la gestion de la boutique, de l'équipe et des clés reste réservée au propriétaire)
+const API_KEY_SCOPES = [
+  'products:manage',
+  'inventory:manage',
+  'inventory:transfer',
+  'orders:read',
+  'orders:update_status',
+  'orders:cancel',
+  'store:view_analytics'
+];
+
 // ========================================
 // TYPES DE LIVRAISON
 // ========================================
@@ -282,6 +416,30 @@ const NOTIFICATION_TYPES = {
   PROMOTION: 'promotion'
 };
 
+// ========================================
+// CONSENTEMENTS
+// ========================================
+const CONSENT_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms'
+};
+
+const CONSENT_PURPOSES = {
+  MARKETING: 'marketing',
+  ORDER_NOTIFICATIONS: 'order_notifications',
+  POLICY: 'policy' // conditions d'utilisation et politique de confidentialité
+};
+
+// Origine d'une décision enregistrée dans le registre des consentements
+const CONSENT_SOURCES = {
+  REGISTRATION: 'registration',
+  PROFILE: 'profile',
+  PREFERENCE_CENTER: 'preference_center',
+  UNSUBSCRIBE_LINK: 'unsubscribe_link',
+  POLICY_ACCEPTANCE: 'policy_acceptance',
+  LEGACY: 'legacy'
+};
+
 // ========================================
 // NIVEAUX DE FIDÉLITÉ
 // ========================================
@@ -350,6 +508,71 @@ const BRAND_COLORS = {
   ACCENT_SAGE: '#6B8E23' // Vert sauge
 };
 
+// ========================================
+// VERSIONS DE L'API
+// ========================================
+// Versions servies sous /api/<version>, de la plus ancienne à la plus récente.
+// Les applications mobiles ne pouvant pas être forcées à se mettre à jour, une
+// version n'est retirée qu'après la date Sunset annoncée sur ses endpoints.
+const API_VERSIONS = {
+  V1: 'v1',
+  V2: 'v2'
+};
+
+// ========================================
+// PERMISSIONS
+// ========================================
+// Registre des permissions de la plateforme. `defaultRoles` ne sert qu'à
+// l'initialisation: la correspondance rôle -> permissions est stockée en base
+// (role_permissions) et modifiable par les super admins, qui disposent
+// toujours de toutes les permissions.
+// Les permissions au sein d'une boutique (équipe, clés d'API) sont déclarées à
+// part dans STORE_PERMISSIONS.
+const PERMISSIONS = {
+  // Utilisateurs
+  'users:read': { group: 'users', description: 'Consulter les comptes utilisateurs', defaultRoles: ['admin'] },
+  'users:update_status': { group: 'users', description: 'Activer, suspendre ou bannir un compte', defaultRoles: ['admin'] },
+  'users:unlock': { group: 'users', description: 'Déverrouiller un compte bloqué', defaultRoles: ['admin'] },
+  'users:force_logout': { group: 'users', description: 'Fermer toutes les sessions d\'un utilisateur', defaultRoles: ['admin'] },
+  'users:impersonate': { group: 'users', description: 'Se connecter en tant que client ou vendeur (support)', defaultRoles: ['admin'] },
+
+  // Boutiques
+  'stores:create': { group: 'stores', description: 'Ouvrir une boutique', defaultRoles: ['customer', 'vendor', 'admin'] },
+  'stores:manage_all': { group: 'stores', description: 'Modifier ou supprimer n\'importe quelle boutique', defaultRoles: ['admin'] },
+  'stores:verify': { group: 'stores', description: 'Vérifier une boutique', defaultRoles: ['admin'] },
+  'stores:suspend': { group: 'stores', description: 'Suspendre une boutique', defaultRoles: ['admin'] },
+  'stores:view_stats': { group: 'stores', description: 'Statistiques globales des boutiques', defaultRoles: ['admin'] },
+
+  // Catalogue
+  'categories:manage': { group: 'categories', description: 'Créer, modifier et ordonner les catégories', defaultRoles: ['admin'] },
+  'categories:view_stats': { group: 'categories', description: 'Statistiques des catégories', defaultRoles: ['admin'] },
+  'products:manage_all': { group: 'products', description: 'Gérer les produits de toutes les boutiques', defaultRoles: ['admin'] },
+
+  // Commandes
+  'orders:read_all': { group: 'orders', description: 'Consulter toutes les commandes', defaultRoles: ['manager', 'admin'] },
+  'orders:manage_all': { group: 'orders', description: 'Mettre à jour le statut de toutes les commandes', defaultRoles: ['manager', 'admin'] },
+  'orders:cancel_any': { group: 'orders', description: 'Annuler n\'importe quelle commande', defaultRoles: ['admin'] },
+  'orders:bulk_update': { group: 'orders', description: 'Mise à jour des commandes en lot', defaultRoles: ['admin'] },
+  'orders:view_stats': { group: 'orders', description: 'Statistiques des commandes', defaultRoles: ['manager', 'admin'] },
+
+  // Paiements
+  'payments:read_all': { group: 'payments', description: 'Consulter tous les paiements', defaultRoles: ['manager', 'admin'] },
+  'payments:refund': { group: 'payments', description: 'Rembourser un paiement', defaultRoles: ['admin'] },
+  'payments:view_stats': { group: 'payments', description: 'Statistiques des paiements', defaultRoles: ['manager', 'admin'] },
+  'payments:simulate': { group: 'payments', description: 'Outils de test des paiements', defaultRoles: ['admin'] },
+  'payments:reconcile': { group: 'payments', description: 'Rapprochement des paiements', defaultRoles: ['admin'] },
+
+  // Analytics
+  'analytics:view_platform': { group: 'analytics', description: 'Tableaux de bord de la plateforme', defaultRoles: ['manager', 'admin'] },
+  'analytics:view_store': { group: 'analytics', description: 'Analytics des ventes, produits et clients', defaultRoles: ['vendor', 'manager', 'admin'] },
+  'analytics:view_financial': { group: 'analytics', description: 'Rapports financiers', defaultRoles: ['admin'] },
+  'analytics:export': { group: 'analytics', description: 'Export des données analytics', defaultRoles: ['admin'] },
+
+  // Administration
+  'permissions:manage': { group: 'permissions', description: 'Modifier les permissions des rôles', defaultRoles: [] },
+  'audit_logs:read': { group: 'audit', description: 'Consulter et exporter le journal d\'audit', defaultRoles: ['admin'] }
+};
+
 // ========================================
 // EXPORTS
 // ========================================
@@ -357,9 +580,16 @@ module.exports = {
   USER_ROLES,
   USER_STATUS,
   ORDER_STATUS,
+  RESERVATION_STATUS,
+  STOCK_LOCATION_TYPES,
+  STOCK_TRANSFER_STATUS,
+  STOCK_MOVEMENT_TYPES,
+  STOCK_MOVEMENT_REASONS,
+  STOCK_ADJUSTMENT_REASONS,
   PAYMENT_METHODS,
   PAYMENT_STATUS,
   FABRIC_TYPES,
+  PRODUCT_IMPORT_FIELDS,
   AFRICAN_COUNTRIES,
   CURRENCIES,
   LANGUAGES,
@@ -368,15 +598,24 @@ module.exports = {
   CULTURAL_OCCASIONS,
   ARTISAN_CRAFTS,
   STORE_STATUS,
+  STORE_MEMBER_ROLES,
+  STORE_MEMBER_STATUS,
+  STORE_PERMISSIONS,
+  API_KEY_SCOPES,
   DELIVERY_TYPES,
   SHIPPING_CARRIERS,
   PAYMENT_FEES,
   SYSTEM_LIMITS,
   NOTIFICATION_TYPES,
+  CONSENT_CHANNELS,
+  CONSENT_PURPOSES,
+  CONSENT_SOURCES,
   LOYALTY_TIERS,
   RETURN_REASONS,
   CONTENT_TYPES,
   ALLOWED_FILE_FORMATS,
   REGEX_PATTERNS,
-  BRAND_COLORS
+  BRAND_COLORS,
+  API_VERSIONS,
+  PERMISSIONS
 };
@@ -4,6 +4,7 @@
  */
 
 const crypto = require('crypto');
+const path = require('path');
 const moment = require('moment');
 const { CURRENCIES, AFRICAN_COUNTRIES, PAYMENT_FEES, LOYALTY_TIERS } = require('./constants');
 
@@ -210,19 +211,35 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
 // ========================================
 
 /**
- * Formater un numéro de téléphone africain
+ * Formater un numéro de téléphone africain au format international (+228...)
+ * countryCode: code ISO du pays ('TG', 'BJ'...) utilisé pour les numéros locaux
  */
 const formatAfricanPhoneNumber = (phone, countryCode = 'TG') => {
   if (!phone) return null;
 
   // Nettoyer le numéro
-  let cleanPhone = phone.replace(/[^0-9+]/g, '');
+  let cleanPhone = String(phone).replace(/[^0-9+]/g, '').replace(/(?!^)\+/g, '');
+
+  // Préfixe international 00 -> +
+  if (cleanPhone.startsWith('00')) {
+    cleanPhone = '+' + cleanPhone.slice(2);
+  }
 
   // Si pas de code pays, l'ajouter
   if (!cleanPhone.startsWith('+')) {
-    const country = AFRICAN_COUNTRIES[countryCode];
-    if (country && !cleanPhone.startsWith('00')) {
-      cleanPhone = country.phone + cleanPhone;
+    const country = Object.values(AFRICAN_COUNTRIES).find(c => c.code === countryCode) ||
+      AFRICAN_COUNTRIES[countryCode];
+
+    if (country) {
+      const dialCode = country.phone.slice(1);
+
+      if (cleanPhone.startsWith(dialCode) && cleanPhone.length >= dialCode.length + 8) {
+        // Indicatif déjà présent sans le + (ex: 22870123456)
+        cleanPhone = '+' + cleanPhone;
+      } else {
+        // Numéro local: retirer le préfixe national 0 (ex: 0241234567 au Ghana)
+        cleanPhone = country.phone + cleanPhone.replace(/^0+/, '');
+      }
     }
   }
 
@@ -283,6 +300,20 @@ const addBusinessDays = (date, days) => {
   return result.toDate();
 };
 
+/**
+ * Convertir une durée ('30d', '15m', '12h', 3600) en millisecondes
+ * Un nombre seul est interprété en secondes (comme jsonwebtoken)
+ */
+const durationToMs = (duration) => {
+  if (typeof duration === 'number') return duration * 1000;
+
+  const match = /^(\d+)\s*(s|m|h|d|w)?$/.exec(String(duration).trim());
+  if (!match) return null;
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  return parseInt(match[1]) * units[match[2] || 's'];
+};
+
 // ========================================
 // SÉCURITÉ ET CRYPTOGRAPHIE
 // ========================================
@@ -442,6 +473,93 @@ const uniqueBy = (array, key) => {
   });
 };
 
+// ========================================
+// UTILITAIRES EXPORT
+// ========================================
+
+/**
+ * Échapper une valeur pour un fichier CSV
+ * Les textes commençant par = + - @ sont préfixés pour ne pas être
+ * interprétés comme des formules par les tableurs (les nombres, y compris
+ * les montants décimaux renvoyés en texte, restent intacts).
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\n\r;]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Construire une ligne CSV (terminée par un saut de ligne)
+ */
+const toCsvRow = (values) => {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+};
+
+// ========================================
+// UTILITAIRES FICHIERS
+// ========================================
+
+/**
+ * Chemin local d'une URL de fichier uploadé (.../uploads/...)
+ * Retourne null pour une URL externe ou qui sort du dossier des uploads
+ */
+const resolveUploadPath = (url, uploadsDir = process.env.UPLOAD_PATH || 'uploads') => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  if (!pathname.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const root = path.resolve(uploadsDir);
+  const filePath = path.resolve(root, pathname.slice('/uploads/'.length));
+
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+/**
+ * Liste d'URLs d'une colonne JSON (media_urls, images...)
+ */
+const parseMediaUrls = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return [];
+};
+
 // ========================================
 // UTILITAIRES COULEURS
 // ========================================
@@ -505,6 +623,7 @@ module.exports = {
   formatAfricanDate,
   calculateBusinessDays,
   addBusinessDays,
+  durationToMs,
   
   // Sécurité
   hashString,
@@ -526,6 +645,14 @@ module.exports = {
   groupBy,
   uniqueBy,
   
+  // Export
+  escapeCsvValue,
+  toCsvRow,
+  
+  // Fichiers
+  resolveUploadPath,
+  parseMediaUrls,
+  
   // Couleurs
   hexToRgb,
   calculateLuminance,
@@ -0,0 +1,75 @@
+const { Writable } = require('stream');
+const auditController = require('../../src/controllers/auditController');
+const AuditLog = require('../../src/models/AuditLog');
+
+// Mock des dépendances
+jest.mock('../../src/config/database', () => jest.fn());
+jest.mock('../../src/models/AuditLog');
+jest.mock('../../src/services/auditService');
+
+const LOG_COUNT = 50;
+
+/**
+ * Réponse HTTP simulée: un flux au tampon réduit qui écrit lentement
+ */
+const createResponse = () => {
+  const res = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      res.body += chunk.toString();
+      res.flushed += 1;
+      setImmediate(callback);
+    }
+  });
+  res.body = '';
+  res.flushed = 0;
+  res.setHeader = jest.fn();
+  return res;
+};
+
+/**
+ * Journal simulé: note l'avance maximale de la lecture sur l'écriture
+ */
+const mockLogs = (res, progress) => {
+  AuditLog.iterate.mockImplementation(async function* () {
+    for (let i = 0; i < LOG_COUNT; i += 1) {
+      progress.read += 1;
+      progress.maxAhead = Math.max(progress.maxAhead, progress.read - res.flushed);
+      yield { created_at: new Date('2025-10-12T10:00:00Z'), action: `order.update_${i}` };
+    }
+  });
+};
+
+describe('Audit Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('exportAuditLogs', () => {
+    it('attend que la réponse se vide avant de lire la suite du journal', async () => {
+      const res = createResponse();
+      const progress = { read: 0, maxAhead: 0 };
+      mockLogs(res, progress);
+
+      auditController.exportAuditLogs({ query: {} }, res, jest.fn());
+      await new Promise(resolve => res.on('finish', resolve));
+
+      expect(res.body.split('\r\n').filter(Boolean)).toHaveLength(LOG_COUNT + 1);
+      expect(res.body).toContain('order.update_49');
+      expect(progress.maxAhead).toBeLessThan(LOG_COUNT / 2);
+    });
+
+    it('arrête la lecture si le client se déconnecte', async () => {
+      const res = createResponse();
+      const progress = { read: 0, maxAhead: 0 };
+      mockLogs(res, progress);
+
+      auditController.exportAuditLogs({ query: {} }, res, jest.fn());
+      setImmediate(() => res.destroy());
+      await new Promise(resolve => res.on('close', resolve));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(progress.read).toBeLessThan(LOG_COUNT);
+    });
+  });
+});
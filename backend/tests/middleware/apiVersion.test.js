@@ -0,0 +1,86 @@
+const { setApiVersion, resolveApiVersion, deprecated } = require('../../src/middleware/apiVersion');
+
+describe('API Version Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      headers: {},
+      get: jest.fn((name) => req.headers[name.toLowerCase()])
+    };
+    res = {
+      set: jest.fn(),
+      append: jest.fn(),
+      vary: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  describe('setApiVersion', () => {
+    it('fixe la version du préfixe de montage', () => {
+      setApiVersion('v2')(req, res, next);
+
+      expect(req.apiVersion).toBe('v2');
+      expect(req.apiBasePath).toBe('/api/v2');
+      expect(res.set).toHaveBeenCalledWith('API-Version', 'v2');
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('resolveApiVersion', () => {
+    it('utilise la version par défaut sans en-tête', () => {
+      resolveApiVersion(req, res, next);
+
+      expect(req.apiVersion).toBe('v1');
+      expect(req.apiBasePath).toBe('/api');
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('lit la version de l\'en-tête Accept-Version', () => {
+      req.headers['accept-version'] = 'v2';
+
+      resolveApiVersion(req, res, next);
+
+      expect(req.apiVersion).toBe('v2');
+      expect(res.vary).toHaveBeenCalledWith('Accept-Version');
+    });
+
+    it('refuse une version inconnue', () => {
+      req.headers['accept-version'] = 'v9';
+
+      resolveApiVersion(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 400,
+        code: 'UNSUPPORTED_API_VERSION'
+      }));
+    });
+  });
+
+  describe('deprecated', () => {
+    const retired = deprecated({ since: '2025-10-20', sunset: '2026-12-31', successor: '/auth/refresh', removedIn: 'v2' });
+
+    it('annonce la dépréciation et le remplaçant', () => {
+      setApiVersion('v1')(req, res, jest.fn());
+
+      retired(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Deprecation', `@${Date.UTC(2025, 9, 20) / 1000}`);
+      expect(res.set).toHaveBeenCalledWith('Sunset', 'Thu, 31 Dec 2026 00:00:00 GMT');
+      expect(res.append).toHaveBeenCalledWith('Link', '</api/v1/auth/refresh>; rel="successor-version"');
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('répond 410 dans les versions où l\'endpoint est retiré', () => {
+      setApiVersion('v2')(req, res, jest.fn());
+
+      retired(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 410,
+        code: 'ENDPOINT_REMOVED'
+      }));
+      expect(res.set).not.toHaveBeenCalledWith('Deprecation', expect.anything());
+    });
+  });
+});
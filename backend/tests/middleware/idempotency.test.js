@@ -0,0 +1,77 @@
+const { idempotency } = require('../../src/middleware/idempotency');
+const idempotencyService = require('../../src/services/idempotencyService');
+
+jest.mock('../../src/services/idempotencyService');
+
+describe('Idempotency Middleware', () => {
+  let req, res, next, json;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      headers: { 'idempotency-key': 'retry-123' },
+      get: jest.fn((name) => req.headers[name.toLowerCase()]),
+      user: { id: 'user-1' },
+      body: { orderId: 'order-1' }
+    };
+    json = jest.fn();
+    res = {
+      statusCode: 200,
+      set: jest.fn(),
+      status: jest.fn(function(code) { this.statusCode = code; return this; }),
+      json
+    };
+    next = jest.fn();
+
+    idempotencyService.getEndpoint.mockReturnValue('POST /payments/initiate');
+    idempotencyService.getFingerprint.mockReturnValue('fingerprint-1');
+  });
+
+  it('laisse passer une requête sans en-tête', async () => {
+    delete req.headers['idempotency-key'];
+
+    await idempotency(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(idempotencyService.begin).not.toHaveBeenCalled();
+  });
+
+  it('rejoue la réponse enregistrée', async () => {
+    idempotencyService.begin.mockResolvedValue({ replay: { status: 201, body: { success: true } } });
+
+    await idempotency(req, res, next);
+
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(json).toHaveBeenCalledWith({ success: true });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('enregistre la réponse avant de l\'envoyer', async () => {
+    const record = { id: 'key-1' };
+    idempotencyService.begin.mockResolvedValue({ record });
+    idempotencyService.finish.mockResolvedValue();
+
+    await idempotency(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+
+    res.status(201).json({ success: true, data: { paymentId: 'payment-1' } });
+    await new Promise(setImmediate);
+
+    expect(idempotencyService.finish).toHaveBeenCalledWith(record, {
+      status: 201,
+      body: { success: true, data: { paymentId: 'payment-1' } }
+    });
+    expect(json).toHaveBeenCalledWith({ success: true, data: { paymentId: 'payment-1' } });
+  });
+
+  it('transmet le conflit d\'une requête concurrente', async () => {
+    const conflict = Object.assign(new Error('En cours'), { statusCode: 409 });
+    idempotencyService.begin.mockRejectedValue(conflict);
+
+    await idempotency(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(conflict);
+  });
+});
@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const db = require('../../src/config/database');
+const User = require('../../src/models/User');
+const Permission = require('../../src/models/Permission');
+const { requireAuth, denyImpersonation } = require('../../src/middleware/auth');
+
+describe('Impersonation', () => {
+  let req, res, next, customer, admin;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(async () => {
+    customer = await User.create({
+      email: 'client@test.com',
+      password: 'Password123!',
+      first_name: 'Kossi',
+      last_name: 'Client'
+    });
+    admin = await User.create({
+      email: 'admin@test.com',
+      password: 'Password123!',
+      first_name: 'Ama',
+      last_name: 'Admin',
+      role: 'admin'
+    });
+    await db('users').whereIn('id', [customer.id, admin.id]).update({ status: 'active' });
+    await Permission.syncRegistry();
+
+    req = {
+      headers: {},
+      method: 'GET',
+      originalUrl: '/api/orders',
+      ip: '127.0.0.1'
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn()
+    };
+    next = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '15m', jwtid: 'jti-1' });
+
+  describe('requireAuth', () => {
+    it('expose req.impersonator pour un token d\'impersonation', async () => {
+      req.headers.authorization = `Bearer ${sign({ userId: customer.id, impersonatorId: admin.id, scope: 'impersonation' })}`;
+
+      await requireAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(customer.id);
+      expect(req.impersonator).toEqual(expect.objectContaining({ id: admin.id, role: 'admin', firstName: 'Ama' }));
+      expect(res.set).toHaveBeenCalledWith('X-Impersonated-By', admin.id);
+    });
+
+    it('laisse req.impersonator à null pour un token ordinaire', async () => {
+      req.headers.authorization = `Bearer ${sign({ userId: customer.id })}`;
+
+      await requireAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(customer.id);
+      expect(req.impersonator).toBeNull();
+      expect(res.set).not.toHaveBeenCalled();
+    });
+
+    it('refuse le token si l\'administrateur a perdu la permission', async () => {
+      await db('role_permissions').where({ role: 'admin', permission_key: 'users:impersonate' }).del();
+      req.headers.authorization = `Bearer ${sign({ userId: customer.id, impersonatorId: admin.id, scope: 'impersonation' })}`;
+
+      await requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMPERSONATION_REVOKED' }));
+    });
+
+    it('refuse le token si l\'administrateur n\'existe plus', async () => {
+      await db('users').where({ id: admin.id }).update({ deleted_at: db.fn.now() });
+      req.headers.authorization = `Bearer ${sign({ userId: customer.id, impersonatorId: admin.id, scope: 'impersonation' })}`;
+
+      await requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('denyImpersonation', () => {
+    it('bloque les actions sensibles sous impersonation', () => {
+      req.user = { id: customer.id, role: 'customer' };
+      req.impersonator = { id: admin.id };
+
+      denyImpersonation(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'IMPERSONATION_FORBIDDEN' }));
+    });
+
+    it('laisse passer une session ordinaire', () => {
+      req.user = { id: customer.id, role: 'customer' };
+      req.impersonator = null;
+
+      denyImpersonation(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const Permission = require('../../src/models/Permission');
+const User = require('../../src/models/User');
+const db = require('../../src/config/database');
+const { PERMISSIONS } = require('../../src/utils/constants');
+
+describe('Permission Model', () => {
+  beforeEach(async () => {
+    await Permission.syncRegistry();
+  });
+
+  describe('syncRegistry', () => {
+    it('should store every registered permission', async () => {
+      const permissions = await Permission.findAll();
+
+      expect(permissions).toHaveLength(Object.keys(PERMISSIONS).length);
+    });
+
+    it('should grant the default roles', async () => {
+      const managerPermissions = await Permission.getKeysForRole('manager');
+
+      expect(managerPermissions).toContain('orders:read_all');
+      expect(managerPermissions).not.toContain('payments:refund');
+    });
+
+    it('should not grant again a permission removed by a super admin', async () => {
+      await db('role_permissions')
+        .where({ role: 'admin', permission_key: 'payments:refund' })
+        .del();
+
+      const added = await Permission.syncRegistry();
+
+      expect(added).toEqual([]);
+      expect(await Permission.getKeysForRole('admin')).not.toContain('payments:refund');
+    });
+
+    it('should remove the permissions that are now scoped to a store', async () => {
+      await db('permissions').insert({ key: 'products:manage', group: 'products' });
+      await db('role_permissions').insert({ role: 'vendor', permission_key: 'products:manage' });
+
+      await Permission.syncRegistry();
+
+      expect(await Permission.getKeysForRole('vendor')).not.toContain('products:manage');
+      expect(await db('permissions').where({ key: 'products:manage' }).first()).toBeUndefined();
+    });
+  });
+
+  describe('getKeysForRole', () => {
+    it('should give every permission to super admins', async () => {
+      const permissions = await Permission.getKeysForRole('super_admin');
+
+      expect(permissions).toEqual(Object.keys(PERMISSIONS));
+    });
+  });
+
+  describe('setRolePermissions', () => {
+    it('should replace the permissions of a role and record who granted them', async () => {
+      const superAdmin = await User.create({
+        email: 'super-admin@test.com',
+        password: 'Password123!',
+        first_name: 'Super',
+        last_name: 'Admin',
+        role: 'super_admin'
+      });
+
+      const changes = await Permission.setRolePermissions(
+        'manager',
+        ['orders:read_all', 'payments:refund'],
+        superAdmin.id
+      );
+
+      expect(changes.added).toEqual(['payments:refund']);
+      expect(changes.removed).toEqual(expect.arrayContaining(['orders:view_stats']));
+
+      const permissions = await Permission.getKeysForRole('manager');
+      expect(permissions.sort()).toEqual(['orders:read_all', 'payments:refund']);
+
+      const grant = await db('role_permissions')
+        .where({ role: 'manager', permission_key: 'payments:refund' })
+        .first();
+      expect(grant.granted_by).toBe(superAdmin.id);
+    });
+  });
+});
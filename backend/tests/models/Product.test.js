@@ -2,6 +2,7 @@ const Product = require('../../src/models/Product');
 const Store = require('../../src/models/Store');
 const Category = require('../../src/models/Category');
 const User = require('../../src/models/User');
+const db = require('../../src/config/database');
 
 describe('Product Model', () => {
   let store, category, owner;
@@ -429,4 +430,60 @@ describe('Product Model', () => {
       expect(deletedProduct).toBeNull();
     });
   });
-});
\ No newline at end of file
+});
+describe('Product.getLowStock', () => {
+  let store, warehouse, shop, wax, kente;
+
+  beforeEach(async () => {
+    const owner = await User.create({
+      email: 'low-stock-owner@test.com',
+      password: 'Password123!',
+      first_name: 'Low',
+      last_name: 'Stock',
+      role: 'vendor'
+    });
+
+    [store] = await db('stores')
+      .insert({ name: 'Boutique Stock', slug: 'boutique-stock', owner_id: owner.id, address: '1 Rue du Port', city: 'Lomé', country: 'TG' })
+      .returning('*');
+    const [category] = await db('categories').insert({ name: 'Tissus', slug: 'tissus' }).returning('*');
+
+    [warehouse, shop] = await db('stock_locations')
+      .insert([
+        { store_id: store.id, name: 'Entrepôt', code: 'ENT', is_default: true },
+        { store_id: store.id, name: 'Magasin', code: 'MAG' }
+      ])
+      .returning('*');
+
+    [wax, kente] = await db('products')
+      .insert([
+        { store_id: store.id, category_id: category.id, name: 'Pagne wax', slug: 'pagne-wax', price: 15000, status: 'active', low_stock_threshold: 5 },
+        { store_id: store.id, category_id: category.id, name: 'Kente', slug: 'kente', price: 45000, status: 'active', track_inventory: false }
+      ])
+      .returning('*');
+
+    await db('stock_levels').insert([
+      { product_id: wax.id, location_id: warehouse.id, quantity: 20, reserved_quantity: 16 },
+      { product_id: wax.id, location_id: shop.id, quantity: 12, reserved_quantity: 0, low_stock_threshold: 12 },
+      { product_id: kente.id, location_id: warehouse.id, quantity: 0, reserved_quantity: 0 }
+    ]);
+  });
+
+  it('signale chaque lieu où le disponible atteint le seuil, sans les produits non suivis', async () => {
+    const levels = await Product.getLowStock(store.id);
+
+    expect(levels.map(level => [level.location.code, level.productId, level.availableQuantity])).toEqual([
+      ['ENT', wax.id, 4],
+      ['MAG', wax.id, 12]
+    ]);
+    expect(levels[0].lowStockThreshold).toBe(5);
+  });
+
+  it('applique le seuil propre au lieu et filtre par lieu', async () => {
+    const levels = await Product.getLowStock(store.id, { locationId: shop.id });
+
+    expect(levels).toEqual([
+      expect.objectContaining({ productId: wax.id, availableQuantity: 12, lowStockThreshold: 12 })
+    ]);
+  });
+});
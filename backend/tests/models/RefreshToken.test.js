@@ -0,0 +1,92 @@
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+const db = require('../../src/config/database');
+
+describe('RefreshToken Model', () => {
+  let testUser;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      email: 'refresh-test@test.com',
+      password: 'Password123!',
+      first_name: 'Refresh',
+      last_name: 'Test'
+    });
+  });
+
+  describe('issue', () => {
+    it('should store a hash and never the plain token', async () => {
+      const { token, record } = await RefreshToken.issue(testUser.id, { deviceName: 'Pixel 7' });
+
+      expect(token).toHaveLength(80);
+      expect(record.token_hash).not.toBe(token);
+      expect(record.device_name).toBe('Pixel 7');
+      expect(record.family_id).toBeDefined();
+      expect(new Date(record.expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should find a token by its plain value', async () => {
+      const { token, record } = await RefreshToken.issue(testUser.id);
+
+      const found = await RefreshToken.findByToken(token);
+
+      expect(found.id).toBe(record.id);
+    });
+  });
+
+  describe('rotate', () => {
+    it('should issue a child token in the same family', async () => {
+      const { token, record } = await RefreshToken.issue(testUser.id);
+
+      const result = await RefreshToken.rotate(token);
+
+      expect(result.status).toBe('rotated');
+      expect(result.token).not.toBe(token);
+      expect(result.record.family_id).toBe(record.family_id);
+      expect(result.record.parent_id).toBe(record.id);
+      expect(new Date(result.record.expires_at).getTime()).toBe(new Date(record.expires_at).getTime());
+    });
+
+    it('should revoke the whole family when a used token is replayed', async () => {
+      const { token, record } = await RefreshToken.issue(testUser.id);
+      const first = await RefreshToken.rotate(token);
+
+      const replay = await RefreshToken.rotate(token);
+
+      expect(replay.status).toBe('reused');
+
+      const family = await db('refresh_tokens').where({ family_id: record.family_id });
+      expect(family.every(t => t.revoked_at !== null)).toBe(true);
+
+      const afterReuse = await RefreshToken.rotate(first.token);
+      expect(afterReuse.status).toBe('revoked');
+    });
+
+    it('should reject an expired token', async () => {
+      const { token } = await RefreshToken.issue(testUser.id, {
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      const result = await RefreshToken.rotate(token);
+
+      expect(result.status).toBe('expired');
+    });
+
+    it('should reject an unknown token', async () => {
+      const result = await RefreshToken.rotate('unknown-token');
+
+      expect(result.status).toBe('invalid');
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('should revoke every active token of the user', async () => {
+      await RefreshToken.issue(testUser.id);
+      await RefreshToken.issue(testUser.id);
+
+      const revoked = await RefreshToken.revokeAllForUser(testUser.id, 'logout_all');
+
+      expect(revoked).toBe(2);
+    });
+  });
+});
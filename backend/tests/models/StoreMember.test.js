@@ -0,0 +1,89 @@
+const StoreMember = require('../../src/models/StoreMember');
+const User = require('../../src/models/User');
+const db = require('../../src/config/database');
+
+describe('StoreMember Model', () => {
+  let owner, staff, store;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      email: 'team-owner@test.com',
+      password: 'Password123!',
+      first_name: 'Team',
+      last_name: 'Owner',
+      role: 'vendor'
+    });
+
+    staff = await User.create({
+      email: 'packer@test.com',
+      password: 'Password123!',
+      first_name: 'Pack',
+      last_name: 'Er'
+    });
+
+    [store] = await db('stores')
+      .insert({
+        name: 'Boutique Équipe',
+        slug: 'boutique-equipe',
+        description: 'Boutique avec une équipe',
+        owner_id: owner.id,
+        city: 'Lomé',
+        country: 'TG',
+        address: '1 Rue du Commerce, Lomé'
+      })
+      .returning('*');
+  });
+
+  describe('invite', () => {
+    it('should create a pending invitation with a hashed token', async () => {
+      const { token, member } = await StoreMember.invite(store.id, {
+        email: 'Packer@Test.com',
+        role: 'packer',
+        invitedBy: owner.id
+      });
+
+      expect(member.email).toBe('packer@test.com');
+      expect(member.status).toBe('pending');
+      expect(member.invitation_token_hash).not.toBe(token);
+
+      const found = await StoreMember.findByInvitationToken(token);
+      expect(found.id).toBe(member.id);
+    });
+
+    it('should renew a previous invitation for the same email', async () => {
+      const first = await StoreMember.invite(store.id, { email: 'packer@test.com', role: 'packer', invitedBy: owner.id });
+      const second = await StoreMember.invite(store.id, { email: 'packer@test.com', role: 'support', invitedBy: owner.id });
+
+      expect(second.member.id).toBe(first.member.id);
+      expect(second.member.role).toBe('support');
+      expect(await StoreMember.findByInvitationToken(first.token)).toBeUndefined();
+    });
+  });
+
+  describe('accept', () => {
+    it('should attach the invitation to the user account', async () => {
+      const { token, member } = await StoreMember.invite(store.id, { email: 'packer@test.com', role: 'packer', invitedBy: owner.id });
+
+      const accepted = await StoreMember.accept(member.id, staff.id);
+
+      expect(accepted.status).toBe('active');
+      expect(accepted.user_id).toBe(staff.id);
+      expect(await StoreMember.findByInvitationToken(token)).toBeUndefined();
+
+      const active = await StoreMember.findActive(store.id, staff.id);
+      expect(active.role).toBe('packer');
+    });
+  });
+
+  describe('revoke', () => {
+    it('should remove the member from the team', async () => {
+      const { member } = await StoreMember.invite(store.id, { email: 'packer@test.com', role: 'packer', invitedBy: owner.id });
+      await StoreMember.accept(member.id, staff.id);
+
+      await StoreMember.revoke(member.id);
+
+      expect(await StoreMember.findActive(store.id, staff.id)).toBeUndefined();
+      expect(await StoreMember.findByStore(store.id)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const UserSession = require('../../src/models/UserSession');
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+
+describe('UserSession Model', () => {
+  let testUser;
+
+  const mockRequest = (userAgent, body = {}) => ({
+    body,
+    ip: '197.149.1.10',
+    get: (header) => (header === 'User-Agent' ? userAgent : undefined)
+  });
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      email: 'session-test@test.com',
+      password: 'Password123!',
+      first_name: 'Session',
+      last_name: 'Test'
+    });
+  });
+
+  describe('detectPlatform', () => {
+    it('should detect mobile clients from the user agent', () => {
+      expect(UserSession.detectPlatform(mockRequest('okhttp/4.9.0'))).toBe('mobile');
+      expect(UserSession.detectPlatform(mockRequest('Mozilla/5.0 (Windows NT 10.0)'))).toBe('web');
+    });
+
+    it('should prefer the platform declared by the client', () => {
+      expect(UserSession.detectPlatform(mockRequest('Mozilla/5.0', { platform: 'mobile' }))).toBe('mobile');
+    });
+  });
+
+  describe('create', () => {
+    it('should record the device of a new session', async () => {
+      const { record } = await RefreshToken.issue(testUser.id);
+
+      const session = await UserSession.create(
+        testUser.id,
+        record.family_id,
+        mockRequest('Mozilla/5.0', { deviceName: 'Laptop' })
+      );
+
+      expect(session.device_name).toBe('Laptop');
+      expect(session.platform).toBe('web');
+      expect(session.ip_address).toBe('197.149.1.10');
+      expect(session.device_fingerprint).toHaveLength(64);
+    });
+  });
+
+  describe('isKnownDevice', () => {
+    it('should return null for the first session of an account', async () => {
+      const known = await UserSession.isKnownDevice(testUser.id, 'fingerprint');
+
+      expect(known).toBeNull();
+    });
+
+    it('should recognize a device already used', async () => {
+      const { record } = await RefreshToken.issue(testUser.id);
+      const session = await UserSession.create(testUser.id, record.family_id, mockRequest('Mozilla/5.0'));
+
+      expect(await UserSession.isKnownDevice(testUser.id, session.device_fingerprint)).toBe(true);
+      expect(await UserSession.isKnownDevice(testUser.id, 'other-device')).toBe(false);
+    });
+  });
+
+  describe('findActiveByUser', () => {
+    it('should hide sessions whose refresh tokens were revoked', async () => {
+      const first = await RefreshToken.issue(testUser.id);
+      const second = await RefreshToken.issue(testUser.id);
+      await UserSession.create(testUser.id, first.record.family_id, mockRequest('Mozilla/5.0'));
+      await UserSession.create(testUser.id, second.record.family_id, mockRequest('okhttp/4.9.0'));
+
+      await RefreshToken.revokeFamily(first.record.family_id, 'logout');
+
+      const sessions = await UserSession.findActiveByUser(testUser.id);
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].platform).toBe('mobile');
+    });
+  });
+});
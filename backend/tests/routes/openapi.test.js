@@ -0,0 +1,76 @@
+const request = require('supertest');
+const app = require('../../src/server');
+const apiRoutes = require('../../src/routes');
+const openApiService = require('../../src/services/openApiService');
+
+describe('OpenAPI Documentation (/api/openapi.json)', () => {
+  it('documente chaque route enregistrée (bloc JSDoc @route)', () => {
+    // Ajouter un bloc @route/@desc/@access au-dessus de la route signalée
+    expect(openApiService.findUndocumentedRoutes(apiRoutes)).toEqual([]);
+  });
+
+  it('ne documente aucune route inexistante', () => {
+    expect(openApiService.findStaleRouteDocs(apiRoutes)).toEqual([]);
+  });
+
+  it('ne référence que des schémas de validation existants', () => {
+    const document = openApiService.buildDocument(apiRoutes);
+    const references = JSON.stringify(document.paths).match(/#\/components\/schemas\/\w+/g) || [];
+
+    for (const reference of references) {
+      expect(document.components.schemas).toHaveProperty(reference.split('/').pop());
+    }
+
+    for (const doc of openApiService.parseRouteDocs().values()) {
+      if (doc.body) {
+        expect(openApiService.resolveSchema(doc.body)).not.toBeNull();
+      }
+    }
+  });
+
+  it('sert la spécification OpenAPI 3', async () => {
+    const response = await request(app)
+      .get('/api/openapi.json')
+      .expect(200);
+
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(response.body.paths['/auth/register'].post.requestBody.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/UserRegister' });
+    expect(response.body.paths['/stores/{id}'].put.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true });
+    expect(response.body.paths['/auth/login'].post.security).toEqual([]);
+    expect(response.body.paths['/users/profile'].get.security).toEqual([{ bearerAuth: [] }]);
+  });
+
+  it('convertit les règles Joi en schéma JSON', () => {
+    const { components } = openApiService.buildDocument(apiRoutes);
+
+    expect(components.schemas.OrderCreate.required).toEqual(['items', 'shippingAddress']);
+    expect(components.schemas.OrderCreate.properties.items).toMatchObject({ type: 'array', minItems: 1 });
+    expect(components.schemas.OrderCreate.properties.paymentMethod).toMatchObject({
+      enum: ['mobile_money', 'bank_card', 'cash_on_delivery'],
+      default: 'mobile_money'
+    });
+    expect(components.schemas.UserRegister.properties.email).toEqual({ type: 'string', format: 'email' });
+  });
+
+  it('décrit chaque version et ses endpoints retirés', async () => {
+    const v1 = await request(app).get('/api/v1/openapi.json').expect(200);
+    const v2 = await request(app).get('/api/v2/openapi.json').expect(200);
+
+    expect(v1.body.servers).toEqual([{ url: '/api/v1' }]);
+    expect(v1.body.paths['/auth/refresh-token'].post.deprecated).toBe(true);
+    expect(v2.body.servers).toEqual([{ url: '/api/v2' }]);
+    expect(v2.body.paths).not.toHaveProperty('/auth/refresh-token');
+    expect(v2.body.paths).toHaveProperty('/auth/refresh');
+  });
+
+  it('sert la documentation interactive', async () => {
+    await request(app).get('/api/v2/docs').expect(301);
+
+    const response = await request(app)
+      .get('/api/v2/docs/')
+      .expect(200);
+
+    expect(response.text).toContain('swagger-ui');
+  });
+});
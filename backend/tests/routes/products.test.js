@@ -556,4 +556,73 @@ describe('Products Routes (/products)', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
-});
\ No newline at end of file
+});
+
+describe('PUT /api/products/:id (équipe de la boutique)', () => {
+  const db = require('../../src/config/database');
+  let managerToken, store, otherStore, product;
+
+  beforeEach(async () => {
+    const owner = await User.create({
+      email: 'owner-fields@test.com',
+      password: 'Password123!',
+      first_name: 'Owner',
+      last_name: 'Fields',
+      role: 'vendor'
+    });
+    const manager = await User.create({
+      email: 'manager-fields@test.com',
+      password: 'Password123!',
+      first_name: 'Manager',
+      last_name: 'Fields'
+    });
+    await db('users').whereIn('id', [owner.id, manager.id]).update({ status: 'active' });
+
+    [store, otherStore] = await db('stores')
+      .insert([
+        { name: 'Boutique A', slug: 'boutique-a', owner_id: owner.id, address: '1 Rue A', city: 'Lomé', country: 'TG' },
+        { name: 'Boutique B', slug: 'boutique-b', owner_id: owner.id, address: '2 Rue B', city: 'Lomé', country: 'TG' }
+      ])
+      .returning('*');
+    const [category] = await db('categories').insert({ name: 'Tissus', slug: 'tissus' }).returning('*');
+    [product] = await db('products')
+      .insert({ store_id: store.id, category_id: category.id, name: 'Pagne wax', slug: 'pagne-wax', price: 15000, status: 'active' })
+      .returning('*');
+
+    await db('store_members').insert({
+      store_id: store.id,
+      user_id: manager.id,
+      email: manager.email,
+      role: 'manager',
+      status: 'active'
+    });
+
+    managerToken = jwt.sign({ userId: manager.id, role: manager.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  });
+
+  it('met à jour la fiche sans toucher à la boutique, aux compteurs ni à la suppression', async () => {
+    const response = await request(app)
+      .put(`/api/products/${product.id}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        name: 'Pagne wax Héritage',
+        price: 16500,
+        store_id: otherStore.id,
+        tenant_id: otherStore.id,
+        deleted_at: new Date().toISOString(),
+        average_rating: 5,
+        reviews_count: 100
+      })
+      .expect(200);
+
+    expect(response.body.data.name).toBe('Pagne wax Héritage');
+
+    const saved = await db('products').where({ id: product.id }).first();
+    expect(saved.store_id).toBe(store.id);
+    expect(saved.tenant_id).toBeNull();
+    expect(saved.deleted_at).toBeNull();
+    expect(Number(saved.average_rating)).not.toBe(5);
+    expect(saved.reviews_count).not.toBe(100);
+    expect(Number(saved.price)).toBe(16500);
+  });
+});
@@ -0,0 +1,83 @@
+const { serialize } = require('../../src/serializers');
+
+const productBody = {
+  success: true,
+  data: [{
+    id: 'product-1',
+    name: 'Boubou brodé',
+    price: 25000,
+    compareAtPrice: null,
+    currency: 'FCFA',
+    store: { name: 'Atelier Awa' }
+  }],
+  pagination: { page: 1, limit: 20, total: 1 }
+};
+
+const orderBody = {
+  success: true,
+  data: {
+    id: 'order-1',
+    status: 'pending',
+    subtotal: 25000,
+    shippingCost: 2000,
+    taxAmount: 0,
+    discountAmount: 0,
+    totalAmount: 27000,
+    currency: 'FCFA',
+    items: [{ productName: 'Boubou brodé', quantity: 1, unitPrice: 25000, totalPrice: 25000, discountAmount: 0 }],
+    payments: [{ id: 'payment-1', amount: 27000, currency: 'FCFA', status: 'pending' }]
+  }
+};
+
+describe('Serializers', () => {
+  it('conserve la réponse v1 telle quelle', () => {
+    expect(serialize({ apiVersion: 'v1' }, 'productList', productBody)).toBe(productBody);
+    expect(serialize({}, 'order', orderBody)).toBe(orderBody);
+  });
+
+  it('exprime les montants avec leur devise en v2', () => {
+    const { data, meta } = serialize({ apiVersion: 'v2' }, 'productList', productBody);
+
+    expect(data[0]).toEqual({
+      id: 'product-1',
+      name: 'Boubou brodé',
+      price: { amount: 25000, currency: 'FCFA' },
+      compareAtPrice: null,
+      store: { name: 'Atelier Awa' }
+    });
+    expect(meta).toEqual({ pagination: productBody.pagination });
+  });
+
+  it('regroupe les montants d\'une commande en v2', () => {
+    const { data } = serialize({ apiVersion: 'v2' }, 'order', orderBody);
+
+    expect(data.amounts).toEqual({
+      subtotal: { amount: 25000, currency: 'FCFA' },
+      shipping: { amount: 2000, currency: 'FCFA' },
+      tax: { amount: 0, currency: 'FCFA' },
+      discount: { amount: 0, currency: 'FCFA' },
+      total: { amount: 27000, currency: 'FCFA' }
+    });
+    expect(data).not.toHaveProperty('totalAmount');
+    expect(data.items[0].unitPrice).toEqual({ amount: 25000, currency: 'FCFA' });
+    expect(data.payments[0].amount).toEqual({ amount: 27000, currency: 'FCFA' });
+  });
+
+  it('normalise les résultats de recherche en v2', () => {
+    const body = {
+      success: true,
+      data: [{ id: 'product-1', name: 'Pagne wax', short_description: 'Coton', price: '12000.00', currency: 'FCFA', store_name: 'Atelier Awa' }],
+      pagination: { page: 1 },
+      searchQuery: 'wax'
+    };
+
+    const { data, meta } = serialize({ apiVersion: 'v2' }, 'productSearch', body);
+
+    expect(data[0]).toMatchObject({
+      shortDescription: 'Coton',
+      price: { amount: 12000, currency: 'FCFA' },
+      store: { name: 'Atelier Awa' }
+    });
+    expect(meta).toEqual({ pagination: { page: 1 }, searchQuery: 'wax' });
+  });
+});
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dossier temporaire des uploads
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-erasure-'));
+process.env.UPLOAD_PATH = path.join(tmpDir, 'uploads');
+
+const accountErasureService = require('../../src/services/accountErasureService');
+const ErasureCertificate = require('../../src/models/ErasureCertificate');
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+const tokenRevocationService = require('../../src/services/tokenRevocationService');
+const auditService = require('../../src/services/auditService');
+const dataExportService = require('../../src/services/dataExportService');
+const { cache } = require('../../src/config/redis');
+const { hashString } = require('../../src/utils/helpers');
+const db = require('../../src/config/database');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/securityService');
+jest.mock('../../src/services/tokenRevocationService');
+jest.mock('../../src/services/auditService');
+jest.mock('../../src/services/dataExportService');
+
+/**
+ * Ligne users à jour
+ */
+const findUser = (id) => db('users').where({ id }).first();
+
+/**
+ * Boutique d'un vendeur
+ */
+const createStore = async (ownerId, data = {}) => {
+  const [store] = await db('stores')
+    .insert({ name: 'Boutique Awa', slug: 'boutique-awa', owner_id: ownerId, address: '3 Rue du Marché', city: 'Lomé', country: 'TG', ...data })
+    .returning('*');
+
+  return store;
+};
+
+describe('Account Erasure Service', () => {
+  let user;
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    user = await User.create({
+      email: 'awa@example.com',
+      password: 'Password123!',
+      first_name: 'Awa',
+      last_name: 'Koné'
+    });
+  });
+
+  describe('requestErasure', () => {
+    it('désactive le compte et programme l\'effacement après le délai de grâce', async () => {
+      const { scheduledAt } = await accountErasureService.requestErasure(user, { reason: 'Plus utilisé' });
+
+      const expected = Date.now() + accountErasureService.GRACE_DAYS * 24 * 60 * 60 * 1000;
+      expect(Math.abs(scheduledAt.getTime() - expected)).toBeLessThan(5000);
+
+      const stored = await findUser(user.id);
+      expect(stored.deleted_at).toEqual(expect.any(Date));
+      expect(stored.erasure_scheduled_at.getTime()).toBe(scheduledAt.getTime());
+      expect(tokenRevocationService.revokeAllUserTokens).toHaveBeenCalledWith(user.id, 'account_deleted');
+
+      // Seule l'empreinte du lien d'annulation est stockée
+      const { token } = emailService.sendAccountErasureScheduledEmail.mock.calls[0][1];
+      expect(stored.erasure_cancel_token_hash).toBe(hashString(token));
+      expect(auditService.record).toHaveBeenCalledWith('user.erasure_request', expect.objectContaining({ entityId: user.id }));
+    });
+
+    it('refuse tant que des commandes sont en cours', async () => {
+      await db('orders').insert({ order_number: 'AFM-0001', customer_id: user.id, subtotal: 15000, total_amount: 15000, status: 'shipped' });
+
+      await expect(accountErasureService.requestErasure(user)).rejects.toMatchObject({ statusCode: 409 });
+      expect((await findUser(user.id)).deleted_at).toBeNull();
+    });
+
+    it('refuse tant que le vendeur a des boutiques ouvertes', async () => {
+      await createStore(user.id, { status: 'active' });
+
+      await expect(accountErasureService.requestErasure(user)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('cancelErasure', () => {
+    it('restaure le compte pendant le délai de grâce', async () => {
+      await accountErasureService.requestErasure(user);
+      const { token } = emailService.sendAccountErasureScheduledEmail.mock.calls[0][1];
+
+      await expect(accountErasureService.cancelErasure(token)).resolves.toMatchObject({ id: user.id });
+
+      expect(await findUser(user.id)).toMatchObject({
+        deleted_at: null,
+        erasure_scheduled_at: null,
+        erasure_cancel_token_hash: null
+      });
+      expect(auditService.record).toHaveBeenCalledWith('user.erasure_cancel', expect.any(Object));
+    });
+
+    it('refuse un lien invalide ou expiré', async () => {
+      await accountErasureService.requestErasure(user);
+      const { token } = emailService.sendAccountErasureScheduledEmail.mock.calls[0][1];
+
+      await expect(accountErasureService.cancelErasure('inconnu')).resolves.toBeNull();
+
+      await db('users').where({ id: user.id }).update({ erasure_scheduled_at: new Date(Date.now() - 1000) });
+      await expect(accountErasureService.cancelErasure(token)).resolves.toBeNull();
+      expect((await findUser(user.id)).deleted_at).toEqual(expect.any(Date));
+    });
+  });
+
+  describe('anonymizeUser', () => {
+    const avatarPath = path.join(process.env.UPLOAD_PATH, 'users', 'avatar-awa.jpg');
+    const reviewPhotoPath = path.join(process.env.UPLOAD_PATH, 'products', 'review-1.jpg');
+
+    let order;
+
+    beforeEach(async () => {
+      fs.mkdirSync(path.dirname(avatarPath), { recursive: true });
+      fs.mkdirSync(path.dirname(reviewPhotoPath), { recursive: true });
+      fs.writeFileSync(avatarPath, 'avatar');
+      fs.writeFileSync(reviewPhotoPath, 'photo');
+
+      await db('users').where({ id: user.id }).update({
+        phone: '+22890000000',
+        address: 'Rue 12',
+        two_factor_secret: 'JBSWY3DPEHPK3PXP',
+        avatar_url: 'http://localhost:5000/uploads/users/avatar-awa.jpg',
+        deleted_at: new Date(),
+        erasure_requested_at: new Date('2025-10-01T00:00:00Z')
+      });
+
+      const [vendor] = await db('users')
+        .insert({ email: 'vendeur@example.com', password_hash: 'hash', first_name: 'Kossi', last_name: 'Agbo' })
+        .returning('*');
+      const store = await createStore(vendor.id);
+      const [category] = await db('categories').insert({ name: 'Pagnes', slug: 'pagnes' }).returning('*');
+      const [product] = await db('products')
+        .insert({ store_id: store.id, category_id: category.id, name: 'Pagne wax', slug: 'pagne-wax', price: 15000 })
+        .returning('*');
+
+      [order] = await db('orders')
+        .insert({
+          order_number: 'AFM-0001',
+          customer_id: user.id,
+          store_id: store.id,
+          status: 'delivered',
+          subtotal: 15000,
+          total_amount: 15000,
+          customer_email: 'awa@example.com',
+          customer_phone: '+22890000000',
+          delivery_address: { street: 'Rue 12', city: 'Lomé', country: 'TG' }
+        })
+        .returning('*');
+      await db('payments').insert({
+        payment_reference: 'PAY-0001', order_id: order.id, customer_id: user.id, payment_method: 'tmoney',
+        amount: 15000, net_amount: 15000, store_payout: 15000, status: 'completed',
+        customer_email: 'awa@example.com', phone_number: '+22890000000', iban: 'TG53TG0090604310346500400070'
+      });
+      await db('product_reviews').insert({
+        product_id: product.id,
+        customer_id: user.id,
+        rating: 5,
+        title: 'Superbe',
+        comment: 'Tissu de qualité',
+        media_urls: JSON.stringify(['/uploads/products/review-1.jpg'])
+      });
+
+      await db('user_sessions').insert({ user_id: user.id, refresh_family_id: '6f1c2b1e-3a4d-4c5e-8f90-123456789abc' });
+      await db('user_identities').insert({ user_id: user.id, provider: 'google', subject: 'google-awa' });
+    });
+
+    it('efface les données personnelles et conserve les montants', async () => {
+      await accountErasureService.anonymizeUser(user.id);
+
+      const stored = await findUser(user.id);
+      expect(stored).toMatchObject({
+        email: `deleted-${user.id}@anonymized.invalid`,
+        phone: null,
+        address: null,
+        avatar_url: null,
+        two_factor_secret: null
+      });
+      expect(stored.anonymized_at).toBeInstanceOf(Date);
+
+      const storedOrder = await db('orders').where({ id: order.id }).first();
+      expect(storedOrder).toMatchObject({ customer_email: null, customer_phone: null, total_amount: '15000.00' });
+      expect(storedOrder.delivery_address).toEqual({ country: 'TG' });
+
+      const payment = await db('payments').where({ order_id: order.id }).first();
+      expect(payment).toMatchObject({
+        customer_email: null,
+        phone_number: null,
+        iban: null,
+        amount: '15000.00',
+        status: 'completed'
+      });
+
+      expect(await db('user_sessions').where({ user_id: user.id })).toHaveLength(0);
+      expect(await db('user_identities').where({ user_id: user.id })).toHaveLength(0);
+    });
+
+    it('supprime les médias et les archives d\'export', async () => {
+      await accountErasureService.anonymizeUser(user.id);
+
+      expect(fs.existsSync(avatarPath)).toBe(false);
+      expect(fs.existsSync(reviewPhotoPath)).toBe(false);
+      expect(await db('product_reviews').where({ customer_id: user.id }).first()).toMatchObject({
+        rating: 5,
+        title: null,
+        comment: null,
+        media_urls: null
+      });
+      expect(dataExportService.deleteUserExports).toHaveBeenCalledWith(user.id);
+      expect(cache.del).toHaveBeenCalledWith(`wishlist:${user.id}`);
+    });
+
+    it('enregistre un certificat d\'effacement vérifiable', async () => {
+      jest.spyOn(ErasureCertificate, 'create');
+
+      const certificate = await accountErasureService.anonymizeUser(user.id);
+
+      const data = ErasureCertificate.create.mock.calls[0][0];
+      expect(data.mediaRemoved).toBe(2);
+      expect(data.records).toMatchObject({ users: 1, orders: 1, payments: 1 });
+
+      const content = {
+        userId: user.id,
+        requestedAt: '2025-10-01T00:00:00.000Z',
+        executedAt: data.executedAt.toISOString(),
+        records: data.records,
+        mediaRemoved: 2
+      };
+      expect(certificate.certificate_hash).toBe(hashString(JSON.stringify(content)));
+      expect(await ErasureCertificate.findByUser(user.id)).toMatchObject({ id: certificate.id, media_removed: 2 });
+
+      // Le certificat ne contient aucune donnée personnelle
+      expect(JSON.stringify(certificate)).not.toContain('awa@example.com');
+      expect(auditService.record).toHaveBeenCalledWith('user.erasure_completed', expect.objectContaining({
+        metadata: expect.objectContaining({ certificateId: certificate.id })
+      }));
+
+      ErasureCertificate.create.mockRestore();
+    });
+
+    it('refuse un compte déjà anonymisé', async () => {
+      await db('users').where({ id: user.id }).update({ anonymized_at: new Date() });
+
+      await expect(accountErasureService.anonymizeUser(user.id)).rejects.toMatchObject({ statusCode: 409 });
+      expect(await ErasureCertificate.findByUser(user.id)).toBeUndefined();
+      expect(fs.existsSync(avatarPath)).toBe(true);
+    });
+  });
+
+  describe('processDueErasures', () => {
+    it('poursuit le traitement quand un compte échoue', async () => {
+      const other = await User.create({ email: 'kofi@example.com', password: 'Password123!', first_name: 'Kofi', last_name: 'Mensah' });
+      await db('users').where({ id: user.id }).update({ deleted_at: new Date(), erasure_scheduled_at: new Date(Date.now() - 2000) });
+      await db('users').where({ id: other.id }).update({ deleted_at: new Date(), erasure_scheduled_at: new Date(Date.now() - 1000) });
+      dataExportService.deleteUserExports.mockRejectedValueOnce(new Error('stockage indisponible'));
+
+      await expect(accountErasureService.processDueErasures()).resolves.toBe(1);
+
+      expect((await findUser(user.id)).anonymized_at).toBeNull();
+      expect((await findUser(other.id)).anonymized_at).toEqual(expect.any(Date));
+      expect(await ErasureCertificate.findByUser(other.id)).toBeDefined();
+    });
+  });
+});
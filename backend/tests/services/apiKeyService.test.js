@@ -0,0 +1,167 @@
+const apiKeyService = require('../../src/services/apiKeyService');
+const StoreApiKey = require('../../src/models/StoreApiKey');
+const User = require('../../src/models/User');
+const auditService = require('../../src/services/auditService');
+const db = require('../../src/config/database');
+
+// Mock des dépendances
+jest.mock('../../src/services/auditService');
+
+describe('API Key Service', () => {
+  let owner, store;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    owner = await User.create({
+      email: 'cles@test.com',
+      password: 'Password123!',
+      first_name: 'Yao',
+      last_name: 'Vendeur',
+      role: 'vendor'
+    });
+    await db('users').where({ id: owner.id }).update({ status: 'active' });
+
+    [store] = await db('stores')
+      .insert({
+        name: 'Kente Royal',
+        slug: 'kente-royal',
+        owner_id: owner.id,
+        status: 'active',
+        address: '12 Rue des Tisserands',
+        city: 'Kpalimé',
+        country: 'TG'
+      })
+      .returning('*');
+  });
+
+  describe('generateKey', () => {
+    it('génère une clé dont le préfixe est affichable', () => {
+      const { key, keyPrefix } = apiKeyService.generateKey();
+
+      expect(key).toMatch(/^afk_[a-f0-9]{8}_[a-f0-9]{40}$/);
+      expect(key.startsWith(`${keyPrefix}_`)).toBe(true);
+      expect(apiKeyService.isApiKey(key)).toBe(true);
+    });
+  });
+
+  describe('createKey', () => {
+    it('crée la clé avec ses scopes et la trace dans le journal d\'audit', async () => {
+      const { key, apiKey } = await apiKeyService.createKey(
+        store.id,
+        { name: 'Synchro stock', scopes: ['products:manage', 'orders:read', 'orders:read'], expiresInDays: 90 },
+        owner.id
+      );
+
+      const stored = await db('store_api_keys').where({ id: apiKey.id }).first();
+      expect(stored.scopes).toEqual(['products:manage', 'orders:read']);
+      expect(stored.expires_at.getTime()).toBeGreaterThan(Date.now());
+      expect(stored.created_by).toBe(owner.id);
+      expect(key.startsWith(`${stored.key_prefix}_`)).toBe(true);
+      expect(auditService.record).toHaveBeenCalledWith('store.api_key_create', expect.objectContaining({
+        entityId: store.id,
+        metadata: expect.objectContaining({ apiKeyId: apiKey.id, keyPrefix: stored.key_prefix })
+      }));
+
+      // Ni la valeur de la clé dans le journal, ni en base
+      expect(JSON.stringify(auditService.record.mock.calls)).not.toContain(key);
+      expect(JSON.stringify(stored)).not.toContain(key);
+    });
+
+    it('refuse un scope réservé au propriétaire', async () => {
+      await expect(apiKeyService.createKey(store.id, { name: 'Équipe', scopes: ['store:manage_members'] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(await StoreApiKey.countActive(store.id)).toBe(0);
+    });
+
+    it('refuse une durée de validité hors limites', async () => {
+      await expect(apiKeyService.createKey(store.id, { name: 'Clé', scopes: ['orders:read'], expiresInDays: 1000 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('limite le nombre de clés actives par boutique', async () => {
+      for (let i = 0; i < apiKeyService.MAX_ACTIVE_KEYS_PER_STORE; i += 1) {
+        await apiKeyService.createKey(store.id, { name: `Clé ${i}`, scopes: ['orders:read'] });
+      }
+
+      await expect(apiKeyService.createKey(store.id, { name: 'Clé de trop', scopes: ['orders:read'] }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('authenticate', () => {
+    let key, apiKey;
+
+    beforeEach(async () => {
+      ({ key, apiKey } = await apiKeyService.createKey(store.id, { name: 'Commandes', scopes: ['orders:read'] }));
+      jest.spyOn(StoreApiKey, 'touch');
+    });
+
+    afterEach(() => {
+      StoreApiKey.touch.mockRestore();
+    });
+
+    it('retourne la clé et le propriétaire de la boutique', async () => {
+      const result = await apiKeyService.authenticate(key, '10.0.0.1');
+
+      expect(result.apiKey.id).toBe(apiKey.id);
+      expect(result.owner.id).toBe(owner.id);
+
+      // Dernière utilisation notée sans bloquer la requête
+      await StoreApiKey.touch.mock.results[0].value;
+      expect(await db('store_api_keys').where({ id: apiKey.id }).first()).toEqual(expect.objectContaining({
+        last_used_ip: '10.0.0.1',
+        last_used_at: expect.any(Date)
+      }));
+    });
+
+    it('ignore une valeur mal formée sans interroger la base', async () => {
+      jest.spyOn(StoreApiKey, 'findActiveByKey');
+
+      await expect(apiKeyService.authenticate('afk_invalide')).resolves.toBeNull();
+      expect(StoreApiKey.findActiveByKey).not.toHaveBeenCalled();
+
+      StoreApiKey.findActiveByKey.mockRestore();
+    });
+
+    it('refuse une clé révoquée ou expirée', async () => {
+      await apiKeyService.revokeKey(store.id, apiKey.id, owner.id);
+
+      await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+
+      const { key: expiredKey, apiKey: expired } = await apiKeyService.createKey(
+        store.id, { name: 'Expirée', scopes: ['orders:read'], expiresInDays: 1 }
+      );
+      await db('store_api_keys').where({ id: expired.id }).update({ expires_at: new Date(Date.now() - 1000) });
+
+      await expect(apiKeyService.authenticate(expiredKey)).resolves.toBeNull();
+    });
+
+    it('refuse la clé d\'une boutique suspendue', async () => {
+      await db('stores').where({ id: store.id }).update({ status: 'suspended' });
+
+      await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('révoque la clé et trace la révocation', async () => {
+      const { apiKey } = await apiKeyService.createKey(store.id, { name: 'Commandes', scopes: ['orders:read'] });
+
+      await apiKeyService.revokeKey(store.id, apiKey.id, owner.id);
+
+      const stored = await db('store_api_keys').where({ id: apiKey.id }).first();
+      expect(stored.revoked_at).toEqual(expect.any(Date));
+      expect(auditService.record).toHaveBeenCalledWith('store.api_key_revoke', expect.objectContaining({
+        metadata: { apiKeyId: apiKey.id, keyPrefix: stored.key_prefix }
+      }));
+    });
+
+    it('signale une clé déjà révoquée', async () => {
+      const { apiKey } = await apiKeyService.createKey(store.id, { name: 'Commandes', scopes: ['orders:read'] });
+      await apiKeyService.revokeKey(store.id, apiKey.id);
+
+      await expect(apiKeyService.revokeKey(store.id, apiKey.id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const auditService = require('../../src/services/auditService');
+const AuditLog = require('../../src/models/AuditLog');
+const { requestContext, setRequestActor } = require('../../src/middleware/requestContext');
+
+// Mock des dépendances
+jest.mock('../../src/config/database', () => jest.fn());
+jest.mock('../../src/models/AuditLog');
+
+/**
+ * Exécuter une fonction dans le contexte d'une requête simulée
+ */
+const withRequest = (headers, fn) => new Promise((resolve, reject) => {
+  const req = {
+    ip: '10.0.0.1',
+    method: 'POST',
+    originalUrl: '/api/stores/1/verify',
+    get: (name) => headers[name]
+  };
+  const res = { set: jest.fn() };
+
+  requestContext(req, res, () => {
+    Promise.resolve(fn(req, res)).then(resolve, reject);
+  });
+});
+
+describe('Audit Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuditLog.create.mockImplementation(async (entry) => ({ id: 'log-1', ...entry }));
+  });
+
+  describe('diff', () => {
+    it('ne conserve que les champs modifiés', () => {
+      const changes = auditService.diff(
+        { id: 's1', name: 'Boutique', status: 'pending', updated_at: new Date('2025-01-01') },
+        { id: 's1', name: 'Boutique', status: 'active', updated_at: new Date('2025-01-02') }
+      );
+
+      expect(changes).toEqual({
+        before: { status: 'pending' },
+        after: { status: 'active' }
+      });
+    });
+
+    it('compare les dates et objets par valeur', () => {
+      const changes = auditService.diff(
+        { verified_at: new Date('2025-01-01T00:00:00Z'), social_links: { fb: 'x' } },
+        { verified_at: new Date('2025-01-01T00:00:00Z'), social_links: { fb: 'x' } }
+      );
+
+      expect(changes).toEqual({ before: {}, after: {} });
+    });
+
+    it('signale un changement de donnée personnelle sans sa valeur', () => {
+      const changes = auditService.diff(
+        { id: 'u1', email: 'ancien@example.com', first_name: 'Awa' },
+        { id: 'u1', email: 'nouveau@example.com', first_name: 'Awa' }
+      );
+
+      expect(Object.keys(changes.after)).toEqual(['email']);
+      expect(JSON.stringify(changes)).not.toContain('@example.com');
+    });
+  });
+
+  describe('sanitize', () => {
+    it('masque les secrets', () => {
+      const sanitized = auditService.sanitize({
+        email: 'a@b.c',
+        password_hash: 'hash',
+        two_factor_secret: 'secret',
+        unlock_token_hash: null
+      });
+
+      expect(sanitized.password_hash).not.toBe('hash');
+      expect(sanitized.two_factor_secret).not.toBe('secret');
+      expect(sanitized.unlock_token_hash).toBeNull();
+    });
+
+    it('ne conserve que les identifiants, sans donnée personnelle', () => {
+      const sanitized = auditService.sanitize({
+        id: 'o1',
+        customer_id: 'u1',
+        customer_name: 'Awa Mensah',
+        customer_email: 'awa@example.com',
+        customer_phone: '+22870123456',
+        delivery_address: { street: '12 rue du Port', city: 'Lomé' },
+        last_login_ip: '10.0.0.1',
+        email_verified: true,
+        status: 'paid'
+      });
+
+      expect(sanitized).toEqual({
+        id: 'o1',
+        customer_id: 'u1',
+        customer_name: expect.not.stringContaining('Awa'),
+        customer_email: expect.not.stringContaining('awa'),
+        customer_phone: expect.not.stringContaining('228'),
+        delivery_address: expect.any(String),
+        last_login_ip: expect.not.stringContaining('10.0'),
+        email_verified: true,
+        status: 'paid'
+      });
+      expect(JSON.stringify(sanitized)).not.toMatch(/Awa|awa@|rue du Port|10\.0\.0\.1|22870123456/);
+    });
+  });
+
+  describe('record', () => {
+    it('enregistre l\'auteur, l\'IP et l\'identifiant de requête', async () => {
+      await withRequest({ 'X-Request-Id': 'req-12345678', 'User-Agent': 'jest' }, async () => {
+        setRequestActor({ id: 'admin-1', role: 'admin', email: 'admin@afrikmode.com' });
+
+        await auditService.record('store.verify', {
+          entityType: 'store',
+          entityId: 's1',
+          before: { id: 's1', is_verified: false },
+          after: { id: 's1', is_verified: true }
+        });
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actorId: 'admin-1',
+        actorRole: 'admin',
+        action: 'store.verify',
+        entityType: 'store',
+        entityId: 's1',
+        before: { is_verified: false },
+        after: { is_verified: true },
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest',
+        requestId: 'req-12345678'
+      }));
+    });
+
+    it('rattache l\'administrateur d\'une session d\'impersonation', async () => {
+      await withRequest({}, async () => {
+        setRequestActor({ id: 'customer-1', role: 'customer' }, { id: 'admin-1', role: 'admin' });
+
+        await auditService.record('order.update_status', {
+          entityType: 'order',
+          entityId: 'o1',
+          before: { status: 'pending' },
+          after: { status: 'cancelled' }
+        });
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actorId: 'customer-1',
+        impersonatorId: 'admin-1'
+      }));
+    });
+
+    it('génère un identifiant de requête si l\'en-tête est invalide', async () => {
+      const res = await withRequest({ 'X-Request-Id': 'bad id!' }, async (req, res) => {
+        await auditService.record('user.suspend', { entityType: 'user', entityId: 'u1', after: { status: 'suspended' } });
+        return res;
+      });
+
+      const entry = AuditLog.create.mock.calls[0][0];
+      expect(entry.requestId).not.toBe('bad id!');
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', entry.requestId);
+    });
+
+    it('n\'écrit rien si aucun champ n\'a changé', async () => {
+      const result = await auditService.record('product.update', {
+        entityType: 'product',
+        entityId: 'p1',
+        before: { price: '1000.00', updated_at: 1 },
+        after: { price: '1000.00', updated_at: 2 }
+      });
+
+      expect(result).toBeNull();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('fonctionne hors requête (tâches planifiées)', async () => {
+      await auditService.record('order.update_status', {
+        entityType: 'order',
+        entityId: 'o1',
+        before: { status: 'pending' },
+        after: { status: 'cancelled' }
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actorId: null,
+        requestId: undefined
+      }));
+    });
+
+    it('ne propage jamais une erreur d\'écriture', async () => {
+      AuditLog.create.mockRejectedValue(new Error('connexion perdue'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(auditService.record('payment.refund', {
+        entityType: 'payment',
+        entityId: 'pay1',
+        metadata: { amount: 5000 }
+      })).resolves.toBeNull();
+
+      consoleSpy.mockRestore();
+    });
+  });
+});
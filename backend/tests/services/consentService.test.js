@@ -0,0 +1,166 @@
+process.env.UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+
+const consentService = require('../../src/services/consentService');
+const ConsentRecord = require('../../src/models/ConsentRecord');
+const { cache } = require('../../src/config/redis');
+const db = require('../../src/config/database');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+
+/**
+ * Compte actif avec ses préférences courantes
+ */
+const createUser = async (email, data = {}) => {
+  const [user] = await db('users')
+    .insert({
+      email,
+      password_hash: 'hash',
+      first_name: 'Awa',
+      last_name: 'Koné',
+      status: 'active',
+      policy_version: '2025-10-01',
+      marketing_emails: true,
+      marketing_sms: false,
+      order_notifications: true,
+      ...data
+    })
+    .returning('*');
+
+  return user;
+};
+
+/**
+ * Registre d'un utilisateur (les plus anciennes décisions d'abord)
+ */
+const findRecords = (userId) => db('consent_records').where({ user_id: userId }).orderBy('created_at', 'asc');
+
+describe('Consent Service', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    user = await createUser('awa@example.com');
+  });
+
+  describe('liens de désabonnement', () => {
+    it('vérifie un jeton signé', () => {
+      const token = consentService.createUnsubscribeToken(user.id);
+
+      expect(consentService.verifyUnsubscribeToken(token)).toEqual({
+        userId: user.id,
+        channel: 'email',
+        purpose: 'marketing'
+      });
+    });
+
+    it('refuse un jeton modifié', () => {
+      const token = consentService.createUnsubscribeToken(user.id);
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ u: 'user-2', c: 'email', p: 'marketing' })).toString('base64url');
+
+      expect(consentService.verifyUnsubscribeToken(`${forged}.${signature}`)).toBeNull();
+      expect(consentService.verifyUnsubscribeToken(`${token}x`)).toBeNull();
+      expect(consentService.verifyUnsubscribeToken('')).toBeNull();
+    });
+
+    it('désabonne sans connexion et enregistre l\'origine', async () => {
+      const token = consentService.createUnsubscribeToken(user.id);
+      await expect(consentService.unsubscribe(token)).resolves.toEqual({ channel: 'email', purpose: 'marketing' });
+
+      expect(await findRecords(user.id)).toEqual([expect.objectContaining({
+        channel: 'email',
+        purpose: 'marketing',
+        granted: false,
+        source: 'unsubscribe_link'
+      })]);
+      expect((await db('users').where({ id: user.id }).first()).marketing_emails).toBe(false);
+
+      // Un deuxième clic ne change rien
+      await consentService.unsubscribe(token);
+      expect(await findRecords(user.id)).toHaveLength(1);
+    });
+
+    it('ignore un lien invalide', async () => {
+      await expect(consentService.unsubscribe('invalide')).resolves.toBeNull();
+      expect(await findRecords(user.id)).toHaveLength(0);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('n\'enregistre que les préférences qui changent', async () => {
+      const preferences = await consentService.updatePreferences(user.id, {
+        marketingEmails: true,
+        marketingSms: true
+      }, { source: 'preference_center' });
+
+      expect(await findRecords(user.id)).toEqual([expect.objectContaining({
+        channel: 'sms',
+        purpose: 'marketing',
+        granted: true,
+        source: 'preference_center',
+        policy_version: '2025-10-01'
+      })]);
+      expect(preferences).toEqual({ marketingEmails: true, marketingSms: true, orderNotifications: true });
+      expect((await db('users').where({ id: user.id }).first()).marketing_sms).toBe(true);
+      expect(cache.del).toHaveBeenCalledWith(`user:${user.id}`);
+    });
+
+    it('refuse une valeur non booléenne', async () => {
+      await expect(consentService.updatePreferences(user.id, { marketingEmails: 'oui' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect((await db('users').where({ id: user.id }).first()).marketing_emails).toBe(true);
+    });
+  });
+
+  describe('acceptPolicy', () => {
+    it('enregistre l\'acceptation de la version en vigueur', async () => {
+      await db('users').where({ id: user.id }).update({ policy_version: '2020-01-01' });
+
+      await consentService.acceptPolicy(user.id, consentService.CURRENT_POLICY_VERSION);
+
+      expect(await findRecords(user.id)).toEqual([expect.objectContaining({
+        purpose: 'policy',
+        granted: true,
+        policy_version: consentService.CURRENT_POLICY_VERSION
+      })]);
+
+      const stored = await db('users').where({ id: user.id }).first();
+      expect(stored.policy_version).toBe(consentService.CURRENT_POLICY_VERSION);
+      expect(stored.policy_accepted_at).toEqual(expect.any(Date));
+      expect(consentService.isPolicyAcceptanceRequired(stored)).toBe(false);
+    });
+
+    it('refuse une version qui n\'est plus en vigueur', async () => {
+      await expect(consentService.acceptPolicy(user.id, '2020-01-01')).rejects.toMatchObject({
+        statusCode: 409,
+        details: { currentVersion: consentService.CURRENT_POLICY_VERSION }
+      });
+      expect(await findRecords(user.id)).toHaveLength(0);
+    });
+  });
+
+  describe('filterMarketingRecipients', () => {
+    it('ne garde que les comptes actifs ayant donné leur accord', async () => {
+      const withdrawn = await createUser('kofi@example.com');
+      const suspended = await createUser('ama@example.com', { status: 'suspended' });
+
+      for (const { id } of [user, withdrawn, suspended]) {
+        await ConsentRecord.record({ userId: id, channel: 'email', purpose: 'marketing', granted: true, source: 'registration' });
+      }
+      await consentService.updatePreferences(withdrawn.id, { marketingEmails: false }, { source: 'profile' });
+
+      const recipients = await consentService.filterMarketingRecipients([
+        { id: user.id, email: 'awa@example.com' },
+        { id: withdrawn.id, email: 'kofi@example.com' },
+        { id: suspended.id, email: 'ama@example.com' }
+      ]);
+
+      expect(recipients).toEqual([{ id: user.id, email: 'awa@example.com' }]);
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dossiers temporaires pour les archives et les uploads
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-export-'));
+process.env.DATA_EXPORT_DIR = path.join(tmpDir, 'exports');
+process.env.UPLOAD_PATH = path.join(tmpDir, 'uploads');
+
+const dataExportService = require('../../src/services/dataExportService');
+const DataExport = require('../../src/models/DataExport');
+const emailService = require('../../src/services/emailService');
+const securityService = require('../../src/services/securityService');
+const auditService = require('../../src/services/auditService');
+const db = require('../../src/config/database');
+const redis = require('../../src/config/redis');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn() },
+  sets: { members: jest.fn() },
+  isConnected: jest.fn(),
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/securityService');
+jest.mock('../../src/services/auditService');
+
+/**
+ * Noms des fichiers d'une archive ZIP (répertoire central)
+ */
+const listZipEntries = (buffer) => {
+  const names = [];
+  let offset = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+
+  while (offset !== -1 && offset < buffer.length) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+  }
+
+  return names;
+};
+
+/**
+ * Ligne data_exports à jour
+ */
+const findExport = (id) => db('data_exports').where({ id }).first();
+
+/**
+ * Export terminé dont l'archive est sur le disque
+ */
+const createCompletedExport = async (userId, { token = 'jeton', expiresAt = new Date(Date.now() + 60 * 60 * 1000) } = {}) => {
+  const dataExport = await DataExport.create(userId);
+  const fileName = `${dataExport.id}.zip`;
+
+  fs.mkdirSync(process.env.DATA_EXPORT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(process.env.DATA_EXPORT_DIR, fileName), 'zip');
+
+  return await DataExport.markCompleted(dataExport.id, { fileName, fileSize: 3, summary: {}, token, expiresAt });
+};
+
+describe('Data Export Service', () => {
+  let user, product, followedStore;
+
+  beforeAll(() => {
+    fs.mkdirSync(path.join(process.env.UPLOAD_PATH, 'users'), { recursive: true });
+    fs.mkdirSync(path.join(process.env.UPLOAD_PATH, 'products'), { recursive: true });
+    fs.writeFileSync(path.join(process.env.UPLOAD_PATH, 'users', 'avatar-awa.jpg'), 'avatar');
+    fs.writeFileSync(path.join(process.env.UPLOAD_PATH, 'products', 'review-1.jpg'), 'photo');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    [user] = await db('users')
+      .insert({
+        email: 'awa@example.com',
+        password_hash: '$2b$12$hash',
+        first_name: 'Awa',
+        last_name: 'Koné',
+        two_factor_secret: 'JBSWY3DPEHPK3PXP',
+        email_verification_token: 'abc',
+        address: 'Rue 12',
+        city: 'Lomé',
+        country: 'TG',
+        avatar_url: 'http://localhost:5000/uploads/users/avatar-awa.jpg'
+      })
+      .returning('*');
+
+    const [vendor] = await db('users')
+      .insert({ email: 'vendeur@example.com', password_hash: 'hash', first_name: 'Kossi', last_name: 'Agbo' })
+      .returning('*');
+    [followedStore] = await db('stores')
+      .insert({ name: 'Boutique Kossi', slug: 'boutique-kossi', owner_id: vendor.id, address: '5 Rue du Port', city: 'Lomé', country: 'TG' })
+      .returning('*');
+    const [category] = await db('categories').insert({ name: 'Boubous', slug: 'boubous' }).returning('*');
+    [product] = await db('products')
+      .insert({ store_id: followedStore.id, category_id: category.id, name: 'Boubou', slug: 'boubou', price: 25000 })
+      .returning('*');
+
+    const [order] = await db('orders')
+      .insert({
+        order_number: 'AFM-0001',
+        customer_id: user.id,
+        store_id: followedStore.id,
+        subtotal: 50000,
+        total_amount: 50000,
+        delivery_address: { street: 'Rue 12', city: 'Lomé' },
+        billing_address: { street: 'Boulevard 13', city: 'Lomé' }
+      })
+      .returning('*');
+    await db('order_items').insert({
+      order_id: order.id, product_id: product.id, store_id: followedStore.id, product_name: 'Boubou',
+      quantity: 2, unit_price: 25000, total_price: 50000
+    });
+    await db('payments').insert({
+      payment_reference: 'PAY-0001', order_id: order.id, customer_id: user.id, payment_method: 'tmoney',
+      amount: 50000, net_amount: 50000, store_payout: 50000,
+      provider_response: { raw: 'interne' }, webhook_data: { raw: 'interne' }
+    });
+
+    await db('user_sessions').insert({
+      user_id: user.id, refresh_family_id: '6f1c2b1e-3a4d-4c5e-8f90-123456789abc', device_name: 'Chrome', device_fingerprint: 'fp'
+    });
+    await db('security_events').insert({ user_id: user.id, event_type: 'login_success' });
+    await db('product_reviews').insert({
+      product_id: product.id,
+      customer_id: user.id,
+      rating: 5,
+      media_urls: JSON.stringify(['/uploads/products/review-1.jpg', '/uploads/../../etc/passwd'])
+    });
+    await db('user_identities').insert({ user_id: user.id, provider: 'google', subject: 'google-awa', email: 'awa@example.com' });
+
+    redis.isConnected.mockReturnValue(true);
+    redis.sets.members.mockImplementation(async (key) => {
+      if (key === redis.CACHE_KEYS.USER_WISHLIST(user.id)) return [product.id];
+      if (key === redis.CACHE_KEYS.USER_FOLLOWING(user.id)) return [followedStore.id];
+      return [];
+    });
+    redis.cache.get.mockResolvedValue({ items: [{ productId: product.id, quantity: 1 }] });
+  });
+
+  describe('collectUserData', () => {
+    it('rassemble les données de la base et de Redis', async () => {
+      const data = await dataExportService.collectUserData(user.id);
+
+      expect(data.orders).toHaveLength(1);
+      expect(data.order_items).toHaveLength(1);
+      expect(data.payments).toHaveLength(1);
+      expect(data.sessions).toHaveLength(1);
+      expect(data.security_events).toHaveLength(1);
+      expect(data.linked_accounts).toEqual([expect.objectContaining({ provider: 'google', email: 'awa@example.com' })]);
+      expect(data.wishlist).toEqual([expect.objectContaining({ name: 'Boubou' })]);
+      expect(data.followed_stores).toEqual([expect.objectContaining({ name: 'Boutique Kossi' })]);
+      expect(data.cart).toEqual([{ productId: product.id, quantity: 1 }]);
+
+      // Adresse du profil, puis adresses de livraison et de facturation des commandes
+      expect(data.addresses.map(address => address.type)).toEqual(['profile', 'delivery', 'billing']);
+    });
+
+    it('n\'exporte ni secrets ni détails internes des prestataires', async () => {
+      const data = await dataExportService.collectUserData(user.id);
+
+      expect(data.profile).not.toHaveProperty('password_hash');
+      expect(data.profile).not.toHaveProperty('two_factor_secret');
+      expect(data.profile).not.toHaveProperty('email_verification_token');
+      expect(data.sessions[0]).not.toHaveProperty('device_fingerprint');
+      expect(data.payments[0]).not.toHaveProperty('provider_response');
+      expect(data.payments[0]).not.toHaveProperty('webhook_data');
+      expect(data.profile.email).toBe('awa@example.com');
+    });
+
+    it('refuse un export incomplet quand Redis est indisponible', async () => {
+      redis.isConnected.mockReturnValue(false);
+
+      await expect(dataExportService.collectUserData(user.id)).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('processExport', () => {
+    it('écrit l\'archive ZIP et envoie le lien de téléchargement', async () => {
+      const { id } = await DataExport.create(user.id);
+
+      await dataExportService.processExport(id);
+
+      const stored = await findExport(id);
+      expect(stored.status).toBe('completed');
+      expect(stored.file_name).toBe(`${id}.zip`);
+      expect(stored.summary).toMatchObject({ orders: 1, payments: 1, media: 2, missingMedia: 1 });
+      expect(stored.expires_at.getTime()).toBeGreaterThan(Date.now());
+
+      const archive = fs.readFileSync(path.join(process.env.DATA_EXPORT_DIR, `${id}.zip`));
+      expect(parseInt(stored.file_size)).toBe(archive.length);
+
+      const entries = listZipEntries(archive);
+      expect(entries).toEqual(expect.arrayContaining([
+        'README.txt',
+        'data/profile.json',
+        'data/followed_stores.json',
+        'csv/orders.csv',
+        'csv/payments.csv',
+        'media/users/avatar-awa.jpg',
+        'media/products/review-1.jpg'
+      ]));
+      expect(entries.some(name => name.includes('passwd'))).toBe(false);
+
+      expect(emailService.sendDataExportReadyEmail).toHaveBeenCalledWith('awa@example.com', expect.objectContaining({
+        exportId: id,
+        expiresInDays: dataExportService.LINK_VALIDITY_DAYS
+      }));
+
+      // Le lien envoyé ouvre bien l'archive
+      const { token } = emailService.sendDataExportReadyEmail.mock.calls[0][1];
+      await expect(DataExport.findDownloadable(id, user.id, token)).resolves.toMatchObject({ id });
+    });
+
+    it('ne traite pas un export déjà pris en charge', async () => {
+      const { id } = await DataExport.create(user.id);
+      await DataExport.claim(id);
+
+      await expect(dataExportService.processExport(id)).resolves.toBeNull();
+      expect(emailService.sendDataExportReadyEmail).not.toHaveBeenCalled();
+    });
+
+    it('marque l\'export en échec en cas d\'erreur', async () => {
+      const { id } = await DataExport.create(user.id);
+      redis.isConnected.mockReturnValue(false);
+
+      await dataExportService.processExport(id);
+
+      const stored = await findExport(id);
+      expect(stored.status).toBe('failed');
+      expect(stored.error_message).toEqual(expect.any(String));
+      expect(emailService.sendDataExportReadyEmail).not.toHaveBeenCalled();
+    });
+
+    it('garde l\'export terminé si l\'email ne part pas', async () => {
+      const { id } = await DataExport.create(user.id);
+      emailService.sendDataExportReadyEmail.mockRejectedValueOnce(new Error('SMTP indisponible'));
+
+      const completed = await dataExportService.processExport(id);
+
+      expect(completed.status).toBe('completed');
+      expect((await findExport(id)).status).toBe('completed');
+      expect(fs.existsSync(path.join(process.env.DATA_EXPORT_DIR, `${id}.zip`))).toBe(true);
+    });
+
+    it('supprime l\'archive si l\'export échoue après sa génération', async () => {
+      const { id } = await DataExport.create(user.id);
+      jest.spyOn(DataExport, 'markCompleted').mockRejectedValueOnce(new Error('connexion perdue'));
+
+      await dataExportService.processExport(id);
+
+      expect(await findExport(id)).toMatchObject({ status: 'failed', error_message: 'connexion perdue' });
+      expect(fs.existsSync(path.join(process.env.DATA_EXPORT_DIR, `${id}.zip`))).toBe(false);
+      expect(fs.existsSync(path.join(process.env.DATA_EXPORT_DIR, `${id}.zip.part`))).toBe(false);
+
+      DataExport.markCompleted.mockRestore();
+    });
+  });
+
+  describe('requestExport', () => {
+    it('crée le job et le trace', async () => {
+      // Le traitement en arrière-plan n'est pas lancé
+      jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+
+      const dataExport = await dataExportService.requestExport(user, { ip: '10.0.0.1' });
+
+      expect(dataExport.status).toBe('pending');
+      expect(await db('data_exports').where({ id: dataExport.id }).first()).toMatchObject({
+        user_id: user.id,
+        requested_ip: '10.0.0.1'
+      });
+      expect(securityService.recordEvent).toHaveBeenCalledWith('data_export_requested', expect.objectContaining({ userId: user.id }));
+      expect(auditService.record).toHaveBeenCalledWith('user.data_export_request', expect.objectContaining({
+        entityId: user.id,
+        metadata: { exportId: dataExport.id }
+      }));
+
+      global.setImmediate.mockRestore();
+    });
+
+    it('refuse une deuxième demande pendant la préparation', async () => {
+      const { id } = await DataExport.create(user.id);
+      await DataExport.claim(id);
+
+      await expect(dataExportService.requestExport(user)).rejects.toMatchObject({ statusCode: 409 });
+      expect(await DataExport.findByUser(user.id)).toHaveLength(1);
+    });
+
+    it('limite le nombre de demandes par jour', async () => {
+      for (let i = 0; i < dataExportService.MAX_EXPORTS_PER_DAY; i += 1) {
+        const { id } = await DataExport.create(user.id);
+        await DataExport.markFailed(id, 'échec');
+      }
+
+      await expect(dataExportService.requestExport(user)).rejects.toMatchObject({ statusCode: 429 });
+    });
+  });
+
+  describe('getDownload', () => {
+    it('refuse un lien invalide ou expiré', async () => {
+      const valid = await createCompletedExport(user.id);
+      const expired = await createCompletedExport(user.id, { expiresAt: new Date(Date.now() - 1000) });
+
+      await expect(dataExportService.getDownload(user.id, valid.id, 'mauvais'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(dataExportService.getDownload(user.id, expired.id, 'jeton'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect((await findExport(valid.id)).download_count).toBe(0);
+    });
+
+    it('retourne l\'archive et note le téléchargement', async () => {
+      const dataExport = await createCompletedExport(user.id);
+
+      const { filePath } = await dataExportService.getDownload(user.id, dataExport.id, 'jeton');
+
+      expect(filePath).toBe(path.join(process.env.DATA_EXPORT_DIR, `${dataExport.id}.zip`));
+      expect(await findExport(dataExport.id)).toMatchObject({
+        download_count: 1,
+        last_downloaded_at: expect.any(Date)
+      });
+    });
+  });
+
+  describe('purgeExpiredExports', () => {
+    it('supprime les archives expirées', async () => {
+      const expired = await createCompletedExport(user.id, { expiresAt: new Date(Date.now() - 1000) });
+      const valid = await createCompletedExport(user.id);
+
+      await expect(dataExportService.purgeExpiredExports()).resolves.toBe(1);
+
+      expect(fs.existsSync(path.join(process.env.DATA_EXPORT_DIR, `${expired.id}.zip`))).toBe(false);
+      expect(fs.existsSync(path.join(process.env.DATA_EXPORT_DIR, `${valid.id}.zip`))).toBe(true);
+      expect(await findExport(expired.id)).toMatchObject({ status: 'expired', file_name: null });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const emailChangeService = require('../../src/services/emailChangeService');
+const db = require('../../src/config/database');
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+const tokenRevocationService = require('../../src/services/tokenRevocationService');
+const { hashString } = require('../../src/utils/helpers');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn() },
+  CACHE_KEYS: { USER_PROFILE: (userId) => `user:${userId}` }
+}));
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/securityService');
+jest.mock('../../src/services/tokenRevocationService');
+jest.mock('../../src/services/auditService');
+
+/**
+ * Ligne users à jour
+ */
+const findUser = (id) => db('users').where({ id }).first();
+
+/**
+ * Demander le changement et retourner les liens envoyés par email
+ */
+const requestChange = async (user, newEmail) => {
+  await emailChangeService.requestEmailChange(user, newEmail);
+
+  return {
+    token: emailService.sendEmailChangeVerificationEmail.mock.calls[0][1].token,
+    revertToken: emailService.sendEmailChangeNoticeEmail.mock.calls[0][1].revertToken
+  };
+};
+
+describe('Email Change Service', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    user = await User.create({
+      email: 'ancien@afrikmode.com',
+      password: 'Password123!',
+      first_name: 'Kofi',
+      last_name: 'Mensah'
+    });
+  });
+
+  describe('requestEmailChange', () => {
+    it('enregistre la demande et prévient les deux adresses', async () => {
+      const result = await emailChangeService.requestEmailChange(user, ' Nouveau@AfrikMode.com ');
+
+      expect(result.pendingEmail).toBe('nouveau@afrikmode.com');
+
+      const stored = await findUser(user.id);
+      expect(stored).toEqual(expect.objectContaining({
+        email: 'ancien@afrikmode.com',
+        pending_email: 'nouveau@afrikmode.com',
+        email_revert_address: 'ancien@afrikmode.com'
+      }));
+
+      const { token } = emailService.sendEmailChangeVerificationEmail.mock.calls[0][1];
+      const { revertToken } = emailService.sendEmailChangeNoticeEmail.mock.calls[0][1];
+      expect(emailService.sendEmailChangeVerificationEmail).toHaveBeenCalledWith('nouveau@afrikmode.com', expect.any(Object));
+      expect(emailService.sendEmailChangeNoticeEmail).toHaveBeenCalledWith('ancien@afrikmode.com', expect.any(Object));
+
+      // Seules les empreintes des liens sont stockées
+      expect(stored.email_change_token_hash).toBe(hashString(token));
+      expect(stored.email_revert_token_hash).toBe(hashString(revertToken));
+      expect(token).not.toBe(revertToken);
+    });
+
+    it('refuse une adresse identique', async () => {
+      await expect(emailChangeService.requestEmailChange(user, 'ANCIEN@afrikmode.com'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuse une adresse déjà utilisée', async () => {
+      await User.create({ email: 'pris@afrikmode.com', password: 'Password123!', first_name: 'Afi', last_name: 'Doe' });
+
+      await expect(emailChangeService.requestEmailChange(user, 'pris@afrikmode.com'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(emailService.sendEmailChangeVerificationEmail).not.toHaveBeenCalled();
+      expect((await findUser(user.id)).pending_email).toBeNull();
+    });
+  });
+
+  describe('confirmEmailChange', () => {
+    it('retourne null pour un lien invalide', async () => {
+      await requestChange(user, 'nouveau@afrikmode.com');
+
+      expect(await emailChangeService.confirmEmailChange('inconnu')).toBeNull();
+    });
+
+    it('remplace l\'adresse par la nouvelle', async () => {
+      const { token } = await requestChange(user, 'nouveau@afrikmode.com');
+
+      const updated = await emailChangeService.confirmEmailChange(token);
+
+      expect(updated).toEqual(expect.objectContaining({ id: user.id, email: 'nouveau@afrikmode.com' }));
+      expect(await findUser(user.id)).toEqual(expect.objectContaining({
+        email: 'nouveau@afrikmode.com',
+        email_verified: true,
+        pending_email: null,
+        email_change_token_hash: null
+      }));
+    });
+
+    it('abandonne la demande si l\'adresse a été prise entre-temps', async () => {
+      const { token } = await requestChange(user, 'nouveau@afrikmode.com');
+      await User.create({ email: 'nouveau@afrikmode.com', password: 'Password123!', first_name: 'Afi', last_name: 'Doe' });
+
+      await expect(emailChangeService.confirmEmailChange(token))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(await findUser(user.id)).toEqual(expect.objectContaining({
+        email: 'ancien@afrikmode.com',
+        pending_email: null
+      }));
+    });
+  });
+
+  describe('revertEmailChange', () => {
+    it('rétablit l\'adresse d\'origine et ferme les sessions', async () => {
+      const { token, revertToken } = await requestChange(user, 'pirate@example.com');
+      await emailChangeService.confirmEmailChange(token);
+
+      const result = await emailChangeService.revertEmailChange(revertToken);
+
+      expect(result).toEqual({ id: user.id, email: 'ancien@afrikmode.com', wasConfirmed: true });
+
+      const stored = await findUser(user.id);
+      expect(stored).toEqual(expect.objectContaining({
+        email: 'ancien@afrikmode.com',
+        pending_email: null,
+        email_revert_token_hash: null
+      }));
+      expect(tokenRevocationService.revokeAllUserTokens).toHaveBeenCalledWith(user.id, 'email_change_reverted');
+      expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith(
+        'ancien@afrikmode.com',
+        stored.password_reset_token,
+        'Kofi'
+      );
+    });
+
+    it('annule une demande non confirmée', async () => {
+      const { revertToken } = await requestChange(user, 'nouveau@afrikmode.com');
+
+      const result = await emailChangeService.revertEmailChange(revertToken);
+
+      expect(result.wasConfirmed).toBe(false);
+      expect((await findUser(user.id)).pending_email).toBeNull();
+    });
+
+    it('n\'accepte un lien qu\'une fois', async () => {
+      const { revertToken } = await requestChange(user, 'nouveau@afrikmode.com');
+      await emailChangeService.revertEmailChange(revertToken);
+
+      expect(await emailChangeService.revertEmailChange(revertToken)).toBeNull();
+    });
+  });
+});
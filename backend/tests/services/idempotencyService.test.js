@@ -0,0 +1,135 @@
+const idempotencyService = require('../../src/services/idempotencyService');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+
+jest.mock('../../src/models/IdempotencyKey');
+
+describe('Idempotency Service', () => {
+  const request = {
+    userId: 'user-1',
+    key: 'retry-123',
+    endpoint: 'POST /orders',
+    fingerprint: 'fingerprint-1'
+  };
+
+  const stored = (overrides = {}) => ({
+    id: 'key-1',
+    endpoint: 'POST /orders',
+    request_fingerprint: 'fingerprint-1',
+    status: 'completed',
+    response_status: 201,
+    response_body: { success: true, data: { order: { id: 'order-1' } } },
+    locked_at: new Date(),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getEndpoint / getFingerprint', () => {
+    it('ignore le préfixe de version', () => {
+      const route = { path: '/' };
+
+      expect(idempotencyService.getEndpoint({ method: 'POST', baseUrl: '/api/v2/orders', apiBasePath: '/api/v2', route }))
+        .toBe('POST /orders');
+      expect(idempotencyService.getEndpoint({ method: 'POST', baseUrl: '/api/orders', apiBasePath: '/api', route }))
+        .toBe('POST /orders');
+    });
+
+    it('ne dépend pas de l\'ordre des champs du corps', () => {
+      const a = idempotencyService.getFingerprint('POST /orders', { items: [{ productId: 'p1', quantity: 2 }], notes: 'x' });
+      const b = idempotencyService.getFingerprint('POST /orders', { notes: 'x', items: [{ quantity: 2, productId: 'p1' }] });
+      const c = idempotencyService.getFingerprint('POST /orders', { notes: 'x', items: [{ quantity: 3, productId: 'p1' }] });
+
+      expect(a).toBe(b);
+      expect(a).not.toBe(c);
+    });
+  });
+
+  describe('begin', () => {
+    it('réserve une clé nouvelle', async () => {
+      IdempotencyKey.claim.mockResolvedValue({ id: 'key-1' });
+
+      const result = await idempotencyService.begin(request);
+
+      expect(result).toEqual({ record: { id: 'key-1' } });
+      expect(IdempotencyKey.claim).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        key: 'retry-123',
+        ttlSeconds: idempotencyService.KEY_TTL_SECONDS
+      }));
+    });
+
+    it('rejoue la réponse enregistrée', async () => {
+      IdempotencyKey.claim.mockResolvedValue(null);
+      IdempotencyKey.find.mockResolvedValue(stored());
+
+      const result = await idempotencyService.begin(request);
+
+      expect(result.replay).toEqual({
+        status: 201,
+        body: { success: true, data: { order: { id: 'order-1' } } }
+      });
+    });
+
+    it('refuse une requête concurrente avec 409', async () => {
+      IdempotencyKey.claim.mockResolvedValue(null);
+      IdempotencyKey.find.mockResolvedValue(stored({ status: 'processing', response_status: null, response_body: null }));
+
+      await expect(idempotencyService.begin(request)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      });
+    });
+
+    it('refuse une clé réutilisée pour une autre requête', async () => {
+      IdempotencyKey.claim.mockResolvedValue(null);
+      IdempotencyKey.find.mockResolvedValue(stored({ request_fingerprint: 'fingerprint-2' }));
+
+      await expect(idempotencyService.begin(request)).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    });
+
+    it('reprend une clé expirée ou un traitement abandonné', async () => {
+      const abandoned = stored({ status: 'processing', locked_at: new Date(Date.now() - 10 * 60 * 1000) });
+      IdempotencyKey.claim
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'key-2' });
+      IdempotencyKey.find.mockResolvedValue(abandoned);
+
+      const result = await idempotencyService.begin(request);
+
+      expect(IdempotencyKey.release).toHaveBeenCalledWith('key-1', abandoned.locked_at);
+      expect(result).toEqual({ record: { id: 'key-2' } });
+    });
+
+    it('refuse une clé vide ou trop longue', async () => {
+      await expect(idempotencyService.begin({ ...request, key: ' ' })).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+      await expect(idempotencyService.begin({ ...request, key: 'k'.repeat(256) })).rejects.toMatchObject({
+        statusCode: 400
+      });
+      expect(IdempotencyKey.claim).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('finish', () => {
+    it('enregistre les réponses client', async () => {
+      await idempotencyService.finish({ id: 'key-1' }, { status: 400, body: { success: false } });
+
+      expect(IdempotencyKey.complete).toHaveBeenCalledWith('key-1', { status: 400, body: { success: false } });
+    });
+
+    it('libère la clé après une erreur serveur', async () => {
+      await idempotencyService.finish({ id: 'key-1' }, { status: 503, body: { success: false } });
+
+      expect(IdempotencyKey.release).toHaveBeenCalledWith('key-1');
+      expect(IdempotencyKey.complete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,379 @@
+const inventoryService = require('../../src/services/inventoryService');
+const ProductVariant = require('../../src/models/ProductVariant');
+const StockLocation = require('../../src/models/StockLocation');
+const StockLevel = require('../../src/models/StockLevel');
+const InventoryReservation = require('../../src/models/InventoryReservation');
+const { cache } = require('../../src/config/redis');
+const db = require('../../src/config/database');
+
+jest.mock('../../src/config/database', () => {
+  const db = jest.fn();
+  db.transaction = jest.fn();
+  return db;
+});
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn(), delPattern: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/models/ProductVariant');
+jest.mock('../../src/models/StockLocation');
+jest.mock('../../src/models/StockLevel');
+jest.mock('../../src/models/InventoryReservation');
+
+/**
+ * Transaction Knex simulée: chaque requête est enregistrée dans `writes`
+ * (table, critère et incréments/décréments)
+ */
+let writes;
+
+const mockTrx = () => {
+  writes = [];
+
+  const trx = jest.fn((table) => {
+    const write = { table, ops: [] };
+    writes.push(write);
+
+    const query = {
+      where: jest.fn((criteria) => { write.where = criteria; return query; }),
+      whereIn: jest.fn(() => query),
+      whereRaw: jest.fn(() => query),
+      update: jest.fn(() => query),
+      increment: jest.fn((column, amount) => { write.ops.push(['+', column, amount]); return query; }),
+      decrement: jest.fn((column, amount) => { write.ops.push(['-', column, amount]); return query; }),
+      then: (resolve) => resolve(1)
+    };
+
+    return query;
+  });
+
+  trx.fn = { now: jest.fn(() => 'NOW()') };
+  return trx;
+};
+
+describe('Inventory Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeVariants', () => {
+    it('applique les valeurs par défaut', () => {
+      const [variant] = inventoryService.normalizeVariants([{ options: { size: 'M' }, sku: 'BOU-M' }]);
+
+      expect(variant).toEqual({ options: { size: 'M' }, sku: 'BOU-M', isActive: true });
+    });
+
+    it('refuse deux variantes avec les mêmes options', () => {
+      expect(() => inventoryService.normalizeVariants([
+        { options: { size: 'M', color: 'Rouge' } },
+        { options: { Color: 'rouge', Size: 'm' } }
+      ])).toThrow('Variante en double');
+    });
+
+    it('refuse un SKU en double', () => {
+      expect(() => inventoryService.normalizeVariants([
+        { options: { size: 'M' }, sku: 'BOU' },
+        { options: { size: 'L' }, sku: 'BOU' }
+      ])).toThrow('SKU de variante en double: BOU');
+    });
+
+    it('détaille les champs invalides', () => {
+      try {
+        inventoryService.normalizeVariants([{ options: { size: 'M' }, stockQuantity: -1 }]);
+        throw new Error('Validation attendue');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.details).toEqual([expect.objectContaining({ field: 'variants.0.stockQuantity' })]);
+      }
+    });
+  });
+
+  describe('getReservationExpiry / getAvailableQuantity', () => {
+    it('fixe une échéance sauf pour le paiement à la livraison', () => {
+      const now = new Date('2025-10-22T10:00:00Z');
+
+      expect(inventoryService.getReservationExpiry('tmoney', now))
+        .toEqual(new Date(now.getTime() + inventoryService.RESERVATION_TTL_MINUTES * 60 * 1000));
+      expect(inventoryService.getReservationExpiry('cash_on_delivery', now)).toBeNull();
+    });
+
+    it('retire les réservations actives du stock', () => {
+      expect(inventoryService.getAvailableQuantity({ stock_quantity: 10, reserved_quantity: 8 })).toBe(2);
+      expect(inventoryService.getAvailableQuantity({ stock_quantity: 1, reserved_quantity: 3 })).toBe(0);
+    });
+  });
+
+  describe('selectFulfillment', () => {
+    const workshop = { id: 'loc-lome', name: 'Atelier Lomé', city: 'Lomé', is_active: true, fulfills_online_orders: true };
+    const shop = { id: 'loc-kara', name: 'Boutique Kara', city: 'Kara', is_active: true, fulfills_online_orders: true };
+    const level = (locationId, productId, quantity, reserved = 0, variantId = null) => ({
+      location_id: locationId, product_id: productId, variant_id: variantId, quantity, reserved_quantity: reserved
+    });
+    const boubou = { productId: 'product-1', variantId: 'variant-m', quantity: 2, productName: 'Boubou brodé', variantName: 'M' };
+    const pagne = { productId: 'product-2', variantId: null, quantity: 1, productName: 'Pagne wax' };
+
+    it('sert toute la commande depuis le premier lieu qui a tout le stock', async () => {
+      StockLocation.findByStore.mockResolvedValue([workshop, shop]);
+      StockLevel.findForProducts.mockResolvedValue([
+        level('loc-lome', 'product-1', 5, 0, 'variant-m'),
+        level('loc-kara', 'product-1', 3, 0, 'variant-m'),
+        level('loc-kara', 'product-2', 4)
+      ]);
+
+      const lines = await inventoryService.selectFulfillment('store-1', [boubou, pagne]);
+
+      expect(StockLocation.findByStore).toHaveBeenCalledWith('store-1', { activeOnly: true });
+      expect(lines.map(line => line.locationId)).toEqual(['loc-kara', 'loc-kara']);
+      expect(lines[0]).toMatchObject({ ...boubou, locationName: 'Boutique Kara' });
+    });
+
+    it('préfère les lieux de la ville de livraison', async () => {
+      StockLocation.findByStore.mockResolvedValue([workshop, shop]);
+      StockLevel.findForProducts.mockResolvedValue([
+        level('loc-lome', 'product-2', 4),
+        level('loc-kara', 'product-2', 4)
+      ]);
+
+      const [line] = await inventoryService.selectFulfillment('store-1', [pagne], { city: 'kara' });
+
+      expect(line.locationId).toBe('loc-kara');
+    });
+
+    it('répartit les articles entre les lieux à défaut d\'un lieu complet', async () => {
+      StockLocation.findByStore.mockResolvedValue([workshop, shop]);
+      StockLevel.findForProducts.mockResolvedValue([
+        level('loc-lome', 'product-1', 2, 0, 'variant-m'),
+        level('loc-kara', 'product-2', 1)
+      ]);
+
+      const lines = await inventoryService.selectFulfillment('store-1', [boubou, pagne]);
+
+      expect(lines.map(line => line.locationId)).toEqual(['loc-lome', 'loc-kara']);
+    });
+
+    it('ignore les lieux qui n\'expédient pas les commandes en ligne', async () => {
+      StockLocation.findByStore.mockResolvedValue([{ ...workshop, fulfills_online_orders: false }, shop]);
+      StockLevel.findForProducts.mockResolvedValue([level('loc-lome', 'product-2', 10)]);
+
+      await expect(inventoryService.selectFulfillment('store-1', [pagne])).rejects.toMatchObject({
+        code: 'STOCK_ERROR',
+        message: 'Stock insuffisant pour Pagne wax. Stock disponible dans un même lieu: 0'
+      });
+      expect(StockLevel.findForProducts).toHaveBeenCalledWith(['product-2'], ['loc-kara']);
+    });
+
+    it('réserve tout dans le lieu de retrait choisi par le client', async () => {
+      const locationId = '7b4f9b4e-4c1e-4a55-9d57-2d0c6f1f0a11';
+      StockLocation.findForStore.mockResolvedValue({ ...shop, id: locationId });
+      StockLevel.findForProducts.mockResolvedValue([level(locationId, 'product-2', 1, 1)]);
+
+      await expect(inventoryService.selectFulfillment('store-1', [pagne], { locationId })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Stock insuffisant pour Pagne wax à Boutique Kara. Stock disponible: 0'
+      });
+      expect(StockLocation.findForStore).toHaveBeenCalledWith('store-1', locationId);
+    });
+
+    it('refuse un lieu de retrait inconnu', async () => {
+      await expect(inventoryService.selectFulfillment('store-1', [pagne], { locationId: 'kara' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(StockLocation.findForStore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reserveItems', () => {
+    const item = {
+      orderItemId: 'item-1',
+      productId: 'product-1',
+      variantId: 'variant-m',
+      locationId: 'loc-lome',
+      quantity: 3,
+      productName: 'Boubou brodé',
+      variantName: 'M'
+    };
+    const expiresAt = new Date('2025-10-22T10:30:00Z');
+
+    it('réserve dans le lieu de l\'article avec une échéance', async () => {
+      const trx = mockTrx();
+      StockLevel.reserve.mockResolvedValue(true);
+
+      await inventoryService.reserveItems([item], trx, { orderId: 'order-1', expiresAt });
+
+      expect(StockLevel.reserve).toHaveBeenCalledWith('loc-lome', 'product-1', 'variant-m', 3, trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith(['product-1'], trx);
+      expect(InventoryReservation.createMany).toHaveBeenCalledWith([{
+        orderId: 'order-1',
+        orderItemId: 'item-1',
+        productId: 'product-1',
+        variantId: 'variant-m',
+        locationId: 'loc-lome',
+        quantity: 3,
+        expiresAt
+      }], trx);
+    });
+
+    it('refuse de survendre le stock du lieu', async () => {
+      const trx = mockTrx();
+      StockLevel.reserve.mockResolvedValue(false);
+      StockLevel.find.mockResolvedValue({ quantity: 2, reserved_quantity: 0 });
+
+      await expect(inventoryService.reserveItems([item], trx, { orderId: 'order-1' })).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'STOCK_ERROR',
+        message: 'Stock insuffisant pour Boubou brodé (M). Stock disponible: 2',
+        details: { availableQuantity: 2 }
+      });
+      expect(StockLevel.refreshTotals).not.toHaveBeenCalled();
+      expect(InventoryReservation.createMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseOrder / convertOrder', () => {
+    const reservation = {
+      id: 'reservation-1',
+      product_id: 'product-1',
+      variant_id: 'variant-m',
+      location_id: 'loc-lome',
+      quantity: 2
+    };
+
+    it('libère les réservations actives', async () => {
+      const trx = mockTrx();
+      InventoryReservation.findByOrder
+        .mockResolvedValueOnce([reservation])
+        .mockResolvedValueOnce([]);
+
+      const released = await inventoryService.releaseOrder('order-1', trx);
+
+      expect(StockLevel.release).toHaveBeenCalledWith('loc-lome', 'product-1', 'variant-m', 2, trx);
+      expect(InventoryReservation.markAs).toHaveBeenCalledWith(['reservation-1'], 'released', trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith(['product-1'], trx);
+      expect(released).toEqual([reservation]);
+    });
+
+    it('remet en vente dans son lieu le stock d\'une commande payée puis annulée', async () => {
+      const trx = mockTrx();
+      InventoryReservation.findByOrder
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([reservation]);
+
+      await inventoryService.releaseOrder('order-1', trx);
+
+      expect(StockLevel.add).toHaveBeenCalledWith('loc-lome', 'product-1', 'variant-m', 2, {
+        type: 'return',
+        reason: 'order_cancelled',
+        referenceType: 'order',
+        referenceId: 'order-1'
+      }, trx);
+      expect(InventoryReservation.markAs).toHaveBeenCalledWith(['reservation-1'], 'returned', trx);
+    });
+
+    it('n\'expire que les réservations actives', async () => {
+      const trx = mockTrx();
+      InventoryReservation.findByOrder.mockResolvedValueOnce([reservation]);
+
+      await inventoryService.releaseOrder('order-1', trx, 'expired');
+
+      expect(InventoryReservation.findByOrder).toHaveBeenCalledTimes(1);
+      expect(InventoryReservation.markAs).toHaveBeenCalledWith(['reservation-1'], 'expired', trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith(['product-1'], trx);
+    });
+
+    it('convertit la réservation en vente au paiement', async () => {
+      const trx = mockTrx();
+      InventoryReservation.findByOrder.mockResolvedValueOnce([reservation]);
+
+      const converted = await inventoryService.convertOrder('order-1', trx);
+
+      expect(converted).toBe(1);
+      expect(StockLevel.commitSale).toHaveBeenCalledWith('loc-lome', 'product-1', 'variant-m', 2, {
+        type: 'sale',
+        reason: 'order_sale',
+        referenceType: 'order',
+        referenceId: 'order-1'
+      }, trx);
+      expect(InventoryReservation.markAs).toHaveBeenCalledWith(['reservation-1'], 'converted', trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith(['product-1'], trx);
+    });
+  });
+
+  describe('syncVariants / setProductStock', () => {
+    const product = { id: 'product-1', store_id: 'store-1', name: 'Boubou brodé' };
+
+    beforeEach(() => {
+      StockLocation.getDefault.mockResolvedValue({ id: 'loc-main' });
+      ProductVariant.label.mockImplementation(variant => Object.values(variant.options).join(' / '));
+    });
+
+    it('place le stock saisi dans le lieu par défaut et conserve celui des autres variantes', async () => {
+      const trx = mockTrx();
+      StockLevel.findForUpdate
+        .mockResolvedValueOnce({ quantity: 1, reserved_quantity: 0 })
+        .mockResolvedValueOnce(undefined);
+      ProductVariant.sync.mockResolvedValue([
+        { id: 'variant-m', options: { size: 'M' } },
+        { id: 'variant-l', options: { size: 'L' } },
+        { id: 'variant-xl', options: { size: 'XL' } }
+      ]);
+
+      await inventoryService.syncVariants(product, [
+        { id: 'variant-m', options: { size: 'M' }, stockQuantity: 4 },
+        { id: 'variant-l', options: { size: 'L' } },
+        { options: { Size: 'xl' } }
+      ], trx);
+
+      expect(StockLocation.getDefault).toHaveBeenCalledWith('store-1', trx);
+      expect(StockLevel.upsert.mock.calls).toEqual([
+        ['loc-main', 'product-1', 'variant-m', { quantity: 4 }, { type: 'adjustment', reason: 'correction' }, trx],
+        ['loc-main', 'product-1', 'variant-xl', { quantity: 0 }, { type: 'adjustment', reason: 'opening_balance' }, trx]
+      ]);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith('product-1', trx);
+    });
+
+    it('refuse un stock inférieur aux réservations en cours', async () => {
+      const trx = mockTrx();
+      StockLevel.findForUpdate.mockResolvedValue({ quantity: 5, reserved_quantity: 3 });
+
+      await expect(inventoryService.setProductStock(product, 2, trx)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Stock de Boubou brodé inférieur aux quantités réservées par des commandes (3)'
+      });
+      expect(StockLevel.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireOrder', () => {
+    const mockOrder = (order) => {
+      const trx = mockTrx();
+      const orderQuery = {
+        select: jest.fn(() => orderQuery),
+        where: jest.fn(() => orderQuery),
+        forUpdate: jest.fn(() => orderQuery),
+        first: jest.fn(async () => order)
+      };
+      trx.mockImplementationOnce(() => orderQuery);
+      db.transaction.mockImplementation(async (handler) => handler(trx));
+      return trx;
+    };
+
+    it('annule une commande non payée et libère son stock', async () => {
+      const trx = mockOrder({ id: 'order-1', status: 'pending', payment_status: 'pending' });
+      InventoryReservation.findByOrder.mockResolvedValueOnce([
+        { id: 'reservation-1', product_id: 'product-1', variant_id: null, location_id: 'loc-lome', quantity: 1 }
+      ]);
+
+      await expect(inventoryService.expireOrder('order-1')).resolves.toBe(true);
+
+      expect(InventoryReservation.markAs).toHaveBeenCalledWith(['reservation-1'], 'expired', trx);
+      expect(cache.delPattern).toHaveBeenCalledWith('product:product-1:*');
+    });
+
+    it('conserve la réservation d\'une commande payée entre-temps', async () => {
+      const trx = mockOrder({ id: 'order-1', status: 'paid', payment_status: 'paid' });
+
+      await expect(inventoryService.expireOrder('order-1')).resolves.toBe(false);
+
+      expect(InventoryReservation.clearExpiry).toHaveBeenCalledWith('order-1', trx);
+      expect(InventoryReservation.findByOrder).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcService = require('../../src/services/oidcService');
+const db = require('../../src/config/database');
+const User = require('../../src/models/User');
+const UserIdentity = require('../../src/models/UserIdentity');
+const auditService = require('../../src/services/auditService');
+const bcrypt = require('bcrypt');
+const { cache } = require('../../src/config/redis');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    set: jest.fn(),
+    getDel: jest.fn()
+  },
+  CACHE_KEYS: { OIDC_STATE: (state) => `auth:oidc_state:${state}` },
+  isConnected: () => true
+}));
+jest.mock('bcrypt', () => ({ hash: jest.fn() }));
+jest.mock('../../src/services/securityService');
+jest.mock('../../src/services/auditService');
+
+const CLIENT_ID = 'afrikmode-web';
+const CLIENT_SECRET = 'mock-secret';
+
+/**
+ * Émetteur OpenID Connect local: découverte, JWKS et endpoint token
+ * Les codes d'autorisation sont émis par issueCode() (étape navigateur simulée)
+ */
+const createMockIssuer = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+
+  const issuer = {
+    url: null,
+    privateKey,
+    tokenRequests: [],
+
+    signIdToken: (claims, options = {}) => jwt.sign(claims, options.key || privateKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer: options.issuer || issuer.url,
+      audience: options.audience || CLIENT_ID,
+      expiresIn: '5m'
+    }),
+
+    // L'utilisateur s'authentifie chez le fournisseur, qui redirige avec un code
+    issueCode: (authorizationUrl, claims, options = {}) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      codes.set(code, {
+        challenge: params.get('code_challenge'),
+        idToken: issuer.signIdToken({ nonce: params.get('nonce'), ...claims }, options)
+      });
+      return { code, state: params.get('state') };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`
+      });
+    }
+
+    if (req.url === '/jwks') {
+      return send(200, { keys: [jwk] });
+    }
+
+    if (req.url === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', (chunk) => { raw += chunk; });
+      req.on('end', () => {
+        const body = Object.fromEntries(new URLSearchParams(raw));
+        issuer.tokenRequests.push(body);
+        const grant = codes.get(body.code);
+        codes.delete(body.code);
+
+        const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+        if (!grant || grant.challenge !== challenge || body.client_secret !== CLIENT_SECRET) {
+          return send(400, { error: 'invalid_grant' });
+        }
+
+        send(200, { access_token: 'access', token_type: 'Bearer', id_token: grant.idToken });
+      });
+      return;
+    }
+
+    send(404, { error: 'not_found' });
+  });
+
+  issuer.start = () => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      issuer.url = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  issuer.stop = () => new Promise((resolve) => server.close(resolve));
+
+  return issuer;
+};
+
+/**
+ * Compte local existant (email vérifié ou non)
+ */
+const createLocalUser = async (emailVerified) => {
+  const user = await User.create({
+    email: 'awa@example.com',
+    password: 'Password123!',
+    first_name: 'Awa',
+    last_name: 'Locale'
+  });
+  await db('users').where({ id: user.id }).update({ email_verified: emailVerified });
+  return user;
+};
+
+const verifiedClaims = {
+  sub: 'sub-123',
+  email: 'Awa@Example.com',
+  email_verified: true,
+  given_name: 'Awa',
+  family_name: 'Mensah'
+};
+
+describe('OIDC Service', () => {
+  const issuer = createMockIssuer();
+
+  // Aller-retour complet: redirection, authentification simulée, callback
+  const login = async (claims, options) => {
+    const { authorizationUrl } = await oidcService.createAuthorizationRequest('mock');
+    const { code, state } = issuer.issueCode(authorizationUrl, claims, options);
+    return { code, state, result: () => oidcService.authenticate('mock', { code, state }) };
+  };
+
+  beforeAll(async () => {
+    await issuer.start();
+    process.env.OIDC_PROVIDERS = 'mock';
+    process.env.OIDC_MOCK_ISSUER = issuer.url;
+    process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:4200/auth/callback';
+  });
+
+  afterAll(async () => {
+    await issuer.stop();
+    delete process.env.OIDC_PROVIDERS;
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    oidcService.clearCaches();
+
+    // Redis en mémoire (states des tentatives de connexion)
+    const store = new Map();
+    cache.set.mockImplementation(async (key, value) => store.set(key, JSON.stringify(value)));
+    cache.getDel.mockImplementation(async (key) => {
+      const value = store.has(key) ? JSON.parse(store.get(key)) : null;
+      store.delete(key);
+      return value;
+    });
+    bcrypt.hash.mockResolvedValue('hash');
+  });
+
+  describe('createAuthorizationRequest', () => {
+    it('construit l\'URL avec state, nonce et PKCE', async () => {
+      const { authorizationUrl, state } = await oidcService.createAuthorizationRequest('mock');
+      const url = new URL(authorizationUrl);
+
+      expect(`${url.origin}${url.pathname}`).toBe(`${issuer.url}/authorize`);
+      expect(url.searchParams.get('client_id')).toBe(CLIENT_ID);
+      expect(url.searchParams.get('state')).toBe(state);
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
+    it('refuse un fournisseur non configuré', async () => {
+      await expect(oidcService.createAuthorizationRequest('inconnu'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('authenticate', () => {
+    it('n\'accepte qu\'un seul de deux callbacks simultanés avec le même state', async () => {
+      const { code, state } = await login(verifiedClaims);
+
+      const results = await Promise.allSettled([
+        oidcService.authenticate('mock', { code, state }),
+        oidcService.authenticate('mock', { code, state })
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason)
+        .toMatchObject({ statusCode: 400, code: 'OIDC_INVALID_STATE' });
+    });
+
+    it('crée un compte client vérifié pour une nouvelle identité', async () => {
+      const { result } = await login(verifiedClaims);
+
+      const { user, isNewUser } = await result();
+
+      expect(isNewUser).toBe(true);
+      expect(await db('users').where({ id: user.id }).first()).toEqual(expect.objectContaining({
+        email: 'awa@example.com',
+        first_name: 'Awa',
+        last_name: 'Mensah',
+        role: 'customer',
+        status: 'active',
+        email_verified: true
+      }));
+      expect(await UserIdentity.findByProviderSubject('mock', 'sub-123')).toEqual(expect.objectContaining({
+        user_id: user.id,
+        email: 'awa@example.com',
+        email_verified: true
+      }));
+      expect(issuer.tokenRequests[0].redirect_uri).toBe('http://localhost:4200/auth/callback');
+    });
+
+    it('lie l\'identité au compte vérifié de même adresse', async () => {
+      const existing = await createLocalUser(true);
+      const { result } = await login(verifiedClaims);
+
+      const { user, isNewUser, isNewIdentity } = await result();
+
+      expect(user.id).toBe(existing.id);
+      expect(isNewUser).toBe(false);
+      expect(isNewIdentity).toBe(true);
+      expect(await db('users').count('id as count').first()).toEqual({ count: '1' });
+      expect(auditService.record).toHaveBeenCalledWith('user.identity_link', expect.objectContaining({ entityId: existing.id }));
+    });
+
+    it('refuse la liaison à un compte local non vérifié', async () => {
+      const existing = await createLocalUser(false);
+      const { result } = await login(verifiedClaims);
+
+      await expect(result()).rejects.toMatchObject({ statusCode: 409, code: 'OIDC_ACCOUNT_NOT_VERIFIED' });
+      expect(await UserIdentity.findByUser(existing.id)).toEqual([]);
+    });
+
+    it('refuse une adresse non vérifiée par le fournisseur', async () => {
+      const { result } = await login({ ...verifiedClaims, email_verified: false });
+
+      await expect(result()).rejects.toMatchObject({ statusCode: 403 });
+      expect(await db('users').first()).toBeUndefined();
+    });
+
+    it('retrouve le compte d\'une identité déjà liée', async () => {
+      const linked = await createLocalUser(false);
+      const identity = await UserIdentity.create(linked.id, { provider: 'mock', subject: 'sub-123' });
+      const { result } = await login({ ...verifiedClaims, email_verified: false });
+
+      const { user, isNewIdentity } = await result();
+
+      expect(user.id).toBe(linked.id);
+      expect(isNewIdentity).toBe(false);
+      const [touched] = await UserIdentity.findByUser(linked.id);
+      expect(touched).toEqual(expect.objectContaining({ id: identity.id, email: 'awa@example.com' }));
+    });
+
+    it('n\'accepte un state qu\'une seule fois', async () => {
+      const { code, state, result } = await login(verifiedClaims);
+      await result();
+
+      await expect(oidcService.authenticate('mock', { code, state }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'OIDC_INVALID_STATE' });
+    });
+
+    it('rejette un id_token destiné à un autre client', async () => {
+      const { result } = await login(verifiedClaims, { audience: 'autre-client' });
+
+      await expect(result()).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('rejette un id_token signé par une autre clé', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const { result } = await login(verifiedClaims, { key: privateKey });
+
+      await expect(result()).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('rejette un id_token rejoué avec un autre nonce', async () => {
+      const { result } = await login({ ...verifiedClaims, nonce: 'nonce-vole' });
+
+      await expect(result()).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+});
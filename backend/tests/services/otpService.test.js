@@ -0,0 +1,109 @@
+const otpService = require('../../src/services/otpService');
+const smsService = require('../../src/services/smsService');
+const { cache, isConnected } = require('../../src/config/redis');
+
+// Mock des dépendances (Redis simulé en mémoire, recréé avant chaque test)
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    set: jest.fn(),
+    get: jest.fn(),
+    del: jest.fn(),
+    incr: jest.fn(),
+    expire: jest.fn(),
+    setNX: jest.fn()
+  },
+  CACHE_KEYS: {
+    PHONE_OTP: (purpose, phone) => `auth:otp:${purpose}:${phone}`,
+    PHONE_OTP_ATTEMPTS: (purpose, phone) => `auth:otp_attempts:${purpose}:${phone}`,
+    PHONE_OTP_COOLDOWN: (purpose, phone) => `auth:otp_cooldown:${purpose}:${phone}`
+  },
+  isConnected: jest.fn()
+}));
+jest.mock('../../src/services/smsService');
+
+describe('OTP Service', () => {
+  const phone = '+22870123456';
+  let sentCode;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isConnected.mockReturnValue(true);
+
+    const store = new Map();
+    cache.set.mockImplementation(async (key, value) => { store.set(key, JSON.stringify(value)); return true; });
+    cache.get.mockImplementation(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null));
+    cache.del.mockImplementation(async (key) => { store.delete(key); return true; });
+    cache.incr.mockImplementation(async (key) => {
+      const value = (store.has(key) ? JSON.parse(store.get(key)) : 0) + 1;
+      store.set(key, JSON.stringify(value));
+      return value;
+    });
+    cache.expire.mockResolvedValue(true);
+    cache.setNX.mockImplementation(async (key, value) => {
+      if (store.has(key)) return false;
+      store.set(key, JSON.stringify(value));
+      return true;
+    });
+    smsService.sendOtpSms.mockImplementation(async (to, code) => {
+      sentCode = code;
+      return { success: true };
+    });
+  });
+
+  describe('sendOtp', () => {
+    it('should send a 6 digit code and only store its hash', async () => {
+      await otpService.sendOtp(phone, 'login', { userId: 'u1' });
+
+      expect(smsService.sendOtpSms).toHaveBeenCalledWith(phone, expect.stringMatching(/^\d{6}$/), 5);
+
+      const stored = await cache.get(`auth:otp:login:${phone}`);
+      expect(stored.userId).toBe('u1');
+      expect(JSON.stringify(stored)).not.toContain(sentCode);
+    });
+
+    it('should refuse when Redis is unavailable', async () => {
+      isConnected.mockReturnValue(false);
+
+      await expect(otpService.sendOtp(phone, 'login')).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('acquireCooldown', () => {
+    it('should block a second request during the cooldown', async () => {
+      await otpService.acquireCooldown(phone, 'login');
+
+      await expect(otpService.acquireCooldown(phone, 'login')).rejects.toMatchObject({ statusCode: 429 });
+    });
+  });
+
+  describe('verifyOtp', () => {
+    it('should accept the right code only once', async () => {
+      await otpService.sendOtp(phone, 'login', { userId: 'u1' });
+
+      const result = await otpService.verifyOtp(phone, 'login', sentCode);
+      expect(result).toEqual({ status: 'valid', data: { userId: 'u1' } });
+
+      const replay = await otpService.verifyOtp(phone, 'login', sentCode);
+      expect(replay.status).toBe('expired');
+    });
+
+    it('should not accept a code issued for another purpose', async () => {
+      await otpService.sendOtp(phone, 'verify', { userId: 'u1' });
+
+      const result = await otpService.verifyOtp(phone, 'login', sentCode);
+      expect(result.status).toBe('expired');
+    });
+
+    it('should invalidate the code after too many attempts', async () => {
+      await otpService.sendOtp(phone, 'login', { userId: 'u1' });
+      const wrongCode = sentCode === '000000' ? '111111' : '000000';
+
+      for (let i = 0; i < otpService.OTP_MAX_ATTEMPTS; i++) {
+        expect((await otpService.verifyOtp(phone, 'login', wrongCode)).status).toBe('invalid');
+      }
+
+      expect((await otpService.verifyOtp(phone, 'login', sentCode)).status).toBe('too_many_attempts');
+      expect((await otpService.verifyOtp(phone, 'login', sentCode)).status).toBe('expired');
+    });
+  });
+});
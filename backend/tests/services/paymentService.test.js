@@ -621,4 +621,68 @@ describe('Payment Service', () => {
       consoleSpy.mockRestore();
     });
   });
-});
\ No newline at end of file
+});
+describe('Payment Service - paiement refusé', () => {
+  const { paymentService: service } = require('../../src/services/paymentService');
+  const db = require('../../src/config/database');
+
+  let order, product, location;
+
+  beforeEach(async () => {
+    const [customer] = await db('users')
+      .insert({ email: 'refus@test.com', password_hash: 'hash', first_name: 'Refus', last_name: 'Paiement' })
+      .returning('*');
+    const [store] = await db('stores')
+      .insert({ name: 'Pagnes du Golfe', slug: 'pagnes-du-golfe', owner_id: customer.id, address: '1 Rue du Marché', city: 'Lomé', country: 'TG' })
+      .returning('*');
+    const [category] = await db('categories').insert({ name: 'Pagnes', slug: 'pagnes' }).returning('*');
+    [product] = await db('products')
+      .insert({ store_id: store.id, category_id: category.id, name: 'Wax Hollandais', slug: 'wax-hollandais', price: 15000 })
+      .returning('*');
+    [location] = await db('stock_locations')
+      .insert({ store_id: store.id, name: 'Entrepôt', code: 'ENT', is_default: true })
+      .returning('*');
+    await db('stock_levels').insert({ location_id: location.id, product_id: product.id, quantity: 10, reserved_quantity: 2 });
+
+    [order] = await db('orders')
+      .insert({ order_number: 'AFM-REFUS-1', customer_id: customer.id, store_id: store.id, subtotal: 30000, total_amount: 30000 })
+      .returning('*');
+    await db('order_items').insert({
+      order_id: order.id, product_id: product.id, store_id: store.id, product_name: product.name,
+      quantity: 2, unit_price: 15000, total_price: 30000
+    });
+    await db('inventory_reservations').insert({
+      order_id: order.id, product_id: product.id, location_id: location.id, quantity: 2, expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    await db('payments').insert({
+      payment_reference: 'PAY-REFUS-1', order_id: order.id, customer_id: customer.id, store_id: store.id,
+      payment_method: 'tmoney', amount: 30000, net_amount: 30000, store_payout: 30000,
+      provider_transaction_id: 'TM-REFUS-1', status: 'processing'
+    });
+  });
+
+  it('annule la commande et libère son stock réservé quand le webhook signale un échec', async () => {
+    await service.handleWebhook('tmoney', { transaction_id: 'TM-REFUS-1', status: 'FAILED', amount: 30000 });
+
+    const updated = await db('orders').where({ id: order.id }).first();
+    expect(updated).toMatchObject({ status: 'cancelled', payment_status: 'failed' });
+
+    const level = await db('stock_levels').where({ location_id: location.id, product_id: product.id }).first();
+    expect(level).toMatchObject({ quantity: 10, reserved_quantity: 0 });
+
+    const reservation = await db('inventory_reservations').where({ order_id: order.id }).first();
+    expect(reservation.status).toBe('released');
+  });
+
+  it('laisse la commande intacte tant qu\'une autre tentative est en cours', async () => {
+    await db('payments').insert({
+      payment_reference: 'PAY-REFUS-2', order_id: order.id, customer_id: order.customer_id,
+      payment_method: 'flooz', amount: 30000, net_amount: 30000, store_payout: 30000, status: 'pending'
+    });
+
+    await service.handleWebhook('tmoney', { transaction_id: 'TM-REFUS-1', status: 'FAILED', amount: 30000 });
+
+    expect((await db('orders').where({ id: order.id }).first()).status).toBe('pending');
+    expect((await db('inventory_reservations').where({ order_id: order.id }).first()).status).toBe('active');
+  });
+});
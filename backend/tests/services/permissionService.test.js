@@ -0,0 +1,212 @@
+const permissionService = require('../../src/services/permissionService');
+const Permission = require('../../src/models/Permission');
+const StoreMember = require('../../src/models/StoreMember');
+const db = require('../../src/config/database');
+const { cache } = require('../../src/config/redis');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn()
+  },
+  CACHE_KEYS: {
+    ROLE_PERMISSIONS: (role) => `permissions:role:${role}`
+  }
+}));
+jest.mock('../../src/config/database', () => jest.fn());
+jest.mock('../../src/models/Permission');
+jest.mock('../../src/models/StoreMember');
+jest.mock('../../src/services/auditService');
+
+// Requête "boutique dont l'utilisateur est propriétaire"
+const mockOwnedStore = (store) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    where: jest.fn().mockReturnThis(),
+    whereNull: jest.fn().mockReturnThis(),
+    first: jest.fn().mockResolvedValue(store)
+  };
+  db.mockReturnValue(query);
+  return query;
+};
+
+describe('Permission Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+    Permission.getKeysForRole.mockResolvedValue(['orders:read_all', 'orders:view_stats']);
+  });
+
+  describe('getRolePermissions', () => {
+    it('should load the role permissions and cache them', async () => {
+      const permissions = await permissionService.getRolePermissions('manager');
+
+      expect(permissions).toEqual(['orders:read_all', 'orders:view_stats']);
+      expect(Permission.getKeysForRole).toHaveBeenCalledWith('manager');
+      expect(cache.set).toHaveBeenCalledWith('permissions:role:manager', permissions, expect.any(Number));
+    });
+
+    it('should use the cached permissions when available', async () => {
+      cache.get.mockResolvedValue(['payments:refund']);
+
+      const permissions = await permissionService.getRolePermissions('admin');
+
+      expect(permissions).toEqual(['payments:refund']);
+      expect(Permission.getKeysForRole).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should grant a permission mapped to the role', async () => {
+      await expect(
+        permissionService.hasPermission({ id: 'u1', role: 'manager' }, 'orders:read_all')
+      ).resolves.toBe(true);
+    });
+
+    it('should refuse a permission not mapped to the role', async () => {
+      await expect(
+        permissionService.hasPermission({ id: 'u1', role: 'manager' }, 'payments:refund')
+      ).resolves.toBe(false);
+    });
+
+    it('should always grant every permission to super admins', async () => {
+      await expect(
+        permissionService.hasPermission({ id: 'u1', role: 'super_admin' }, 'permissions:manage')
+      ).resolves.toBe(true);
+      expect(Permission.getKeysForRole).not.toHaveBeenCalled();
+    });
+
+    it('should refuse anonymous requests', async () => {
+      await expect(permissionService.hasPermission(null, 'orders:read_all')).resolves.toBe(false);
+    });
+  });
+
+  describe('hasAnyPermission', () => {
+    it('should grant access when one of the permissions is mapped', async () => {
+      await expect(
+        permissionService.hasAnyPermission({ id: 'u1', role: 'manager' }, ['payments:refund', 'orders:view_stats'])
+      ).resolves.toBe(true);
+    });
+  });
+
+  describe('updateRolePermissions', () => {
+    it('should replace the role permissions and invalidate the cache', async () => {
+      Permission.setRolePermissions.mockResolvedValue({ added: ['payments:refund'], removed: [] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const changes = await permissionService.updateRolePermissions('manager', ['payments:refund'], 'admin-id');
+
+      expect(Permission.setRolePermissions).toHaveBeenCalledWith('manager', ['payments:refund'], 'admin-id');
+      expect(cache.del).toHaveBeenCalledWith('permissions:role:manager');
+      expect(changes.added).toEqual(['payments:refund']);
+
+      console.log.mockRestore();
+    });
+  });
+
+  describe('syncRegistry', () => {
+    it('should drop the role permissions cached before the sync', async () => {
+      Permission.syncRegistry.mockResolvedValue(['orders:update_status']);
+
+      const added = await permissionService.syncRegistry();
+
+      expect(added).toEqual(['orders:update_status']);
+      expect(cache.del).toHaveBeenCalledWith('permissions:role:admin');
+      expect(cache.del).toHaveBeenCalledWith('permissions:role:manager');
+      expect(cache.del).toHaveBeenCalledWith('permissions:role:vendor');
+    });
+  });
+
+  describe('getStoreAccess', () => {
+    const user = { id: 'user-1', role: 'customer' };
+
+    it('should give every store permission to the owner', async () => {
+      mockOwnedStore({ id: 'store-1' });
+
+      const access = await permissionService.getStoreAccess(user, 'store-1');
+
+      expect(access.isOwner).toBe(true);
+      expect(access.permissions).toEqual(expect.arrayContaining(['store:manage_members', 'products:manage']));
+      expect(StoreMember.findActive).not.toHaveBeenCalled();
+    });
+
+    it('should give a packer only the order preparation permissions', async () => {
+      mockOwnedStore(undefined);
+      StoreMember.findActive.mockResolvedValue({ id: 'member-1', role: 'packer' });
+
+      const access = await permissionService.getStoreAccess(user, 'store-1');
+
+      expect(access.isOwner).toBe(false);
+      expect(access.member.id).toBe('member-1');
+      expect(access.permissions.sort()).toEqual(['orders:read', 'orders:update_status']);
+    });
+
+    it('should refuse users outside the store team', async () => {
+      mockOwnedStore(undefined);
+      StoreMember.findActive.mockResolvedValue(undefined);
+
+      await expect(
+        permissionService.hasStorePermission(user, 'store-1', 'orders:read')
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe('API keys', () => {
+    const apiKeyUser = {
+      id: 'owner-1',
+      role: 'super_admin',
+      apiKey: { id: 'key-1', storeId: 'store-1', scopes: ['orders:read'] }
+    };
+
+    it('should limit the key to its scopes in its own store', async () => {
+      const access = await permissionService.getStoreAccess(apiKeyUser, 'store-1');
+
+      expect(access).toEqual({ isOwner: false, member: null, permissions: ['orders:read'] });
+      expect(db).not.toHaveBeenCalled();
+    });
+
+    it('should refuse access to another store of the owner', async () => {
+      const access = await permissionService.getStoreAccess(apiKeyUser, 'store-2');
+
+      expect(access.permissions).toEqual([]);
+    });
+
+    it('should never grant global permissions to a key', async () => {
+      await expect(permissionService.hasPermission(apiKeyUser, 'orders:read_all')).resolves.toBe(false);
+      await expect(
+        permissionService.canAccessOrder(apiKeyUser, { customer_id: 'owner-1', store_id: 'store-2' })
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe('canAccessOrder', () => {
+    const order = { id: 'order-1', customer_id: 'customer-1', store_id: 'store-1' };
+
+    it('should let the customer access the order', async () => {
+      await expect(
+        permissionService.canAccessOrder({ id: 'customer-1', role: 'customer' }, order)
+      ).resolves.toBe(true);
+    });
+
+    it('should let a support member read the order', async () => {
+      mockOwnedStore(undefined);
+      StoreMember.findActive.mockResolvedValue({ id: 'member-2', role: 'support' });
+
+      await expect(
+        permissionService.canAccessOrder({ id: 'user-2', role: 'customer' }, order)
+      ).resolves.toBe(true);
+    });
+
+    it('should fall back to the global permission', async () => {
+      mockOwnedStore(undefined);
+      StoreMember.findActive.mockResolvedValue(undefined);
+      Permission.getKeysForRole.mockResolvedValue([]);
+
+      await expect(
+        permissionService.canAccessOrder({ id: 'user-3', role: 'vendor' }, order)
+      ).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dossier temporaire des fichiers d'import
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-import-'));
+process.env.PRODUCT_IMPORT_DIR = tmpDir;
+
+const productImportService = require('../../src/services/productImportService');
+const ProductImport = require('../../src/models/ProductImport');
+const inventoryService = require('../../src/services/inventoryService');
+const auditService = require('../../src/services/auditService');
+const db = require('../../src/config/database');
+
+jest.mock('../../src/config/database', () => {
+  const db = jest.fn();
+  db.transaction = jest.fn();
+  return db;
+});
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn(), delPattern: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/services/uploadService', () => ({
+  uploadService: { processProductImages: jest.fn() },
+  ALLOWED_IMAGE_TYPES: { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }
+}));
+jest.mock('../../src/models/ProductImport');
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/auditService');
+
+const STORE_ID = 'store-1';
+const TISSUS = { id: '5c1d2e3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f', name: 'Tissus', slug: 'tissus' };
+const EXISTING = { id: 'product-wax', sku: 'WAX-001', name: 'Pagne wax', store_id: STORE_ID, deleted_at: null, has_variants: false };
+
+const CSV = [
+  'Référence;Désignation;Prix;Tissu;Catégorie;Quantité',
+  'WAX-001;Pagne wax Héritage;16 500;wax;;20',
+  'KEN-001;Kente royal;45000;kente;Tissus;5',
+  'ken@;Bogolan;-10;soie;Tissus;'
+].join('\n');
+
+const MAPPING = {
+  sku: 'Référence',
+  name: 'Désignation',
+  price: 'Prix',
+  fabricType: 'Tissu',
+  category: 'Catégorie',
+  stockQuantity: 'Quantité'
+};
+
+/**
+ * Transaction Knex simulée: chaque table renvoie ses lignes de test,
+ * les écritures renvoient les données écrites
+ */
+const mockTrx = (rows = {}) => {
+  const trx = jest.fn((table) => {
+    let written = null;
+    const query = {
+      select: jest.fn(() => query),
+      where: jest.fn(() => query),
+      whereIn: jest.fn(() => query),
+      whereNull: jest.fn(() => query),
+      increment: jest.fn(async () => 1),
+      insert: jest.fn((data) => { written = { id: 'product-new', ...data }; return query; }),
+      update: jest.fn((data) => { written = { ...EXISTING, ...data }; return query; }),
+      returning: jest.fn(async () => [written]),
+      first: jest.fn(async () => undefined),
+      then: (resolve) => resolve(rows[table] || [])
+    };
+    return query;
+  });
+
+  trx.fn = { now: jest.fn(() => 'NOW()') };
+  trx.raw = jest.fn(sql => sql);
+  trx.transaction = jest.fn(async (handler) => handler(trx));
+  db.mockImplementation(trx);
+  db.transaction.mockImplementation(async (handler) => handler(trx));
+  return trx;
+};
+
+/**
+ * Import en attente dont le fichier est déposé
+ */
+const createJob = (overrides = {}) => {
+  const id = `import-${Math.random().toString(36).slice(2)}`;
+  fs.mkdirSync(path.join(tmpDir, id));
+  fs.writeFileSync(path.join(tmpDir, id, 'source.csv'), CSV);
+
+  const job = {
+    id,
+    store_id: STORE_ID,
+    created_by: 'user-1',
+    dry_run: false,
+    file_name: path.join(id, 'source.csv'),
+    original_file_name: 'catalogue.csv',
+    file_format: 'csv',
+    images_file_name: null,
+    column_mapping: MAPPING,
+    options: { categoryId: null, status: 'draft' },
+    total_rows: 3,
+    processed_rows: 0,
+    ...overrides
+  };
+
+  ProductImport.claim.mockResolvedValue(job);
+  ProductImport.markCompleted.mockImplementation(async () => ({ ...job, status: 'completed' }));
+  return job;
+};
+
+describe('Product Import Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolveMapping', () => {
+    it('reconnaît les en-têtes usuels et applique la correspondance indiquée', () => {
+      const mapping = productImportService.resolveMapping(
+        ['Référence', 'Nom', 'Prix de vente', 'Type de tissu', 'Stock boutique'],
+        { stockQuantity: 'Stock boutique' }
+      );
+
+      expect(mapping).toEqual({
+        sku: 'Référence',
+        name: 'Nom',
+        price: 'Prix de vente',
+        fabricType: 'Type de tissu',
+        stockQuantity: 'Stock boutique'
+      });
+    });
+
+    it('refuse une colonne absente du fichier', () => {
+      expect(() => productImportService.resolveMapping(['SKU', 'Nom'], { price: 'Tarif' }))
+        .toThrow('Correspondance des colonnes invalide');
+    });
+
+    it('exige une colonne SKU', () => {
+      expect(() => productImportService.resolveMapping(['Nom', 'Prix'])).toThrow(
+        expect.objectContaining({
+          details: [expect.objectContaining({ field: 'mapping.sku' })]
+        })
+      );
+    });
+  });
+
+  describe('parseRow', () => {
+    const context = () => ({ mapping: MAPPING, categories: [TISSUS], images: null, seen: new Map() });
+
+    it('valide le SKU, le prix, le stock et le type de tissu de la ligne', () => {
+      const parsed = productImportService.parseRow({
+        rowNumber: 4,
+        values: { Référence: 'ken@', Désignation: 'Bogolan', Prix: '-10', Tissu: 'soie', Catégorie: 'Inconnue', Quantité: '2,5' }
+      }, context());
+
+      expect(parsed.errors).toEqual([
+        'SKU invalide: KEN@ (3 à 50 caractères: lettres, chiffres, - et _)',
+        'Prix invalide: -10',
+        'Quantité en stock invalide: 2,5',
+        expect.stringMatching(/^Type de tissu inconnu: soie/),
+        'Catégorie introuvable: Inconnue'
+      ]);
+    });
+
+    it('ne retient que les cellules renseignées', () => {
+      const parsed = productImportService.parseRow({
+        rowNumber: 2,
+        values: { Référence: 'wax-001', Désignation: '', Prix: '16 500', Tissu: 'Wax', Catégorie: 'tissus', Quantité: '' }
+      }, context());
+
+      expect(parsed).toEqual({
+        sku: 'WAX-001',
+        data: { price: 16500, fabricType: 'wax', categoryId: TISSUS.id },
+        images: [],
+        errors: []
+      });
+    });
+
+    it('signale un SKU présent sur deux lignes', () => {
+      const shared = context();
+      const values = { Référence: 'WAX-001', Désignation: 'Pagne', Prix: '1000' };
+
+      productImportService.parseRow({ rowNumber: 2, values }, shared);
+      const duplicate = productImportService.parseRow({ rowNumber: 7, values }, shared);
+
+      expect(duplicate.errors).toEqual(['SKU déjà présent ligne 2']);
+    });
+  });
+
+  describe('processImport', () => {
+    it('produit le rapport de chaque ligne sans toucher au catalogue en simulation', async () => {
+      const job = createJob({ dry_run: true });
+      const trx = mockTrx({ products: [EXISTING], categories: [TISSUS] });
+
+      await productImportService.processImport(job.id);
+
+      expect(ProductImport.recordBatch).toHaveBeenCalledWith(job.id, {
+        processedRows: 3,
+        counts: { created: 1, updated: 1, errors: 1 },
+        rows: [
+          expect.objectContaining({ rowNumber: 2, sku: 'WAX-001', action: 'update', status: 'valid', productId: EXISTING.id }),
+          expect.objectContaining({ rowNumber: 3, sku: 'KEN-001', action: 'create', status: 'valid' }),
+          expect.objectContaining({ rowNumber: 4, sku: 'KEN@', action: null, status: 'invalid' })
+        ]
+      }, trx);
+      expect(trx.transaction).not.toHaveBeenCalled();
+      expect(inventoryService.setProductStock).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+      expect(ProductImport.markCompleted).toHaveBeenCalledWith(job.id);
+    });
+
+    it('met à jour les produits existants par SKU et crée les autres', async () => {
+      const job = createJob();
+      const trx = mockTrx({ products: [EXISTING], categories: [TISSUS] });
+
+      await productImportService.processImport(job.id);
+
+      const [batchImportId, batch] = ProductImport.recordBatch.mock.calls[0];
+      expect(batchImportId).toBe(job.id);
+      expect(batch.counts).toEqual({ created: 1, updated: 1, errors: 1 });
+      expect(batch.rows.map(row => row.status)).toEqual(['imported', 'imported', 'invalid']);
+
+      expect(inventoryService.setProductStock).toHaveBeenCalledWith(
+        expect.objectContaining({ id: EXISTING.id, price: 16500, fabric_type: 'wax' }), 20, trx
+      );
+      expect(inventoryService.setProductStock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'product-new',
+          sku: 'KEN-001',
+          slug: 'kente-royal',
+          category_id: TISSUS.id,
+          status: 'draft',
+          store_id: STORE_ID
+        }), 5, trx
+      );
+      expect(auditService.record).toHaveBeenCalledWith('product.import', expect.objectContaining({
+        entityId: STORE_ID,
+        metadata: expect.objectContaining({ importId: job.id })
+      }));
+    });
+
+    it('garde les autres lignes du lot quand une ligne échoue à l\'enregistrement', async () => {
+      const job = createJob();
+      const trx = mockTrx({ products: [EXISTING], categories: [TISSUS] });
+      inventoryService.setProductStock
+        .mockRejectedValueOnce(new Error('Stock insuffisant'))
+        .mockResolvedValue();
+
+      await productImportService.processImport(job.id);
+
+      const [, batch] = ProductImport.recordBatch.mock.calls[0];
+      expect(batch.rows[0]).toMatchObject({ sku: 'WAX-001', status: 'failed', errors: ['Stock insuffisant'] });
+      expect(batch.rows[1]).toMatchObject({ sku: 'KEN-001', status: 'imported' });
+      expect(batch.counts).toEqual({ created: 1, updated: 0, errors: 2 });
+      expect(trx.transaction).toHaveBeenCalledTimes(2);
+    });
+
+    it('reprend à la première ligne non traitée', async () => {
+      const job = createJob({ processed_rows: 2 });
+      mockTrx({ products: [], categories: [TISSUS] });
+
+      await productImportService.processImport(job.id);
+
+      expect(ProductImport.recordBatch).toHaveBeenCalledTimes(1);
+      const [, batch] = ProductImport.recordBatch.mock.calls[0];
+      expect(batch.processedRows).toBe(3);
+      expect(batch.rows).toEqual([expect.objectContaining({ rowNumber: 4 })]);
+    });
+
+    it('marque l\'import en échec quand son fichier est illisible', async () => {
+      const job = createJob({ file_name: 'absent/source.csv' });
+      mockTrx();
+
+      const result = await productImportService.processImport(job.id);
+
+      expect(result).toBeNull();
+      expect(ProductImport.markFailed).toHaveBeenCalledWith(job.id, expect.stringContaining('ENOENT'));
+      expect(ProductImport.markCompleted).not.toHaveBeenCalled();
+    });
+
+    it('ne fait rien si l\'import est déjà pris en charge', async () => {
+      ProductImport.claim.mockResolvedValue(null);
+
+      expect(await productImportService.processImport('import-1')).toBeNull();
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
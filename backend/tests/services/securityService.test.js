@@ -0,0 +1,139 @@
+const securityService = require('../../src/services/securityService');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const { cache, sets } = require('../../src/config/redis');
+
+// Mock des dépendances (Redis simulé en mémoire, recréé avant chaque test)
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn(),
+    expire: jest.fn(),
+    setNX: jest.fn()
+  },
+  sets: {
+    add: jest.fn(),
+    count: jest.fn()
+  },
+  CACHE_KEYS: {
+    SECURITY_IP_FAILED_ACCOUNTS: (ip) => `security:ip_failed_accounts:${ip}`,
+    SECURITY_FLAGGED_IP: (ip) => `security:flagged_ip:${ip}`
+  }
+}));
+jest.mock('../../src/config/database', () => jest.fn());
+jest.mock('../../src/models/SecurityEvent');
+jest.mock('../../src/services/emailService');
+
+describe('Security Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SecurityEvent.record.mockResolvedValue({});
+
+    const store = new Map();
+    cache.get.mockImplementation(async (key) => (store.has(key) ? store.get(key) : null));
+    cache.expire.mockResolvedValue(true);
+    cache.setNX.mockImplementation(async (key, value) => {
+      if (store.has(key)) return false;
+      store.set(key, value);
+      return true;
+    });
+    sets.add.mockImplementation(async (key, member) => {
+      if (!store.has(key)) store.set(key, new Set());
+      store.get(key).add(member);
+      return true;
+    });
+    sets.count.mockImplementation(async (key) => (store.has(key) ? store.get(key).size : 0));
+  });
+
+  describe('getProgressiveDelay', () => {
+    it('should not delay the first failures', () => {
+      expect(securityService.getProgressiveDelay(0)).toBe(0);
+      expect(securityService.getProgressiveDelay(2)).toBe(0);
+    });
+
+    it('should double the delay after each failure up to 60 seconds', () => {
+      expect(securityService.getProgressiveDelay(3)).toBe(1);
+      expect(securityService.getProgressiveDelay(4)).toBe(2);
+      expect(securityService.getProgressiveDelay(6)).toBe(8);
+      expect(securityService.getProgressiveDelay(20)).toBe(60);
+    });
+  });
+
+  describe('getLoginThrottle', () => {
+    const now = Date.now();
+
+    it('should allow a user without failures', () => {
+      const throttle = securityService.getLoginThrottle({ failed_login_attempts: 0 }, now);
+
+      expect(throttle).toEqual({ locked: false, lockedUntil: null, retryAfter: 0 });
+    });
+
+    it('should report a locked account until the lock expires', () => {
+      const lockedUntil = new Date(now + 10 * 60 * 1000);
+
+      const throttle = securityService.getLoginThrottle({
+        failed_login_attempts: 10,
+        locked_until: lockedUntil
+      }, now);
+
+      expect(throttle.locked).toBe(true);
+      expect(throttle.retryAfter).toBe(600);
+    });
+
+    it('should ignore an expired lock', () => {
+      const throttle = securityService.getLoginThrottle({
+        failed_login_attempts: 1,
+        last_failed_login_at: new Date(now - 60 * 60 * 1000),
+        locked_until: new Date(now - 1000)
+      }, now);
+
+      expect(throttle.locked).toBe(false);
+      expect(throttle.retryAfter).toBe(0);
+    });
+
+    it('should impose the progressive delay after the last failure', () => {
+      const throttle = securityService.getLoginThrottle({
+        failed_login_attempts: 5,
+        last_failed_login_at: new Date(now - 1000)
+      }, now);
+
+      expect(throttle.locked).toBe(false);
+      expect(throttle.retryAfter).toBe(3);
+    });
+  });
+
+  describe('credential stuffing detection', () => {
+    const req = { ip: '10.0.0.1', get: () => 'Mozilla/5.0 (X11; Linux x86_64)' };
+
+    it('should flag an IP failing on many distinct accounts', async () => {
+      for (let i = 0; i < 4; i++) {
+        await securityService.recordEvent('login_failed', { email: `victim${i}@test.com`, req });
+      }
+      expect(await securityService.isFlaggedIp(req.ip)).toBe(false);
+
+      await securityService.recordEvent('login_failed', { email: 'victim4@test.com', req });
+
+      expect(await securityService.isFlaggedIp(req.ip)).toBe(true);
+      expect(SecurityEvent.record).toHaveBeenCalledWith('ip_flagged', expect.objectContaining({
+        ipAddress: req.ip
+      }));
+    });
+
+    it('should not flag repeated failures on the same account', async () => {
+      for (let i = 0; i < 10; i++) {
+        await securityService.recordEvent('login_failed', { email: 'same@test.com', req });
+      }
+
+      expect(await securityService.isFlaggedIp(req.ip)).toBe(false);
+    });
+
+    it('should not break when the security log is unavailable', async () => {
+      SecurityEvent.record.mockRejectedValue(new Error('DB down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(
+        securityService.recordEvent('login_failed', { email: 'x@test.com', req })
+      ).resolves.toBeUndefined();
+
+      console.error.mockRestore();
+    });
+  });
+});
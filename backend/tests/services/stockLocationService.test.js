@@ -0,0 +1,225 @@
+const stockLocationService = require('../../src/services/stockLocationService');
+const StockLocation = require('../../src/models/StockLocation');
+const StockLevel = require('../../src/models/StockLevel');
+const StockTransfer = require('../../src/models/StockTransfer');
+const auditService = require('../../src/services/auditService');
+const db = require('../../src/config/database');
+
+jest.mock('../../src/config/database', () => {
+  const db = jest.fn();
+  db.transaction = jest.fn();
+  return db;
+});
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn(), delPattern: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/models/StockLocation');
+jest.mock('../../src/models/StockLevel');
+jest.mock('../../src/models/StockTransfer');
+jest.mock('../../src/services/auditService');
+
+const STORE_ID = 'store-1';
+const LOME = { id: '0b7c3e5a-1d2f-4a8b-9c6d-1e2f3a4b5c6d', name: 'Atelier Lomé', is_active: true, is_default: true };
+const KARA = { id: '5f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0', name: 'Boutique Kara', is_active: true, is_default: false };
+const PRODUCT_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+const TRANSFER_ID = '3c2b1a09-8f7e-4d6c-9b5a-4f3e2d1c0b9a';
+
+/**
+ * Transaction Knex simulée: chaque table renvoie ses lignes de test
+ */
+const mockTrx = (rows = {}) => {
+  const trx = jest.fn((table) => {
+    const query = {
+      select: jest.fn(() => query),
+      where: jest.fn(() => query),
+      whereIn: jest.fn(() => query),
+      whereNull: jest.fn(() => query),
+      whereNot: jest.fn(() => query),
+      whereRaw: jest.fn(() => query),
+      first: jest.fn(async () => (rows[table] || [])[0]),
+      then: (resolve) => resolve(rows[table] || [])
+    };
+    return query;
+  });
+
+  trx.fn = { now: jest.fn(() => 'NOW()') };
+  db.transaction.mockImplementation(async (handler) => handler(trx));
+  return trx;
+};
+
+describe('Stock Location Service', () => {
+  const user = { id: 'user-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StockLocation.findForStore.mockImplementation(async (storeId, id) => [LOME, KARA].find(location => location.id === id));
+    StockTransfer.findItems.mockResolvedValue([
+      { product_id: PRODUCT_ID, variant_id: null, quantity: 3, product_name: 'Pagne wax' }
+    ]);
+  });
+
+  describe('createTransfer', () => {
+    const payload = {
+      fromLocationId: LOME.id,
+      toLocationId: KARA.id,
+      items: [{ productId: PRODUCT_ID, quantity: 3 }],
+      notes: 'Réassort avant le marché'
+    };
+
+    it('sort le stock du lieu d\'origine et journalise le transfert', async () => {
+      const trx = mockTrx({ products: [{ id: PRODUCT_ID, name: 'Pagne wax', store_id: STORE_ID }] });
+      StockLevel.remove.mockResolvedValue({ id: 'level-1', quantity: 1 });
+      StockTransfer.create.mockResolvedValue({ id: TRANSFER_ID });
+      StockTransfer.findForStore.mockResolvedValue({
+        id: TRANSFER_ID,
+        reference: 'TRF-1',
+        status: 'in_transit',
+        from_location_id: LOME.id,
+        to_location_id: KARA.id
+      });
+
+      const { transfer } = await stockLocationService.createTransfer(STORE_ID, payload, user);
+
+      const { id } = StockTransfer.create.mock.calls[0][0];
+      expect(StockLevel.remove).toHaveBeenCalledWith(LOME.id, PRODUCT_ID, null, 3, {
+        type: 'transfer',
+        reason: 'transfer_out',
+        referenceType: 'stock_transfer',
+        referenceId: id
+      }, trx);
+      expect(StockTransfer.create).toHaveBeenCalledWith(expect.objectContaining({
+        id: expect.any(String),
+        storeId: STORE_ID,
+        fromLocationId: LOME.id,
+        toLocationId: KARA.id,
+        notes: 'Réassort avant le marché',
+        createdBy: 'user-1',
+        reference: expect.stringMatching(/^TRF-/)
+      }), trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith([PRODUCT_ID], trx);
+      expect(transfer).toMatchObject({ from_location_name: 'Atelier Lomé', to_location_name: 'Boutique Kara' });
+      expect(auditService.record).toHaveBeenCalledWith('stock_transfer.create', expect.objectContaining({
+        entityId: TRANSFER_ID,
+        metadata: expect.objectContaining({
+          fromLocationId: LOME.id,
+          toLocationId: KARA.id,
+          items: [{ productId: PRODUCT_ID, variantId: null, quantity: 3 }]
+        })
+      }));
+    });
+
+    it('refuse de transférer plus que le stock non réservé', async () => {
+      mockTrx({ products: [{ id: PRODUCT_ID, name: 'Pagne wax', store_id: STORE_ID }] });
+      StockLevel.remove.mockResolvedValue(null);
+      StockLevel.find.mockResolvedValue({ quantity: 4, reserved_quantity: 2 });
+
+      await expect(stockLocationService.createTransfer(STORE_ID, payload, user)).rejects.toMatchObject({
+        code: 'STOCK_ERROR',
+        message: 'Stock insuffisant pour Pagne wax à Atelier Lomé. Stock disponible: 2'
+      });
+      expect(StockTransfer.create).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('exige la variante d\'un produit décliné', async () => {
+      mockTrx({
+        products: [{ id: PRODUCT_ID, name: 'Boubou brodé', store_id: STORE_ID }],
+        product_variants: [{ id: 'variant-m', product_id: PRODUCT_ID, options: { size: 'M' }, is_active: true }]
+      });
+
+      await expect(stockLocationService.createTransfer(STORE_ID, payload, user))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Précisez la variante de Boubou brodé' });
+      expect(StockLevel.remove).not.toHaveBeenCalled();
+    });
+
+    it('refuse un transfert vers le même lieu', async () => {
+      await expect(stockLocationService.createTransfer(STORE_ID, { ...payload, toLocationId: LOME.id }, user))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receiveTransfer / cancelTransfer', () => {
+    const inTransit = {
+      id: TRANSFER_ID,
+      reference: 'TRF-1',
+      status: 'in_transit',
+      from_location_id: LOME.id,
+      to_location_id: KARA.id
+    };
+
+    it('fait entrer le stock dans le lieu de destination', async () => {
+      const trx = mockTrx();
+      StockTransfer.findForStore.mockResolvedValue(inTransit);
+
+      await stockLocationService.receiveTransfer(STORE_ID, TRANSFER_ID, user);
+
+      expect(StockTransfer.findForStore).toHaveBeenCalledWith(STORE_ID, TRANSFER_ID, { forUpdate: true }, trx);
+      expect(StockLevel.add).toHaveBeenCalledWith(KARA.id, PRODUCT_ID, null, 3, {
+        type: 'transfer',
+        reason: 'transfer_in',
+        referenceType: 'stock_transfer',
+        referenceId: TRANSFER_ID
+      }, trx);
+      expect(StockTransfer.updateStatus).toHaveBeenCalledWith(TRANSFER_ID, 'received', 'user-1', trx);
+      expect(auditService.record).toHaveBeenCalledWith('stock_transfer.receive', expect.objectContaining({
+        before: { status: 'in_transit' },
+        after: { status: 'received' }
+      }));
+    });
+
+    it('remet le stock d\'un transfert annulé dans le lieu d\'origine', async () => {
+      const trx = mockTrx();
+      StockTransfer.findForStore.mockResolvedValue(inTransit);
+
+      await stockLocationService.cancelTransfer(STORE_ID, TRANSFER_ID, user);
+
+      expect(StockLevel.add).toHaveBeenCalledWith(LOME.id, PRODUCT_ID, null, 3, expect.objectContaining({
+        type: 'transfer',
+        reason: 'transfer_cancelled'
+      }), trx);
+      expect(StockTransfer.updateStatus).toHaveBeenCalledWith(TRANSFER_ID, 'cancelled', 'user-1', trx);
+    });
+
+    it('refuse de clore un transfert déjà réceptionné', async () => {
+      mockTrx();
+      StockTransfer.findForStore.mockResolvedValue({ ...inTransit, status: 'received' });
+
+      await expect(stockLocationService.cancelTransfer(STORE_ID, TRANSFER_ID, user)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Ce transfert n\'est plus en transit (statut: received)'
+      });
+      expect(StockLevel.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateLocation', () => {
+    it('refuse de désactiver le lieu par défaut', async () => {
+      mockTrx();
+
+      await expect(stockLocationService.updateLocation(STORE_ID, LOME.id, { isActive: false }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(StockLocation.update).not.toHaveBeenCalled();
+    });
+
+    it('refuse de désactiver un lieu qui a encore du stock', async () => {
+      mockTrx({ stock_levels: [{ id: 'level-1', quantity: 2, reserved_quantity: 0 }] });
+
+      await expect(stockLocationService.updateLocation(STORE_ID, KARA.id, { isActive: false }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('fait d\'un lieu le lieu par défaut', async () => {
+      const trx = mockTrx();
+      StockLocation.update.mockResolvedValue(KARA);
+      StockLocation.setDefault.mockResolvedValue({ ...KARA, is_default: true });
+
+      const location = await stockLocationService.updateLocation(STORE_ID, KARA.id, { isDefault: true, priority: 1 });
+
+      expect(StockLocation.update).toHaveBeenCalledWith(KARA.id, { priority: 1 }, trx);
+      expect(StockLocation.setDefault).toHaveBeenCalledWith(STORE_ID, KARA.id, trx);
+      expect(location.is_default).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const stockMovementService = require('../../src/services/stockMovementService');
+const StockLocation = require('../../src/models/StockLocation');
+const StockLevel = require('../../src/models/StockLevel');
+const StockMovement = require('../../src/models/StockMovement');
+const Stocktake = require('../../src/models/Stocktake');
+const auditService = require('../../src/services/auditService');
+const db = require('../../src/config/database');
+
+jest.mock('../../src/config/database', () => {
+  const db = jest.fn();
+  db.transaction = jest.fn();
+  return db;
+});
+jest.mock('../../src/config/redis', () => ({
+  cache: { del: jest.fn(), delPattern: jest.fn() },
+  CACHE_KEYS: jest.requireActual('../../src/config/redis').CACHE_KEYS
+}));
+jest.mock('../../src/models/StockLocation');
+jest.mock('../../src/models/StockLevel');
+jest.mock('../../src/models/StockMovement');
+jest.mock('../../src/models/Stocktake');
+jest.mock('../../src/services/auditService');
+
+const STORE_ID = 'store-1';
+const LOME = { id: '0b7c3e5a-1d2f-4a8b-9c6d-1e2f3a4b5c6d', name: 'Atelier Lomé', is_active: true };
+const PAGNE = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+const BOUBOU = '1d2e3f4a-5b6c-4d7e-8f9a-0b1c2d3e4f5a';
+
+/**
+ * Transaction Knex simulée: chaque table renvoie ses lignes de test
+ */
+const mockTrx = (rows = {}) => {
+  const trx = jest.fn((table) => {
+    const query = {
+      select: jest.fn(() => query),
+      where: jest.fn(() => query),
+      whereIn: jest.fn(() => query),
+      whereNull: jest.fn(() => query),
+      first: jest.fn(async () => (rows[table] || [])[0]),
+      then: (resolve) => resolve(rows[table] || [])
+    };
+    return query;
+  });
+
+  trx.fn = { now: jest.fn(() => 'NOW()') };
+  db.transaction.mockImplementation(async (handler) => handler(trx));
+  return trx;
+};
+
+const products = [
+  { id: PAGNE, name: 'Pagne wax', store_id: STORE_ID, price: '15000' },
+  { id: BOUBOU, name: 'Boubou brodé', store_id: STORE_ID, price: '45000' }
+];
+
+describe('Stock Movement Service', () => {
+  const user = { id: 'user-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StockLocation.findForStore.mockResolvedValue(LOME);
+  });
+
+  describe('adjustStock', () => {
+    it('inscrit une réception de stock avec son motif', async () => {
+      const trx = mockTrx({ products });
+      StockLevel.add.mockResolvedValue({ id: 'level-1', product_id: PAGNE, quantity: 12, reserved_quantity: 0 });
+
+      const levels = await stockMovementService.adjustStock(STORE_ID, LOME.id, {
+        type: 'adjustment',
+        reason: 'restock',
+        items: [{ productId: PAGNE, quantity: 10 }],
+        notes: 'Livraison du tisserand'
+      });
+
+      expect(StockLevel.add).toHaveBeenCalledWith(LOME.id, PAGNE, null, 10, {
+        type: 'adjustment',
+        reason: 'restock',
+        notes: 'Livraison du tisserand'
+      }, trx);
+      expect(StockLevel.refreshTotals).toHaveBeenCalledWith([PAGNE], trx);
+      expect(levels).toHaveLength(1);
+      expect(auditService.record).toHaveBeenCalledWith('stock_level.adjust', expect.objectContaining({
+        entityId: LOME.id,
+        metadata: expect.objectContaining({ type: 'adjustment', reason: 'restock' })
+      }));
+    });
+
+    it('sort le stock abîmé dans la limite du stock non réservé', async () => {
+      mockTrx({ products });
+      StockLevel.remove.mockResolvedValue(null);
+      StockLevel.find.mockResolvedValue({ quantity: 3, reserved_quantity: 2 });
+
+      await expect(stockMovementService.adjustStock(STORE_ID, LOME.id, {
+        type: 'damage',
+        reason: 'damaged',
+        items: [{ productId: PAGNE, quantity: -2 }]
+      })).rejects.toMatchObject({
+        code: 'STOCK_ERROR',
+        message: 'Stock insuffisant pour Pagne wax à Atelier Lomé. Stock disponible: 1'
+      });
+      expect(StockLevel.remove).toHaveBeenCalledWith(LOME.id, PAGNE, null, 2, expect.objectContaining({
+        type: 'damage',
+        reason: 'damaged'
+      }), expect.any(Function));
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('refuse une casse qui ajoute du stock', async () => {
+      await expect(stockMovementService.adjustStock(STORE_ID, LOME.id, {
+        type: 'damage',
+        reason: 'damaged',
+        items: [{ productId: PAGNE, quantity: 2 }]
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+
+    it('refuse un motif qui ne correspond pas au type', async () => {
+      await expect(stockMovementService.adjustStock(STORE_ID, LOME.id, {
+        type: 'return',
+        reason: 'restock',
+        items: [{ productId: PAGNE, quantity: 2 }]
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('runStocktake', () => {
+    const levels = [
+      { id: 'level-pagne', product_id: PAGNE, variant_id: null, quantity: 10, reserved_quantity: 0, product_name: 'Pagne wax', product_price: '15000' },
+      { id: 'level-boubou', product_id: BOUBOU, variant_id: null, quantity: 4, reserved_quantity: 0, product_name: 'Boubou brodé', product_price: '45000' }
+    ];
+
+    beforeEach(() => {
+      StockLevel.findForStocktake.mockResolvedValue(levels);
+      Stocktake.create.mockImplementation(async ({ id, reference }) => ({ id, reference, variance_value: '-30000' }));
+    });
+
+    it('produit le rapport d\'écarts sans toucher au stock en simulation', async () => {
+      mockTrx({ products });
+
+      const report = await stockMovementService.runStocktake(STORE_ID, LOME.id, {
+        items: [{ productId: PAGNE, countedQuantity: 8 }],
+        dryRun: true
+      }, user);
+
+      expect(report.dryRun).toBe(true);
+      expect(report.items).toEqual([expect.objectContaining({
+        product_id: PAGNE,
+        expected_quantity: 10,
+        counted_quantity: 8,
+        variance: -2,
+        unit_price: 15000
+      })]);
+      expect(report.stocktake).toMatchObject({ id: null, items_with_variance: 1, units_short: 2, variance_value: -30000 });
+      expect(Stocktake.create).not.toHaveBeenCalled();
+      expect(StockLevel.upsert).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('applique les écarts au stock et les inscrit au registre', async () => {
+      const trx = mockTrx({ products });
+
+      const report = await stockMovementService.runStocktake(STORE_ID, LOME.id, {
+        items: [
+          { productId: PAGNE, countedQuantity: 8 },
+          { productId: BOUBOU, countedQuantity: 4 }
+        ],
+        notes: 'Inventaire de fin de mois'
+      }, user);
+
+      const { id } = Stocktake.create.mock.calls[0][0];
+      expect(Stocktake.create).toHaveBeenCalledWith(expect.objectContaining({
+        storeId: STORE_ID,
+        locationId: LOME.id,
+        isFull: false,
+        createdBy: 'user-1',
+        reference: expect.stringMatching(/^INV-/),
+        summary: { itemsCounted: 2, itemsWithVariance: 1, unitsOver: 0, unitsShort: 2, varianceValue: -30000 }
+      }), trx);
+      expect(StockLevel.upsert).toHaveBeenCalledTimes(1);
+      expect(StockLevel.upsert).toHaveBeenCalledWith(LOME.id, PAGNE, null, { quantity: 8 }, {
+        type: 'stocktake',
+        reason: 'stocktake_count',
+        referenceType: 'stocktake',
+        referenceId: id,
+        notes: 'Inventaire de fin de mois'
+      }, trx);
+      expect(report.dryRun).toBe(false);
+      expect(auditService.record).toHaveBeenCalledWith('stocktake.create', expect.objectContaining({ entityId: id }));
+    });
+
+    it('remet à zéro les articles non comptés d\'un inventaire complet', async () => {
+      mockTrx({ products });
+
+      const report = await stockMovementService.runStocktake(STORE_ID, LOME.id, {
+        items: [{ productId: PAGNE, countedQuantity: 10 }],
+        full: true
+      }, user);
+
+      expect(report.items).toEqual([
+        expect.objectContaining({ product_id: PAGNE, variance: 0 }),
+        expect.objectContaining({ product_id: BOUBOU, expected_quantity: 4, counted_quantity: 0, variance: -4 })
+      ]);
+      expect(StockLevel.upsert).toHaveBeenCalledTimes(1);
+      expect(StockLevel.upsert).toHaveBeenCalledWith(
+        LOME.id, BOUBOU, null, { quantity: 0 }, expect.objectContaining({ type: 'stocktake' }), expect.any(Function)
+      );
+    });
+
+    it('refuse un article compté deux fois', async () => {
+      mockTrx({ products });
+
+      await expect(stockMovementService.runStocktake(STORE_ID, LOME.id, {
+        items: [
+          { productId: PAGNE, countedQuantity: 8 },
+          { productId: PAGNE, countedQuantity: 2 }
+        ]
+      }, user)).rejects.toMatchObject({ statusCode: 400, message: 'Pagne wax figure plusieurs fois dans la liste' });
+    });
+  });
+
+  describe('verifyLedger', () => {
+    it('signale les niveaux de stock qui s\'écartent du registre', async () => {
+      StockMovement.findDiscrepancies.mockResolvedValue([{
+        location_id: LOME.id,
+        location_name: 'Atelier Lomé',
+        product_id: PAGNE,
+        product_name: 'Pagne wax',
+        variant_id: null,
+        variant_options: null,
+        quantity: 7,
+        ledger_quantity: 5
+      }]);
+
+      const discrepancies = await stockMovementService.verifyLedger(STORE_ID, { locationId: LOME.id });
+
+      expect(StockMovement.findDiscrepancies).toHaveBeenCalledWith(STORE_ID, { locationId: LOME.id });
+      expect(discrepancies).toEqual([expect.objectContaining({
+        productName: 'Pagne wax',
+        quantity: 7,
+        ledgerQuantity: 5,
+        difference: 2
+      })]);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const tokenRevocationService = require('../../src/services/tokenRevocationService');
+const { cache, isConnected } = require('../../src/config/redis');
+const User = require('../../src/models/User');
+const db = require('../../src/config/database');
+const RefreshToken = require('../../src/models/RefreshToken');
+const UserSession = require('../../src/models/UserSession');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    set: jest.fn(),
+    get: jest.fn()
+  },
+  isConnected: jest.fn(),
+  CACHE_KEYS: {
+    REVOKED_TOKEN: (jti) => `auth:revoked:${jti}`,
+    REVOKED_SESSION: (sessionId) => `auth:revoked_session:${sessionId}`,
+    USER_TOKENS_REVOKED_AT: (userId) => `auth:revoked_before:${userId}`
+  }
+}));
+jest.mock('../../src/models/RefreshToken');
+jest.mock('../../src/models/UserSession');
+
+describe('Token Revocation Service', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.set.mockResolvedValue(true);
+    cache.get.mockResolvedValue(null);
+    isConnected.mockReturnValue(true);
+  });
+
+  const createUser = () => User.create({
+    email: 'revocation@test.com',
+    password: 'Password123!',
+    first_name: 'Revo',
+    last_name: 'Cation'
+  });
+
+  describe('revokeAccessToken', () => {
+    it('should denylist the jti until the token expires', async () => {
+      await tokenRevocationService.revokeAccessToken({ jti: 'abc', userId: 'u1', exp: now() + 600 });
+
+      expect(cache.set).toHaveBeenCalledWith('auth:revoked:abc', true, expect.any(Number));
+      const ttl = cache.set.mock.calls[0][2];
+      expect(ttl).toBeGreaterThan(590);
+      expect(ttl).toBeLessThanOrEqual(600);
+    });
+
+    it('should ignore already expired tokens', async () => {
+      const result = await tokenRevocationService.revokeAccessToken({ jti: 'abc', exp: now() - 10 });
+
+      expect(result).toBe(true);
+      expect(cache.set).not.toHaveBeenCalled();
+    });
+
+    it('should ignore tokens without jti', async () => {
+      const result = await tokenRevocationService.revokeAccessToken({ userId: 'u1' });
+
+      expect(result).toBe(false);
+      expect(cache.set).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to report a revocation Redis could not store', async () => {
+      cache.set.mockResolvedValue(false);
+
+      await expect(
+        tokenRevocationService.revokeAccessToken({ jti: 'abc', userId: 'u1', exp: now() + 600 })
+      ).rejects.toMatchObject({ statusCode: 503, code: 'REVOCATION_UNAVAILABLE' });
+    });
+  });
+
+  describe('revokeAllUserTokens', () => {
+    it('should store a cutoff date and revoke refresh tokens', async () => {
+      const user = await createUser();
+      RefreshToken.revokeAllForUser.mockResolvedValue(3);
+
+      const result = await tokenRevocationService.revokeAllUserTokens(user.id, 'logout_all');
+
+      expect(cache.set).toHaveBeenCalledWith(
+        `auth:revoked_before:${user.id}`,
+        result.revokedAt,
+        tokenRevocationService.getAccessTokenLifetimeSeconds()
+      );
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user.id, 'logout_all');
+      expect(UserSession.markAllRevoked).toHaveBeenCalledWith(user.id, 'logout_all');
+      expect(result.refreshTokensRevoked).toBe(3);
+
+      const stored = await db('users').select('tokens_revoked_at').where({ id: user.id }).first();
+      expect(stored.tokens_revoked_at.getTime()).toBe(result.revokedAt);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should denylist the session and revoke its refresh tokens', async () => {
+      const session = { id: 's1', refresh_family_id: 'f1' };
+
+      await tokenRevocationService.revokeSession(session, 'revoked_by_user');
+
+      expect(cache.set).toHaveBeenCalledWith('auth:revoked_session:s1', true, expect.any(Number));
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('f1', 'revoked_by_user');
+      expect(UserSession.markRevoked).toHaveBeenCalledWith('s1', 'revoked_by_user');
+    });
+
+    it('should keep the current session when revoking the others', async () => {
+      UserSession.findActiveByUser.mockResolvedValue([
+        { id: 's1', refresh_family_id: 'f1' },
+        { id: 's2', refresh_family_id: 'f2' }
+      ]);
+
+      const revoked = await tokenRevocationService.revokeOtherSessions('u1', 's1');
+
+      expect(revoked).toBe(1);
+      expect(UserSession.markRevoked).toHaveBeenCalledWith('s2', 'revoked');
+      expect(UserSession.markRevoked).not.toHaveBeenCalledWith('s1', expect.anything());
+    });
+  });
+
+  describe('isAccessTokenRevoked', () => {
+    it('should reject a denylisted jti', async () => {
+      cache.get.mockImplementation(async (key) => key === 'auth:revoked:abc' ? true : null);
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'abc', userId: 'u1', iat: now() })).toBe(true);
+    });
+
+    it('should reject tokens of a revoked session', async () => {
+      cache.get.mockImplementation(async (key) => key === 'auth:revoked_session:s1' ? true : null);
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'abc', sid: 's1', userId: 'u1', iat: now() })).toBe(true);
+    });
+
+    it('should reject tokens issued before the user cutoff', async () => {
+      const revokedAt = Date.now();
+      cache.get.mockImplementation(async (key) => key === 'auth:revoked_before:u1' ? revokedAt : null);
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'old', userId: 'u1', iat: now() - 60 })).toBe(true);
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'new', userId: 'u1', iat: Math.floor((revokedAt + 1) / 1000), issuedAtMs: revokedAt + 1
+      })).toBe(false);
+    });
+
+    it('should compare to the millisecond within the cutoff second', async () => {
+      const revokedAt = Math.floor(Date.now() / 1000) * 1000 + 500;
+      const iat = Math.floor(revokedAt / 1000);
+      cache.get.mockImplementation(async (key) => key === 'auth:revoked_before:u1' ? revokedAt : null);
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'before', userId: 'u1', iat, issuedAtMs: revokedAt - 200
+      })).toBe(true);
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'after', userId: 'u1', iat, issuedAtMs: revokedAt + 200
+      })).toBe(false);
+
+      // Token sans issuedAtMs émis dans la seconde de la coupure: refusé
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'legacy', userId: 'u1', iat })).toBe(true);
+    });
+
+    it('should reject impersonation tokens issued before the impersonator cutoff', async () => {
+      cache.get.mockImplementation(async (key) => key === 'auth:revoked_before:admin1' ? Date.now() : null);
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'imp', userId: 'u1', impersonatorId: 'admin1', iat: now() - 60
+      })).toBe(true);
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'own', userId: 'u1', iat: now() - 60 })).toBe(false);
+    });
+
+    it('should accept a valid token', async () => {
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'abc', userId: 'u1', iat: now() })).toBe(false);
+    });
+
+    it('should fall back to the cutoff stored in the database when Redis is unavailable', async () => {
+      const user = await createUser();
+      cache.set.mockResolvedValue(false);
+      isConnected.mockReturnValue(false);
+
+      const { revokedAt } = await tokenRevocationService.revokeAllUserTokens(user.id, 'logout_all');
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'old', userId: user.id, iat: Math.floor(revokedAt / 1000), issuedAtMs: revokedAt - 1
+      })).toBe(true);
+      expect(await tokenRevocationService.isAccessTokenRevoked({
+        jti: 'new', userId: user.id, iat: Math.floor(revokedAt / 1000), issuedAtMs: revokedAt + 1
+      })).toBe(false);
+      expect(cache.get).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens of a session closed in the database when Redis is unavailable', async () => {
+      const user = await createUser();
+      isConnected.mockReturnValue(false);
+      UserSession.findById.mockImplementation(async (id) => ({ id, revoked_at: id === 's1' ? new Date() : null }));
+
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'a', sid: 's1', userId: user.id, iat: now() })).toBe(true);
+      expect(await tokenRevocationService.isAccessTokenRevoked({ jti: 'b', sid: 's2', userId: user.id, iat: now() })).toBe(false);
+    });
+  });
+});
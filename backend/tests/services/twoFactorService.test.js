@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const twoFactorService = require('../../src/services/twoFactorService');
+const { cache, isConnected } = require('../../src/config/redis');
+
+// Mock des dépendances
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    set: jest.fn(),
+    incr: jest.fn(),
+    expire: jest.fn(),
+    setNX: jest.fn()
+  },
+  CACHE_KEYS: {
+    TWO_FACTOR_USED_STEP: (userId, step) => `auth:2fa_used:${userId}:${step}`,
+    TWO_FACTOR_CHALLENGE_ATTEMPTS: (jti) => `auth:2fa_challenge:${jti}`
+  },
+  isConnected: jest.fn()
+}));
+
+describe('Two Factor Service', () => {
+  // Secret de référence de la RFC 6238 ("12345678901234567890" en base32)
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isConnected.mockReturnValue(true);
+    cache.set.mockResolvedValue(true);
+    cache.incr.mockResolvedValue(1);
+    cache.expire.mockResolvedValue(true);
+    cache.setNX.mockResolvedValue(true);
+  });
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(twoFactorService.generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+      expect(twoFactorService.generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+      expect(twoFactorService.generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+    });
+
+    it('should accept a code from the previous time step', () => {
+      const now = 1234567890 * 1000;
+      const previous = twoFactorService.generateCode(RFC_SECRET, Math.floor(1234567890 / 30) - 1);
+
+      expect(twoFactorService.verifyCode(RFC_SECRET, previous, now)).toBe(Math.floor(1234567890 / 30) - 1);
+    });
+
+    it('should reject malformed or wrong codes', () => {
+      const now = 1234567890 * 1000;
+
+      expect(twoFactorService.verifyCode(RFC_SECRET, '12345', now)).toBeNull();
+      expect(twoFactorService.verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+      expect(twoFactorService.verifyCode(RFC_SECRET, '000000', now)).toBeNull();
+    });
+
+    it('should generate base32 secrets', () => {
+      expect(twoFactorService.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+  });
+
+  describe('verifyUserCode', () => {
+    it('should refuse a code that was already used', async () => {
+      const secret = twoFactorService.generateSecret();
+      const user = { id: 'u1', two_factor_secret: twoFactorService.encryptSecret(secret) };
+      const code = twoFactorService.generateCode(secret);
+
+      expect(await twoFactorService.verifyUserCode(user, code)).toBe(true);
+
+      cache.setNX.mockResolvedValue(false);
+      expect(await twoFactorService.verifyUserCode(user, code)).toBe(false);
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should encrypt and decrypt a secret', () => {
+      const encrypted = twoFactorService.encryptSecret(RFC_SECRET);
+
+      expect(encrypted).not.toContain(RFC_SECRET);
+      expect(twoFactorService.decryptSecret(encrypted)).toBe(RFC_SECRET);
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('should not be usable as access tokens', () => {
+      const challenge = twoFactorService.createChallengeToken('u1', 'verify');
+
+      expect(() => jwt.verify(challenge, process.env.JWT_SECRET)).toThrow();
+    });
+
+    it('should verify a challenge with the expected purpose only', async () => {
+      const challenge = twoFactorService.createChallengeToken('u1', 'verify');
+
+      expect((await twoFactorService.verifyChallengeToken(challenge, 'verify')).userId).toBe('u1');
+      expect(await twoFactorService.verifyChallengeToken(challenge, 'enroll')).toBeNull();
+    });
+
+    it('should refuse a challenge after too many attempts', async () => {
+      const challenge = twoFactorService.createChallengeToken('u1', 'verify');
+      cache.incr.mockResolvedValue(6);
+
+      expect(await twoFactorService.verifyChallengeToken(challenge, 'verify')).toBeNull();
+    });
+  });
+
+  describe('isRequiredForRole', () => {
+    it('should force two-factor for administrators', () => {
+      expect(twoFactorService.isRequiredForRole('admin')).toBe(true);
+      expect(twoFactorService.isRequiredForRole('super_admin')).toBe(true);
+      expect(twoFactorService.isRequiredForRole('vendor')).toBe(false);
+    });
+  });
+});
@@ -38,16 +38,51 @@ afterAll(async () => {
 beforeEach(async () => {
   // Vider les tables dans l'ordre pour respecter les contraintes de clés étrangères
   const tables = [
+    'role_permissions',
+    'permissions',
+    'security_events',
+    'user_sessions',
+    'refresh_tokens',
+    'user_recovery_codes',
+    'user_identities',
+    'data_exports',
+    'erasure_certificates',
+    'consent_records',
+    'idempotency_keys',
+    'inventory_reservations',
     'order_items',
+    'stocktake_items',
+    'stocktakes',
+    'product_import_rows',
+    'product_imports',
+    'stock_transfer_items',
+    'stock_transfers',
+    'stock_levels',
+    'stock_locations',
+    'product_variants',
     'payments', 
     'reviews',
+    'product_reviews',
+    'order_reviews',
     'orders',
     'products',
+    'store_members',
     'stores',
     'categories',
     'users'
   ];
   
+  // Tables en ajout seul: un trigger refuse les DELETE ligne à ligne
+  for (const table of ['audit_logs', 'stock_movements']) {
+    try {
+      await db.raw(`TRUNCATE TABLE ${table}`);
+    } catch (error) {
+      if (!error.message.includes('does not exist')) {
+        console.error(`Erreur lors du nettoyage de la table ${table}:`, error);
+      }
+    }
+  }
+  
   for (const table of tables) {
     try {
       await db(table).del();
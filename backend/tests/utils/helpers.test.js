@@ -0,0 +1,21 @@
+const { escapeCsvValue } = require('../../src/utils/helpers');
+
+describe('Helpers', () => {
+  describe('escapeCsvValue', () => {
+    it('neutralise les textes interprétables comme des formules', () => {
+      expect(escapeCsvValue('=SUM(A1:A3)')).toBe('\'=SUM(A1:A3)');
+      expect(escapeCsvValue('-2+3')).toBe('\'-2+3');
+      expect(escapeCsvValue('@cmd')).toBe('\'@cmd');
+    });
+
+    it('laisse les nombres négatifs intacts', () => {
+      expect(escapeCsvValue(-1500)).toBe('-1500');
+      expect(escapeCsvValue('-1500.50')).toBe('-1500.50');
+    });
+
+    it('met entre guillemets les valeurs contenant un séparateur', () => {
+      expect(escapeCsvValue('Lomé, "Togo"')).toBe('"Lomé, ""Togo"""');
+      expect(escapeCsvValue({ status: 'paid' })).toBe('"{""status"":""paid""}"');
+    });
+  });
+});